@@ -0,0 +1,26 @@
+import { evaluateAlertRules, describeAlert } from '../src/services/alertRules';
+
+const hot = { id: 'hot', name: 'Hot', metric: 'temph', comparison: 'above', threshold: 85, hysteresis: 5, actions: ['banner'], enabled: true };
+const weakWifi = { id: 'wifi', name: 'Weak', metric: 'wifiSnr', comparison: 'below', threshold: 20, hysteresis: 5, actions: ['banner'], enabled: true };
+
+const context = (temph, wifiSnr = null) => ({ telemetry: { temph }, wifiSnr, telemetryAgeMs: 0 });
+
+describe('evaluateAlertRules', () => {
+  test('raises past the threshold and clears only after the hysteresis', () => {
+    expect(evaluateAlertRules([hot], context(86), []).raised.map(r => r.rule.id)).toEqual(['hot']);
+    expect(evaluateAlertRules([hot], context(84), ['hot'])).toEqual({ raised: [], cleared: [] });
+    expect(evaluateAlertRules([hot], context(80), ['hot']).cleared).toEqual(['hot']);
+    expect(evaluateAlertRules([weakWifi], context(40, 18), []).raised).toHaveLength(1);
+    expect(evaluateAlertRules([weakWifi], context(40, 22), ['wifi']).cleared).toEqual([]);
+  });
+
+  test('keeps state for unknown values and clears disabled or deleted rules', () => {
+    expect(evaluateAlertRules([weakWifi], context(40, null), ['wifi'])).toEqual({ raised: [], cleared: [] });
+    expect(evaluateAlertRules([{ ...hot, enabled: false }], context(90), ['hot']).cleared).toEqual(['hot']);
+    expect(evaluateAlertRules([], context(90), ['gone']).cleared).toEqual(['gone']);
+  });
+});
+
+test('describeAlert names the rule, value and threshold', () => {
+  expect(describeAlert(hot, 87)).toBe('Hot: Temperature (high) 87 °C above 85 °C');
+});
@@ -0,0 +1,89 @@
+import { configureStore } from '@reduxjs/toolkit';
+import * as telloService from '../src/services/telloService';
+import { LINK_STATUS } from '../src/services/linkWatchdog';
+import telloReducer, { setConnected, setLinkStatus, updateStatus, connectAndStream, disconnect } from '../src/store/telloSlice';
+import settingsReducer from '../src/store/settingsSlice';
+import alertsReducer, { raiseAlert } from '../src/store/alertsSlice';
+import missionReducer from '../src/store/missionSlice';
+import replayReducer, { startReplay, replayStopped } from '../src/store/replaySlice';
+import { alertRulesMiddleware } from '../src/store/alertRulesMiddleware';
+
+jest.mock('../src/services/telloService', () => ({ sendCommand: jest.fn() }));
+jest.mock('ffmpeg-kit-react-native', () => ({}));
+jest.mock('react-native-fs', () => ({}));
+jest.mock('react-native-orientation-locker', () => ({}));
+
+const replayed = (action) => ({ ...action, meta: { replay: true } });
+const connected = { type: connectAndStream.fulfilled.type, payload: true };
+const landRule = { id: 'high', name: 'Too high', metric: 'height', comparison: 'above', threshold: 200, hysteresis: 20, actions: ['banner', 'land'], enabled: true };
+
+describe('alertRulesMiddleware', () => {
+  let store;
+
+  const activeRules = () => store.getState().alerts.active.map(alert => alert.ruleId);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    telloService.sendCommand.mockReset();
+    telloService.sendCommand.mockResolvedValue('25');
+    store = configureStore({
+      reducer: {
+        tello: telloReducer,
+        settings: settingsReducer,
+        alerts: alertsReducer,
+        mission: missionReducer,
+        replay: replayReducer,
+      },
+      middleware: (getDefaultMiddleware) => getDefaultMiddleware().concat(alertRulesMiddleware),
+    });
+  });
+
+  afterEach(() => {
+    store.dispatch({ type: disconnect.pending.type });
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('notices stale telemetry and polls Wi-Fi SNR while connected', async () => {
+    store.dispatch(setConnected(true));
+    store.dispatch(setLinkStatus({ status: LINK_STATUS.OK, nextAttemptAt: null, attempts: 0 }));
+    store.dispatch(connected);
+    store.dispatch(updateStatus({ h: '0', bat: '80' }));
+    await jest.advanceTimersByTimeAsync(3000);
+
+    expect(activeRules()).toEqual(['stale']);
+    expect(telloService.sendCommand).toHaveBeenCalledWith('wifi?', expect.anything());
+  });
+
+  test('a replayed flight starts no checks and sends nothing', async () => {
+    store.dispatch({ type: startReplay.fulfilled.type, payload: { path: '/logs/a.jsonl', name: 'a', durationMs: 1000 } });
+    store.dispatch(replayed(setConnected(true)));
+    store.dispatch(replayed(setLinkStatus({ status: LINK_STATUS.OK, nextAttemptAt: null, attempts: 0 })));
+    store.dispatch(replayed(connected));
+    store.dispatch(replayed(updateStatus({ h: '300', bat: '80' })));
+    await jest.advanceTimersByTimeAsync(10000);
+
+    expect(activeRules()).toEqual([]);
+    expect(telloService.sendCommand).not.toHaveBeenCalled();
+  });
+
+  test('starting or stopping a replay stops the live checks', async () => {
+    store.dispatch(setConnected(true));
+    store.dispatch(connected);
+    store.dispatch(replayStopped());
+    store.dispatch(updateStatus({ h: '0', bat: '80' }));
+    await jest.advanceTimersByTimeAsync(3000);
+    expect(activeRules()).toEqual([]);
+  });
+
+  test('raiseAlert does nothing during a replay', async () => {
+    store.dispatch({ type: startReplay.fulfilled.type, payload: { path: '/logs/a.jsonl', name: 'a', durationMs: 1000 } });
+    store.dispatch(replayed(updateStatus({ h: '300', bat: '80' })));
+    await store.dispatch(raiseAlert({ rule: landRule, value: 300 }));
+
+    expect(activeRules()).toEqual([]);
+    expect(telloService.sendCommand).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,112 @@
+import { configureStore } from '@reduxjs/toolkit';
+import * as telloService from '../src/services/telloService';
+import telloReducer, {
+  setConnected,
+  updateStatus,
+  overrideBatteryAutoLand,
+  BATTERY_STAGE,
+  BATTERY_AUTO_LAND_DELAY_MS,
+} from '../src/store/telloSlice';
+import settingsReducer from '../src/store/settingsSlice';
+import { batteryFailsafeMiddleware } from '../src/store/batteryFailsafeMiddleware';
+
+jest.mock('../src/services/telloService', () => ({ sendCommand: jest.fn() }));
+jest.mock('ffmpeg-kit-react-native', () => ({}));
+jest.mock('react-native-fs', () => ({}));
+jest.mock('react-native-orientation-locker', () => ({}));
+
+// Default levels: warning at 30%, critical (and auto-land) at 15%
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('batteryFailsafeMiddleware', () => {
+  let store;
+  let now;
+
+  // One state packet at `atMs` with the given battery % and height (cm)
+  const packet = (atMs, bat, h) => {
+    now = atMs;
+    store.dispatch(updateStatus({ bat: String(bat), h: String(h) }));
+  };
+  const tello = () => store.getState().tello;
+  const landsSent = () => telloService.sendCommand.mock.calls.filter(([command]) => command === 'land').length;
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    telloService.sendCommand.mockReset();
+    telloService.sendCommand.mockResolvedValue('ok');
+    store = configureStore({
+      reducer: { tello: telloReducer, settings: settingsReducer },
+      middleware: (getDefaultMiddleware) => getDefaultMiddleware().concat(batteryFailsafeMiddleware),
+    });
+    now = 0;
+    store.dispatch(setConnected(true));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('follows the battery both ways on the ground but only escalates in flight', () => {
+    packet(0, 10, 0);
+    expect(tello().batteryStage).toBe(BATTERY_STAGE.CRITICAL);
+    packet(100, 50, 0);
+    expect(tello().batteryStage).toBe(BATTERY_STAGE.OK);
+    expect(tello().batteryAutoLandAt).toBeNull();
+
+    packet(200, 28, 100);
+    expect(tello().batteryStage).toBe(BATTERY_STAGE.WARNING);
+    packet(300, 32, 100);
+    expect(tello().batteryStage).toBe(BATTERY_STAGE.WARNING);
+  });
+
+  test('lands once the delay after going critical has passed, and only once', async () => {
+    packet(1000, 14, 100);
+    expect(tello().batteryStage).toBe(BATTERY_STAGE.CRITICAL);
+    expect(tello().batteryAutoLandAt).toBe(1000 + BATTERY_AUTO_LAND_DELAY_MS);
+
+    packet(1000 + BATTERY_AUTO_LAND_DELAY_MS - 100, 14, 100);
+    expect(landsSent()).toBe(0);
+    packet(1000 + BATTERY_AUTO_LAND_DELAY_MS, 14, 100);
+    await flushPromises();
+    expect(landsSent()).toBe(1);
+    expect(tello().isBatteryAutoLanding).toBe(true);
+
+    packet(1000 + BATTERY_AUTO_LAND_DELAY_MS + 100, 13, 60);
+    await flushPromises();
+    expect(landsSent()).toBe(1);
+
+    packet(1000 + BATTERY_AUTO_LAND_DELAY_MS + 200, 13, 0);
+    expect(tello().isBatteryAutoLanding).toBe(false);
+    expect(tello().batteryAutoLandAt).toBeNull();
+  });
+
+  test('retries the land on the next packet after it was rejected', async () => {
+    telloService.sendCommand.mockRejectedValueOnce(new Error('error Motor stop'));
+    packet(0, 14, 100);
+    packet(BATTERY_AUTO_LAND_DELAY_MS, 14, 100);
+    await flushPromises();
+    expect(landsSent()).toBe(1);
+    expect(tello().isBatteryAutoLanding).toBe(false);
+
+    packet(BATTERY_AUTO_LAND_DELAY_MS + 100, 14, 100);
+    await flushPromises();
+    expect(landsSent()).toBe(2);
+  });
+
+  test('an override suppresses the land until the drone has landed', async () => {
+    packet(0, 14, 100);
+    store.dispatch(overrideBatteryAutoLand());
+    packet(BATTERY_AUTO_LAND_DELAY_MS * 2, 12, 100);
+    await flushPromises();
+    expect(landsSent()).toBe(0);
+    expect(tello().batteryAutoLandAt).toBeNull();
+
+    // Touchdown re-arms the failsafe for the next flight
+    packet(BATTERY_AUTO_LAND_DELAY_MS * 3, 12, 0);
+    expect(tello().isBatteryAutoLandOverridden).toBe(false);
+    packet(BATTERY_AUTO_LAND_DELAY_MS * 4, 12, 100);
+    expect(tello().batteryAutoLandAt).toBe(BATTERY_AUTO_LAND_DELAY_MS * 5);
+  });
+});
@@ -0,0 +1,110 @@
+import * as commandQueue from '../src/services/commandQueue';
+
+// Stands in for telloService's transmit: each call stays unanswered until the
+// test settles it through `answer`/`fail`
+const transmit = jest.fn();
+const calls = [];
+const answer = (index, reply = 'ok') => calls[index].resolve(reply);
+const fail = (index, message) => calls[index].reject(new Error(message));
+const send = (command) => () => transmit(command);
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('commandQueue', () => {
+  let snapshots;
+
+  beforeEach(() => {
+    calls.length = 0;
+    transmit.mockReset();
+    transmit.mockImplementation(() => new Promise((resolve, reject) => calls.push({ resolve, reject })));
+    snapshots = [];
+    commandQueue.setListener(snapshot => snapshots.push(snapshot));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    commandQueue.setListener(null);
+    jest.restoreAllMocks();
+  });
+
+  test('runs tasks one at a time, in the order queued', async () => {
+    const takeoff = commandQueue.enqueue('takeoff', send('takeoff'));
+    const up = commandQueue.enqueue('up 50', send('up 50'));
+    const cw = commandQueue.enqueue('cw 90', send('cw 90'));
+    await settle();
+    expect(transmit.mock.calls).toEqual([['takeoff']]);
+
+    answer(0);
+    await expect(takeoff).resolves.toBe('ok');
+    await settle();
+    expect(transmit.mock.calls).toEqual([['takeoff'], ['up 50']]);
+
+    // A failed task rejects on its own and the next one still runs
+    fail(1, 'error Motor stop');
+    await expect(up).rejects.toThrow('Motor stop');
+    await settle();
+    expect(transmit.mock.calls).toEqual([['takeoff'], ['up 50'], ['cw 90']]);
+    answer(2);
+    await expect(cw).resolves.toBe('ok');
+  });
+
+  test('preempt cancels the waiting tasks and runs without waiting', async () => {
+    const forward = commandQueue.enqueue('forward 100', send('forward 100'));
+    const up = commandQueue.enqueue('up 50', send('up 50'));
+    const cw = commandQueue.enqueue('cw 90', send('cw 90'));
+    await settle();
+
+    const land = commandQueue.preempt('land', send('land'));
+    await expect(up).rejects.toThrow('Command "up 50" cancelled: preempted by "land"');
+    await expect(cw).rejects.toThrow('Command "cw 90" cancelled: preempted by "land"');
+    await settle();
+    expect(transmit.mock.calls).toEqual([['forward 100'], ['land']]);
+
+    // The drone drops the move in flight and answers the land
+    fail(0, 'error Interrupted');
+    answer(1);
+    await expect(forward).rejects.toThrow('Interrupted');
+    await expect(land).resolves.toBe('ok');
+    await settle();
+    expect(transmit).toHaveBeenCalledTimes(2);
+  });
+
+  test('reports the queue depth and the task in flight', async () => {
+    expect(snapshots).toEqual([{ depth: 0, inFlight: null }]);
+
+    commandQueue.enqueue('takeoff', send('takeoff'));
+    const up = commandQueue.enqueue('up 50', send('up 50'));
+    await settle();
+    expect(commandQueue.getSnapshot()).toEqual({ depth: 1, inFlight: 'takeoff' });
+
+    // A preemption shows as in flight on top of the interrupted task
+    const land = commandQueue.preempt('land', send('land'));
+    expect(commandQueue.getSnapshot()).toEqual({ depth: 0, inFlight: 'land' });
+    await expect(up).rejects.toThrow('cancelled');
+
+    answer(0);
+    await settle();
+    expect(commandQueue.getSnapshot()).toEqual({ depth: 0, inFlight: 'land' });
+    answer(1);
+    await land;
+    await settle();
+    expect(commandQueue.getSnapshot()).toEqual({ depth: 0, inFlight: null });
+    expect(snapshots[snapshots.length - 1]).toEqual({ depth: 0, inFlight: null });
+  });
+
+  test('flush leaves the task in flight alone', async () => {
+    const takeoff = commandQueue.enqueue('takeoff', send('takeoff'));
+    const up = commandQueue.enqueue('up 50', send('up 50'));
+    await settle();
+
+    commandQueue.flush('Disconnected');
+    await expect(up).rejects.toThrow('Command "up 50" cancelled: Disconnected');
+    expect(commandQueue.getSnapshot()).toEqual({ depth: 0, inFlight: 'takeoff' });
+
+    answer(0);
+    await expect(takeoff).resolves.toBe('ok');
+    await settle();
+    expect(transmit).toHaveBeenCalledTimes(1);
+    expect(commandQueue.getSnapshot()).toEqual({ depth: 0, inFlight: null });
+  });
+});
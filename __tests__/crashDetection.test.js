@@ -0,0 +1,29 @@
+import { detectCrash, CRASH_EVENT } from '../src/services/crashDetection';
+
+const level = { agx: 0, agy: 0, agz: -1000, pitch: 0, roll: 0, h: 100 };
+// One sample every 100 ms, as the drone sends them
+const series = (...overrides) => overrides.map((o, i) => ({ ...level, t: i * 100, ...o }));
+
+describe('detectCrash', () => {
+  test('ignores level and normally banked flight', () => {
+    expect(detectCrash(series({}, { roll: 15, agx: 150 }, { roll: 25, agx: 250 }))).toBeNull();
+  });
+
+  test('reports an acceleration spike as an impact', () => {
+    expect(detectCrash(series({}, { agx: 3200 }))?.event).toBe(CRASH_EVENT.IMPACT);
+  });
+
+  test('reports sustained tilt or fast rotation as a tumble', () => {
+    expect(detectCrash(series({ roll: 70 }, { roll: 75 }, { roll: 80 }, { roll: 85 }))?.event).toBe(CRASH_EVENT.TUMBLE);
+    expect(detectCrash(series({ roll: 70 }))).toBeNull();
+    expect(detectCrash(series({ pitch: 0 }, { pitch: 80 }))?.event).toBe(CRASH_EVENT.TUMBLE);
+    // Wrapping from 179° to -179° is not a fast rotation
+    expect(detectCrash(series({ roll: 179 }, { roll: -179 }))).toBeNull();
+  });
+
+  test('reports being upside down only once it lasts', () => {
+    const inverted = { agz: 1000, roll: 178 };
+    expect(detectCrash(series({ roll: 175, agz: 1000 }, inverted))).toBeNull();
+    expect(detectCrash(series(inverted, { ...inverted, roll: -179 }, inverted, inverted))?.event).toBe(CRASH_EVENT.UPSIDE_DOWN);
+  });
+});
@@ -0,0 +1,88 @@
+import { advanceFlightPhase, initialFlightPhaseState, FLIGHT_PHASE } from '../src/services/flightPhase';
+import telloReducer, {
+  setConnected,
+  updateStatus,
+  flightCommandTraffic,
+  disconnect,
+  selectFlightPhase,
+  selectIsInFlight,
+} from '../src/store/telloSlice';
+
+jest.mock('../src/services/telloService', () => ({}));
+jest.mock('ffmpeg-kit-react-native', () => ({}));
+jest.mock('react-native-fs', () => ({}));
+jest.mock('react-native-orientation-locker', () => ({}));
+
+const run = (events, state = initialFlightPhaseState) =>
+  events.reduce((current, event) => advanceFlightPhase(current, event), state).phase;
+
+const connected = { kind: 'connected' };
+const telemetry = (h, time, at, tof = h + 10) => ({ kind: 'telemetry', h, tof, time, at });
+
+describe('advanceFlightPhase', () => {
+  test('goes through a full flight from command traffic', () => {
+    expect(run([connected])).toBe(FLIGHT_PHASE.CONNECTED_LANDED);
+    expect(run([connected, { kind: 'command', command: 'takeoff' }])).toBe(FLIGHT_PHASE.TAKING_OFF);
+    const flight = [
+      connected,
+      { kind: 'command', command: 'takeoff' },
+      { kind: 'reply', command: 'takeoff', reply: 'ok' },
+    ];
+    expect(run(flight)).toBe(FLIGHT_PHASE.AIRBORNE);
+    expect(run([...flight, { kind: 'command', command: 'land' }])).toBe(FLIGHT_PHASE.LANDING);
+    expect(run([...flight, { kind: 'command', command: 'land' }, { kind: 'reply', command: 'land', reply: 'ok' }]))
+      .toBe(FLIGHT_PHASE.LANDED);
+    expect(run([...flight, { kind: 'command', command: 'emergency' }, { kind: 'disconnected' }]))
+      .toBe(FLIGHT_PHASE.DISCONNECTED);
+  });
+
+  test('falls back when takeoff is refused and follows telemetry without replies', () => {
+    const takeoff = [connected, { kind: 'command', command: 'takeoff' }];
+    expect(run([...takeoff, { kind: 'reply', command: 'takeoff', reply: 'error Not joystick' }]))
+      .toBe(FLIGHT_PHASE.CONNECTED_LANDED);
+    expect(run([...takeoff, { kind: 'timeout', command: 'takeoff' }, telemetry(40, 3, 1000)]))
+      .toBe(FLIGHT_PHASE.AIRBORNE);
+    // Reconnecting to a drone that is already in the air
+    expect(run([connected, telemetry(90, 30, 0)])).toBe(FLIGHT_PHASE.AIRBORNE);
+  });
+
+  test('lands on telemetry only once the motor time stops counting', () => {
+    const airborne = [connected, telemetry(90, 30, 0), telemetry(90, 31, 1000)];
+    expect(run([...airborne, telemetry(0, 32, 2000)])).toBe(FLIGHT_PHASE.AIRBORNE);
+    expect(run([...airborne, telemetry(0, 32, 2000), telemetry(0, 32, 4500)])).toBe(FLIGHT_PHASE.LANDED);
+    expect(run([connected, { kind: 'command', command: 'emergency' }, telemetry(0, 0, 0)]))
+      .toBe(FLIGHT_PHASE.CONNECTED_LANDED);
+  });
+
+  test('ignores everything but a connection while disconnected', () => {
+    expect(run([{ kind: 'command', command: 'takeoff' }, telemetry(90, 30, 0)])).toBe(FLIGHT_PHASE.DISCONNECTED);
+  });
+});
+
+describe('tello slice flight phase', () => {
+  const stateAfter = (actions) => ({ tello: actions.reduce(telloReducer, undefined) });
+  const takingOff = [
+    setConnected(true),
+    updateStatus({ h: '0', tof: '10' }),
+    flightCommandTraffic({ kind: 'command', command: 'takeoff' }),
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('counts a takeoff as flying before the height shows it', () => {
+    expect(selectIsInFlight(stateAfter(takingOff.slice(0, 2)))).toBe(false);
+    expect(selectIsInFlight(stateAfter(takingOff))).toBe(true);
+  });
+
+  test('a completed disconnect ends the flight phase', () => {
+    const state = stateAfter([...takingOff, { type: disconnect.fulfilled.type, payload: true }]);
+    expect(selectFlightPhase(state)).toBe(FLIGHT_PHASE.DISCONNECTED);
+    expect(selectIsInFlight(state)).toBe(false);
+  });
+});
@@ -0,0 +1,91 @@
+import * as flightLogStorage from '../src/services/flightLogStorage';
+import * as flightRecorder from '../src/services/flightRecorder';
+
+jest.mock('../src/services/flightLogStorage', () => ({
+  buildFlightLogPath: jest.fn(),
+  createFlightLog: jest.fn(),
+  appendEntries: jest.fn(),
+}));
+
+// Everything written to the log so far, in order
+const written = () => flightLogStorage.appendEntries.mock.calls.flatMap(([, entries]) => entries);
+const labels = () => written().map(entry => entry.label || entry.kind);
+
+describe('flightRecorder', () => {
+  let flight = 0;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.clearAllMocks();
+    flight++;
+    flightLogStorage.buildFlightLogPath.mockReturnValue(`/logs/flight_${flight}.jsonl`);
+    flightLogStorage.createFlightLog.mockResolvedValue(undefined);
+    flightLogStorage.appendEntries.mockResolvedValue(undefined);
+  });
+
+  afterEach(async () => {
+    // Close whatever flight a test left open
+    flightRecorder.setAirborne(false);
+    await jest.advanceTimersByTimeAsync(5000);
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('writes a flight from takeoff to landing, pre-flight entries included', async () => {
+    flightRecorder.recordAction({ type: 'tello/setConnected', payload: true });
+    flightRecorder.setAirborne(true);
+    await jest.advanceTimersByTimeAsync(0);
+    expect(flightLogStorage.createFlightLog).toHaveBeenCalledWith(`/logs/flight_${flight}.jsonl`);
+    expect(labels()).toEqual(['event', 'flight-start']);
+
+    flightRecorder.recordAction({ type: 'tello/updateStatus', payload: { values: { h: 80 } } });
+    flightRecorder.recordTraffic({ kind: 'command', command: 'rc 10 -20 30 0', at: 5 });
+    flightRecorder.recordTraffic({ kind: 'reply', command: 'up 50', reply: 'ok', at: 6 });
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(written().slice(2)).toEqual([
+      expect.objectContaining({ kind: 'telemetry', action: { type: 'tello/updateStatus', payload: { values: { h: 80 } } } }),
+      { kind: 'rc', roll: 10, pitch: -20, throttle: 30, yaw: 0, t: 5 },
+      { kind: 'reply', command: 'up 50', reply: 'ok', t: 6 },
+    ]);
+
+    flightRecorder.setAirborne(false);
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(labels().pop()).toBe('flight-end');
+    expect(flightRecorder.isRecordingFlight()).toBe(false);
+  });
+
+  test('keeps one log through a short bounce', async () => {
+    flightRecorder.setAirborne(true);
+    flightRecorder.setAirborne(false);
+    await jest.advanceTimersByTimeAsync(3000);
+    flightRecorder.setAirborne(true);
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(flightRecorder.isRecordingFlight()).toBe(true);
+    expect(flightLogStorage.createFlightLog).toHaveBeenCalledTimes(1);
+    expect(labels()).not.toContain('flight-end');
+  });
+
+  test('a JS crash is written out before the default handler runs', async () => {
+    const defaultHandler = jest.fn();
+    let handler = defaultHandler;
+    global.ErrorUtils = {
+      getGlobalHandler: () => handler,
+      setGlobalHandler: (next) => { handler = next; },
+    };
+    const uninstall = flightRecorder.installCrashHandler();
+    flightRecorder.setAirborne(true);
+
+    const error = new Error('undefined is not a function');
+    handler(error, true);
+    expect(defaultHandler).not.toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(written().pop()).toEqual(expect.objectContaining({ kind: 'crash', message: 'undefined is not a function', isFatal: true }));
+    expect(defaultHandler).toHaveBeenCalledWith(error, true);
+
+    uninstall();
+    expect(handler).toBe(defaultHandler);
+    delete global.ErrorUtils;
+  });
+});
@@ -0,0 +1,62 @@
+import * as flightReplay from '../src/services/flightReplay';
+
+const entry = (t, value) => ({ t, kind: 'telemetry', action: { type: 'tello/updateStatus', payload: value } });
+
+// Three samples a second apart, plus an entry without an action (never replayed)
+const LOG = [entry(1000, 'a'), { t: 1500, kind: 'reply', command: 'up 50', reply: 'ok' }, entry(2000, 'b'), entry(3000, 'c')];
+
+describe('flightReplay', () => {
+  let handlers;
+  let replayed;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    replayed = [];
+    handlers = {
+      onAction: jest.fn(action => replayed.push(action.payload)),
+      onReset: jest.fn(() => { replayed = []; }),
+      onProgress: jest.fn(),
+      onEnded: jest.fn(),
+    };
+  });
+
+  afterEach(() => {
+    flightReplay.unload();
+    jest.useRealTimers();
+  });
+
+  test('plays the actions back on their own timeline', () => {
+    expect(flightReplay.load(LOG, handlers)).toBe(2000);
+    expect(replayed).toEqual(['a']);
+
+    flightReplay.play();
+    jest.advanceTimersByTime(1000);
+    expect(replayed).toEqual(['a', 'b']);
+    jest.advanceTimersByTime(1000);
+    expect(replayed).toEqual(['a', 'b', 'c']);
+    expect(handlers.onEnded).toHaveBeenCalledTimes(1);
+    expect(handlers.onProgress).toHaveBeenLastCalledWith({ positionMs: 2000, durationMs: 2000, isPlaying: false, speed: 1 });
+  });
+
+  test('speeds up and pauses', () => {
+    flightReplay.load(LOG, handlers);
+    flightReplay.setSpeed(4);
+    flightReplay.play();
+    jest.advanceTimersByTime(300);
+    expect(replayed).toEqual(['a', 'b']);
+
+    flightReplay.pause();
+    jest.advanceTimersByTime(1000);
+    expect(replayed).toEqual(['a', 'b']);
+  });
+
+  test('seeking back starts over from a reset state', () => {
+    flightReplay.load(LOG, handlers);
+    flightReplay.seek(2000);
+    expect(replayed).toEqual(['a', 'b', 'c']);
+
+    flightReplay.seek(1200);
+    expect(handlers.onReset).toHaveBeenCalledTimes(2);
+    expect(replayed).toEqual(['a', 'b']);
+  });
+});
@@ -0,0 +1,63 @@
+import { configureStore } from '@reduxjs/toolkit';
+import * as telloService from '../src/services/telloService';
+import telloReducer, {
+  setConnected,
+  updateStatus,
+  flightCommandTraffic,
+  flip,
+  selectFlipRefusal,
+} from '../src/store/telloSlice';
+
+jest.mock('../src/services/telloService', () => ({ sendCommand: jest.fn() }));
+jest.mock('ffmpeg-kit-react-native', () => ({}));
+jest.mock('react-native-fs', () => ({}));
+jest.mock('react-native-orientation-locker', () => ({}));
+
+describe('flip', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    telloService.sendCommand.mockReset();
+    telloService.sendCommand.mockResolvedValue('ok');
+    store = configureStore({ reducer: { tello: telloReducer } });
+    store.dispatch(setConnected(true));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    [{ h: '0', bat: '90', tof: '10' }, 'take off first'],
+    [{ h: '150', tof: '150' }, 'battery level unknown'],
+    [{ h: '150', bat: '40', tof: '150' }, 'battery 40% is below 50%'],
+    [{ h: '60', bat: '90' }, 'height 60 cm is below 100 cm'],
+    [{ h: '150', bat: '90', tof: '80' }, 'height 80 cm is below 100 cm'],
+    [{ h: '150', bat: '90', tof: '150' }, null],
+  ])('refusal with telemetry %o is %p', (telemetry, refusal) => {
+    store.dispatch(updateStatus(telemetry));
+    expect(selectFlipRefusal(store.getState())).toBe(refusal);
+  });
+
+  test('goes by the flight phase rather than the height alone', () => {
+    store.dispatch(updateStatus({ h: '150', bat: '90', tof: '150' }));
+    store.dispatch(flightCommandTraffic({ kind: 'command', command: 'land' }));
+    expect(selectFlipRefusal(store.getState())).toBe('not while landing');
+  });
+
+  test('a refused flip is explained and never sent', async () => {
+    store.dispatch(updateStatus({ h: '150', bat: '40', tof: '150' }));
+    const result = await store.dispatch(flip('l'));
+
+    expect(result.payload).toBe('battery 40% is below 50%');
+    expect(store.getState().tello.errorMessage).toBe('Flip refused: battery 40% is below 50%');
+    expect(telloService.sendCommand).not.toHaveBeenCalled();
+  });
+
+  test('an allowed flip is sent', async () => {
+    store.dispatch(updateStatus({ h: '150', bat: '90', tof: '150' }));
+    await store.dispatch(flip('b'));
+    expect(telloService.sendCommand).toHaveBeenCalledWith('flip b');
+  });
+});
@@ -0,0 +1,43 @@
+import { filterCommand, getGeofenceWarnings, GEOFENCE_LEVEL } from '../src/services/geofence';
+
+const limits = { enabled: true, maxHeightCm: 200, minHeightCm: 30, maxDistanceCm: 500 };
+const hovering = { isAirborne: true, heightCm: 100, clearanceCm: 100, position: { x: 0, y: 0 }, yaw: 0 };
+
+describe('filterCommand', () => {
+  test('zeroes throttle past the height limits only in the outward direction', () => {
+    const atCeiling = { ...hovering, heightCm: 200, clearanceCm: 200 };
+    expect(filterCommand('rc 10 20 50 0', limits, atCeiling)).toBe('rc 10 20 0 0');
+    expect(filterCommand('rc 10 20 -50 0', limits, atCeiling)).toBe('rc 10 20 -50 0');
+    const atFloor = { ...hovering, heightCm: 30, clearanceCm: 25 };
+    expect(filterCommand('rc 0 0 -50 0', limits, atFloor)).toBe('rc 0 0 0 0');
+  });
+
+  test('removes the outward stick component at the distance limit', () => {
+    // 500 cm ahead of takeoff, facing away from it
+    const atEdge = { ...hovering, position: { x: 500, y: 0 } };
+    expect(filterCommand('rc 30 60 0 0', limits, atEdge)).toBe('rc 30 0 0 0');
+    expect(filterCommand('rc 0 -60 0 0', limits, atEdge)).toBe('rc 0 -60 0 0');
+    // Turned around, forward now leads back home
+    expect(filterCommand('rc 0 60 0 0', limits, { ...atEdge, yaw: 180 })).toBe('rc 0 60 0 0');
+  });
+
+  test('refuses movement commands that would end outside the fence', () => {
+    expect(() => filterCommand('up 150', limits, hovering)).toThrow(/height limit/);
+    expect(() => filterCommand('down 80', limits, hovering)).toThrow(/minimum height/);
+    expect(() => filterCommand('go 600 0 0 50', limits, hovering)).toThrow(/beyond the 500 cm limit/);
+    expect(filterCommand('forward 300', limits, hovering)).toBe('forward 300');
+    expect(filterCommand('go 600 0 0 50 m1', limits, hovering)).toBe('go 600 0 0 50 m1');
+    expect(filterCommand('up 150', { ...limits, enabled: false }, hovering)).toBe('up 150');
+  });
+});
+
+describe('getGeofenceWarnings', () => {
+  test('warns near a limit and reports reached limits first', () => {
+    const flight = { ...hovering, heightCm: 185, clearanceCm: 185, position: { x: 0, y: 520 } };
+    expect(getGeofenceWarnings(limits, flight).map(w => [w.limit, w.level])).toEqual([
+      ['maxDistance', GEOFENCE_LEVEL.LIMIT],
+      ['maxHeight', GEOFENCE_LEVEL.WARNING],
+    ]);
+    expect(getGeofenceWarnings(limits, { ...flight, isAirborne: false })).toEqual([]);
+  });
+});
@@ -0,0 +1,43 @@
+import { shapeAxis, shapeSticks, DEFAULT_AXIS_SHAPING } from '../src/services/inputShaping';
+
+const linear = { invert: false, deadzone: 0, expo: 0, rate: 1 };
+const allLinear = { roll: linear, pitch: linear, throttle: linear, yaw: linear };
+
+describe('shapeAxis', () => {
+  test('reads 0 inside the deadzone and full rate at full deflection', () => {
+    const shaping = { ...linear, deadzone: 0.1, rate: 0.5 };
+    expect(shapeAxis(0.1, shaping)).toBe(0);
+    expect(shapeAxis(1, shaping)).toBeCloseTo(0.5);
+    expect(shapeAxis(-1, shaping)).toBeCloseTo(-0.5);
+    expect(shapeAxis(0.55, shaping)).toBeCloseTo(0.25);
+  });
+
+  test('expo softens the centre but keeps the end points', () => {
+    const shaping = { ...linear, expo: 1 };
+    expect(shapeAxis(0.5, shaping)).toBeCloseTo(0.125);
+    expect(shapeAxis(1, shaping)).toBeCloseTo(1);
+  });
+
+  test('inverts and ignores garbage', () => {
+    expect(shapeAxis(0.8, { ...linear, invert: true })).toBeCloseTo(-0.8);
+    expect(shapeAxis(NaN, DEFAULT_AXIS_SHAPING)).toBe(0);
+    expect(shapeAxis(3, linear)).toBe(1);
+  });
+});
+
+describe('shapeSticks', () => {
+  const raw = { left: { x: 0.1, y: 0.2 }, right: { x: 0.3, y: 0.4 } };
+
+  test('mode 2 passes the sticks through', () => {
+    expect(shapeSticks(raw, 2, allLinear)).toEqual({ left: { x: 0.1, y: 0.2 }, right: { x: 0.3, y: 0.4 } });
+  });
+
+  test('mode 1 swaps throttle and pitch', () => {
+    // yaw = left x, pitch = left y, roll = right x, throttle = right y
+    expect(shapeSticks(raw, 1, allLinear)).toEqual({ left: { x: 0.1, y: 0.4 }, right: { x: 0.3, y: 0.2 } });
+  });
+
+  test('mode 3 mirrors mode 2', () => {
+    expect(shapeSticks(raw, 3, allLinear)).toEqual({ left: { x: 0.3, y: 0.4 }, right: { x: 0.1, y: 0.2 } });
+  });
+});
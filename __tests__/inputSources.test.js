@@ -0,0 +1,39 @@
+import * as inputSources from '../src/services/inputSources';
+
+const { TOUCH, KEYBOARD, GAMEPAD } = inputSources.INPUT_SOURCE;
+const sticks = (lx, ly = 0) => ({ left: { x: lx, y: ly }, right: { x: 0, y: 0 } });
+
+describe('inputSources', () => {
+  let received;
+
+  beforeEach(() => {
+    [TOUCH, KEYBOARD, GAMEPAD].forEach(inputSources.releaseSource);
+    inputSources.setPriority(inputSources.DEFAULT_INPUT_PRIORITY);
+    received = [];
+    inputSources.setStickListener((value, source) => received.push({ value, source }));
+  });
+
+  test('the highest-priority deflected source wins', () => {
+    inputSources.updateSticks(TOUCH, sticks(0.5));
+    inputSources.updateSticks(GAMEPAD, sticks(-0.9));
+    expect(received[received.length - 1]).toEqual({ value: sticks(-0.9), source: GAMEPAD });
+
+    inputSources.updateSticks(GAMEPAD, sticks(0.01)); // Back near centre
+    expect(inputSources.getActiveSource()).toBe(TOUCH);
+  });
+
+  test('small input passes through from the source updated last', () => {
+    inputSources.updateSticks(GAMEPAD, sticks(0.02));
+    inputSources.updateSticks(TOUCH, sticks(0.05));
+    expect(received[received.length - 1].value).toEqual(sticks(0.05));
+  });
+
+  test('actions reach the handler from any source', () => {
+    const handler = jest.fn();
+    inputSources.setActionHandler(handler);
+    inputSources.triggerAction(KEYBOARD, 'land');
+    inputSources.triggerAction(KEYBOARD, 'not-an-action');
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith('land', KEYBOARD);
+  });
+});
@@ -0,0 +1,59 @@
+import * as telloService from '../src/services/telloService';
+import * as keepaliveService from '../src/services/keepaliveService';
+
+jest.mock('../src/services/telloService', () => ({
+  sendCommand: jest.fn(),
+  isCommandQueueBusy: jest.fn(),
+  getLinkActivity: jest.fn(),
+}));
+
+describe('keepaliveService', () => {
+  let isActive;
+  let isBusy;
+  let lastSentAt;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    isActive = true;
+    isBusy = false;
+    lastSentAt = Date.now();
+    telloService.sendCommand.mockReset();
+    telloService.sendCommand.mockImplementation(() => {
+      lastSentAt = Date.now();
+      return Promise.resolve();
+    });
+    telloService.isCommandQueueBusy.mockImplementation(() => isBusy);
+    telloService.getLinkActivity.mockImplementation(() => ({ lastSentAt }));
+    keepaliveService.start(() => isActive);
+  });
+
+  afterEach(() => {
+    keepaliveService.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('sends a neutral rc once the link has been quiet for five seconds', () => {
+    jest.advanceTimersByTime(4000);
+    expect(telloService.sendCommand).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1000);
+    expect(telloService.sendCommand).toHaveBeenCalledWith('rc 0 0 0 0');
+    jest.advanceTimersByTime(5000);
+    expect(telloService.sendCommand).toHaveBeenCalledTimes(2);
+  });
+
+  test('stays quiet while inactive, while a command is in flight and once stopped', () => {
+    isActive = false;
+    jest.advanceTimersByTime(10000);
+    isActive = true;
+    isBusy = true;
+    jest.advanceTimersByTime(10000);
+    expect(telloService.sendCommand).not.toHaveBeenCalled();
+
+    isBusy = false;
+    keepaliveService.stop();
+    jest.advanceTimersByTime(10000);
+    expect(telloService.sendCommand).not.toHaveBeenCalled();
+  });
+});
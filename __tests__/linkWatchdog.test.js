@@ -0,0 +1,73 @@
+import * as telloService from '../src/services/telloService';
+import * as linkWatchdog from '../src/services/linkWatchdog';
+
+jest.mock('../src/services/telloService', () => ({ getLinkActivity: jest.fn() }));
+
+const { LINK_STATUS } = linkWatchdog;
+
+describe('linkWatchdog', () => {
+  let lastStateAt;
+  let handlers;
+  let statuses;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    lastStateAt = null;
+    telloService.getLinkActivity.mockImplementation(() => ({ lastStateAt, lastReplyAt: null }));
+    statuses = [];
+    handlers = {
+      onStatusChange: jest.fn(({ status }) => statuses.push(status)),
+      onLost: jest.fn(),
+      onReconnect: jest.fn(),
+    };
+  });
+
+  afterEach(() => {
+    linkWatchdog.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('stays ok while state packets keep arriving', () => {
+    linkWatchdog.start(handlers);
+    for (let i = 0; i < 20; i++) {
+      lastStateAt = Date.now();
+      jest.advanceTimersByTime(250);
+    }
+    expect(statuses).toEqual([LINK_STATUS.OK]);
+  });
+
+  test('degrades after a second of silence and is lost after three', () => {
+    linkWatchdog.start(handlers);
+    lastStateAt = Date.now();
+    jest.advanceTimersByTime(1250);
+    expect(statuses).toEqual([LINK_STATUS.OK, LINK_STATUS.DEGRADED]);
+
+    jest.advanceTimersByTime(2000);
+    expect(statuses).toEqual([LINK_STATUS.OK, LINK_STATUS.DEGRADED, LINK_STATUS.LOST]);
+    expect(handlers.onLost).toHaveBeenCalledTimes(1);
+
+    // Packets recovering by themselves don't end a lost link; only a reconnect does
+    lastStateAt = Date.now();
+    jest.advanceTimersByTime(1000);
+    expect(statuses[statuses.length - 1]).toBe(LINK_STATUS.LOST);
+  });
+
+  test('retries the reconnect every five seconds until it succeeds', async () => {
+    handlers.onReconnect.mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+    linkWatchdog.start(handlers);
+    await jest.advanceTimersByTimeAsync(3250);
+    expect(handlers.onReconnect).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(handlers.onReconnect).toHaveBeenCalledTimes(1);
+    expect(handlers.onStatusChange).toHaveBeenLastCalledWith(expect.objectContaining({ status: LINK_STATUS.LOST, attempts: 1 }));
+
+    lastStateAt = Date.now() + 5000;
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(handlers.onReconnect).toHaveBeenCalledTimes(2);
+    expect(statuses.slice(-2)).toEqual([LINK_STATUS.RECONNECTING, LINK_STATUS.OK]);
+    expect(handlers.onStatusChange).toHaveBeenLastCalledWith(expect.objectContaining({ attempts: 0, nextAttemptAt: null }));
+  });
+});
@@ -0,0 +1,231 @@
+import { configureStore } from '@reduxjs/toolkit';
+import RNFS from 'react-native-fs';
+import * as ffmpegService from '../src/services/ffmpegService';
+import telloReducer, { updateStatus } from '../src/store/telloSlice';
+import mediaReducer, {
+  capturePhoto,
+  startRecording,
+  stopRecording,
+  loadGallery,
+} from '../src/store/mediaSlice';
+
+// In-memory media folder: path -> { content, size, mtime }
+jest.mock('react-native-fs', () => {
+  const files = new Map();
+  return {
+    files,
+    DocumentDirectoryPath: '/docs',
+    DownloadDirectoryPath: '/downloads',
+    exists: jest.fn(async (path) => files.has(path)),
+    mkdir: jest.fn(async (path) => { files.set(path, { isDir: true }); }),
+    writeFile: jest.fn(async (path, content) => { files.set(path, { content, size: content.length }); }),
+    readFile: jest.fn(async (path) => {
+      if (!files.has(path)) {
+        throw new Error(`ENOENT: ${path}`);
+      }
+      return files.get(path).content;
+    }),
+    stat: jest.fn(async (path) => {
+      if (!files.has(path)) {
+        throw new Error(`ENOENT: ${path}`);
+      }
+      return { size: files.get(path).size };
+    }),
+    readDir: jest.fn(async (dir) => [...files.entries()]
+      .filter(([path]) => path.startsWith(`${dir}/`) && !path.slice(dir.length + 1).includes('/'))
+      .map(([path, file]) => ({
+        path,
+        name: path.split('/').pop(),
+        size: file.size ?? 0,
+        mtime: file.mtime,
+        isFile: () => !file.isDir,
+      }))),
+  };
+});
+jest.mock('../src/services/ffmpegService', () => ({
+  captureFrame: jest.fn(),
+  startRecording: jest.fn(),
+  stopRecording: jest.fn(),
+  isRecording: jest.fn(),
+  createThumbnail: jest.fn(),
+  getMediaDurationMs: jest.fn(),
+}));
+jest.mock('../src/services/telloService', () => ({}));
+jest.mock('ffmpeg-kit-react-native', () => ({}));
+jest.mock('react-native-orientation-locker', () => ({}));
+
+const MEDIA_DIR = '/docs/TelloMedia';
+// 2025-01-01 14:22:33.042, local time
+const TAKEN_AT = new Date(2025, 0, 1, 14, 22, 33, 42).getTime();
+
+const readJson = (path) => JSON.parse(RNFS.files.get(path).content);
+
+describe('mediaSlice', () => {
+  let store;
+  let now;
+
+  beforeEach(() => {
+    RNFS.files.clear();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    now = TAKEN_AT;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    store = configureStore({ reducer: { tello: telloReducer, media: mediaReducer } });
+    store.dispatch(updateStatus({ h: '80', bat: '87', yaw: '-90' }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('capturePhoto saves the frame with the telemetry of the moment it was pressed', async () => {
+    ffmpegService.captureFrame.mockImplementation(async (path) => {
+      RNFS.files.set(path, { content: 'jpeg', size: 4 });
+    });
+    const { payload } = await store.dispatch(capturePhoto());
+
+    const path = `${MEDIA_DIR}/photo_20250101_142233_042.jpg`;
+    expect(ffmpegService.captureFrame).toHaveBeenCalledWith(path);
+    expect(payload).toEqual({ path, sidecarPath: `${MEDIA_DIR}/photo_20250101_142233_042.json`, takenAt: TAKEN_AT });
+    expect(readJson(payload.sidecarPath)).toEqual(expect.objectContaining({
+      timestamp: TAKEN_AT,
+      height: 80,
+      battery: 87,
+      yaw: -90,
+      pitch: null,
+    }));
+    expect(store.getState().media).toEqual(expect.objectContaining({ isCapturingPhoto: false, lastPhoto: payload }));
+  });
+
+  test('a failed capture is reported and leaves no sidecar behind', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    ffmpegService.captureFrame.mockRejectedValue(new Error('No frame within 5 s'));
+    await store.dispatch(capturePhoto());
+
+    expect(store.getState().media.mediaError).toBe('No frame within 5 s');
+    expect(store.getState().tello.errorMessage).toBe('Photo capture failed: No frame within 5 s');
+    expect([...RNFS.files.keys()].filter(path => path.endsWith('.json'))).toEqual([]);
+  });
+
+  describe('recording', () => {
+    let endSession;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['Date', 'setImmediate'] });
+      let isSessionRunning = false;
+      ffmpegService.isRecording.mockImplementation(() => isSessionRunning);
+      ffmpegService.startRecording.mockImplementation(async (path, onEnded) => {
+        isSessionRunning = true;
+        endSession = () => {
+          isSessionRunning = false;
+          onEnded();
+        };
+      });
+      ffmpegService.stopRecording.mockImplementation(async () => {
+        isSessionRunning = false;
+      });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('records to a new file, tracks its size and writes the sidecar on stop', async () => {
+      await store.dispatch(startRecording());
+      const path = `${MEDIA_DIR}/video_20250101_142233_042.mp4`;
+      expect(ffmpegService.startRecording).toHaveBeenCalledWith(path, expect.any(Function));
+      expect(store.getState().media).toEqual(expect.objectContaining({
+        isRecording: true,
+        recordingPath: path,
+        recordingStartedAt: TAKEN_AT,
+      }));
+
+      RNFS.files.set(path, { content: '', size: 2048 });
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(store.getState().media.recordingBytes).toBe(2048);
+
+      now = TAKEN_AT + 12000;
+      const { payload } = await store.dispatch(stopRecording());
+      expect(payload).toEqual({ path, size: 2048, durationMs: 12000 });
+      expect(readJson(`${MEDIA_DIR}/video_20250101_142233_042.json`)).toEqual(expect.objectContaining({
+        timestamp: TAKEN_AT,
+        durationMs: 12000,
+        end: expect.objectContaining({ timestamp: TAKEN_AT + 12000, battery: 87 }),
+      }));
+      expect(store.getState().media).toEqual(expect.objectContaining({
+        isRecording: false,
+        recordingPath: null,
+        recordingBytes: 0,
+        lastRecording: payload,
+      }));
+    });
+
+    test('finishes the recording when the session ends by itself, only once', async () => {
+      await store.dispatch(startRecording());
+      endSession();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(store.getState().media.isRecording).toBe(false);
+      expect(store.getState().media.lastRecording).not.toBeNull();
+
+      await store.dispatch(stopRecording());
+      expect(ffmpegService.stopRecording).toHaveBeenCalledTimes(1);
+    });
+
+    test('a session that exits straight away is reported as a failure', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      ffmpegService.startRecording.mockResolvedValue(undefined);
+      await store.dispatch(startRecording());
+      expect(store.getState().media.isRecording).toBe(false);
+      expect(store.getState().media.mediaError).toBe('Recording session ended immediately');
+    });
+  });
+
+  describe('loadGallery', () => {
+    beforeEach(() => {
+      RNFS.files.set(MEDIA_DIR, { isDir: true });
+      RNFS.files.set(`${MEDIA_DIR}/photo_1.jpg`, { content: 'jpeg', size: 10, mtime: 1000 });
+      RNFS.files.set(`${MEDIA_DIR}/photo_1.json`, { content: JSON.stringify({ height: 120 }), size: 10, mtime: 1000 });
+      RNFS.files.set(`${MEDIA_DIR}/video_2.mp4`, { content: 'mp4', size: 20, mtime: 2000 });
+      RNFS.files.set(`${MEDIA_DIR}/video_2.json`, { content: JSON.stringify({ durationMs: 5000 }), size: 10, mtime: 2000 });
+      RNFS.files.set(`${MEDIA_DIR}/.thumbnails`, { isDir: true });
+      ffmpegService.createThumbnail.mockImplementation(async (video, thumbnail) => {
+        RNFS.files.set(thumbnail, { content: 'jpeg', size: 4 });
+      });
+    });
+
+    test('lists photos and videos newest first, with thumbnails and durations', async () => {
+      await store.dispatch(loadGallery());
+      const items = store.getState().media.galleryItems;
+
+      expect(items.map(item => item.name)).toEqual(['video_2.mp4', 'photo_1.jpg']);
+      expect(items[0]).toEqual(expect.objectContaining({
+        kind: 'video',
+        thumbnailPath: `${MEDIA_DIR}/.thumbnails/video_2.jpg`,
+        durationMs: 5000,
+      }));
+      expect(items[1]).toEqual(expect.objectContaining({
+        kind: 'photo',
+        thumbnailPath: `${MEDIA_DIR}/photo_1.jpg`,
+        durationMs: null,
+        metadata: { height: 120 },
+      }));
+      expect(ffmpegService.getMediaDurationMs).not.toHaveBeenCalled();
+
+      // Thumbnails are made once
+      await store.dispatch(loadGallery());
+      expect(ffmpegService.createThumbnail).toHaveBeenCalledTimes(1);
+    });
+
+    test('leaves out the recording still being written', async () => {
+      ffmpegService.isRecording.mockReturnValue(true);
+      ffmpegService.startRecording.mockResolvedValue(undefined);
+      await store.dispatch(startRecording());
+      const { recordingPath } = store.getState().media;
+      RNFS.files.set(recordingPath, { content: '', size: 0, mtime: 3000 });
+
+      await store.dispatch(loadGallery());
+      expect(store.getState().media.galleryItems.map(item => item.name)).toEqual(['video_2.mp4', 'photo_1.jpg']);
+      await store.dispatch(stopRecording());
+    });
+  });
+});
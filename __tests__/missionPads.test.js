@@ -0,0 +1,33 @@
+import * as telloService from '../src/services/telloService';
+import * as missionPads from '../src/services/missionPads';
+
+jest.mock('../src/services/telloService', () => ({ sendCommand: jest.fn() }));
+
+const sent = () => telloService.sendCommand.mock.calls.map(([command]) => command);
+
+describe('missionPads', () => {
+  beforeEach(() => {
+    telloService.sendCommand.mockReset();
+    telloService.sendCommand.mockResolvedValue('ok');
+  });
+
+  test('turns detection on before choosing the camera, and off again', async () => {
+    await missionPads.enableDetection(missionPads.PAD_DIRECTION.BOTH);
+    await missionPads.disableDetection();
+    expect(sent()).toEqual(['mon', 'mdirection 2', 'moff']);
+  });
+
+  test('builds pad-relative go and jump commands', async () => {
+    await missionPads.goRelativeToPad({ x: 0, y: 0, z: 80, speed: 30, padId: 3 });
+    await missionPads.goRelativeToPad({ x: 50, y: 0, z: 80, speed: 30, padId: missionPads.ANY_PAD });
+    await missionPads.jump({ x: 100, y: 0, z: 80, speed: 30, yaw: 90, fromPad: 1, toPad: 2 });
+    expect(sent()).toEqual(['go 0 0 80 30 m3', 'go 50 0 80 30 m-1', 'jump 100 0 80 30 90 m1 m2']);
+  });
+
+  test('refuses commands the drone would reject without sending them', async () => {
+    await expect(missionPads.goRelativeToPad({ x: 10, y: 10, z: 10, speed: 30, padId: 1 }))
+      .rejects.toThrow('x, y and z cannot all be between -20 and 20');
+    await expect(missionPads.goRelativeToPad({ x: 0, y: 0, z: 80, speed: 30, padId: 9 })).rejects.toThrow();
+    expect(telloService.sendCommand).not.toHaveBeenCalled();
+  });
+});
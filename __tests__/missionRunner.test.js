@@ -0,0 +1,188 @@
+import { configureStore } from '@reduxjs/toolkit';
+import * as telloService from '../src/services/telloService';
+import telloReducer, { setConnected, updateStatus } from '../src/store/telloSlice';
+import replayReducer from '../src/store/replaySlice';
+import missionReducer, {
+  runMission,
+  abortMission,
+  pauseMission,
+  resumeMission,
+  MISSION_STATUS,
+} from '../src/store/missionSlice';
+
+jest.mock('../src/services/telloService', () => ({ sendCommand: jest.fn() }));
+jest.mock('ffmpeg-kit-react-native', () => ({}));
+jest.mock('react-native-fs', () => ({}));
+jest.mock('react-native-orientation-locker', () => ({}));
+
+const createStore = () => configureStore({
+  reducer: { tello: telloReducer, replay: replayReducer, mission: missionReducer },
+});
+
+describe('runMission', () => {
+  let store;
+  let rejectMove;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    store = createStore();
+    store.dispatch(setConnected(true));
+    store.dispatch(updateStatus({ h: '100', bat: '80' }));
+    // The drone answers everything but the move, which only ends when interrupted
+    telloService.sendCommand.mockReset();
+    telloService.sendCommand.mockImplementation((command) => (command === 'forward 100'
+      ? new Promise((_, reject) => { rejectMove = reject; })
+      : Promise.resolve('ok')));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ['land', 'Aborted by pilot, landing'],
+    ['hover', 'Aborted by pilot, hovering'],
+  ])('aborting (%s) during a blocking command ends as aborted without a stop', async (mode, reason) => {
+    const mission = store.dispatch(runMission({ name: 'Test', script: 'forward 100\nland\n' }));
+    await Promise.resolve();
+    expect(rejectMove).toBeDefined();
+
+    await store.dispatch(abortMission(mode));
+    rejectMove(new Error('error Interrupted'));
+    const result = await mission;
+
+    expect(result.payload).toEqual({ status: MISSION_STATUS.ABORTED, reason });
+    expect(store.getState().mission.status).toBe(MISSION_STATUS.ABORTED);
+    expect(store.getState().tello.errorMessage).toBeNull();
+    const sent = telloService.sendCommand.mock.calls.map(([command]) => command);
+    expect(sent).toEqual(['forward 100', mode === 'land' ? 'land' : 'stop']);
+  });
+
+  test('a failing command still fails the mission and hovers', async () => {
+    const mission = store.dispatch(runMission({ name: 'Test', script: 'forward 100\nland\n' }));
+    await Promise.resolve();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    rejectMove(new Error('error No valid imu'));
+    await mission;
+
+    expect(store.getState().mission.status).toBe(MISSION_STATUS.FAILED);
+    expect(telloService.sendCommand).toHaveBeenLastCalledWith('stop');
+  });
+});
+
+describe('mission flow', () => {
+  let store;
+  let onCommand; // Called with each command before the drone answers 'ok'
+
+  const sent = () => telloService.sendCommand.mock.calls.map(([command]) => command);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    store = createStore();
+    store.dispatch(setConnected(true));
+    store.dispatch(updateStatus({ h: '100', bat: '80' }));
+    onCommand = () => {};
+    telloService.sendCommand.mockReset();
+    telloService.sendCommand.mockImplementation(async (command) => {
+      await onCommand(command);
+      return 'ok';
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('unrolls repeat blocks and counts every step', async () => {
+    const result = await store.dispatch(runMission({
+      name: 'Square',
+      script: 'takeoff\nrepeat 2\n  forward 50\n  cw 90\nend\nland\n',
+    }));
+
+    expect(result.payload).toEqual({ status: MISSION_STATUS.COMPLETED, reason: null });
+    expect(sent()).toEqual(['takeoff', 'forward 50', 'cw 90', 'forward 50', 'cw 90', 'land']);
+    expect(store.getState().mission).toEqual(expect.objectContaining({ totalSteps: 6, executedSteps: 6, currentLine: 6 }));
+  });
+
+  test('a when guard fires before the next step once its condition holds', async () => {
+    onCommand = (command) => {
+      if (command === 'up 50') {
+        store.dispatch(updateStatus({ h: '150', bat: '15' }));
+      }
+    };
+    const result = await store.dispatch(runMission({
+      name: 'Guarded',
+      script: 'when battery < 20 then land\nup 50\nforward 100\n',
+    }));
+
+    expect(result.payload).toEqual({ status: MISSION_STATUS.ABORTED, reason: 'battery < 20: land' });
+    expect(sent()).toEqual(['up 50', 'land']);
+  });
+
+  test('an if that lands ends the mission as completed', async () => {
+    store.dispatch(updateStatus({ h: '100', bat: '25' }));
+    const result = await store.dispatch(runMission({
+      name: 'Check',
+      script: 'up 50\nif battery < 30 then land\nforward 100\n',
+    }));
+
+    expect(result.payload).toEqual({ status: MISSION_STATUS.COMPLETED, reason: 'battery < 30: land' });
+    expect(sent()).toEqual(['up 50', 'land']);
+  });
+
+  test('an if whose condition does not hold is skipped', async () => {
+    await store.dispatch(runMission({ name: 'Check', script: 'if battery < 30 then land\nforward 100\n' }));
+    expect(sent()).toEqual(['forward 100']);
+  });
+
+  test('pausing holds the mission after the command in flight until resumed', async () => {
+    jest.useFakeTimers();
+    let finishMove;
+    onCommand = (command) => (command === 'forward 100'
+      ? new Promise(resolve => { finishMove = resolve; })
+      : undefined);
+    const mission = store.dispatch(runMission({ name: 'Test', script: 'forward 100\nland\n' }));
+    await jest.advanceTimersByTimeAsync(0);
+
+    store.dispatch(pauseMission());
+    expect(store.getState().mission.status).toBe(MISSION_STATUS.PAUSED);
+    finishMove();
+    await jest.advanceTimersByTimeAsync(4000);
+    expect(sent()).toEqual(['forward 100']);
+
+    store.dispatch(resumeMission());
+    expect(store.getState().mission.status).toBe(MISSION_STATUS.RUNNING);
+    await jest.advanceTimersByTimeAsync(250);
+    expect((await mission).payload.status).toBe(MISSION_STATUS.COMPLETED);
+    expect(sent()).toEqual(['forward 100', 'land']);
+  });
+
+  test('keeps a paused drone from auto-landing, keepalive setting or not', async () => {
+    jest.useFakeTimers();
+    const mission = store.dispatch(runMission({ name: 'Test', script: 'up 50\nland\n' }));
+    store.dispatch(pauseMission());
+    await jest.advanceTimersByTimeAsync(12000);
+    expect(sent()).toEqual(['up 50', 'rc 0 0 0 0', 'rc 0 0 0 0']);
+
+    store.dispatch(resumeMission());
+    await jest.advanceTimersByTimeAsync(250);
+    await mission;
+    expect(sent()).toEqual(['up 50', 'rc 0 0 0 0', 'rc 0 0 0 0', 'land']);
+  });
+
+  test('time spent paused does not count towards a wait', async () => {
+    jest.useFakeTimers();
+    const mission = store.dispatch(runMission({ name: 'Test', script: 'wait 1\nland\n' }));
+    await jest.advanceTimersByTimeAsync(500);
+    store.dispatch(pauseMission());
+    await jest.advanceTimersByTimeAsync(4000);
+    store.dispatch(resumeMission());
+    await jest.advanceTimersByTimeAsync(250);
+    expect(sent()).toEqual([]);
+
+    await jest.advanceTimersByTimeAsync(500);
+    await mission;
+    expect(sent()).toEqual(['land']);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Parsing and validation of mission scripts.
+ */
+
+import { parseMissionScript, countSteps, evaluateCondition } from '../src/services/missionScript';
+
+describe('parseMissionScript', () => {
+  test('parses commands, waits, loops and conditions', () => {
+    const { steps, errors } = parseMissionScript([
+      'takeoff',
+      'when battery < 20 then land # guard',
+      'repeat 2',
+      '  forward 100',
+      '  wait 1.5',
+      'end',
+      'if height > 100 then down 50',
+      'land',
+    ].join('\n'));
+
+    expect(errors).toEqual([]);
+    expect(steps.map(step => step.type)).toEqual(['command', 'when', 'repeat', 'if', 'command']);
+    expect(steps[1].condition).toMatchObject({ field: 'bat', operator: '<', value: 20 });
+    expect(steps[2].steps).toHaveLength(2);
+    expect(countSteps(steps)).toBe(8);
+  });
+
+  test('reports out-of-range arguments and broken blocks with line numbers', () => {
+    const { errors } = parseMissionScript('takeoff\nforward 900\ngo 10 10 10 50\nrepeat 3\ncw 90');
+
+    expect(errors).toEqual([
+      { line: 2, message: '"forward" argument 1 must be between 20 and 500, got 900' },
+      { line: 3, message: 'x, y and z cannot all be between -20 and 20' },
+      { line: 4, message: '"repeat" is missing its "end"' },
+    ]);
+  });
+
+  test('rejects unknown commands and telemetry fields', () => {
+    const { errors } = parseMissionScript('hop 50\nif altitude > 3 then land');
+
+    expect(errors.map(error => error.line)).toEqual([1, 2]);
+  });
+});
+
+describe('evaluateCondition', () => {
+  const condition = { field: 'bat', operator: '<', value: 30 };
+
+  test('compares against the telemetry value', () => {
+    expect(evaluateCondition(condition, { bat: 25 })).toBe(true);
+    expect(evaluateCondition(condition, { bat: 30 })).toBe(false);
+  });
+
+  test('never matches before the field has been reported', () => {
+    expect(evaluateCondition(condition, null)).toBe(false);
+  });
+});
@@ -0,0 +1,40 @@
+import { evaluatePreflightChecks, describePreflightBlock, CHECK_STATUS } from '../src/services/preflightChecks';
+
+const ready = {
+  linkStatus: 'ok',
+  isLinkFresh: true,
+  telemetry: { bat: 80, temph: 60, pitch: 1, roll: -2, agz: -1000 },
+  minBatteryPercent: 20,
+  videoPlayerStatus: 'playing',
+  freeStorageBytes: 2 * 1024 * 1024 * 1024,
+};
+
+const statusOf = (checks, id) => checks.find(c => c.id === id).status;
+
+describe('evaluatePreflightChecks', () => {
+  test('passes a level, charged drone with video and storage', () => {
+    const checks = evaluatePreflightChecks(ready);
+    expect(checks.every(c => c.status === CHECK_STATUS.PASS)).toBe(true);
+    expect(describePreflightBlock(checks)).toBeNull();
+  });
+
+  test('fails the checks that are out of range', () => {
+    const checks = evaluatePreflightChecks({
+      ...ready,
+      linkStatus: 'degraded',
+      isLinkFresh: false,
+      telemetry: { ...ready.telemetry, bat: 10, temph: 85, roll: 20 },
+      videoPlayerStatus: 'error',
+      freeStorageBytes: 100 * 1024 * 1024,
+    });
+    ['link', 'battery', 'temperature', 'imu', 'video', 'storage'].forEach(id =>
+      expect(statusOf(checks, id)).toBe(CHECK_STATUS.FAIL));
+    expect(describePreflightBlock(checks)).toMatch(/^pre-flight check: Link \(Link degraded\), Battery/);
+  });
+
+  test('leaves unknown values pending, which still blocks takeoff', () => {
+    const checks = evaluatePreflightChecks({ ...ready, telemetry: null, videoPlayerStatus: null, freeStorageBytes: null });
+    expect(checks.every(c => c.status === CHECK_STATUS.PENDING)).toBe(true);
+    expect(describePreflightBlock(checks)).not.toBeNull();
+  });
+});
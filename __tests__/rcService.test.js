@@ -0,0 +1,69 @@
+import * as telloService from '../src/services/telloService';
+import * as rcService from '../src/services/rcService';
+
+jest.mock('../src/services/telloService', () => ({ sendCommand: jest.fn() }));
+
+const NEUTRAL = { left: { x: 0, y: 0 }, right: { x: 0, y: 0 } };
+const sent = () => telloService.sendCommand.mock.calls.map(([command]) => command);
+
+describe('buildRcCommand', () => {
+  test('orders roll, pitch, throttle, yaw and scales to -100..100', () => {
+    expect(rcService.buildRcCommand({ left: { x: 0.5, y: -1 }, right: { x: 0.25, y: 1 } }))
+      .toBe('rc 25 100 -100 50');
+  });
+
+  test('clamps out-of-range values and zeroes anything that is not a number', () => {
+    expect(rcService.buildRcCommand({ left: { x: NaN, y: 3 }, right: { x: -2, y: undefined } }))
+      .toBe('rc -100 0 100 0');
+  });
+});
+
+describe('rcService transmitter', () => {
+  let sticks;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    telloService.sendCommand.mockReset();
+    telloService.sendCommand.mockResolvedValue(undefined);
+    sticks = NEUTRAL;
+    rcService.setStickSource(() => sticks);
+  });
+
+  afterEach(() => {
+    rcService.stop();
+    rcService.setStickSource(null);
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('sends the sticks at 20 Hz while they are held', () => {
+    rcService.start();
+    expect(rcService.isRunning()).toBe(true);
+    sticks = { left: { x: 0, y: 0.5 }, right: { x: 0, y: 0 } };
+    jest.advanceTimersByTime(100);
+    expect(sent()).toEqual(['rc 0 0 50 0', 'rc 0 0 50 0']);
+  });
+
+  test('sends one neutral packet on release, then stays quiet', () => {
+    rcService.start();
+    jest.advanceTimersByTime(200);
+    expect(sent()).toEqual([]);
+
+    sticks = { left: { x: 0, y: 0 }, right: { x: 0, y: -0.3 } };
+    jest.advanceTimersByTime(50);
+    sticks = NEUTRAL;
+    jest.advanceTimersByTime(200);
+    expect(sent()).toEqual(['rc 0 -30 0 0', 'rc 0 0 0 0']);
+  });
+
+  test('stopping neutralizes the sticks and ends the loop', () => {
+    rcService.start();
+    sticks = { left: { x: 1, y: 0 }, right: { x: 0, y: 0 } };
+    jest.advanceTimersByTime(50);
+    rcService.stop();
+    expect(rcService.isRunning()).toBe(false);
+    jest.advanceTimersByTime(200);
+    expect(sent()).toEqual(['rc 0 0 0 100', 'rc 0 0 0 0']);
+  });
+});
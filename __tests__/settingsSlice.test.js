@@ -0,0 +1,67 @@
+import reducer, { loadSettings } from '../src/store/settingsSlice';
+
+jest.mock('react-native-fs', () => ({}));
+
+const load = (saved) => reducer(undefined, { type: loadSettings.fulfilled.type, payload: saved });
+const defaults = reducer(undefined, { type: '@@init' });
+
+describe('loadSettings', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('restores valid saved settings over the defaults', () => {
+    const state = load({
+      stickMode: 1,
+      keepaliveEnabled: false,
+      inputPriority: ['touch', 'keyboard', 'gamepad'],
+      crashResponse: { impact: 'log' },
+      droneTarget: { host: '10.0.2.2', commandPort: 9000 },
+    });
+    expect(state.isLoaded).toBe(true);
+    expect(state.stickMode).toBe(1);
+    expect(state.keepaliveEnabled).toBe(false);
+    expect(state.inputPriority).toEqual(['touch', 'keyboard', 'gamepad']);
+    expect(state.crashResponse).toEqual({ ...defaults.crashResponse, impact: 'log' });
+    expect(state.droneTarget).toEqual({ host: '10.0.2.2', commandPort: 9000, videoPort: 11111 });
+  });
+
+  test('falls back to the defaults for invalid values', () => {
+    const state = load({
+      stickMode: 7,
+      keepaliveEnabled: 'yes',
+      inputPriority: ['gamepad', 'joystick'],
+      crashResponse: { impact: 'explode', tumble: 'land' },
+      droneTarget: { host: ' ', commandPort: 70000, videoPort: '11112' },
+      geofence: null,
+      alertRules: {},
+    });
+    expect(state.stickMode).toBe(defaults.stickMode);
+    expect(state.keepaliveEnabled).toBe(true);
+    expect(state.inputPriority).toEqual(defaults.inputPriority);
+    expect(state.crashResponse).toEqual({ ...defaults.crashResponse, tumble: 'land' });
+    expect(state.droneTarget).toEqual(defaults.droneTarget);
+    expect(state.geofence).toEqual(defaults.geofence);
+    expect(state.alertRules).toEqual(defaults.alertRules);
+  });
+
+  test('drops saved alert rules that are not complete rules', () => {
+    const [hot, tilt] = defaults.alertRules;
+    const state = load({
+      alertRules: [
+        hot,
+        { ...tilt, actions: undefined },
+        { ...tilt, id: 'loud', actions: ['banner', 'siren'] },
+        { ...tilt, id: 'odd', metric: 'humidity' },
+        { ...tilt, id: 'nan', threshold: 'high' },
+        null,
+        { ...tilt, id: 'low-tilt', threshold: 30 },
+      ],
+    });
+    expect(state.alertRules).toEqual([hot, { ...tilt, id: 'low-tilt', threshold: 30 }]);
+  });
+});
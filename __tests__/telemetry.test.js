@@ -0,0 +1,26 @@
+import { parseTelemetry, formatFlightTime } from '../src/services/telemetry';
+
+describe('parseTelemetry', () => {
+  test('converts the raw strings into numbers', () => {
+    const { values, invalidFields } = parseTelemetry({
+      pitch: '1', roll: '-2', yaw: '90', h: '80', bat: '87', baro: '12.34', agz: '-998.00', time: '12',
+    });
+    expect(values).toEqual({ pitch: 1, roll: -2, yaw: 90, h: 80, bat: 87, baro: 12.34, agz: -998, time: 12 });
+    expect(invalidFields).toEqual([]);
+  });
+
+  test('drops missing, non-numeric and out-of-range values and ignores unknown keys', () => {
+    const { values, invalidFields } = parseTelemetry({ bat: '140', tof: 'abc', h: '', temph: '60', foo: '1' });
+    expect(values).toEqual({ temph: 60 });
+    expect(invalidFields).toEqual(['tof', 'h', 'bat']);
+  });
+
+  test('rounds integer fields', () => {
+    expect(parseTelemetry({ yaw: '45.6', x: '12.5' }).values).toEqual({ yaw: 46, x: 12.5 });
+  });
+});
+
+test('formatFlightTime shows minutes and seconds', () => {
+  expect(formatFlightTime(75)).toBe('1m 15s');
+  expect(formatFlightTime(null)).toBeNull();
+});
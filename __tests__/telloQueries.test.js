@@ -0,0 +1,44 @@
+import * as telloService from '../src/services/telloService';
+import * as telloQueries from '../src/services/telloQueries';
+
+jest.mock('../src/services/telloService', () => ({ sendCommand: jest.fn() }));
+
+const answer = (reply) => telloService.sendCommand.mockResolvedValueOnce(reply);
+
+describe('telloQueries', () => {
+  beforeEach(() => {
+    telloService.sendCommand.mockReset();
+  });
+
+  test('parses numeric replies, ignoring units and whitespace', async () => {
+    answer('87\r\n');
+    await expect(telloQueries.getBattery()).resolves.toBe(87);
+    answer('42s');
+    await expect(telloQueries.getFlightTime()).resolves.toBe(42);
+    answer('100.0');
+    await expect(telloQueries.getSpeed()).resolves.toBe(100);
+    answer('90');
+    await expect(telloQueries.getWifiSnr()).resolves.toBe(90);
+    expect(telloService.sendCommand).toHaveBeenCalledWith('battery?', { timeoutMs: 3000 });
+  });
+
+  test('parses text replies', async () => {
+    answer('30');
+    await expect(telloQueries.getSdkVersion()).resolves.toBe('30');
+    answer('0TQZH77ED00H1K\r\n');
+    await expect(telloQueries.getSerialNumber()).resolves.toBe('0TQZH77ED00H1K');
+  });
+
+  test('rejects replies that do not answer the query', async () => {
+    answer('ok');
+    await expect(telloQueries.getBattery()).rejects.toThrow('Unexpected reply to "battery?": "ok"');
+    answer('ok');
+    await expect(telloQueries.getSerialNumber()).rejects.toThrow('Unexpected reply to "sn?"');
+  });
+
+  test('does not retry the hardware query, which plain Tellos refuse', async () => {
+    answer('RMTT');
+    await expect(telloQueries.getHardware()).resolves.toBe('RMTT');
+    expect(telloService.sendCommand).toHaveBeenCalledWith('hardware?', { timeoutMs: 3000, retries: 0 });
+  });
+});
@@ -0,0 +1,142 @@
+import * as telloService from '../src/services/telloService';
+
+// In-memory stand-in for the UDP sockets: records what is sent and lets the
+// test deliver replies on the command socket
+jest.mock('react-native-udp', () => {
+  const sockets = [];
+  return {
+    sockets,
+    createSocket: () => {
+      const socket = {
+        handlers: {},
+        sent: [],
+        on: (event, handler) => { socket.handlers[event] = handler; },
+        bind: (port, callback) => callback(),
+        send: (message, offset, length, port, host, callback) => {
+          socket.sent.push(message);
+          callback();
+        },
+        close: (callback) => callback && callback(),
+      };
+      sockets.push(socket);
+      return socket;
+    },
+  };
+});
+
+const { sockets } = require('react-native-udp');
+
+const commandSocket = () => sockets[sockets.length - 2];
+const sent = () => commandSocket().sent;
+const reply = (text) => commandSocket().handlers.message(text, { address: '192.168.10.1', port: 8889 });
+const settle = () => jest.advanceTimersByTimeAsync(0);
+
+// Sends `command` and lets it time out unanswered
+const timeOut = async (command) => {
+  const result = telloService.sendCommand(command, { timeoutMs: 1000 }).catch(error => error);
+  await jest.advanceTimersByTimeAsync(1000);
+  expect((await result).message).toMatch('timed out');
+};
+
+describe('telloService commands', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await telloService.initialize(() => {});
+  });
+
+  afterEach(async () => {
+    await telloService.close();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('resolves each command with its own reply, in order', async () => {
+    const battery = telloService.sendCommand('battery?');
+    const speed = telloService.sendCommand('speed?');
+    await settle();
+    expect(sent()).toEqual(['battery?']);
+    reply('87');
+    await settle();
+    expect(sent()).toEqual(['battery?', 'speed?']);
+    reply('100.0');
+    await expect(battery).resolves.toBe('87');
+    await expect(speed).resolves.toBe('100.0');
+  });
+
+  test('rejects on error and unknown-command replies', async () => {
+    const takeoff = telloService.sendCommand('takeoff');
+    await settle();
+    reply('error Motor stop');
+    await expect(takeoff).rejects.toThrow('Motor stop');
+
+    const unsupported = telloService.sendCommand('motoron');
+    await settle();
+    reply('unknown command: motoron');
+    await expect(unsupported).rejects.toThrow('unknown command');
+  });
+
+  test('times out and retries idempotent commands only', async () => {
+    await timeOut('forward 100');
+    expect(sent()).toEqual(['forward 100']);
+
+    // Past the late-reply window of the move
+    await jest.advanceTimersByTimeAsync(5000);
+    const mode = telloService.sendCommand('command', { timeoutMs: 1000, retries: 1 });
+    await settle();
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(sent()).toEqual(['forward 100', 'command']);
+    // The retry waits out the first attempt's late-reply window
+    await jest.advanceTimersByTimeAsync(3000);
+    expect(sent()).toEqual(['forward 100', 'command', 'command']);
+    reply('ok');
+    await expect(mode).resolves.toBe('ok');
+  });
+
+  test('a late reply to a timed-out command never settles the next one', async () => {
+    await timeOut('forward 100');
+
+    // land can't wait; the late 'ok' of the move goes to the move, not to land
+    const land = telloService.sendCommand('land');
+    await settle();
+    expect(sent()).toEqual(['forward 100', 'land']);
+    let landResult = null;
+    land.then(value => { landResult = value; }, () => {});
+    reply('ok');
+    await settle();
+    expect(landResult).toBeNull();
+    reply('ok');
+    await expect(land).resolves.toBe('ok');
+
+    // With the late reply absorbed, the next command goes straight out
+    const battery = telloService.sendCommand('battery?');
+    await settle();
+    expect(sent()).toEqual(['forward 100', 'land', 'battery?']);
+    reply('20');
+    await expect(battery).resolves.toBe('20');
+  });
+
+  test('holds new commands back while a late reply may still come', async () => {
+    await timeOut('forward 100');
+
+    const up = telloService.sendCommand('up 50');
+    await settle();
+    expect(sent()).toEqual(['forward 100']);
+    reply('ok');
+    await settle();
+    expect(sent()).toEqual(['forward 100', 'up 50']);
+    reply('ok');
+    await expect(up).resolves.toBe('ok');
+  });
+
+  test('stops absorbing once the late-reply window has passed', async () => {
+    await timeOut('forward 100');
+
+    const battery = telloService.sendCommand('battery?');
+    await jest.advanceTimersByTimeAsync(3000);
+    expect(sent()).toEqual(['forward 100', 'battery?']);
+    reply('80');
+    await expect(battery).resolves.toBe('80');
+  });
+});
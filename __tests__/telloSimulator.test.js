@@ -0,0 +1,71 @@
+/**
+ * Runs telloService against the local simulator over real UDP sockets.
+ */
+
+import { createTelloSimulator } from '../simulator/telloSimulator';
+import * as telloService from '../src/services/telloService';
+
+// react-native-udp mirrors Node's dgram API, so Node sockets can stand in
+jest.mock('react-native-udp', () => require('dgram'));
+
+// Ports away from the defaults so a simulator running on the machine doesn't collide
+const COMMAND_PORT = 18889;
+const STATE_PORT = 18890;
+
+const waitFor = async (predicate, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+describe('telloService against the simulator', () => {
+  let simulator;
+  let lastStatus = null;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    simulator = createTelloSimulator({
+      commandPort: COMMAND_PORT,
+      statePort: STATE_PORT,
+      timeScale: 10,
+      log: false,
+    });
+    await simulator.start();
+    telloService.setTarget({
+      host: '127.0.0.1',
+      commandPort: COMMAND_PORT,
+      localCommandPort: 0,
+      localStatePort: STATE_PORT,
+    });
+    await telloService.initialize(status => {
+      lastStatus = status;
+    });
+  });
+
+  afterAll(async () => {
+    await telloService.close();
+    await simulator.stop();
+    console.log.mockRestore();
+  });
+
+  test('enters SDK mode and answers queries', async () => {
+    await expect(telloService.sendCommand('command')).resolves.toBe('ok');
+    await expect(telloService.sendCommand('battery?')).resolves.toBe('100');
+    await expect(telloService.sendCommand('hardware?', { retries: 0 })).rejects.toThrow('unknown command');
+  });
+
+  test('rejects movement while landed', async () => {
+    await expect(telloService.sendCommand('forward 50')).rejects.toThrow('Motor stop');
+  });
+
+  test('takes off and reports height in the state stream', async () => {
+    await expect(telloService.sendCommand('takeoff')).resolves.toBe('ok');
+    await waitFor(() => lastStatus && Number(lastStatus.h) > 0);
+    await expect(telloService.sendCommand('land')).resolves.toBe('ok');
+    expect(simulator.getDrone().flying).toBe(false);
+  });
+});
@@ -0,0 +1,60 @@
+import { compileWaypointMission } from '../src/services/waypointMission';
+
+const point = (x, y, z, speed = 50, via = false) => ({ x, y, z, speed, via });
+
+describe('compileWaypointMission', () => {
+  test('flies from point to point with go commands and estimates the flight', () => {
+    const { script, lineLabels, lineWaypoints, errors, estimate } = compileWaypointMission('Test', [
+      point(100, 0, 0),
+      point(100, 100, 50, 30),
+    ]);
+
+    expect(errors).toEqual([]);
+    expect(script).toBe('# Waypoint mission: Test\ntakeoff\ngo 100 0 0 50\ngo 0 100 50 30\nland\n');
+    expect(lineLabels).toEqual({ 3: 'Waypoint 1', 4: 'Waypoint 2' });
+    expect(lineWaypoints).toEqual({ 3: 0, 4: 1 });
+    // 6 s takeoff + 5 s land + 1 s per command + 2 s and 3.7 s of flying
+    expect(estimate).toEqual({ distanceCm: 212, durationS: 19, batteryPercent: 3 });
+  });
+
+  test('splits moves over 500 cm into pieces that add up to the whole move', () => {
+    const { script, lineLabels, errors } = compileWaypointMission('Long', [point(1100, -300, 0)]);
+
+    expect(errors).toEqual([]);
+    expect(script.split('\n').slice(2, 5)).toEqual(['go 367 -100 0 50', 'go 366 -100 0 50', 'go 367 -100 0 50']);
+    expect(Object.values(lineLabels)).toEqual(['Waypoint 1', 'Waypoint 1', 'Waypoint 1']);
+  });
+
+  test('flies an arc through a via point with one curve at no more than 60 cm/s', () => {
+    const { script, lineLabels, errors } = compileWaypointMission('Arc', [
+      point(0, 100, 0),
+      point(100, 200, 0, 80, true),
+      point(200, 100, 0),
+    ]);
+
+    expect(errors).toEqual([]);
+    expect(script.split('\n').slice(2, 4)).toEqual(['go 0 100 0 50', 'curve 100 100 0 200 0 0 60']);
+    expect(lineLabels[4]).toBe('Waypoints 2-3');
+  });
+
+  test.each([
+    ['too tight', point(30, 30, 0, 50, true), point(60, 0, 0), 'Arc radius 30 cm is outside 50-1000 cm'],
+    ['too wide', point(200, 10, 0, 50, true), point(400, 0, 0), 'Arc radius 2005 cm is outside 50-1000 cm'],
+    ['straight', point(100, 0, 0, 50, true), point(200, 0, 0), 'Via point is in line with its neighbours; move it to make a bend'],
+  ])('rejects an arc that is %s', (_, via, end, message) => {
+    const { errors } = compileWaypointMission('Arc', [via, end]);
+    expect(errors).toContainEqual({ index: 0, message });
+  });
+
+  test('a via point needs a waypoint after it', () => {
+    const { script, errors } = compileWaypointMission('Open', [point(100, 0, 0), point(200, 100, 0, 50, true)]);
+
+    expect(errors).toEqual([{ index: 1, message: 'A via point needs a waypoint after it' }]);
+    expect(script).toBe('# Waypoint mission: Open\ntakeoff\ngo 100 0 0 50\nland\n');
+  });
+
+  test('rejects a point too close to the previous one', () => {
+    const { errors } = compileWaypointMission('Short', [point(100, 0, 0), point(110, 10, -20)]);
+    expect(errors).toEqual([{ index: 1, message: 'Too close to the previous point (move more than 20 cm on some axis)' }]);
+  });
+});
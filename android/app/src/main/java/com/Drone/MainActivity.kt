@@ -1,9 +1,16 @@
 package com.Drone
 
+import android.view.InputDevice
+import android.view.KeyEvent
+import android.view.MotionEvent
 import com.facebook.react.ReactActivity
 import com.facebook.react.ReactActivityDelegate
+import com.facebook.react.ReactApplication
+import com.facebook.react.bridge.Arguments
+import com.facebook.react.bridge.WritableMap
 import com.facebook.react.defaults.DefaultNewArchitectureEntryPoint.fabricEnabled
 import com.facebook.react.defaults.DefaultReactActivityDelegate
+import com.facebook.react.modules.core.DeviceEventManagerModule
 
 class MainActivity : ReactActivity() {
 
@@ -19,4 +26,61 @@ class MainActivity : ReactActivity() {
    */
   override fun createReactActivityDelegate(): ReactActivityDelegate =
       DefaultReactActivityDelegate(this, mainComponentName, fabricEnabled)
+
+  /**
+   * Forwards hardware keyboard and gamepad buttons to JS as "hardwareKey" events (see
+   * src/services/hardwareInput.js). Keys still reach the focused view so text input keeps
+   * working; gamepad buttons are consumed so they don't also navigate the UI.
+   */
+  override fun dispatchKeyEvent(event: KeyEvent): Boolean {
+    if (event.action == KeyEvent.ACTION_DOWN || event.action == KeyEvent.ACTION_UP) {
+      val isGamepad = KeyEvent.isGamepadButton(event.keyCode) ||
+          event.isFromSource(InputDevice.SOURCE_GAMEPAD)
+      emit("hardwareKey", Arguments.createMap().apply {
+        putString("key", KeyEvent.keyCodeToString(event.keyCode).removePrefix("KEYCODE_"))
+        putBoolean("isDown", event.action == KeyEvent.ACTION_DOWN)
+        putBoolean("isRepeat", event.repeatCount > 0)
+        putBoolean("isGamepad", isGamepad)
+      })
+      if (isGamepad && KeyEvent.isGamepadButton(event.keyCode)) {
+        return true
+      }
+    }
+    return super.dispatchKeyEvent(event)
+  }
+
+  /** Forwards analogue gamepad sticks and triggers to JS as "gamepadAxes" events. */
+  override fun dispatchGenericMotionEvent(event: MotionEvent): Boolean {
+    if (event.isFromSource(InputDevice.SOURCE_JOYSTICK) && event.action == MotionEvent.ACTION_MOVE) {
+      val axes = Arguments.createMap()
+      GAMEPAD_AXES.forEach { axis ->
+        axes.putDouble(MotionEvent.axisToString(axis).removePrefix("AXIS_"), event.getAxisValue(axis).toDouble())
+      }
+      emit("gamepadAxes", Arguments.createMap().apply { putMap("axes", axes) })
+      return true
+    }
+    return super.dispatchGenericMotionEvent(event)
+  }
+
+  private fun emit(eventName: String, params: WritableMap) {
+    val context = (application as ReactApplication).reactHost?.currentReactContext ?: return
+    context
+        .getJSModule(DeviceEventManagerModule.RCTDeviceEventEmitter::class.java)
+        .emit(eventName, params)
+  }
+
+  companion object {
+    private val GAMEPAD_AXES = intArrayOf(
+        MotionEvent.AXIS_X,
+        MotionEvent.AXIS_Y,
+        MotionEvent.AXIS_Z,
+        MotionEvent.AXIS_RZ,
+        MotionEvent.AXIS_RX,
+        MotionEvent.AXIS_RY,
+        MotionEvent.AXIS_HAT_X,
+        MotionEvent.AXIS_HAT_Y,
+        MotionEvent.AXIS_LTRIGGER,
+        MotionEvent.AXIS_RTRIGGER,
+    )
+  }
 }
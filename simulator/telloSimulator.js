@@ -0,0 +1,575 @@
+// simulator/telloSimulator.js
+// Local stand-in for a Tello drone, for development and tests without hardware.
+//
+//   npm run simulator -- [--port 8889] [--state-port 8890] [--video] [--video-port 11111]
+//                        [--time-scale 1] [--hardware TELLO|RMTT] [--mission-pads]
+//
+// Listens for SDK commands on the command port, answers them like the firmware
+// does (ok / error / query values, with movement replies delayed until the
+// manoeuvre finishes), integrates a simple kinematic model and sends state
+// strings at 10 Hz to the state port of whoever sent `command`. With --video it
+// streams an H.264 test pattern through a locally installed `ffmpeg` binary.
+const dgram = require('dgram');
+const { spawn } = require('child_process');
+
+const DEFAULT_OPTIONS = {
+  commandPort: 8889,
+  statePort: 8890,
+  stateHost: null, // Defaults to the address that sent `command`
+  video: false,
+  videoPort: 11111,
+  timeScale: 1, // > 1 runs the simulation faster than real time (used by tests)
+  hardware: 'TELLO', // 'RMTT' answers `hardware?` and supports mission pads
+  missionPads: false,
+  idleLandMs: 15000, // Firmware auto-lands after this long without any command
+  log: true,
+};
+
+const TICK_MS = 100; // State packets and physics at 10 Hz
+const TAKEOFF_HEIGHT_CM = 80;
+const CLIMB_SPEED_CM_S = 40;
+const DEFAULT_SPEED_CM_S = 50; // What `speed?` returns before `speed x`
+const YAW_RATE_DEG_S = 90;
+const FLIP_DURATION_MS = 1500;
+const FLIP_MIN_BATTERY = 50;
+const RC_MAX_HORIZONTAL_CM_S = 100; // Speed at full stick deflection
+const RC_MAX_VERTICAL_CM_S = 60;
+const RC_MAX_YAW_DEG_S = 100;
+const BATTERY_DRAIN_FLYING_PER_S = 0.1; // About 15 minutes from full
+const BATTERY_DRAIN_IDLE_PER_S = 0.01;
+const BARO_BASE_CM = 2000;
+const PAD_DETECTION_RANGE_CM = 100; // Pad 1 lies at the takeoff point
+const SERIAL_NUMBER = '0TQDG000SIM001';
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const isIntInRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+const normalizeYaw = (yaw) => ((((yaw + 180) % 360) + 360) % 360) - 180;
+
+const createDrone = () => ({
+  sdkMode: false,
+  flying: false,
+  streaming: false,
+  position: { x: 0, y: 0, z: 0 }, // cm, x forward / y right at takeoff heading
+  yaw: 0, // deg
+  velocity: { x: 0, y: 0, z: 0 }, // cm/s
+  rc: { roll: 0, pitch: 0, throttle: 0, yaw: 0 },
+  speed: DEFAULT_SPEED_CM_S,
+  battery: 100,
+  motorTime: 0, // s
+  padDetection: false,
+  padDirection: 0,
+  manoeuvre: null, // Running blocking command, see startManoeuvre()
+  lastCommandAt: null,
+});
+
+const createTelloSimulator = (userOptions = {}) => {
+  const options = { ...DEFAULT_OPTIONS, ...userOptions };
+  const log = (...args) => options.log && console.log('[tello-sim]', ...args);
+
+  let drone = createDrone();
+  let socket = null;
+  let tickTimer = null;
+  let stateTarget = null; // { address, port }
+  let videoProcess = null;
+
+  const reply = (text, rinfo) => {
+    if (!socket || !rinfo) {
+      return;
+    }
+    log(`-> ${text}`);
+    socket.send(text, rinfo.port, rinfo.address);
+  };
+
+  // --- Video ---
+  const startVideo = () => {
+    if (!options.video || videoProcess || !stateTarget) {
+      return;
+    }
+    const url = `udp://${stateTarget.address}:${options.videoPort}?pkt_size=1460`;
+    log(`Streaming test pattern to ${url}`);
+    videoProcess = spawn('ffmpeg', [
+      '-hide_banner', '-loglevel', 'error',
+      '-re', '-f', 'lavfi', '-i', 'testsrc=size=960x720:rate=30',
+      '-c:v', 'libx264', '-preset', 'ultrafast', '-tune', 'zerolatency', '-g', '30',
+      '-f', 'h264', url,
+    ], { stdio: 'ignore' });
+    videoProcess.on('error', (err) => {
+      log(`Video disabled, could not run ffmpeg: ${err.message}`);
+      videoProcess = null;
+    });
+    videoProcess.on('exit', () => {
+      videoProcess = null;
+    });
+  };
+
+  const stopVideo = () => {
+    if (videoProcess) {
+      videoProcess.kill('SIGTERM');
+      videoProcess = null;
+    }
+  };
+
+  // --- Manoeuvres ---
+  // Blocking commands animate from the current pose to a target pose and only
+  // reply once finished, like the real firmware.
+  const startManoeuvre = (rinfo, { target = {}, durationMs, onDone }) => {
+    drone.manoeuvre = {
+      from: { ...drone.position, yaw: drone.yaw },
+      to: { ...drone.position, yaw: drone.yaw, ...target },
+      elapsedMs: 0,
+      durationMs: Math.max(TICK_MS, durationMs),
+      rinfo,
+      onDone,
+    };
+  };
+
+  const finishManoeuvre = (replyText = 'ok') => {
+    const { rinfo, onDone } = drone.manoeuvre;
+    drone.manoeuvre = null;
+    if (onDone) {
+      onDone();
+    }
+    reply(replyText, rinfo);
+  };
+
+  // Convert a body-frame offset (forward / right) into world coordinates
+  const bodyToWorld = (forward, right) => {
+    const rad = (drone.yaw * Math.PI) / 180;
+    return {
+      x: forward * Math.cos(rad) - right * Math.sin(rad),
+      y: forward * Math.sin(rad) + right * Math.cos(rad),
+    };
+  };
+
+  const travelTimeMs = (distanceCm, speedCmS) => (distanceCm / speedCmS) * 1000 + 500;
+
+  const moveBy = (rinfo, forward, right, up, speed = drone.speed) => {
+    const offset = bodyToWorld(forward, right);
+    const distance = Math.sqrt(forward * forward + right * right + up * up);
+    startManoeuvre(rinfo, {
+      target: {
+        x: drone.position.x + offset.x,
+        y: drone.position.y + offset.y,
+        z: Math.max(20, drone.position.z + up),
+      },
+      durationMs: travelTimeMs(distance, speed),
+    });
+  };
+
+  // --- Command handling ---
+  const MOVES = {
+    up: [0, 0, 1],
+    down: [0, 0, -1],
+    left: [0, -1, 0],
+    right: [0, 1, 0],
+    forward: [1, 0, 0],
+    back: [-1, 0, 0],
+  };
+  const FLIP_DIRECTIONS = ['l', 'r', 'f', 'b'];
+
+  const parseInts = (args) => args.map(Number);
+
+  // Returns a reply string, or null when the reply is sent later / never.
+  const handleCommand = (text, rinfo) => {
+    const [name, ...args] = text.trim().split(/\s+/);
+
+    if (name === 'command') {
+      drone.sdkMode = true;
+      stateTarget = { address: options.stateHost || rinfo.address, port: options.statePort };
+      return 'ok';
+    }
+    if (!drone.sdkMode) {
+      return null; // The firmware ignores everything until `command`
+    }
+
+    // rc never gets a reply
+    if (name === 'rc') {
+      const values = parseInts(args);
+      if (values.length === 4 && values.every(v => isIntInRange(v, -100, 100))) {
+        [drone.rc.roll, drone.rc.pitch, drone.rc.throttle, drone.rc.yaw] = values;
+      }
+      return null;
+    }
+
+    // Queries are answered even while a manoeuvre runs
+    switch (name) {
+      case 'battery?':
+        return `${Math.round(drone.battery)}`;
+      case 'speed?':
+        return `${drone.speed.toFixed(1)}`;
+      case 'time?':
+        return `${Math.floor(drone.motorTime)}s`;
+      case 'wifi?':
+        return '90';
+      case 'sdk?':
+        return options.hardware === 'RMTT' ? '30' : '20';
+      case 'sn?':
+        return SERIAL_NUMBER;
+      case 'hardware?':
+        return options.hardware === 'RMTT' ? 'RMTT' : `unknown command: ${name}`;
+    }
+
+    if (name === 'emergency') {
+      drone.manoeuvre = null;
+      drone.flying = false;
+      drone.position.z = 0;
+      drone.velocity = { x: 0, y: 0, z: 0 };
+      return 'ok';
+    }
+    if (name === 'stop') {
+      if (drone.manoeuvre) {
+        finishManoeuvre('error Stopped');
+      }
+      drone.rc = { roll: 0, pitch: 0, throttle: 0, yaw: 0 };
+      return 'ok';
+    }
+    if (name === 'land' && drone.flying) {
+      if (drone.manoeuvre) {
+        finishManoeuvre('error Interrupted');
+      }
+      startManoeuvre(rinfo, {
+        target: { z: 0 },
+        durationMs: (drone.position.z / CLIMB_SPEED_CM_S) * 1000,
+        onDone: () => {
+          drone.flying = false;
+        },
+      });
+      return null;
+    }
+    if (drone.manoeuvre) {
+      return 'error Not joystick'; // What the firmware says while busy
+    }
+
+    switch (name) {
+      case 'streamon':
+        drone.streaming = true;
+        startVideo();
+        return 'ok';
+      case 'streamoff':
+        drone.streaming = false;
+        stopVideo();
+        return 'ok';
+      case 'speed': {
+        const [value] = parseInts(args);
+        if (!isIntInRange(value, 10, 100)) {
+          return 'error';
+        }
+        drone.speed = value;
+        return 'ok';
+      }
+      case 'mon':
+      case 'moff':
+        if (!options.missionPads) {
+          return `unknown command: ${name}`;
+        }
+        drone.padDetection = name === 'mon';
+        return 'ok';
+      case 'mdirection': {
+        const [value] = parseInts(args);
+        if (!options.missionPads) {
+          return `unknown command: ${name}`;
+        }
+        if (!isIntInRange(value, 0, 2)) {
+          return 'error';
+        }
+        drone.padDirection = value;
+        return 'ok';
+      }
+      case 'takeoff':
+        if (drone.flying) {
+          return 'error';
+        }
+        if (drone.battery < 10) {
+          return 'error No enough battery';
+        }
+        drone.flying = true;
+        startManoeuvre(rinfo, {
+          target: { z: TAKEOFF_HEIGHT_CM },
+          durationMs: (TAKEOFF_HEIGHT_CM / CLIMB_SPEED_CM_S) * 1000 + 1000,
+        });
+        return null;
+      case 'land':
+        return 'error Motor stop'; // Not flying (the flying case is handled above)
+    }
+
+    if (!drone.flying) {
+      const isFlightCommand = MOVES[name] || ['cw', 'ccw', 'flip', 'go', 'curve', 'jump'].includes(name);
+      return isFlightCommand ? 'error Motor stop' : `unknown command: ${name}`;
+    }
+
+    if (MOVES[name]) {
+      const [distance] = parseInts(args);
+      if (!isIntInRange(distance, 20, 500)) {
+        return 'error Out of range';
+      }
+      const [forward, right, up] = MOVES[name].map(axis => axis * distance);
+      moveBy(rinfo, forward, right, up);
+      return null;
+    }
+
+    switch (name) {
+      case 'cw':
+      case 'ccw': {
+        const [degrees] = parseInts(args);
+        if (!isIntInRange(degrees, 1, 360)) {
+          return 'error Out of range';
+        }
+        startManoeuvre(rinfo, {
+          target: { yaw: drone.yaw + (name === 'cw' ? degrees : -degrees) },
+          durationMs: (degrees / YAW_RATE_DEG_S) * 1000,
+        });
+        return null;
+      }
+      case 'flip':
+        if (!FLIP_DIRECTIONS.includes(args[0])) {
+          return 'error';
+        }
+        if (drone.battery < FLIP_MIN_BATTERY) {
+          return 'error No enough battery';
+        }
+        startManoeuvre(rinfo, { durationMs: FLIP_DURATION_MS });
+        return null;
+      case 'go':
+      case 'curve':
+      case 'jump':
+        return handleGoCommand(name, args, rinfo);
+      default:
+        return `unknown command: ${name}`;
+    }
+  };
+
+  // go x y z speed [mid] / curve x1 y1 z1 x2 y2 z2 speed [mid] / jump x y z speed yaw mid1 mid2
+  const handleGoCommand = (name, args, rinfo) => {
+    const padArgs = args.filter(arg => /^m-?\d+$/.test(arg));
+    const values = parseInts(args.filter(arg => !padArgs.includes(arg)));
+    const expected = { go: 4, curve: 7, jump: 5 }[name];
+    if (values.length !== expected || values.some(v => !Number.isInteger(v))) {
+      return 'error';
+    }
+    if (padArgs.length > 0 && !(options.missionPads && drone.padDetection && getDetectedPad() === 1)) {
+      return 'error Mission pad not detected';
+    }
+
+    const speed = name === 'curve' ? values[6] : values[3];
+    const [x, y, z] = name === 'curve' ? values.slice(3, 6) : values.slice(0, 3);
+    if (!isIntInRange(speed, 10, 100) || ![x, y, z].every(v => isIntInRange(v, -500, 500))) {
+      return 'error Out of range';
+    }
+    if (Math.abs(x) <= 20 && Math.abs(y) <= 20 && Math.abs(z) <= 20 && padArgs.length === 0) {
+      return 'error Out of range';
+    }
+
+    if (padArgs.length > 0) {
+      // Pad 1 sits at the takeoff point: move to the absolute pad-relative position
+      const distance = Math.hypot(x - drone.position.x, y - drone.position.y, z - drone.position.z);
+      const yaw = name === 'jump' ? values[4] : drone.yaw;
+      startManoeuvre(rinfo, { target: { x, y, z: Math.max(20, z), yaw }, durationMs: travelTimeMs(distance, speed) });
+    } else {
+      // x forward, y left in the SDK convention
+      moveBy(rinfo, x, -y, z, speed);
+    }
+    return null;
+  };
+
+  const getDetectedPad = () => {
+    const { x, y, z } = drone.position;
+    const inRange = Math.hypot(x, y) <= PAD_DETECTION_RANGE_CM && z > 0 && z <= 300;
+    return drone.padDetection && inRange ? 1 : -1;
+  };
+
+  // --- Physics & state ---
+  const step = (dtMs) => {
+    const dt = dtMs / 1000;
+    const previous = { ...drone.position };
+
+    if (drone.manoeuvre) {
+      const m = drone.manoeuvre;
+      m.elapsedMs += dtMs;
+      const t = clamp(m.elapsedMs / m.durationMs, 0, 1);
+      drone.position = {
+        x: m.from.x + (m.to.x - m.from.x) * t,
+        y: m.from.y + (m.to.y - m.from.y) * t,
+        z: m.from.z + (m.to.z - m.from.z) * t,
+      };
+      drone.yaw = m.from.yaw + (m.to.yaw - m.from.yaw) * t;
+      if (t >= 1) {
+        finishManoeuvre();
+      }
+    } else if (drone.flying) {
+      const { roll, pitch, throttle, yaw } = drone.rc;
+      const offset = bodyToWorld(
+        (pitch / 100) * RC_MAX_HORIZONTAL_CM_S * dt,
+        (roll / 100) * RC_MAX_HORIZONTAL_CM_S * dt,
+      );
+      drone.position.x += offset.x;
+      drone.position.y += offset.y;
+      drone.position.z = Math.max(20, drone.position.z + (throttle / 100) * RC_MAX_VERTICAL_CM_S * dt);
+      drone.yaw += (yaw / 100) * RC_MAX_YAW_DEG_S * dt;
+    }
+    drone.yaw = normalizeYaw(drone.yaw);
+
+    drone.velocity = {
+      x: (drone.position.x - previous.x) / dt,
+      y: (drone.position.y - previous.y) / dt,
+      z: (drone.position.z - previous.z) / dt,
+    };
+
+    if (drone.flying) {
+      drone.motorTime += dt;
+      drone.battery = Math.max(0, drone.battery - BATTERY_DRAIN_FLYING_PER_S * dt);
+      const idleMs = Date.now() - (drone.lastCommandAt || Date.now());
+      if (!drone.manoeuvre && idleMs * options.timeScale > options.idleLandMs) {
+        log('No command for 15 s, auto-landing');
+        startManoeuvre(null, {
+          target: { z: 0 },
+          durationMs: (drone.position.z / CLIMB_SPEED_CM_S) * 1000,
+          onDone: () => {
+            drone.flying = false;
+          },
+        });
+      }
+    } else {
+      drone.battery = Math.max(0, drone.battery - BATTERY_DRAIN_IDLE_PER_S * dt);
+    }
+  };
+
+  const buildStateString = () => {
+    const { position, velocity, rc } = drone;
+    // Velocities are reported in dm/s, in the drone's body frame
+    const rad = (drone.yaw * Math.PI) / 180;
+    const vForward = velocity.x * Math.cos(rad) + velocity.y * Math.sin(rad);
+    const vRight = -velocity.x * Math.sin(rad) + velocity.y * Math.cos(rad);
+    const pitch = drone.flying ? Math.round((-rc.pitch / 100) * 15) : 0;
+    const roll = drone.flying ? Math.round((rc.roll / 100) * 15) : 0;
+    const height = Math.round(position.z);
+    const temperature = 60 + Math.round(drone.motorTime / 60);
+
+    const fields = [];
+    if (options.missionPads) {
+      const mid = drone.padDetection ? getDetectedPad() : -2;
+      const padValue = (v) => (mid > 0 ? Math.round(v) : mid * 100);
+      fields.push(`mid:${mid}`, `x:${padValue(position.x)}`, `y:${padValue(position.y)}`, `z:${padValue(position.z)}`, 'mpry:0,0,0');
+    }
+    fields.push(
+      `pitch:${pitch}`,
+      `roll:${roll}`,
+      `yaw:${Math.round(drone.yaw)}`,
+      `vgx:${Math.round(vForward / 10)}`,
+      `vgy:${Math.round(vRight / 10)}`,
+      `vgz:${Math.round(velocity.z / 10)}`,
+      `templ:${temperature}`,
+      `temph:${temperature + 2}`,
+      `tof:${drone.flying ? height + 10 : 10}`,
+      `h:${drone.flying ? height : 0}`,
+      `bat:${Math.round(drone.battery)}`,
+      `baro:${(BARO_BASE_CM + position.z).toFixed(2)}`,
+      `time:${Math.floor(drone.motorTime)}`,
+      `agx:${(roll * 10).toFixed(2)}`,
+      `agy:${(pitch * 10).toFixed(2)}`,
+      `agz:${(-1000).toFixed(2)}`,
+    );
+    return `${fields.join(';')};\r\n`;
+  };
+
+  const tick = () => {
+    step(TICK_MS * options.timeScale);
+    if (socket && drone.sdkMode && stateTarget) {
+      socket.send(buildStateString(), stateTarget.port, stateTarget.address);
+    }
+  };
+
+  // --- Lifecycle ---
+  const start = () => new Promise((resolve, reject) => {
+    socket = dgram.createSocket('udp4');
+    socket.on('error', (err) => {
+      log(`Socket error: ${err.message}`);
+      reject(err);
+    });
+    socket.on('message', (msg, rinfo) => {
+      const text = msg.toString().trim();
+      if (!text.startsWith('rc ')) {
+        log(`<- ${text}`);
+      }
+      drone.lastCommandAt = Date.now();
+      const replyText = handleCommand(text, rinfo);
+      if (replyText !== null) {
+        reply(replyText, rinfo);
+      }
+    });
+    socket.bind(options.commandPort, () => {
+      log(`Listening for commands on port ${options.commandPort}`);
+      tickTimer = setInterval(tick, TICK_MS);
+      resolve({ commandPort: socket.address().port });
+    });
+  });
+
+  const stop = () => new Promise((resolve) => {
+    clearInterval(tickTimer);
+    tickTimer = null;
+    stopVideo();
+    if (!socket) {
+      resolve();
+      return;
+    }
+    const closing = socket;
+    socket = null;
+    closing.close(() => resolve());
+  });
+
+  const reset = () => {
+    drone = createDrone();
+  };
+
+  const getDrone = () => JSON.parse(JSON.stringify(drone));
+
+  return { start, stop, reset, getDrone, buildStateString };
+};
+
+// --- CLI ---
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    switch (arg) {
+      case '--port':
+        options.commandPort = Number(next());
+        break;
+      case '--state-port':
+        options.statePort = Number(next());
+        break;
+      case '--state-host':
+        options.stateHost = next();
+        break;
+      case '--video':
+        options.video = true;
+        break;
+      case '--video-port':
+        options.videoPort = Number(next());
+        break;
+      case '--time-scale':
+        options.timeScale = Number(next());
+        break;
+      case '--hardware':
+        options.hardware = next().toUpperCase();
+        break;
+      case '--mission-pads':
+        options.missionPads = true;
+        break;
+      default:
+        console.warn(`[tello-sim] Ignoring unknown option ${arg}`);
+    }
+  }
+  return options;
+};
+
+if (require.main === module) {
+  const simulator = createTelloSimulator(parseArgs(process.argv.slice(2)));
+  simulator.start().catch((err) => {
+    console.error('[tello-sim] Failed to start:', err.message);
+    process.exit(1);
+  });
+  process.on('SIGINT', () => simulator.stop().then(() => process.exit(0)));
+}
+
+module.exports = { createTelloSimulator };
@@ -0,0 +1,43 @@
+// src/components/AlertFlash.js
+import React, { useEffect, useRef } from 'react';
+import { Animated, StyleSheet } from 'react-native';
+
+const COLOR_FLASH = 'rgba(239, 68, 68, 0.95)'; // Red
+const FLASH_MS = 350;
+
+// Red frame around the screen that blinks while an alert with the "flash"
+// action is active; touches go through to the controls underneath
+const AlertFlash = ({ isActive }) => {
+  const opacity = useRef(new Animated.Value(0)).current;
+
+  useEffect(() => {
+    if (!isActive) {
+      return undefined;
+    }
+    const animation = Animated.loop(Animated.sequence([
+      Animated.timing(opacity, { toValue: 1, duration: FLASH_MS, useNativeDriver: true }),
+      Animated.timing(opacity, { toValue: 0, duration: FLASH_MS, useNativeDriver: true }),
+    ]));
+    animation.start();
+    return () => {
+      animation.stop();
+      opacity.setValue(0);
+    };
+  }, [isActive, opacity]);
+
+  if (!isActive) {
+    return null;
+  }
+  return <Animated.View style={[styles.frame, { opacity }]} pointerEvents="none" />;
+};
+
+const styles = StyleSheet.create({
+  frame: {
+    ...StyleSheet.absoluteFillObject,
+    borderWidth: 8,
+    borderColor: COLOR_FLASH,
+    zIndex: 100,
+  },
+});
+
+export default AlertFlash;
@@ -0,0 +1,200 @@
+// src/components/AlertRulesEditor.js
+import React, { useState } from 'react';
+import { View, Text, TextInput, Switch, Pressable, StyleSheet } from 'react-native';
+import {
+  ALERT_METRICS,
+  ALERT_COMPARISONS,
+  ALERT_ACTION,
+  createAlertRule,
+} from '../services/alertRules';
+
+const COLOR_TEXT_LIGHT = '#FFFFFF';
+const COLOR_TEXT_MUTED = '#9ca3af'; // Gray 400
+const COLOR_ACCENT = '#0ea5e9'; // Sky 500
+
+// `land` and `stop` both command the drone; a rule can use one of them
+const COMMAND_ACTIONS = [ALERT_ACTION.LAND, ALERT_ACTION.STOP];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const SmallChip = ({ label, isSelected, onPress }) => (
+  <Pressable onPress={onPress} style={({ pressed }) => [styles.chip, isSelected && styles.chipSelected, pressed && styles.pressed]}>
+    <Text style={styles.chipText}>{label}</Text>
+  </Pressable>
+);
+
+const NumberStepper = ({ label, value, step, min = 0, unit, onChange }) => (
+  <View style={styles.stepper}>
+    <Text style={styles.fieldLabel}>{label}</Text>
+    <SmallChip label="-" onPress={() => onChange(round(Math.max(min, value - step)))} />
+    <Text style={styles.stepperValue}>{value} {unit}</Text>
+    <SmallChip label="+" onPress={() => onChange(round(value + step))} />
+  </View>
+);
+
+const describeRule = ({ metric, comparison, threshold, hysteresis, actions }) => {
+  const { label, unit } = ALERT_METRICS[metric];
+  const clearsAt = comparison === 'above' ? threshold - hysteresis : threshold + hysteresis;
+  return `${label} ${comparison} ${threshold} ${unit} (clears at ${round(clearsAt)} ${unit}) - ${actions.join(', ') || 'no action'}`;
+};
+
+// Telemetry alert rules (see services/alertRules): one row per rule, tap a
+// row to edit it
+const AlertRulesEditor = ({ rules, onAdd, onChange, onRemove, onReset }) => {
+  const [expandedId, setExpandedId] = useState(null);
+
+  const toggleAction = (rule, action) => {
+    let actions = rule.actions.includes(action)
+      ? rule.actions.filter(a => a !== action)
+      : [...rule.actions, action];
+    if (COMMAND_ACTIONS.includes(action) && actions.includes(action)) {
+      actions = actions.filter(a => a === action || !COMMAND_ACTIONS.includes(a));
+    }
+    onChange(rule.id, { actions });
+  };
+
+  const addRule = () => {
+    const rule = createAlertRule();
+    onAdd(rule);
+    setExpandedId(rule.id);
+  };
+
+  return (
+    <View style={styles.container}>
+      {rules.map(rule => {
+        const isExpanded = expandedId === rule.id;
+        const metric = ALERT_METRICS[rule.metric];
+        return (
+          <View key={rule.id} style={styles.rule}>
+            <View style={styles.row}>
+              <Pressable style={styles.rowText} onPress={() => setExpandedId(isExpanded ? null : rule.id)}>
+                <Text style={styles.name}>{rule.name}</Text>
+                <Text style={styles.description}>{describeRule(rule)}</Text>
+              </Pressable>
+              <Switch value={rule.enabled} onValueChange={(enabled) => onChange(rule.id, { enabled })} trackColor={{ true: COLOR_ACCENT }} />
+            </View>
+            {isExpanded ? (
+              <View style={styles.editor}>
+                <TextInput
+                  style={styles.nameInput}
+                  value={rule.name}
+                  onChangeText={(name) => onChange(rule.id, { name })}
+                  placeholder="Alert name"
+                  placeholderTextColor={COLOR_TEXT_MUTED}
+                />
+                <View style={styles.chipRow}>
+                  {Object.keys(ALERT_METRICS).map(key => (
+                    <SmallChip key={key} label={ALERT_METRICS[key].label} isSelected={rule.metric === key} onPress={() => onChange(rule.id, { metric: key })} />
+                  ))}
+                </View>
+                <View style={styles.chipRow}>
+                  {ALERT_COMPARISONS.map(comparison => (
+                    <SmallChip key={comparison} label={comparison} isSelected={rule.comparison === comparison} onPress={() => onChange(rule.id, { comparison })} />
+                  ))}
+                  <NumberStepper label="Threshold" value={rule.threshold} step={metric.step} min={-1000} unit={metric.unit} onChange={(threshold) => onChange(rule.id, { threshold })} />
+                  <NumberStepper label="Hysteresis" value={rule.hysteresis} step={metric.step} unit={metric.unit} onChange={(hysteresis) => onChange(rule.id, { hysteresis })} />
+                </View>
+                <View style={styles.chipRow}>
+                  {Object.values(ALERT_ACTION).map(action => (
+                    <SmallChip key={action} label={action} isSelected={rule.actions.includes(action)} onPress={() => toggleAction(rule, action)} />
+                  ))}
+                  <SmallChip label="Delete" onPress={() => onRemove(rule.id)} />
+                </View>
+              </View>
+            ) : null}
+          </View>
+        );
+      })}
+      <View style={styles.chipRow}>
+        <SmallChip label="Add alert" onPress={addRule} />
+        <SmallChip label="Reset to defaults" onPress={() => { setExpandedId(null); onReset(); }} />
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    gap: 6,
+  },
+  rule: {
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: 'rgba(255, 255, 255, 0.15)',
+    paddingBottom: 6,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  rowText: {
+    flex: 1,
+  },
+  name: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  description: {
+    color: COLOR_TEXT_MUTED,
+    fontSize: 11,
+    marginTop: 2,
+  },
+  editor: {
+    gap: 6,
+    marginTop: 6,
+  },
+  nameInput: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 13,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 6,
+  },
+  chip: {
+    paddingVertical: 3,
+    paddingHorizontal: 10,
+    borderRadius: 9999,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  chipSelected: {
+    backgroundColor: COLOR_ACCENT,
+    borderColor: COLOR_ACCENT,
+  },
+  chipText: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  pressed: {
+    opacity: 0.7,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginLeft: 6,
+  },
+  fieldLabel: {
+    color: COLOR_TEXT_MUTED,
+    fontSize: 11,
+  },
+  stepperValue: {
+    minWidth: 50,
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 12,
+    fontWeight: '600',
+    textAlign: 'center',
+  },
+});
+
+export default AlertRulesEditor;
@@ -0,0 +1,120 @@
+// src/components/BatteryFailsafeBanner.js
+import React, { useEffect, useRef, useState } from 'react';
+import { Text, Pressable, Animated, Vibration, Alert, StyleSheet } from 'react-native';
+import { BATTERY_STAGE } from '../store/telloSlice';
+
+const COLOR_WARNING = 'rgba(251, 191, 36, 0.9)'; // Amber
+const COLOR_CRITICAL = 'rgba(239, 68, 68, 0.95)'; // Red
+const COUNTDOWN_TICK_MS = 250;
+const PULSE_MS = 400;
+// No sound library in the app; the critical cue is a vibration plus the pulsing banner
+const CRITICAL_VIBRATION_PATTERN = [0, 500, 200, 500, 200, 500];
+
+// Low-battery failsafe state (see selectBatteryFailsafe): an amber banner at
+// the warning level; at critical a pulsing red one that counts down to the
+// automatic land and offers an override behind a confirmation.
+const BatteryFailsafeBanner = ({ failsafe, battery, onOverride }) => {
+  const { stage, autoLandAt, isOverridden, isAutoLanding } = failsafe;
+  const [now, setNow] = useState(Date.now());
+  const pulse = useRef(new Animated.Value(1)).current;
+  const isCritical = stage === BATTERY_STAGE.CRITICAL;
+
+  // Alert once on entering the critical stage, and pulse for as long as it lasts
+  useEffect(() => {
+    if (!isCritical) {
+      return undefined;
+    }
+    Vibration.vibrate(CRITICAL_VIBRATION_PATTERN);
+    const animation = Animated.loop(Animated.sequence([
+      Animated.timing(pulse, { toValue: 0.45, duration: PULSE_MS, useNativeDriver: true }),
+      Animated.timing(pulse, { toValue: 1, duration: PULSE_MS, useNativeDriver: true }),
+    ]));
+    animation.start();
+    return () => {
+      animation.stop();
+      pulse.setValue(1);
+      Vibration.cancel();
+    };
+  }, [isCritical, pulse]);
+
+  // Only tick while there is a countdown to show
+  useEffect(() => {
+    if (!autoLandAt) {
+      return undefined;
+    }
+    const intervalId = setInterval(() => setNow(Date.now()), COUNTDOWN_TICK_MS);
+    return () => clearInterval(intervalId);
+  }, [autoLandAt]);
+
+  if (stage === BATTERY_STAGE.OK) {
+    return null;
+  }
+
+  const level = battery !== null ? `${battery}%` : '';
+  let text;
+  if (!isCritical) {
+    text = `Battery low ${level} - land soon`;
+  } else if (isAutoLanding) {
+    text = `Battery critical ${level} - landing`;
+  } else if (autoLandAt) {
+    const secondsLeft = Math.max(0, Math.ceil((autoLandAt - now) / 1000));
+    text = `Battery critical ${level} - landing in ${secondsLeft}s`;
+  } else if (isOverridden) {
+    text = `Battery critical ${level} - auto-land overridden, land now`;
+  } else {
+    text = `Battery critical ${level}`;
+  }
+
+  const confirmOverride = () => {
+    Alert.alert(
+      'Keep flying?',
+      'The battery is critical. The drone may drop out of the air when it runs out. Cancel the automatic landing?',
+      [
+        { text: 'Land', style: 'cancel' },
+        { text: 'Keep flying', onPress: onOverride, style: 'destructive' },
+      ]);
+  };
+
+  return (
+    <Animated.View
+      style={[
+        styles.container,
+        { backgroundColor: isCritical ? COLOR_CRITICAL : COLOR_WARNING, opacity: pulse },
+      ]}>
+      <Text style={styles.text}>{text}</Text>
+      {autoLandAt && !isAutoLanding ? (
+        <Pressable onPress={confirmOverride} style={({ pressed }) => [styles.overrideButton, pressed && styles.pressed]}>
+          <Text style={styles.text}>Override</Text>
+        </Pressable>
+      ) : null}
+    </Animated.View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+    borderRadius: 9999,
+  },
+  text: {
+    color: '#FFFFFF',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  overrideButton: {
+    paddingVertical: 2,
+    paddingHorizontal: 8,
+    borderRadius: 9999,
+    borderWidth: 1,
+    borderColor: '#FFFFFF',
+  },
+  pressed: {
+    opacity: 0.7,
+  },
+});
+
+export default BatteryFailsafeBanner;
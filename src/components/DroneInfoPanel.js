@@ -0,0 +1,95 @@
+// src/components/DroneInfoPanel.js
+import React, { useState } from 'react';
+import { View, Text, Pressable, StyleSheet } from 'react-native';
+import Svg, { Path } from 'react-native-svg';
+
+const COLOR_TEXT_LIGHT = '#FFFFFF';
+const COLOR_TEXT_MUTED = '#9ca3af'; // Gray 400
+const COLOR_BORDER = 'rgba(255, 255, 255, 0.3)';
+
+const formatValue = (value, suffix = '') =>
+  value === null || value === undefined ? '--' : `${value}${suffix}`;
+
+// Collapsible panel listing the static properties read via the query API
+const DroneInfoPanel = ({ droneInfo }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const rows = [
+    { label: 'Hardware', value: formatValue(droneInfo?.hardware) },
+    { label: 'SDK', value: formatValue(droneInfo?.sdkVersion) },
+    { label: 'Serial', value: formatValue(droneInfo?.serialNumber) },
+    { label: 'Wi-Fi SNR', value: formatValue(droneInfo?.wifiSnr) },
+    { label: 'Speed', value: formatValue(droneInfo?.speed, ' cm/s') },
+  ];
+
+  return (
+    <View style={styles.container}>
+      <Pressable
+        onPress={() => setIsExpanded(!isExpanded)}
+        style={({ pressed }) => [styles.header, pressed && styles.pressed]}
+      >
+        <Svg width={12} height={12} viewBox="0 0 24 24" fill="none" stroke={COLOR_TEXT_LIGHT}>
+          <Path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>
+        </Svg>
+        <Text style={styles.headerText}>Drone info</Text>
+      </Pressable>
+
+      {isExpanded && (
+        <View style={styles.body}>
+          {rows.map(row => (
+            <View key={row.label} style={styles.row}>
+              <Text style={styles.label}>{row.label}</Text>
+              <Text style={styles.value}>{row.value}</Text>
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: COLOR_BORDER,
+    overflow: 'hidden',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingVertical: 5,
+    paddingHorizontal: 8,
+  },
+  pressed: {
+    opacity: 0.7,
+  },
+  headerText: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 11,
+    fontWeight: '500',
+  },
+  body: {
+    paddingHorizontal: 8,
+    paddingBottom: 6,
+    gap: 2,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    gap: 12,
+  },
+  label: {
+    color: COLOR_TEXT_MUTED,
+    fontSize: 10,
+  },
+  value: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 10,
+    fontWeight: '600',
+  },
+});
+
+export default DroneInfoPanel;
@@ -1,31 +1,56 @@
 // src/components/ErrorMessageDisplay.js
 import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import { View, Text, Pressable, StyleSheet } from 'react-native';
 
-const ErrorMessageDisplay = ({ message }) => {
-  if (!message) {
+const MAX_VISIBLE = 3;
+
+// Queue of messages, oldest first: the last error plus any active telemetry
+// alerts. `messages` is [{ id, message, kind: 'error' | 'alert' }]; tapping
+// one calls onDismiss(id).
+const ErrorMessageDisplay = ({ messages, onDismiss }) => {
+  if (messages.length === 0) {
     return null;
   }
+  const hiddenCount = messages.length - MAX_VISIBLE;
 
   return (
-    <View style={styles.errorContainer}>
-      <Text style={styles.errorText}>{message}</Text>
+    <View style={styles.errorContainer} pointerEvents="box-none">
+      {messages.slice(0, MAX_VISIBLE).map(({ id, message, kind }) => (
+        <Pressable
+          key={id}
+          onPress={() => onDismiss(id)}
+          style={[styles.message, kind === 'alert' ? styles.alertMessage : styles.errorMessage]}
+        >
+          <Text style={[styles.errorText, kind === 'alert' && styles.alertText]}>{message}</Text>
+        </Pressable>
+      ))}
+      {hiddenCount > 0 ? (
+        <Text style={styles.moreText}>+{hiddenCount} more</Text>
+      ) : null}
     </View>
   );
 };
 
 const styles = StyleSheet.create({
   errorContainer: {
-    backgroundColor: 'rgba(255, 205, 210, 0.9)',
-    padding: 10,
     margin: 10,
-    borderRadius: 5,
     position: 'absolute',
     top: 10,
     left: 10,
     right: 10,
     zIndex: 10,
     elevation: 10, // for Android shadow
+    gap: 6,
+  },
+  message: {
+    padding: 10,
+    borderRadius: 5,
+  },
+  errorMessage: {
+    backgroundColor: 'rgba(255, 205, 210, 0.9)',
+  },
+  alertMessage: {
+    backgroundColor: 'rgba(254, 243, 199, 0.92)',
   },
   errorText: {
     color: '#b71c1c',
@@ -33,6 +58,15 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     fontWeight: 'bold',
   },
+  alertText: {
+    color: '#92400e',
+  },
+  moreText: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontWeight: '600',
+    textAlign: 'center',
+  },
 });
 
-export default ErrorMessageDisplay;
\ No newline at end of file
+export default ErrorMessageDisplay;
@@ -1,7 +1,8 @@
 // src/components/FlightControls.js
-import React, { useEffect, useRef } from 'react';
-import { View, Pressable, StyleSheet, Animated } from 'react-native';
+import React, { useEffect, useRef, useState } from 'react';
+import { View, Text, Pressable, StyleSheet, Animated } from 'react-native';
 import Svg, { Path } from 'react-native-svg';
+import { canTakeoffIn, canLandIn, canFlipIn } from '../services/flightPhase';
 
 // Define colors for clarity and consistency
 const COLOR_CONNECTED_GREEN = '#10b981'; // Emerald 500
@@ -16,10 +17,32 @@ const COLOR_CONNECTED_RED = '#ef4444'; // Red 500
 const COLOR_CONNECTED_RED_LIGHT = '#f87171'; // Red 400 (for icon)
 const COLOR_CONNECTED_RED_BORDER = 'rgba(239, 68, 68, 0.5)';
 
+const COLOR_CONNECTED_AMBER_LIGHT = '#fbbf24'; // Amber 400 (for icon)
+const COLOR_CONNECTED_AMBER_BORDER = 'rgba(245, 158, 11, 0.5)';
+
 const COLOR_DISABLED_ICON = '#9ca3af'; // Gray 400
 const COLOR_DISABLED_BORDER = 'rgba(107, 114, 128, 0.3)'; // Gray 500 transparent
 
-const FlightControls = ({ isConnected, onTakeoff, onLand, onEmergency }) => {
+// Direction pad layout: arrow path per flip direction, in a 3x3 grid
+const FLIP_ARROWS = [
+  { direction: 'f', row: 0, column: 1, d: 'M5 15l7-7 7 7' },
+  { direction: 'l', row: 1, column: 0, d: 'M15 19l-7-7 7-7' },
+  { direction: 'r', row: 1, column: 2, d: 'M9 5l7 7-7 7' },
+  { direction: 'b', row: 2, column: 1, d: 'M19 9l-7 7-7-7' },
+];
+const PAD_CELL_SIZE = 36;
+
+// `flipRefusal` explains why a flip would be refused right now (null when
+// allowed); pressing an arrow anyway lets onFlip report it. The takeoff button
+// stays disabled while `takeoffBlock` (the failing pre-flight check) is set.
+// `flightPhase` decides which of takeoff, land and flip make sense right now;
+// emergency is always available while connected.
+const FlightControls = ({ isConnected, flightPhase, onTakeoff, onLand, onEmergency, onFlip, flipRefusal, takeoffBlock }) => {
+  const [isFlipPadOpen, setIsFlipPadOpen] = useState(false);
+  const canTakeoff = isConnected && canTakeoffIn(flightPhase) && !takeoffBlock;
+  const canLand = isConnected && canLandIn(flightPhase);
+  const canFlip = isConnected && canFlipIn(flightPhase);
+
   // Animation setup for the emergency button pulse
   const emergencyPulseAnim = useRef(new Animated.Value(0)).current;
 
@@ -53,6 +76,17 @@ const FlightControls = ({ isConnected, onTakeoff, onLand, onEmergency }) => {
     };
   }, [isConnected, emergencyPulseAnim]); // Rerun effect if isConnected changes
 
+  useEffect(() => {
+    if (!canFlip) {
+      setIsFlipPadOpen(false);
+    }
+  }, [canFlip]);
+
+  const handleFlipPress = (direction) => {
+    setIsFlipPadOpen(false);
+    onFlip(direction);
+  };
+
   // Interpolate opacity for the emergency icon pulse
   const emergencyOpacity = isConnected ? emergencyPulseAnim : 1; // Apply animation only when connected
 
@@ -61,19 +95,19 @@ const FlightControls = ({ isConnected, onTakeoff, onLand, onEmergency }) => {
       {/* Takeoff button */}
       <Pressable
         onPress={onTakeoff}
-        disabled={!isConnected}
+        disabled={!canTakeoff}
         style={({ pressed }) => [
           styles.buttonBase,
           {
-            borderColor: isConnected ? COLOR_CONNECTED_GREEN_BORDER : COLOR_DISABLED_BORDER,
-            opacity: isConnected ? (pressed ? 0.7 : 1) : 0.5,
+            borderColor: canTakeoff ? COLOR_CONNECTED_GREEN_BORDER : COLOR_DISABLED_BORDER,
+            opacity: canTakeoff ? (pressed ? 0.7 : 1) : 0.5,
           },
           // Apply transform only when interaction is possible and pressed
-          isConnected && pressed && styles.buttonPressed,
+          canTakeoff && pressed && styles.buttonPressed,
         ]}
       >
         <Svg width={20} height={20} viewBox="0 0 24 24" fill="none"
-             stroke={isConnected ? COLOR_CONNECTED_GREEN_LIGHT : COLOR_DISABLED_ICON}>
+             stroke={canTakeoff ? COLOR_CONNECTED_GREEN_LIGHT : COLOR_DISABLED_ICON}>
           <Path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 10l7-7m0 0l7 7m-7-7v18"/>
         </Svg>
       </Pressable>
@@ -81,18 +115,18 @@ const FlightControls = ({ isConnected, onTakeoff, onLand, onEmergency }) => {
       {/* Land button */}
       <Pressable
         onPress={onLand}
-        disabled={!isConnected}
+        disabled={!canLand}
         style={({ pressed }) => [
           styles.buttonBase,
           {
-            borderColor: isConnected ? COLOR_CONNECTED_BLUE_BORDER : COLOR_DISABLED_BORDER,
-            opacity: isConnected ? (pressed ? 0.7 : 1) : 0.5,
+            borderColor: canLand ? COLOR_CONNECTED_BLUE_BORDER : COLOR_DISABLED_BORDER,
+            opacity: canLand ? (pressed ? 0.7 : 1) : 0.5,
           },
-          isConnected && pressed && styles.buttonPressed,
+          canLand && pressed && styles.buttonPressed,
         ]}
       >
         <Svg width={20} height={20} viewBox="0 0 24 24" fill="none"
-             stroke={isConnected ? COLOR_CONNECTED_BLUE_LIGHT : COLOR_DISABLED_ICON}>
+             stroke={canLand ? COLOR_CONNECTED_BLUE_LIGHT : COLOR_DISABLED_ICON}>
           <Path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 14l-7 7m0 0l-7-7m7 7V3"/>
         </Svg>
       </Pressable>
@@ -119,6 +153,50 @@ const FlightControls = ({ isConnected, onTakeoff, onLand, onEmergency }) => {
           </Svg>
         </Animated.View>
       </Pressable>
+
+      {/* Flip button, opens the direction pad */}
+      <Pressable
+        onPress={() => setIsFlipPadOpen(!isFlipPadOpen)}
+        disabled={!canFlip}
+        style={({ pressed }) => [
+          styles.buttonBase,
+          {
+            borderColor: canFlip ? COLOR_CONNECTED_AMBER_BORDER : COLOR_DISABLED_BORDER,
+            opacity: canFlip ? (pressed || flipRefusal ? 0.7 : 1) : 0.5,
+          },
+          canFlip && pressed && styles.buttonPressed,
+        ]}
+      >
+        <Svg width={20} height={20} viewBox="0 0 24 24" fill="none"
+             stroke={canFlip ? COLOR_CONNECTED_AMBER_LIGHT : COLOR_DISABLED_ICON}>
+          <Path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"/>
+        </Svg>
+      </Pressable>
+
+      {isFlipPadOpen && (
+        <View style={styles.flipPad}>
+          <View style={styles.flipGrid}>
+            {FLIP_ARROWS.map(arrow => (
+              <Pressable
+                key={arrow.direction}
+                onPress={() => handleFlipPress(arrow.direction)}
+                style={({ pressed }) => [
+                  styles.flipCell,
+                  { top: arrow.row * PAD_CELL_SIZE, left: arrow.column * PAD_CELL_SIZE },
+                  pressed && styles.buttonPressed,
+                ]}
+              >
+                <Svg width={18} height={18} viewBox="0 0 24 24" fill="none" stroke={COLOR_CONNECTED_AMBER_LIGHT}>
+                  <Path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d={arrow.d}/>
+                </Svg>
+              </Pressable>
+            ))}
+          </View>
+          <Text style={[styles.flipHint, flipRefusal && styles.flipHintRefused]}>
+            {flipRefusal ? `Flip not possible: ${flipRefusal}` : 'Pick a flip direction'}
+          </Text>
+        </View>
+      )}
     </View>
   );
 };
@@ -147,6 +225,42 @@ const styles = StyleSheet.create({
     // Scale effect when pressed (only applied when isConnected)
     transform: [{ scale: 1.08 }],
   },
+  flipPad: {
+    position: 'absolute',
+    top: '100%',
+    right: 0,
+    marginTop: 8,
+    width: PAD_CELL_SIZE * 3 + 16,
+    padding: 8,
+    gap: 6,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: COLOR_CONNECTED_AMBER_BORDER,
+  },
+  flipGrid: {
+    width: PAD_CELL_SIZE * 3,
+    height: PAD_CELL_SIZE * 3,
+  },
+  flipCell: {
+    position: 'absolute',
+    width: PAD_CELL_SIZE - 4,
+    height: PAD_CELL_SIZE - 4,
+    margin: 2,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: COLOR_CONNECTED_AMBER_BORDER,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  flipHint: {
+    color: '#FFFFFF',
+    fontSize: 10,
+    textAlign: 'center',
+  },
+  flipHintRefused: {
+    color: COLOR_CONNECTED_RED_LIGHT,
+  },
   // No specific styles needed for SVGs here as stroke is passed directly
 });
 
@@ -0,0 +1,48 @@
+// src/components/GeofenceWarning.js
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { GEOFENCE_LEVEL } from '../services/geofence';
+
+const COLOR_WARNING = 'rgba(251, 191, 36, 0.9)'; // Amber
+const COLOR_LIMIT = 'rgba(239, 68, 68, 0.9)'; // Red
+
+const LIMIT_LABELS = {
+  maxHeight: 'Height limit',
+  minHeight: 'Minimum height',
+  maxDistance: 'Distance limit',
+};
+
+// Band listing the geofence limits the drone is close to or at (see
+// selectGeofenceWarnings); amber while approaching, red once reached
+const GeofenceWarning = ({ warnings }) => {
+  if (warnings.length === 0) {
+    return null;
+  }
+  const isAtLimit = warnings[0].level === GEOFENCE_LEVEL.LIMIT;
+  const text = warnings
+    .map(({ limit, level, valueCm, limitCm }) => (
+      `${LIMIT_LABELS[limit]} ${level === GEOFENCE_LEVEL.LIMIT ? 'reached' : 'near'}: ${Math.round(valueCm)} / ${limitCm} cm`
+    ))
+    .join('  ·  ');
+
+  return (
+    <View style={[styles.container, { backgroundColor: isAtLimit ? COLOR_LIMIT : COLOR_WARNING }]}>
+      <Text style={styles.text}>{text}</Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+    borderRadius: 9999,
+  },
+  text: {
+    color: '#FFFFFF',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+});
+
+export default GeofenceWarning;
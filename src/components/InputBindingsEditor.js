@@ -0,0 +1,132 @@
+// src/components/InputBindingsEditor.js
+import React, { useEffect, useRef, useState } from 'react';
+import { View, Text, Pressable, StyleSheet } from 'react-native';
+import * as hardwareInput from '../services/hardwareInput';
+import { GAMEPAD_AXIS_BINDINGS } from '../services/gamepadInput';
+
+const COLOR_TEXT_LIGHT = '#FFFFFF';
+const COLOR_TEXT_MUTED = '#9ca3af'; // Gray 400
+const COLOR_WAITING = '#fbbf24'; // Amber 400
+
+const BINDING_LABELS = {
+  leftUp: 'Left stick up',
+  leftDown: 'Left stick down',
+  leftLeft: 'Left stick left',
+  leftRight: 'Left stick right',
+  rightUp: 'Right stick up',
+  rightDown: 'Right stick down',
+  rightLeft: 'Right stick left',
+  rightRight: 'Right stick right',
+  leftX: 'Left stick horizontal',
+  leftY: 'Left stick vertical',
+  rightX: 'Right stick horizontal',
+  rightY: 'Right stick vertical',
+  takeoff: 'Take off',
+  land: 'Land',
+  emergency: 'Emergency stop',
+  photo: 'Take photo',
+  record: 'Start/stop recording',
+};
+
+// Binding list for one input source. "Change" waits for the next key press,
+// or for gamepad axes the next stick pushed, and binds that.
+const InputBindingsEditor = ({ source, bindings, onChange, onReset }) => {
+  const [waitingFor, setWaitingFor] = useState(null); // Binding name being captured
+  const cancelCapture = useRef(null);
+
+  const stopWaiting = () => {
+    cancelCapture.current?.();
+    cancelCapture.current = null;
+    setWaitingFor(null);
+  };
+
+  // Don't leave a capture armed when switching source or leaving settings
+  useEffect(() => stopWaiting, [source]);
+
+  const startWaiting = (binding) => {
+    stopWaiting();
+    const kind = source === 'gamepad' && GAMEPAD_AXIS_BINDINGS.includes(binding) ? 'axis' : 'key';
+    setWaitingFor(binding);
+    cancelCapture.current = hardwareInput.captureNextInput(kind, (value) => {
+      cancelCapture.current = null;
+      setWaitingFor(null);
+      onChange(binding, value);
+    });
+  };
+
+  return (
+    <View style={styles.container}>
+      {Object.keys(bindings).map(binding => {
+        const isWaiting = waitingFor === binding;
+        const isAxis = source === 'gamepad' && GAMEPAD_AXIS_BINDINGS.includes(binding);
+        return (
+          <View key={binding} style={styles.row}>
+            <Text style={styles.label}>{BINDING_LABELS[binding] || binding}</Text>
+            <Text style={[styles.value, isWaiting && styles.waiting]}>
+              {isWaiting ? (isAxis ? 'Move the stick...' : 'Press a button...') : bindings[binding]}
+            </Text>
+            <Pressable
+              onPress={() => (isWaiting ? stopWaiting() : startWaiting(binding))}
+              style={({ pressed }) => [styles.button, pressed && styles.pressed]}
+            >
+              <Text style={styles.buttonText}>{isWaiting ? 'Cancel' : 'Change'}</Text>
+            </Pressable>
+          </View>
+        );
+      })}
+      <Pressable onPress={() => { stopWaiting(); onReset(); }} style={({ pressed }) => [styles.button, styles.resetButton, pressed && styles.pressed]}>
+        <Text style={styles.buttonText}>Reset to defaults</Text>
+      </Pressable>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    gap: 2,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 4,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  label: {
+    flex: 1,
+    color: COLOR_TEXT_MUTED,
+    fontSize: 12,
+  },
+  value: {
+    minWidth: 110,
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 12,
+    fontWeight: '600',
+    textAlign: 'right',
+  },
+  waiting: {
+    color: COLOR_WAITING,
+  },
+  button: {
+    paddingVertical: 3,
+    paddingHorizontal: 10,
+    borderRadius: 9999,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  resetButton: {
+    alignSelf: 'flex-start',
+    marginTop: 6,
+  },
+  pressed: {
+    opacity: 0.7,
+  },
+  buttonText: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 11,
+    fontWeight: '600',
+  },
+});
+
+export default InputBindingsEditor;
@@ -0,0 +1,61 @@
+// src/components/LinkStatusBanner.js
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { LINK_STATUS } from '../services/linkWatchdog';
+
+const COLOR_DEGRADED = 'rgba(251, 191, 36, 0.9)'; // Amber
+const COLOR_LOST = 'rgba(239, 68, 68, 0.9)'; // Red
+const COUNTDOWN_TICK_MS = 250;
+
+// Shows the link watchdog state, with a countdown to the next reconnect attempt
+const LinkStatusBanner = ({ status, nextRetryAt, attempts }) => {
+  const [now, setNow] = useState(Date.now());
+
+  // Only tick while there is a countdown to show
+  useEffect(() => {
+    if (status !== LINK_STATUS.LOST || !nextRetryAt) {
+      return undefined;
+    }
+    const intervalId = setInterval(() => setNow(Date.now()), COUNTDOWN_TICK_MS);
+    return () => clearInterval(intervalId);
+  }, [status, nextRetryAt]);
+
+  if (!status || status === LINK_STATUS.OK) {
+    return null;
+  }
+
+  let text;
+  if (status === LINK_STATUS.DEGRADED) {
+    text = 'Weak link - telemetry delayed';
+  } else if (status === LINK_STATUS.RECONNECTING) {
+    text = `Link lost - reconnecting (attempt ${attempts})...`;
+  } else {
+    const secondsLeft = Math.max(0, Math.ceil((nextRetryAt - now) / 1000));
+    text = `Link lost - retrying in ${secondsLeft}s`;
+  }
+
+  return (
+    <View
+      style={[
+        styles.container,
+        { backgroundColor: status === LINK_STATUS.DEGRADED ? COLOR_DEGRADED : COLOR_LOST },
+      ]}>
+      <Text style={styles.text}>{text}</Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+    borderRadius: 9999,
+  },
+  text: {
+    color: '#FFFFFF',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+});
+
+export default LinkStatusBanner;
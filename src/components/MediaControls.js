@@ -1,7 +1,8 @@
 // src/components/MediaControls.js
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { View, Text, Pressable, StyleSheet } from 'react-native';
 import Svg, { Path } from 'react-native-svg';
+import { formatBytes } from '../services/mediaStorage';
 
 // Re-using colors defined previously, add if missing
 const COLOR_CONNECTED_GREEN_LIGHT = '#34d399'; // Emerald 400
@@ -17,8 +18,34 @@ const COLOR_DISABLED_ICON = '#9ca3af'; // Gray 400
 const COLOR_DISABLED_BORDER = 'rgba(107, 114, 128, 0.3)'; // Gray 500 transparent
 const COLOR_TEXT_LIGHT = '#FFFFFF';
 
+const formatElapsed = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+};
+
 
-const MediaControls = ({ isEnabled, isRecording, onCapturePress, onRecordTogglePress }) => {
+
+const MediaControls = ({
+  isEnabled,
+  isRecording,
+  recordingStartedAt,
+  recordingBytes,
+  isCapturing,
+  onCapturePress,
+  onRecordTogglePress,
+  onGalleryPress,
+}) => {
+  // Re-render every second while recording so the elapsed time stays current
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    if (!isRecording) {
+      return undefined;
+    }
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalId);
+  }, [isRecording]);
 
   const recordButtonBorderColor = isEnabled
     ? isRecording
@@ -37,7 +64,7 @@ const MediaControls = ({ isEnabled, isRecording, onCapturePress, onRecordToggleP
       {/* Capture button */}
       <Pressable
         onPress={onCapturePress}
-        disabled={!isEnabled}
+        disabled={!isEnabled || isCapturing}
         style={({ pressed }) => [
             styles.buttonBase,
             {
@@ -52,7 +79,7 @@ const MediaControls = ({ isEnabled, isRecording, onCapturePress, onRecordToggleP
           <Path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 13a3 3 0 11-6 0 3 3 0 016 0z"/>
         </Svg>
         <Text style={styles.buttonText}>
-          Capture
+          {isCapturing ? 'Saving...' : 'Capture'}
         </Text>
       </Pressable>
 
@@ -79,9 +106,28 @@ const MediaControls = ({ isEnabled, isRecording, onCapturePress, onRecordToggleP
           )}
         </Svg>
         <Text style={styles.buttonText}>
-          {isRecording ? 'Stop' : 'Record'}
+          {isRecording
+            ? `Stop ${formatElapsed(now - recordingStartedAt)} · ${formatBytes(recordingBytes)}`
+            : 'Record'}
         </Text>
       </Pressable>
+
+      {/* Gallery button, available offline too */}
+      <Pressable
+        onPress={onGalleryPress}
+        style={({ pressed }) => [
+            styles.buttonBase,
+            {
+                borderColor: COLOR_DISABLED_BORDER,
+                opacity: pressed ? 0.7 : 1,
+            },
+        ]}
+      >
+        <Svg width={12} height={12} viewBox="0 0 24 24" fill="none" stroke={COLOR_TEXT_LIGHT}>
+          <Path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z"/>
+        </Svg>
+        <Text style={styles.buttonText}>Gallery</Text>
+      </Pressable>
     </View>
   );
 };
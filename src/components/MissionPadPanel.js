@@ -0,0 +1,168 @@
+// src/components/MissionPadPanel.js
+import React, { useState } from 'react';
+import { View, Text, Pressable, StyleSheet } from 'react-native';
+import Svg, { Path } from 'react-native-svg';
+import { PAD_DIRECTION, PAD_IDS } from '../services/missionPads';
+
+const COLOR_TEXT_LIGHT = '#FFFFFF';
+const COLOR_TEXT_MUTED = '#9ca3af'; // Gray 400
+const COLOR_BORDER = 'rgba(255, 255, 255, 0.3)';
+const COLOR_SELECTED = 'rgba(14, 165, 233, 0.6)'; // Sky 500
+const COLOR_DETECTED = 'rgba(52, 211, 153, 0.9)'; // Emerald 400
+
+const DIRECTION_OPTIONS = [
+  { label: 'Off', value: null },
+  { label: 'Down', value: PAD_DIRECTION.DOWNWARD },
+  { label: 'Fwd', value: PAD_DIRECTION.FORWARD },
+  { label: 'Both', value: PAD_DIRECTION.BOTH },
+];
+
+const Chip = ({ label, isSelected, disabled, onPress }) => (
+  <Pressable
+    onPress={onPress}
+    disabled={disabled}
+    style={({ pressed }) => [
+      styles.chip,
+      isSelected && styles.chipSelected,
+      { opacity: disabled ? 0.4 : (pressed ? 0.7 : 1) },
+    ]}
+  >
+    <Text style={styles.chipText}>{label}</Text>
+  </Pressable>
+);
+
+// mid is null on drones without pad support, -2 with detection off, -1 with no pad in view
+const describePad = ({ mid, x, y, z, isDetected }) => {
+  if (mid === null) {
+    return 'Not reported by this drone';
+  }
+  if (mid === -2) {
+    return 'Detection off';
+  }
+  if (!isDetected) {
+    return 'No pad in view';
+  }
+  return `Pad ${mid} · x ${Math.round(x)} y ${Math.round(y)} z ${Math.round(z)} cm`;
+};
+
+// Collapsible panel for mission pads: detection camera, the pad in view with the
+// drone's position relative to it, and precision landing on a chosen pad
+const MissionPadPanel = ({ pad, direction, isEnabled, isAirborne, onDirectionChange, onLandOnPad }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [landingPad, setLandingPad] = useState(1);
+
+  const looksDown = direction === PAD_DIRECTION.DOWNWARD || direction === PAD_DIRECTION.BOTH;
+  const canLand = isEnabled && isAirborne && looksDown && pad.mid === landingPad;
+  let landHint = null;
+  if (!looksDown) {
+    landHint = 'Turn on downward detection to land on a pad';
+  } else if (pad.mid !== landingPad) {
+    landHint = `Fly over pad ${landingPad} to land on it`;
+  }
+
+  return (
+    <View style={styles.container}>
+      <Pressable
+        onPress={() => setIsExpanded(!isExpanded)}
+        style={({ pressed }) => [styles.header, pressed && styles.pressed]}
+      >
+        <Svg width={12} height={12} viewBox="0 0 24 24" fill="none" stroke={COLOR_TEXT_LIGHT}>
+          <Path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 5a1 1 0 011-1h14a1 1 0 011 1v14a1 1 0 01-1 1H5a1 1 0 01-1-1V5zm8 3v8m-4-4h8"/>
+        </Svg>
+        <Text style={styles.headerText}>Mission pad</Text>
+        {pad.isDetected ? <Text style={[styles.headerText, { color: COLOR_DETECTED }]}>m{pad.mid}</Text> : null}
+      </Pressable>
+
+      {isExpanded && (
+        <View style={styles.body}>
+          <Text style={styles.label}>Detection</Text>
+          <View style={styles.chipRow}>
+            {DIRECTION_OPTIONS.map(option => (
+              <Chip
+                key={option.label}
+                label={option.label}
+                isSelected={direction === option.value}
+                disabled={!isEnabled}
+                onPress={() => onDirectionChange(option.value)}
+              />
+            ))}
+          </View>
+
+          <Text style={[styles.value, pad.isDetected && { color: COLOR_DETECTED }]}>{describePad(pad)}</Text>
+
+          <Text style={styles.label}>Land on pad</Text>
+          <View style={styles.chipRow}>
+            {PAD_IDS.map(padId => (
+              <Chip key={padId} label={String(padId)} isSelected={landingPad === padId} onPress={() => setLandingPad(padId)} />
+            ))}
+          </View>
+          <Chip label={`Land on pad ${landingPad}`} disabled={!canLand} onPress={() => onLandOnPad(landingPad)} />
+          {landHint ? <Text style={styles.label}>{landHint}</Text> : null}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    maxWidth: 220,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: COLOR_BORDER,
+    overflow: 'hidden',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingVertical: 5,
+    paddingHorizontal: 8,
+  },
+  pressed: {
+    opacity: 0.7,
+  },
+  headerText: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 11,
+    fontWeight: '500',
+  },
+  body: {
+    paddingHorizontal: 8,
+    paddingBottom: 6,
+    gap: 4,
+  },
+  label: {
+    color: COLOR_TEXT_MUTED,
+    fontSize: 10,
+  },
+  value: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 10,
+    fontWeight: '600',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 4,
+  },
+  chip: {
+    alignSelf: 'flex-start',
+    paddingVertical: 2,
+    paddingHorizontal: 7,
+    borderRadius: 9999,
+    borderWidth: 1,
+    borderColor: COLOR_BORDER,
+  },
+  chipSelected: {
+    backgroundColor: COLOR_SELECTED,
+  },
+  chipText: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 10,
+    fontWeight: '600',
+  },
+});
+
+export default MissionPadPanel;
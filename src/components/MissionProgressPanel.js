@@ -0,0 +1,130 @@
+// src/components/MissionProgressPanel.js
+import React from 'react';
+import { View, Text, Pressable, StyleSheet } from 'react-native';
+import { MISSION_STATUS } from '../store/missionSlice';
+
+const COLOR_TEXT_LIGHT = '#FFFFFF';
+const COLOR_TEXT_MUTED = '#d1d5db'; // Gray 300
+const COLOR_ACCENT = 'rgba(14, 165, 233, 0.6)'; // Sky 500
+const COLOR_DANGER = 'rgba(239, 68, 68, 0.8)'; // Red 500
+const COLOR_WARNING = 'rgba(251, 191, 36, 0.8)'; // Amber 400
+
+const RESULT_LABELS = {
+  [MISSION_STATUS.COMPLETED]: 'Mission completed',
+  [MISSION_STATUS.ABORTED]: 'Mission aborted',
+  [MISSION_STATUS.FAILED]: 'Mission failed',
+};
+
+const PanelButton = ({ label, color, onPress }) => (
+  <Pressable onPress={onPress} style={({ pressed }) => [styles.button, { borderColor: color }, pressed && styles.pressed]}>
+    <Text style={styles.buttonText}>{label}</Text>
+  </Pressable>
+);
+
+// Step progress of the running mission with pause/abort, or the outcome of the last one
+const MissionProgressPanel = ({
+  name,
+  status,
+  executedSteps,
+  totalSteps,
+  currentStep,
+  result,
+  onPausePress,
+  onResumePress,
+  onLandPress,
+  onHoverPress,
+  onDismissPress,
+}) => {
+  if (status === MISSION_STATUS.IDLE) {
+    return null;
+  }
+
+  const isActive = status === MISSION_STATUS.RUNNING || status === MISSION_STATUS.PAUSED;
+  if (!isActive) {
+    return (
+      <View style={[styles.container, status !== MISSION_STATUS.COMPLETED && { borderColor: COLOR_DANGER }]}>
+        <View style={styles.textColumn}>
+          <Text style={styles.title}>{RESULT_LABELS[status]} · {name}</Text>
+          {result ? <Text style={styles.detail} numberOfLines={2}>{result}</Text> : null}
+        </View>
+        <PanelButton label="OK" color={COLOR_ACCENT} onPress={onDismissPress} />
+      </View>
+    );
+  }
+
+  const progress = totalSteps > 0 ? executedSteps / totalSteps : 0;
+  return (
+    <View style={styles.container}>
+      <View style={styles.textColumn}>
+        <Text style={styles.title}>
+          {name} · step {executedSteps}/{totalSteps}
+          {status === MISSION_STATUS.PAUSED ? ' · paused' : ''}
+        </Text>
+        <Text style={styles.detail} numberOfLines={1}>{currentStep || 'Starting...'}</Text>
+        <View style={styles.progressTrack}>
+          <View style={[styles.progressFill, { width: `${Math.min(1, progress) * 100}%` }]} />
+        </View>
+      </View>
+      {status === MISSION_STATUS.PAUSED
+        ? <PanelButton label="Resume" color={COLOR_ACCENT} onPress={onResumePress} />
+        : <PanelButton label="Pause" color={COLOR_ACCENT} onPress={onPausePress} />}
+      <PanelButton label="Hover" color={COLOR_WARNING} onPress={onHoverPress} />
+      <PanelButton label="Land" color={COLOR_DANGER} onPress={onLandPress} />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    maxWidth: 460,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: COLOR_ACCENT,
+  },
+  textColumn: {
+    flexShrink: 1,
+    minWidth: 160,
+    gap: 2,
+  },
+  title: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  detail: {
+    color: COLOR_TEXT_MUTED,
+    fontSize: 10,
+  },
+  progressTrack: {
+    height: 3,
+    borderRadius: 2,
+    overflow: 'hidden',
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: '#38bdf8', // Sky 400
+  },
+  button: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 9999,
+    borderWidth: 1,
+  },
+  pressed: {
+    opacity: 0.7,
+  },
+  buttonText: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 11,
+    fontWeight: '600',
+  },
+});
+
+export default MissionProgressPanel;
@@ -0,0 +1,118 @@
+// src/components/PreflightChecklist.js
+import React, { useState } from 'react';
+import { View, Text, Pressable, StyleSheet } from 'react-native';
+import { CHECK_STATUS } from '../services/preflightChecks';
+
+const COLOR_TEXT_LIGHT = '#FFFFFF';
+const COLOR_TEXT_MUTED = '#9ca3af'; // Gray 400
+const COLOR_BORDER = 'rgba(255, 255, 255, 0.3)';
+
+const STATUS_STYLES = {
+  [CHECK_STATUS.PASS]: { mark: '✓', color: 'rgba(52, 211, 153, 0.9)' }, // Emerald 400
+  [CHECK_STATUS.FAIL]: { mark: '✗', color: 'rgba(248, 113, 113, 0.9)' }, // Red 400
+  [CHECK_STATUS.PENDING]: { mark: '…', color: COLOR_TEXT_MUTED },
+};
+
+// Collapsible pre-flight checklist shown on the ground; takeoff stays
+// disabled until every check passes (see selectPreflightBlock)
+const PreflightChecklist = ({ checks, onRecheck }) => {
+  const [isExpanded, setIsExpanded] = useState(true);
+  const passedCount = checks.filter(c => c.status === CHECK_STATUS.PASS).length;
+  const isPassing = passedCount === checks.length;
+
+  return (
+    <View style={styles.container}>
+      <Pressable
+        onPress={() => setIsExpanded(!isExpanded)}
+        style={({ pressed }) => [styles.header, pressed && styles.pressed]}
+      >
+        <Text style={styles.headerText}>Pre-flight</Text>
+        <Text style={[styles.headerText, { color: STATUS_STYLES[isPassing ? CHECK_STATUS.PASS : CHECK_STATUS.FAIL].color }]}>
+          {isPassing ? 'Ready' : `${passedCount}/${checks.length}`}
+        </Text>
+      </Pressable>
+
+      {isExpanded && (
+        <View style={styles.body}>
+          {checks.map(({ id, label, status, detail }) => (
+            <View key={id} style={styles.row}>
+              <Text style={[styles.mark, { color: STATUS_STYLES[status].color }]}>{STATUS_STYLES[status].mark}</Text>
+              <Text style={styles.label}>{label}</Text>
+              <Text style={styles.detail} numberOfLines={1}>{detail}</Text>
+            </View>
+          ))}
+          <Pressable onPress={onRecheck} style={({ pressed }) => [styles.chip, pressed && styles.pressed]}>
+            <Text style={styles.chipText}>Re-check storage</Text>
+          </Pressable>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    maxWidth: 220,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: COLOR_BORDER,
+    overflow: 'hidden',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingVertical: 5,
+    paddingHorizontal: 8,
+  },
+  pressed: {
+    opacity: 0.7,
+  },
+  headerText: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 11,
+    fontWeight: '500',
+  },
+  body: {
+    paddingHorizontal: 8,
+    paddingBottom: 6,
+    gap: 3,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 5,
+  },
+  mark: {
+    width: 10,
+    fontSize: 11,
+    fontWeight: '700',
+  },
+  label: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 10,
+    fontWeight: '600',
+  },
+  detail: {
+    flexShrink: 1,
+    color: COLOR_TEXT_MUTED,
+    fontSize: 10,
+  },
+  chip: {
+    alignSelf: 'flex-start',
+    marginTop: 2,
+    paddingVertical: 2,
+    paddingHorizontal: 7,
+    borderRadius: 9999,
+    borderWidth: 1,
+    borderColor: COLOR_BORDER,
+  },
+  chipText: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 10,
+    fontWeight: '600',
+  },
+});
+
+export default PreflightChecklist;
@@ -0,0 +1,135 @@
+// src/components/ReplayControls.js
+import React, { useState } from 'react';
+import { View, Text, Pressable, StyleSheet } from 'react-native';
+import Svg, { Path } from 'react-native-svg';
+
+const COLOR_ACCENT = '#38bdf8'; // Sky 400
+const COLOR_TEXT_LIGHT = '#FFFFFF';
+const COLOR_TRACK = 'rgba(255, 255, 255, 0.25)';
+
+const formatPosition = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+// Transport bar shown while a flight log is being replayed. The track is
+// scrubbed by touching or dragging anywhere along it.
+const ReplayControls = ({
+  logName,
+  positionMs,
+  durationMs,
+  isPlaying,
+  speed,
+  onPlayPausePress,
+  onSpeedPress,
+  onSeek,
+  onExitPress,
+}) => {
+  const [trackWidth, setTrackWidth] = useState(0);
+
+  const seekToTouch = (event) => {
+    if (trackWidth > 0) {
+      const fraction = Math.max(0, Math.min(1, event.nativeEvent.locationX / trackWidth));
+      onSeek(fraction * durationMs);
+    }
+  };
+
+  const progress = durationMs > 0 ? positionMs / durationMs : 0;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title} numberOfLines={1}>Replay · {logName}</Text>
+      <View style={styles.row}>
+        <Pressable onPress={onPlayPausePress} style={({ pressed }) => [styles.button, pressed && styles.pressed]}>
+          <Svg width={14} height={14} viewBox="0 0 24 24" fill={COLOR_TEXT_LIGHT}>
+            {isPlaying ? <Path d="M6 5h4v14H6zM14 5h4v14h-4z" /> : <Path d="M8 5v14l11-7z" />}
+          </Svg>
+        </Pressable>
+
+        <Text style={styles.time}>{formatPosition(positionMs)}</Text>
+        <View
+          style={styles.track}
+          onLayout={(event) => setTrackWidth(event.nativeEvent.layout.width)}
+          onStartShouldSetResponder={() => true}
+          onMoveShouldSetResponder={() => true}
+          onResponderGrant={seekToTouch}
+          onResponderMove={seekToTouch}
+        >
+          <View style={styles.trackBar} pointerEvents="none">
+            <View style={[styles.trackFill, { width: `${progress * 100}%` }]} />
+          </View>
+        </View>
+        <Text style={styles.time}>{formatPosition(durationMs)}</Text>
+
+        <Pressable onPress={onSpeedPress} style={({ pressed }) => [styles.button, pressed && styles.pressed]}>
+          <Text style={styles.buttonText}>{speed}x</Text>
+        </Pressable>
+        <Pressable onPress={onExitPress} style={({ pressed }) => [styles.button, pressed && styles.pressed]}>
+          <Text style={styles.buttonText}>Exit</Text>
+        </Pressable>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: 420,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: 'rgba(14, 165, 233, 0.5)',
+    gap: 4,
+  },
+  title: {
+    color: COLOR_ACCENT,
+    fontSize: 10,
+    fontWeight: '600',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  button: {
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    borderRadius: 9999,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+    minWidth: 32,
+    alignItems: 'center',
+  },
+  pressed: {
+    opacity: 0.7,
+  },
+  buttonText: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  time: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 10,
+    fontVariant: ['tabular-nums'],
+  },
+  track: {
+    flex: 1,
+    height: 16,
+    justifyContent: 'center',
+  },
+  trackBar: {
+    height: 4,
+    borderRadius: 2,
+    overflow: 'hidden',
+    backgroundColor: COLOR_TRACK,
+  },
+  trackFill: {
+    height: '100%',
+    backgroundColor: COLOR_ACCENT,
+  },
+});
+
+export default ReplayControls;
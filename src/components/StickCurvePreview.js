@@ -0,0 +1,52 @@
+// src/components/StickCurvePreview.js
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import Svg, { Line, Path, Rect } from 'react-native-svg';
+import { shapeAxis } from '../services/inputShaping';
+
+const SAMPLES = 64;
+
+const COLOR_GRID = 'rgba(255, 255, 255, 0.15)';
+const COLOR_LINEAR = 'rgba(255, 255, 255, 0.3)';
+const COLOR_CURVE = '#38bdf8'; // Sky 400
+const COLOR_DEADZONE = 'rgba(248, 113, 113, 0.15)'; // Red 400
+
+// Stick deflection (x, -1..1) against output (y) for one axis' shaping,
+// with the plain linear response dashed for comparison
+const StickCurvePreview = ({ shaping, size = 140 }) => {
+  const half = size / 2;
+  const toX = (value) => half + value * half;
+  const toY = (value) => half - value * half;
+
+  let d = '';
+  for (let i = 0; i <= SAMPLES; i++) {
+    const input = -1 + (2 * i) / SAMPLES;
+    d += `${i === 0 ? 'M' : 'L'}${toX(input).toFixed(1)},${toY(shapeAxis(input, shaping)).toFixed(1)} `;
+  }
+
+  return (
+    <View style={[styles.container, { width: size, height: size }]}>
+      <Svg width={size} height={size}>
+        <Rect
+          x={toX(-shaping.deadzone)} y={0}
+          width={shaping.deadzone * size} height={size}
+          fill={COLOR_DEADZONE}
+        />
+        <Line x1={half} y1={0} x2={half} y2={size} stroke={COLOR_GRID} strokeWidth={1} />
+        <Line x1={0} y1={half} x2={size} y2={half} stroke={COLOR_GRID} strokeWidth={1} />
+        <Line x1={0} y1={size} x2={size} y2={0} stroke={COLOR_LINEAR} strokeWidth={1} strokeDasharray="4,4" />
+        <Path d={d} stroke={COLOR_CURVE} strokeWidth={2} fill="none" />
+      </Svg>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: 6,
+    overflow: 'hidden',
+    backgroundColor: '#1f2937', // Gray 800
+  },
+});
+
+export default StickCurvePreview;
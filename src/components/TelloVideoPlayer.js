@@ -3,7 +3,7 @@ import React, { useRef, useCallback } from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import Video from 'react-native-video';
 import { useDispatch } from 'react-redux';
-import { setError } from '../store/telloSlice'; // Import setError action
+import { setError, setVideoPlayerStatus } from '../store/telloSlice'; // Import setError action
 
 const TelloVideoPlayer = ({ isStreaming, videoUrl }) => {
   const videoPlayerRef = useRef(null);
@@ -11,6 +11,7 @@ const TelloVideoPlayer = ({ isStreaming, videoUrl }) => {
 
   const onVideoLoad = useCallback(() => {
     console.log('Video player loaded stream successfully!');
+    dispatch(setVideoPlayerStatus('playing')); // Read by the pre-flight check
     // Optionally clear specific video errors if needed
     // dispatch(setError(null)); // Maybe too broad, clears all errors
   }, [dispatch]);
@@ -20,6 +21,7 @@ const TelloVideoPlayer = ({ isStreaming, videoUrl }) => {
     const videoErrorMsg = err.error?.localizedDescription || err.error?.localizedFailureReason || err.error?.message || 'Unknown video player error';
     // Dispatch an action to set the error state in Redux
     dispatch(setError(`Video Player Error: ${videoErrorMsg}. Check console.`));
+    dispatch(setVideoPlayerStatus('error'));
     // Consider automatically setting isStreaming to false here?
     // dispatch(setStreaming(false)); // Or trigger disconnect thunk? Depends on desired behavior.
   }, [dispatch]);
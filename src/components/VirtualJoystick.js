@@ -14,7 +14,10 @@ const MAX_KNOB_TRANSLATION = JOYSTICK_RADIUS - KNOB_RADIUS - 2; // Max distance
 const ARROW_THRESHOLD_RATIO = 0.5; // How far knob needs to move to activate arrow (percentage of max translation)
 const BASE_PADDING = 20; // Base padding from the safe area edges
 
-const VirtualJoystick = ({ onLeftJoystickMove, onRightJoystickMove }) => {
+// `yawStick` ('left' or 'right') is the stick that turns the drone in the
+// current stick mode; it gets rotation arrows instead of side arrows.
+// While `isEnabled` is false the sticks are dimmed and ignore touches.
+const VirtualJoystick = ({ onLeftJoystickMove, onRightJoystickMove, yawStick = 'left', isEnabled = true }) => {
     const insets = useSafeAreaInsets(); // Get safe area insets
     const [leftActive, setLeftActive] = useState(false);
     const [rightActive, setRightActive] = useState(false);
@@ -24,6 +27,7 @@ const VirtualJoystick = ({ onLeftJoystickMove, onRightJoystickMove }) => {
 
     const createJoystickGesture = (positionRef, onMoveCallback, setActiveState) => {
         return Gesture.Pan()
+            .enabled(isEnabled)
             .onStart(() => {
                 setActiveState(true);
             })
@@ -158,7 +162,7 @@ const VirtualJoystick = ({ onLeftJoystickMove, onRightJoystickMove }) => {
             {/* Left Joystick */}
             <GestureDetector gesture={leftGesture}>
                  {/* Make the container touchable */}
-                <View style={styles.joystickOuterContainer} pointerEvents="box-only">
+                <View style={[styles.joystickOuterContainer, !isEnabled && styles.disabled]} pointerEvents="box-only">
                     <View style={styles.joystickBase}>
                         {/* Directional Arrows */}
                         <View style={styles.arrowsContainer}>
@@ -169,10 +173,10 @@ const VirtualJoystick = ({ onLeftJoystickMove, onRightJoystickMove }) => {
                                 {renderArrow('down', isArrowActive(leftPosition, 'down'))}
                             </View>
                             <View style={[styles.arrow, styles.leftArrow]}>
-                                {renderArrow('left', isArrowActive(leftPosition, 'left'), true)} {/* Yaw */}
+                                {renderArrow('left', isArrowActive(leftPosition, 'left'), yawStick === 'left')}
                             </View>
                             <View style={[styles.arrow, styles.rightArrow]}>
-                                {renderArrow('right', isArrowActive(leftPosition, 'right'), true)} {/* Yaw */}
+                                {renderArrow('right', isArrowActive(leftPosition, 'right'), yawStick === 'left')}
                             </View>
                         </View>
                         {/* Joystick Knob */}
@@ -193,7 +197,7 @@ const VirtualJoystick = ({ onLeftJoystickMove, onRightJoystickMove }) => {
 
             {/* Right Joystick */}
             <GestureDetector gesture={rightGesture}>
-                <View style={styles.joystickOuterContainer} pointerEvents="box-only">
+                <View style={[styles.joystickOuterContainer, !isEnabled && styles.disabled]} pointerEvents="box-only">
                     <View style={styles.joystickBase}>
                         {/* Directional Arrows */}
                         <View style={styles.arrowsContainer}>
@@ -204,10 +208,10 @@ const VirtualJoystick = ({ onLeftJoystickMove, onRightJoystickMove }) => {
                                 {renderArrow('down', isArrowActive(rightPosition, 'down'))}
                             </View>
                             <View style={[styles.arrow, styles.leftArrow]}>
-                                {renderArrow('left', isArrowActive(rightPosition, 'left'))} {/* Roll */}
+                                {renderArrow('left', isArrowActive(rightPosition, 'left'), yawStick === 'right')}
                             </View>
                             <View style={[styles.arrow, styles.rightArrow]}>
-                                {renderArrow('right', isArrowActive(rightPosition, 'right'))} {/* Roll */}
+                                {renderArrow('right', isArrowActive(rightPosition, 'right'), yawStick === 'right')}
                             </View>
                         </View>
                         {/* Joystick Knob */}
@@ -246,6 +250,9 @@ const styles = StyleSheet.create({
         height: JOYSTICK_SIZE,
         // backgroundColor: 'rgba(0, 255, 0, 0.1)', // Optional: for debugging touch area
     },
+    disabled: {
+        opacity: 0.4,
+    },
     joystickBase: {
         width: JOYSTICK_SIZE,
         height: JOYSTICK_SIZE,
@@ -0,0 +1,132 @@
+// src/components/WaypointCanvas.js
+import React, { useState } from 'react';
+import { View, StyleSheet } from 'react-native';
+import Svg, { Line, Circle, Polygon, Text as SvgText } from 'react-native-svg';
+import { ORIGIN } from '../services/waypointMission';
+
+const GRID_STEP_CM = 100;
+const MIN_EXTENT_CM = 300; // Smallest area shown around the takeoff point
+const SNAP_CM = 10;
+const MARKER_RADIUS = 10;
+const HIT_RADIUS = 18;
+
+const COLOR_GRID = 'rgba(255, 255, 255, 0.08)';
+const COLOR_AXIS = 'rgba(255, 255, 255, 0.25)';
+const COLOR_PATH = '#38bdf8'; // Sky 400
+const COLOR_WAYPOINT = '#0ea5e9'; // Sky 500
+const COLOR_SELECTED = '#fbbf24'; // Amber 400
+const COLOR_ACTIVE = '#34d399'; // Emerald 400
+const COLOR_ERROR = '#f87171'; // Red 400
+
+const snap = (value) => Math.round(value / SNAP_CM) * SNAP_CM;
+
+// Top-down view of a waypoint mission. Forward (x) points up the screen and
+// left (y) to the left, with the takeoff point in the middle. Tapping empty
+// space adds a waypoint there; tapping a waypoint selects it.
+const WaypointCanvas = ({ waypoints, selectedIndex, activeIndex, errorIndexes, onAddWaypoint, onSelectWaypoint }) => {
+  const [size, setSize] = useState({ width: 0, height: 0 });
+
+  // Zoom out as waypoints get further away so they all stay visible
+  const extentCm = Math.max(
+    MIN_EXTENT_CM,
+    ...waypoints.map(waypoint => Math.max(Math.abs(waypoint.x), Math.abs(waypoint.y)) + GRID_STEP_CM)
+  );
+  const scale = size.width > 0 ? Math.min(size.width, size.height) / 2 / extentCm : 0; // px per cm
+  const centerX = size.width / 2;
+  const centerY = size.height / 2;
+
+  const toScreen = ({ x, y }) => ({ px: centerX - y * scale, py: centerY - x * scale });
+
+  const handleTap = (event) => {
+    if (scale === 0) {
+      return;
+    }
+    const { locationX, locationY } = event.nativeEvent;
+    const hit = waypoints.findIndex(waypoint => {
+      const { px, py } = toScreen(waypoint);
+      return Math.hypot(px - locationX, py - locationY) <= HIT_RADIUS;
+    });
+    if (hit >= 0) {
+      onSelectWaypoint(hit);
+    } else {
+      onAddWaypoint({ x: snap((centerY - locationY) / scale), y: snap((centerX - locationX) / scale) });
+    }
+  };
+
+  const gridLines = [];
+  for (let cm = -Math.ceil(extentCm * 2 / GRID_STEP_CM) * GRID_STEP_CM; cm <= extentCm * 2; cm += GRID_STEP_CM) {
+    const color = cm === 0 ? COLOR_AXIS : COLOR_GRID;
+    gridLines.push(<Line key={`v${cm}`} x1={centerX - cm * scale} y1={0} x2={centerX - cm * scale} y2={size.height} stroke={color} strokeWidth={1} />);
+    gridLines.push(<Line key={`h${cm}`} x1={0} y1={centerY - cm * scale} x2={size.width} y2={centerY - cm * scale} stroke={color} strokeWidth={1} />);
+  }
+
+  const points = [ORIGIN, ...waypoints].map(toScreen);
+
+  return (
+    <View
+      style={styles.container}
+      onLayout={(event) => setSize(event.nativeEvent.layout)}
+      onStartShouldSetResponder={() => true}
+      onResponderRelease={handleTap}
+    >
+      {scale > 0 && (
+        <Svg width={size.width} height={size.height} pointerEvents="none">
+          {gridLines}
+
+          {/* Legs; the ones flown as a curve through a via point are dashed */}
+          {points.slice(1).map((point, index) => {
+            const previous = points[index];
+            const isCurveLeg = waypoints[index].via || (index > 0 && waypoints[index - 1].via);
+            return (
+              <Line
+                key={`leg${index}`}
+                x1={previous.px} y1={previous.py} x2={point.px} y2={point.py}
+                stroke={COLOR_PATH} strokeWidth={2} strokeDasharray={isCurveLeg ? '6,4' : undefined}
+              />
+            );
+          })}
+
+          {/* Takeoff point, pointing the way the drone faces */}
+          <Polygon
+            points={`${centerX},${centerY - 10} ${centerX - 7},${centerY + 6} ${centerX + 7},${centerY + 6}`}
+            fill="#FFFFFF"
+          />
+
+          {waypoints.map((waypoint, index) => {
+            const { px, py } = points[index + 1];
+            let color = COLOR_WAYPOINT;
+            if (index === activeIndex) {
+              color = COLOR_ACTIVE;
+            } else if (index === selectedIndex) {
+              color = COLOR_SELECTED;
+            }
+            return (
+              <React.Fragment key={`wp${index}`}>
+                <Circle
+                  cx={px} cy={py} r={waypoint.via ? MARKER_RADIUS - 3 : MARKER_RADIUS}
+                  fill={color}
+                  stroke={errorIndexes.includes(index) ? COLOR_ERROR : '#FFFFFF'}
+                  strokeWidth={2}
+                />
+                <SvgText x={px} y={py + 4} fontSize={10} fontWeight="bold" fill="#FFFFFF" textAnchor="middle">
+                  {index + 1}
+                </SvgText>
+              </React.Fragment>
+            );
+          })}
+        </Svg>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    borderRadius: 6,
+    overflow: 'hidden',
+    backgroundColor: '#1f2937', // Gray 800
+  },
+});
+
+export default WaypointCanvas;
@@ -0,0 +1,147 @@
+// src/screens/FlightLogsScreen.js
+import React, { useEffect } from 'react';
+import { Modal, View, Text, Pressable, FlatList, StyleSheet } from 'react-native';
+import { useSelector, useDispatch } from 'react-redux';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+import { loadFlightLogs, startReplay } from '../store/replaySlice';
+import { formatBytes } from '../services/mediaStorage';
+
+const COLOR_TEXT_LIGHT = '#FFFFFF';
+const COLOR_TEXT_MUTED = '#9ca3af'; // Gray 400
+const COLOR_ACCENT = '#0ea5e9'; // Sky 500
+const COLOR_DANGER = '#ef4444'; // Red 500
+
+// Recorded flights; picking one replays it on the main screen
+const FlightLogsScreen = ({ visible, onClose }) => {
+  const dispatch = useDispatch();
+  const insets = useSafeAreaInsets();
+  const { logs, isLoadingLogs, replayError } = useSelector((state) => state.replay);
+  const { isConnected, isConnecting } = useSelector((state) => state.tello);
+  const canReplay = !isConnected && !isConnecting;
+
+  useEffect(() => {
+    if (visible) {
+      dispatch(loadFlightLogs());
+    }
+  }, [visible, dispatch]);
+
+  const handleReplay = (log) => {
+    dispatch(startReplay(log));
+    onClose();
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" supportedOrientations={['landscape']} onRequestClose={onClose}>
+      <View style={[styles.container, { paddingTop: insets.top + 10, paddingLeft: insets.left + 20, paddingRight: insets.right + 20, paddingBottom: insets.bottom + 10 }]}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Flight logs</Text>
+          <Pressable onPress={onClose} style={({ pressed }) => [styles.closeButton, pressed && styles.pressed]}>
+            <Text style={styles.closeText}>Done</Text>
+          </Pressable>
+        </View>
+
+        {!canReplay ? <Text style={styles.muted}>Disconnect from the drone to replay a flight.</Text> : null}
+        {replayError ? <Text style={styles.error}>{replayError}</Text> : null}
+
+        <FlatList
+          data={logs}
+          keyExtractor={log => log.path}
+          refreshing={isLoadingLogs}
+          onRefresh={() => dispatch(loadFlightLogs())}
+          ListEmptyComponent={<Text style={styles.muted}>No flights recorded yet.</Text>}
+          renderItem={({ item }) => (
+            <View style={styles.row}>
+              <View style={styles.rowText}>
+                <Text style={styles.label}>{item.name}</Text>
+                <Text style={styles.muted}>
+                  {item.modifiedAt ? new Date(item.modifiedAt).toLocaleString() : '--'} · {formatBytes(item.size)}
+                </Text>
+              </View>
+              <Pressable
+                onPress={() => handleReplay(item)}
+                disabled={!canReplay}
+                style={({ pressed }) => [styles.replayButton, { opacity: canReplay ? (pressed ? 0.7 : 1) : 0.4 }]}
+              >
+                <Text style={styles.replayText}>Replay</Text>
+              </Pressable>
+            </View>
+          )}
+        />
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#111827', // Gray 900
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 18,
+    fontWeight: '700',
+  },
+  closeButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 9999,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  closeText: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  pressed: {
+    opacity: 0.7,
+  },
+  error: {
+    color: COLOR_DANGER,
+    fontSize: 12,
+    marginBottom: 8,
+  },
+  muted: {
+    color: COLOR_TEXT_MUTED,
+    fontSize: 11,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 16,
+    paddingVertical: 8,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  rowText: {
+    flex: 1,
+  },
+  label: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  replayButton: {
+    paddingVertical: 5,
+    paddingHorizontal: 12,
+    borderRadius: 9999,
+    borderWidth: 1,
+    borderColor: COLOR_ACCENT,
+  },
+  replayText: {
+    color: COLOR_ACCENT,
+    fontSize: 11,
+    fontWeight: '600',
+  },
+});
+
+export default FlightLogsScreen;
@@ -0,0 +1,340 @@
+// src/screens/GalleryScreen.js
+import React, { useEffect, useState, useCallback } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  Image,
+  Pressable,
+  FlatList,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  StyleSheet,
+} from 'react-native';
+import { useSelector, useDispatch } from 'react-redux';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import Video from 'react-native-video';
+import Svg, { Path } from 'react-native-svg';
+import Share from 'react-native-share';
+
+import { loadGallery, deleteMediaItem } from '../store/mediaSlice';
+import { exportMedia, formatBytes } from '../services/mediaStorage';
+
+const COLOR_TEXT_LIGHT = '#FFFFFF';
+const COLOR_TEXT_MUTED = '#9ca3af'; // Gray 400
+const COLOR_ACCENT = '#0ea5e9'; // Sky 500
+const COLOR_DANGER = '#ef4444'; // Red 500
+const NUM_COLUMNS = 4;
+
+const toUri = (path) => `file://${path}`;
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) {
+    return null;
+  }
+  const totalSeconds = Math.round(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+const formatMetadataValue = (value, unit) =>
+  value === null || value === undefined ? '--' : `${value}${unit}`;
+
+// Telemetry stored in the sidecar when the photo was taken / recording started
+const MetadataTable = ({ metadata }) => {
+  if (!metadata) {
+    return <Text style={styles.muted}>No telemetry recorded for this item.</Text>;
+  }
+  const rows = [
+    { label: 'Captured', value: metadata.capturedAt ? new Date(metadata.capturedAt).toLocaleString() : '--' },
+    { label: 'Height', value: formatMetadataValue(metadata.height, ' cm') },
+    { label: 'Yaw', value: formatMetadataValue(metadata.yaw, '°') },
+    { label: 'Pitch / Roll', value: `${formatMetadataValue(metadata.pitch, '°')} / ${formatMetadataValue(metadata.roll, '°')}` },
+    { label: 'Battery', value: formatMetadataValue(metadata.battery, '%') },
+    { label: 'Flight time', value: formatMetadataValue(metadata.flightTime, ' s') },
+  ];
+  return (
+    <View style={styles.metadataTable}>
+      {rows.map(row => (
+        <View key={row.label} style={styles.metadataRow}>
+          <Text style={styles.muted}>{row.label}</Text>
+          <Text style={styles.metadataValue}>{row.value}</Text>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const ActionButton = ({ label, color = COLOR_TEXT_LIGHT, onPress }) => (
+  <Pressable onPress={onPress} style={({ pressed }) => [styles.actionButton, { borderColor: color }, pressed && styles.pressed]}>
+    <Text style={[styles.actionText, { color }]}>{label}</Text>
+  </Pressable>
+);
+
+// Full view of one item: photo or video player, telemetry and actions
+const MediaDetail = ({ item, onDelete, onBack }) => {
+  const handleShare = useCallback(() => {
+    // Shares the file itself (React Native's own Share only passes a URL on
+    // iOS; on Android it would send the text alone)
+    Share.open({
+      url: toUri(item.path),
+      type: item.kind === 'video' ? 'video/mp4' : 'image/jpeg',
+      filename: item.name,
+      title: item.name,
+      failOnCancel: false,
+    }).catch(e => console.warn('Gallery: Share failed:', e));
+  }, [item]);
+
+  const handleExport = useCallback(async () => {
+    try {
+      const destination = await exportMedia(item.path);
+      Alert.alert('Exported', `Saved to ${destination}`);
+    } catch (e) {
+      Alert.alert('Export failed', e.message);
+    }
+  }, [item]);
+
+  const handleDelete = useCallback(() => {
+    Alert.alert('Delete', `Delete ${item.name}? This cannot be undone.`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Delete', style: 'destructive', onPress: () => onDelete(item) },
+    ]);
+  }, [item, onDelete]);
+
+  return (
+    <View style={styles.detailContainer}>
+      <View style={styles.detailMedia}>
+        {item.kind === 'video' ? (
+          <Video source={{ uri: toUri(item.path) }} style={styles.fill} resizeMode="contain" controls paused={false} />
+        ) : (
+          <Image source={{ uri: toUri(item.path) }} style={styles.fill} resizeMode="contain" />
+        )}
+      </View>
+      <ScrollView style={styles.detailSidebar} contentContainerStyle={styles.detailSidebarContent}>
+        <Text style={styles.itemTitle} numberOfLines={2}>{item.name}</Text>
+        <Text style={styles.muted}>
+          {formatBytes(item.size)}
+          {item.durationMs !== null ? ` · ${formatDuration(item.durationMs)}` : ''}
+        </Text>
+        <MetadataTable metadata={item.metadata} />
+        <View style={styles.actions}>
+          <ActionButton label="Share" color={COLOR_ACCENT} onPress={handleShare} />
+          <ActionButton label="Export" color={COLOR_ACCENT} onPress={handleExport} />
+          <ActionButton label="Delete" color={COLOR_DANGER} onPress={handleDelete} />
+          <ActionButton label="Back" onPress={onBack} />
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+const GalleryTile = ({ item, onPress }) => (
+  <Pressable onPress={() => onPress(item)} style={({ pressed }) => [styles.tile, pressed && styles.pressed]}>
+    <Image source={{ uri: toUri(item.thumbnailPath) }} style={styles.tileImage} resizeMode="cover" />
+    {item.kind === 'video' && (
+      <View style={styles.tileBadge}>
+        <Svg width={10} height={10} viewBox="0 0 24 24" fill={COLOR_TEXT_LIGHT}>
+          <Path d="M8 5v14l11-7z" />
+        </Svg>
+        <Text style={styles.tileBadgeText}>{formatDuration(item.durationMs) || ''}</Text>
+      </View>
+    )}
+    <Text style={styles.tileCaption} numberOfLines={1}>{formatBytes(item.size)}</Text>
+  </Pressable>
+);
+
+// Lists photos and recordings from the media folder, presented as a modal
+const GalleryScreen = ({ visible, onClose }) => {
+  const dispatch = useDispatch();
+  const insets = useSafeAreaInsets();
+  const { galleryItems, isLoadingGallery, mediaError } = useSelector((state) => state.media);
+  const [selectedItem, setSelectedItem] = useState(null);
+
+  // Refresh every time the gallery opens, new captures may have landed
+  useEffect(() => {
+    if (visible) {
+      dispatch(loadGallery());
+    } else {
+      setSelectedItem(null);
+    }
+  }, [visible, dispatch]);
+
+  const handleDelete = useCallback((item) => {
+    dispatch(deleteMediaItem(item.path));
+    setSelectedItem(null);
+  }, [dispatch]);
+
+  return (
+    <Modal visible={visible} animationType="slide" supportedOrientations={['landscape']} onRequestClose={onClose}>
+      <View style={[styles.container, { paddingTop: insets.top + 10, paddingLeft: insets.left + 20, paddingRight: insets.right + 20, paddingBottom: insets.bottom + 10 }]}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Gallery</Text>
+          <Pressable onPress={onClose} style={({ pressed }) => [styles.closeButton, pressed && styles.pressed]}>
+            <Text style={styles.closeText}>Done</Text>
+          </Pressable>
+        </View>
+
+        {mediaError ? <Text style={styles.error}>{mediaError}</Text> : null}
+
+        {selectedItem ? (
+          <MediaDetail item={selectedItem} onDelete={handleDelete} onBack={() => setSelectedItem(null)} />
+        ) : isLoadingGallery && galleryItems.length === 0 ? (
+          <ActivityIndicator color={COLOR_TEXT_LIGHT} style={styles.loading} />
+        ) : (
+          <FlatList
+            data={galleryItems}
+            keyExtractor={item => item.path}
+            numColumns={NUM_COLUMNS}
+            columnWrapperStyle={styles.columnWrapper}
+            renderItem={({ item }) => <GalleryTile item={item} onPress={setSelectedItem} />}
+            ListEmptyComponent={<Text style={styles.muted}>No photos or recordings yet.</Text>}
+            refreshing={isLoadingGallery}
+            onRefresh={() => dispatch(loadGallery())}
+          />
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#111827', // Gray 900
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 18,
+    fontWeight: '700',
+  },
+  closeButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 9999,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  closeText: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  pressed: {
+    opacity: 0.7,
+  },
+  error: {
+    color: COLOR_DANGER,
+    fontSize: 12,
+    marginBottom: 8,
+  },
+  loading: {
+    marginTop: 40,
+  },
+  muted: {
+    color: COLOR_TEXT_MUTED,
+    fontSize: 11,
+  },
+  columnWrapper: {
+    gap: 10,
+    marginBottom: 10,
+  },
+  tile: {
+    flex: 1 / NUM_COLUMNS,
+    aspectRatio: 4 / 3,
+    borderRadius: 6,
+    overflow: 'hidden',
+    backgroundColor: '#1f2937', // Gray 800
+  },
+  tileImage: {
+    ...StyleSheet.absoluteFillObject,
+  },
+  tileBadge: {
+    position: 'absolute',
+    top: 4,
+    left: 4,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 3,
+    paddingHorizontal: 4,
+    paddingVertical: 1,
+    borderRadius: 4,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  },
+  tileBadgeText: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 9,
+  },
+  tileCaption: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    paddingHorizontal: 4,
+    paddingVertical: 2,
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 9,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  detailContainer: {
+    flex: 1,
+    flexDirection: 'row',
+    gap: 16,
+  },
+  detailMedia: {
+    flex: 2,
+    backgroundColor: '#000',
+    borderRadius: 6,
+    overflow: 'hidden',
+  },
+  fill: {
+    width: '100%',
+    height: '100%',
+  },
+  detailSidebar: {
+    flex: 1,
+  },
+  detailSidebarContent: {
+    gap: 8,
+  },
+  itemTitle: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  metadataTable: {
+    gap: 3,
+  },
+  metadataRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  metadataValue: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 11,
+    fontWeight: '500',
+  },
+  actions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 6,
+  },
+  actionButton: {
+    paddingVertical: 5,
+    paddingHorizontal: 12,
+    borderRadius: 9999,
+    borderWidth: 1,
+  },
+  actionText: {
+    fontSize: 11,
+    fontWeight: '600',
+  },
+});
+
+export default GalleryScreen;
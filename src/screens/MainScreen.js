@@ -1,6 +1,6 @@
 // src/screens/MainScreen.js
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { View, StyleSheet, StatusBar, AppState, Alert, Platform } from 'react-native';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { View, StyleSheet, StatusBar, AppState, Alert, Platform, Pressable } from 'react-native';
 import { useSelector, useDispatch } from 'react-redux';
 import Svg, { Path } from 'react-native-svg';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
@@ -13,21 +13,69 @@ import FlightControls from '../components/FlightControls';
 import StatusBox from '../components/StatusBox';
 import MediaControls from '../components/MediaControls';
 import VirtualJoystick from '../components/VirtualJoystick'; // <-- Import Joystick
+import SettingsScreen from './SettingsScreen';
+import GalleryScreen from './GalleryScreen';
+import DroneInfoPanel from '../components/DroneInfoPanel';
+import LinkStatusBanner from '../components/LinkStatusBanner';
+import GeofenceWarning from '../components/GeofenceWarning';
+import BatteryFailsafeBanner from '../components/BatteryFailsafeBanner';
+import AlertFlash from '../components/AlertFlash';
+import ReplayControls from '../components/ReplayControls';
+import FlightLogsScreen from './FlightLogsScreen';
+import MissionScreen from './MissionScreen';
+import MissionEditorScreen from './MissionEditorScreen';
+import MissionProgressPanel from '../components/MissionProgressPanel';
+import MissionPadPanel from '../components/MissionPadPanel';
+import PreflightChecklist from '../components/PreflightChecklist';
 
 // Redux and Services
 import {
   connectAndStream,
   disconnect,
   setError,
+  setCommandQueueState,
+  flightCommandTraffic,
   updateStatus,
+  selectIsCommandBusy,
+  selectBattery,
+  selectFlightTimeLabel,
+  selectMissionPad,
+  selectFlightPhase,
+  setMissionPadDetection,
+  landOnMissionPad,
+  selectFlipRefusal,
+  flip,
+  selectGeofenceWarnings,
+  selectBatteryFailsafe,
+  overrideBatteryAutoLand,
+  selectPreflightChecks,
+  selectPreflightBlock,
 } from '../store/telloSlice';
+import { selectBannerAlerts, selectIsAlertFlashing, dismissAlert } from '../store/alertsSlice';
+import { capturePhoto, startRecording, stopRecording, refreshFreeStorage } from '../store/mediaSlice';
+import { stopReplay, toggleReplayPlayback, seekReplay, cycleReplaySpeed } from '../store/replaySlice';
+import { abortMission, pauseMission, resumeMission, missionDismissed } from '../store/missionSlice';
+import { loadSettings } from '../store/settingsSlice';
 import * as telloService from '../services/telloService';
 import * as orientationService from '../services/orientationService';
 import * as ffmpegService from '../services/ffmpegService';
+import * as rcService from '../services/rcService';
+import * as flightRecorder from '../services/flightRecorder';
+import { shapeSticks, getYawStick } from '../services/inputShaping';
+import * as inputSources from '../services/inputSources';
+import * as hardwareInput from '../services/hardwareInput';
+import * as keyboardInput from '../services/keyboardInput';
+import * as gamepadInput from '../services/gamepadInput';
+import {
+  FLIGHT_PHASE,
+  FLIGHT_PHASE_COMMANDS,
+  FLIGHT_PHASE_LABELS,
+  isOnGround,
+  canTakeoffIn,
+  canUseSticksIn,
+} from '../services/flightPhase';
 
 
-const RC_MAX_VALUE = 100; // Tello expects values between -100 and 100
-
 const MainScreen = () => {
   const dispatch = useDispatch();
   const insets = useSafeAreaInsets();
@@ -41,22 +89,114 @@ const MainScreen = () => {
   // --- Selectors ---
   const {
     isConnecting,
+    isConnected,
     isStreaming,
     errorMessage,
     videoUrl,
-    battery,
-    flightTime,
     lastUpdate,
+    inFlightCommand,
+    commandQueueDepth,
+    droneInfo,
+    linkStatus,
+    linkNextRetryAt,
+    reconnectAttempts,
+    videoRestartCount,
+    missionPadDirection,
   } = useSelector((state) => state.tello);
-
-  // isConnected is true only when streaming is active
-  const isConnected = isStreaming;
-  const [isRecording, setIsRecording] = useState(false);
+  const isCommandBusy = useSelector(selectIsCommandBusy);
+  const battery = useSelector(selectBattery);
+  const flightTime = useSelector(selectFlightTimeLabel);
+  const missionPad = useSelector(selectMissionPad);
+  const flightPhase = useSelector(selectFlightPhase);
+  const flipRefusal = useSelector(selectFlipRefusal);
+  const geofenceWarnings = useSelector(selectGeofenceWarnings);
+  const batteryFailsafe = useSelector(selectBatteryFailsafe);
+  const batteryLevels = useSelector((state) => state.settings.batteryFailsafe);
+  const bannerAlerts = useSelector(selectBannerAlerts);
+  const isAlertFlashing = useSelector(selectIsAlertFlashing);
+  const preflightCheckEnabled = useSelector((state) => state.settings.preflightCheckEnabled);
+  const preflightChecks = useSelector(selectPreflightChecks);
+  const preflightBlock = useSelector(selectPreflightBlock);
+  const {
+    isCapturingPhoto,
+    isRecording,
+    isStoppingRecording,
+    recordingStartedAt,
+    recordingBytes,
+  } = useSelector((state) => state.media);
+  const replay = useSelector((state) => state.replay);
+  const mission = useSelector((state) => state.mission);
+
+  // While a flight log is replayed the tello state comes from the log; nothing may reach a drone
+  const isReplaying = replay.isActive;
+  // Commands need the SDK link (isConnected); video and media need the stream on top of it
+  const isLive = isConnected && !isReplaying;
+  const isVideoLive = isStreaming && !isReplaying;
+  const areSticksEnabled = isLive && canUseSticksIn(flightPhase);
+  const showPreflightChecklist = preflightCheckEnabled && isLive && isOnGround(flightPhase);
+  const [isSettingsVisible, setIsSettingsVisible] = useState(false);
+  const [isGalleryVisible, setIsGalleryVisible] = useState(false);
+  const [isFlightLogsVisible, setIsFlightLogsVisible] = useState(false);
+  const [isMissionVisible, setIsMissionVisible] = useState(false);
+  const [isMissionEditorVisible, setIsMissionEditorVisible] = useState(false);
 
   // --- Refs for RC Control ---
+  // Sticks of whichever input source currently wins arbitration (see inputSources)
   const leftStick = useRef({ x: 0, y: 0 });
   const rightStick = useRef({ x: 0, y: 0 });
- 
+  const touchSticks = useRef(inputSources.NEUTRAL_STICKS); // The on-screen joysticks' own position
+
+  // Stick mode and curves from settings, read by the transmitter on every tick
+  const stickMode = useSelector((state) => state.settings.stickMode);
+  const axisShaping = useSelector((state) => state.settings.axisShaping);
+  const inputShapingRef = useRef({ stickMode, axisShaping });
+  inputShapingRef.current = { stickMode, axisShaping };
+
+  // The RC transmitter samples these refs on its own timer (see rcService);
+  // raw stick positions only become roll/pitch/throttle/yaw in inputShaping
+  useEffect(() => {
+    rcService.setStickSource(() => shapeSticks(
+      { left: leftStick.current, right: rightStick.current },
+      inputShapingRef.current.stickMode,
+      inputShapingRef.current.axisShaping
+    ));
+    return () => {
+      rcService.setStickSource(null);
+    };
+  }, []);
+
+  // Input sources: touch, keyboard and gamepad feed leftStick/rightStick by priority
+  const {
+    keyboardInputEnabled,
+    gamepadInputEnabled,
+    inputPriority,
+    inputBindings,
+  } = useSelector((state) => state.settings);
+
+  useEffect(() => {
+    inputSources.setStickListener((sticks) => {
+      leftStick.current = sticks.left;
+      rightStick.current = sticks.right;
+    });
+    hardwareInput.start();
+    return () => {
+      hardwareInput.stop();
+      inputSources.setStickListener(null);
+    };
+  }, []);
+
+  useEffect(() => {
+    keyboardInput.setBindings(inputBindings.keyboard);
+    gamepadInput.setBindings(inputBindings.gamepad);
+  }, [inputBindings]);
+
+  useEffect(() => {
+    inputSources.setPriority(inputPriority);
+  }, [inputPriority]);
+
+  useEffect(() => {
+    hardwareInput.setEnabled({ keyboard: keyboardInputEnabled, gamepad: gamepadInputEnabled });
+  }, [keyboardInputEnabled, gamepadInputEnabled]);
 
   // --- Callback for Status Updates ---
   const handleStatusUpdate = useCallback((statusData) => {
@@ -72,7 +212,16 @@ const MainScreen = () => {
 
   // Tello Service Init/Cleanup
   useEffect(() => {
+    dispatch(loadSettings());
     console.log("MainScreen: Initializing Tello Service...");
+    telloService.setCommandQueueListener(snapshot => dispatch(setCommandQueueState(snapshot)));
+    telloService.setTrafficListener((event) => {
+      flightRecorder.recordTraffic(event);
+      if (FLIGHT_PHASE_COMMANDS.includes(event.command)) {
+        dispatch(flightCommandTraffic(event));
+      }
+    });
+    const removeCrashHandler = flightRecorder.installCrashHandler();
     telloService.initialize(handleStatusUpdate)
         .then(() => console.log("MainScreen: Tello Service Initialized successfully."))
         .catch(err => {
@@ -81,8 +230,12 @@ const MainScreen = () => {
         });
     return () => {
       console.log("MainScreen: Closing Tello Service on unmount...");
+      rcService.stop();
+      telloService.setCommandQueueListener(null);
+      telloService.setTrafficListener(null);
+      removeCrashHandler();
+      flightRecorder.flush();
       telloService.close();
-      
     };
   }, [handleStatusUpdate, dispatch]); // Include dispatch
 
@@ -92,8 +245,9 @@ const MainScreen = () => {
     ffmpegService.configure();
     const handleAppStateChange = (nextAppState) => {
       // If app goes to background/inactive while connected, disconnect
-      if (nextAppState.match(/inactive|background/) && isConnected) { // Check isConnected (which is isStreaming)
+      if (nextAppState.match(/inactive|background/) && isLive) { // Check isLive (streaming, not replaying)
         console.log("App inactive, dispatching disconnect...");
+        dispatch(stopRecording()); // Finalize the MP4 before the OS suspends us
         dispatch(disconnect());
       }
     };
@@ -104,7 +258,7 @@ const MainScreen = () => {
       orientationService.unlock();
       // FFmpeg stop is handled by disconnect thunk or this effect's dependency change
     };
-  }, [dispatch, isConnected]); // Depend on isConnected now
+  }, [dispatch, isLive]); // Depend on isLive now
 
    
 
@@ -126,7 +280,7 @@ const MainScreen = () => {
 
   // --- Command Sending Handlers ---
   const sendFlightCommand = useCallback(async (command) => {
-    if (!isConnected) {
+    if (!isLive) {
       dispatch(setError('Cannot send command, drone not connected.'));
       return;
     }
@@ -136,9 +290,20 @@ const MainScreen = () => {
       console.error(`Failed to send command "${command}":`, error);
       dispatch(setError(`Cmd Fail: ${command}: ${error.message}`));
     }
-  }, [isConnected, dispatch]);
+  }, [isLive, dispatch]);
 
-  const handleTakeoff = useCallback(() => sendFlightCommand('takeoff'), [sendFlightCommand]);
+  // Keyboard and gamepad takeoff go through here too, so the checklist gates them as well
+  const handleTakeoff = useCallback(() => {
+    if (!canTakeoffIn(flightPhase)) {
+      dispatch(setError(`Cannot take off: ${FLIGHT_PHASE_LABELS[flightPhase].toLowerCase()}`));
+      return;
+    }
+    if (preflightBlock) {
+      dispatch(setError(`Takeoff blocked by the ${preflightBlock}`));
+      return;
+    }
+    sendFlightCommand('takeoff');
+  }, [sendFlightCommand, flightPhase, preflightBlock, dispatch]);
   const handleLand = useCallback(() => sendFlightCommand('land'), [sendFlightCommand]);
   const handleEmergency = useCallback(() => {
      Alert.alert(
@@ -149,6 +314,13 @@ const MainScreen = () => {
         ]);
   }, [sendFlightCommand]);
 
+  // Battery/height gating and the refusal message live in the flip thunk
+  const handleFlip = useCallback((direction) => {
+    if (isLive) {
+      dispatch(flip(direction));
+    }
+  }, [isLive, dispatch]);
+
   // --- Connect/Disconnect Handlers ---
    const handleConnect = useCallback(() => {
      if (!isConnecting && !isConnected) {
@@ -165,39 +337,85 @@ const MainScreen = () => {
 
    // --- Media Handlers ---
   const handlePhotoCapture = useCallback(() => {
-    if (!isConnected) return;
-    Alert.alert("Capture", "Photo capture simulated!"); // Placeholder
-  }, [isConnected]);
+    if (!isVideoLive || isCapturingPhoto) return;
+    // Success/failure lands in the media slice (errors also in errorMessage)
+    dispatch(capturePhoto());
+  }, [dispatch, isVideoLive, isCapturingPhoto]);
 
   const handleRecordingToggle = useCallback(() => {
-    if (!isConnected) return;
-    const nextRecordingState = !isRecording;
-    setIsRecording(nextRecordingState);
-    Alert.alert("Recording", `${nextRecordingState ? 'Started' : 'Stopped'} recording (simulated)!`); // Placeholder
-  }, [isRecording, isConnected]);
+    if (!isVideoLive || isStoppingRecording) return;
+    if (isRecording) {
+      dispatch(stopRecording());
+    } else {
+      dispatch(startRecording());
+    }
+  }, [dispatch, isRecording, isStoppingRecording, isVideoLive]);
 
    // --- RC Command Handling Callbacks ---
 
   // Callback for Left Joystick movement
   const handleLeftJoystickMove = useCallback(({ x, y }) => {
-    // Left Stick: X = Yaw, Y = Throttle
-    // Invert Y axis: Up on stick = positive Y Tello value
-    leftStick.current = { x: x, y: -y };
+    // Raw position; which axes it drives depends on the stick mode
+    // Invert Y axis: Up on stick = positive Y
+    touchSticks.current = { ...touchSticks.current, left: { x: x, y: -y } };
+    inputSources.updateSticks(inputSources.INPUT_SOURCE.TOUCH, touchSticks.current);
   }, []); // No dependencies needed
 
   // Callback for Right Joystick movement
   const handleRightJoystickMove = useCallback(({ x, y }) => {
-    // Right Stick: X = Roll, Y = Pitch
-    // Invert Y axis: Up on stick = positive Y Tello value (forward)
-    rightStick.current = { x: x, y: -y };
+    // Raw position; which axes it drives depends on the stick mode
+    // Invert Y axis: Up on stick = positive Y
+    touchSticks.current = { ...touchSticks.current, right: { x: x, y: -y } };
+    inputSources.updateSticks(inputSources.INPUT_SOURCE.TOUCH, touchSticks.current);
   }, []); // No dependencies needed
 
+  // A stick held while the drone lands must not stay deflected for the next flight
+  useEffect(() => {
+    if (!areSticksEnabled && touchSticks.current !== inputSources.NEUTRAL_STICKS) {
+      touchSticks.current = inputSources.NEUTRAL_STICKS;
+      inputSources.updateSticks(inputSources.INPUT_SOURCE.TOUCH, touchSticks.current);
+    }
+  }, [areSticksEnabled]);
+
+  // Buttons bound on a keyboard or gamepad do what the on-screen ones do
+  const inputActionsRef = useRef({});
+  inputActionsRef.current = {
+    takeoff: handleTakeoff,
+    land: handleLand,
+    emergency: handleEmergency,
+    photo: handlePhotoCapture,
+    record: handleRecordingToggle,
+  };
+  useEffect(() => {
+    inputSources.setActionHandler((action) => inputActionsRef.current[action]?.());
+    return () => {
+      inputSources.setActionHandler(null);
+    };
+  }, []);
+
+
+  // Free space changes slowly; read it whenever the checklist comes up
+  useEffect(() => {
+    if (showPreflightChecklist) {
+      dispatch(refreshFreeStorage());
+    }
+  }, [dispatch, showPreflightChecklist]);
+
+  // Last error first, then telemetry alerts in the order they were raised
+  const messages = useMemo(() => [
+    ...(errorMessage ? [{ id: 'error', message: errorMessage, kind: 'error' }] : []),
+    ...bannerAlerts.map(alert => ({ id: alert.ruleId, message: alert.message, kind: 'alert' })),
+  ], [errorMessage, bannerAlerts]);
+
+  const handleDismissMessage = useCallback((id) => {
+    dispatch(id === 'error' ? setError(null) : dismissAlert(id));
+  }, [dispatch]);
 
   // --- Helper for Battery Color ---
   const getBatteryColor = () => {
     if (battery === null || battery === undefined) return '#9ca3af';
-    if (battery > 60) return 'rgba(52, 211, 153, 0.9)';
-    if (battery > 25) return 'rgba(251, 191, 36, 0.9)';
+    if (battery > batteryLevels.warningPercent) return 'rgba(52, 211, 153, 0.9)';
+    if (battery > batteryLevels.criticalPercent) return 'rgba(251, 191, 36, 0.9)';
     return 'rgba(248, 113, 113, 0.9)';
   };
 
@@ -217,27 +435,65 @@ const MainScreen = () => {
       <StatusBar hidden={true} />
 
       {/* Video player fills the background */}
-      <TelloVideoPlayer isStreaming={isConnected} videoUrl={videoUrl} />
+      {/* Keyed on restarts so the player reconnects to the new FFmpeg session */}
+      <TelloVideoPlayer key={videoRestartCount} isStreaming={isVideoLive} videoUrl={videoUrl} />
 
        {/* Error display (absolute, respects top safe area, centered) */}
        {/* Position it below the Connect button */}
-      <View style={[styles.errorContainer, { top: insets.top + safeAreaPadding.controlsTopMargin + 60, /* Adjust 60 based on button height */ left: insets.left + safeAreaPadding.side, right: insets.right + safeAreaPadding.side }]}>
-          <ErrorMessageDisplay message={errorMessage} />
+      <View style={[styles.errorContainer, { top: insets.top + safeAreaPadding.controlsTopMargin + 60, /* Adjust 60 based on button height */ left: insets.left + safeAreaPadding.side, right: insets.right + safeAreaPadding.side }]} pointerEvents="box-none">
+          <ErrorMessageDisplay messages={messages} onDismiss={handleDismissMessage} />
       </View>
 
+      {/* Border flash for alerts with the "flash" action */}
+      <AlertFlash isActive={isAlertFlashing} />
+
 
       {/* --- Absolutely Positioned Controls Overlay --- */}
       {/* Use pointerEvents to allow joystick touches to pass through empty space */}
       <View style={StyleSheet.absoluteFill} pointerEvents="box-none">
 
-          {/* Connect/Disconnect Button (Top Center) */}
-          <View style={[styles.controlButtonsContainer, { top: insets.top + safeAreaPadding.controlsTopMargin }]}>
-            <ControlButtons
-              isConnected={isConnected}
-              isConnecting={isConnecting}
-              onConnectPress={handleConnect}
-              onDisconnectPress={handleDisconnect}
+          {/* Connect/Disconnect Button (Top Center), replaced by the replay bar during a replay */}
+          {!isReplaying && (
+            <View style={[styles.controlButtonsContainer, { top: insets.top + safeAreaPadding.controlsTopMargin }]}>
+              <ControlButtons
+                isConnected={isConnected}
+                isConnecting={isConnecting}
+                onConnectPress={handleConnect}
+                onDisconnectPress={handleDisconnect}
+              />
+            </View>
+          )}
+
+          {/* Replay Transport (Bottom Center, between the joysticks) */}
+          {isReplaying && (
+            <View style={[styles.replayControlsContainer, { bottom: insets.bottom + safeAreaPadding.controlsTopMargin }]}>
+              <ReplayControls
+                logName={replay.logName}
+                positionMs={replay.positionMs}
+                durationMs={replay.durationMs}
+                isPlaying={replay.isPlaying}
+                speed={replay.speed}
+                onPlayPausePress={() => dispatch(toggleReplayPlayback())}
+                onSpeedPress={() => dispatch(cycleReplaySpeed())}
+                onSeek={(positionMs) => dispatch(seekReplay(positionMs))}
+                onExitPress={() => dispatch(stopReplay())}
+              />
+            </View>
+          )}
+
+          {/* Link Watchdog Status, Battery Failsafe and Geofence Warnings (Top Center, below Connect button) */}
+          <View style={[styles.linkStatusContainer, { top: insets.top + safeAreaPadding.controlsTopMargin + 40 }]} pointerEvents="box-none">
+            <LinkStatusBanner
+              status={linkStatus}
+              nextRetryAt={linkNextRetryAt}
+              attempts={reconnectAttempts}
             />
+            <BatteryFailsafeBanner
+              failsafe={batteryFailsafe}
+              battery={battery}
+              onOverride={() => dispatch(overrideBatteryAutoLand())}
+            />
+            <GeofenceWarning warnings={geofenceWarnings} />
           </View>
 
           {/* Flight Controls (Top Left) */}
@@ -248,10 +504,14 @@ const MainScreen = () => {
              pointerEvents="box-none" // Container itself doesn't block touches
           >
              <FlightControls // FlightControls buttons ARE touchable
-                isConnected={isConnected}
+                isConnected={isLive}
+                flightPhase={flightPhase}
                 onTakeoff={handleTakeoff}
                 onLand={handleLand}
                 onEmergency={handleEmergency}
+                onFlip={handleFlip}
+                flipRefusal={flipRefusal}
+                takeoffBlock={preflightBlock}
              />
           </View>
 
@@ -270,6 +530,46 @@ const MainScreen = () => {
               />
           </View>
 
+          {/* Drone Info and Mission Pad Panels (Top Left, below flight controls) */}
+          {(isConnected || isReplaying) && (
+            <View style={[styles.statusContainer, styles.infoPanelColumn, {
+                  top: insets.top + safeAreaPadding.controlsTopMargin + 70,
+                  left: insets.left + safeAreaPadding.side
+               }]}
+               pointerEvents="box-none"
+             >
+                {isConnected && <DroneInfoPanel droneInfo={droneInfo} />}
+                {showPreflightChecklist && (
+                  <PreflightChecklist checks={preflightChecks} onRecheck={() => dispatch(refreshFreeStorage())} />
+                )}
+                <MissionPadPanel
+                    pad={missionPad}
+                    direction={missionPadDirection}
+                    isEnabled={isLive}
+                    isAirborne={flightPhase === FLIGHT_PHASE.AIRBORNE}
+                    onDirectionChange={(direction) => dispatch(setMissionPadDetection(direction))}
+                    onLandOnPad={(padId) => dispatch(landOnMissionPad(padId))}
+                />
+            </View>
+          )}
+
+          {/* Command Busy Indicator (Top Left, below battery) */}
+          {isCommandBusy && (
+            <View style={[styles.statusContainer, {
+                  top: insets.top + safeAreaPadding.controlsTopMargin + 25 + safeAreaPadding.statusBoxHeightEstimate + safeAreaPadding.verticalGap,
+                  left: insets.left + safeAreaPadding.side + flightControlsWidth + safeAreaPadding.horizontalGap
+               }]}
+               pointerEvents="box-none"
+             >
+                <StatusBox
+                    icon={ <Path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"/> }
+                    value={`${inFlightCommand || 'queued'}${commandQueueDepth > 0 ? ` +${commandQueueDepth}` : ''}`}
+                    color="rgba(56, 189, 248, 0.9)"
+                    bgColor="rgba(0, 0, 0, 0.3)"
+                />
+            </View>
+          )}
+
           {/* Media Controls (Top Right) */}
           <View
              ref={mediaControlsRef}
@@ -278,10 +578,14 @@ const MainScreen = () => {
              pointerEvents="box-none"
            >
               <MediaControls // MediaControls buttons ARE touchable
-                  isEnabled={isConnected}
+                  isEnabled={isVideoLive}
                   isRecording={isRecording}
+                  recordingStartedAt={recordingStartedAt}
+                  recordingBytes={recordingBytes}
+                  isCapturing={isCapturingPhoto}
                   onCapturePress={handlePhotoCapture}
                   onRecordTogglePress={handleRecordingToggle}
+                  onGalleryPress={() => setIsGalleryVisible(true)}
               />
           </View>
 
@@ -315,10 +619,72 @@ const MainScreen = () => {
               />
           </View>
 
+          {/* Mission Progress (Bottom Center, between the joysticks) */}
+          <View style={[styles.missionPanelContainer, { bottom: insets.bottom + safeAreaPadding.controlsTopMargin }]} pointerEvents="box-none">
+            <MissionProgressPanel
+              name={mission.name}
+              status={mission.status}
+              executedSteps={mission.executedSteps}
+              totalSteps={mission.totalSteps}
+              currentStep={mission.currentStep}
+              result={mission.result}
+              onPausePress={() => dispatch(pauseMission())}
+              onResumePress={() => dispatch(resumeMission())}
+              onLandPress={() => dispatch(abortMission('land'))}
+              onHoverPress={() => dispatch(abortMission('hover'))}
+              onDismissPress={() => dispatch(missionDismissed())}
+            />
+          </View>
+
+          {/* Waypoint Editor, Mission, Flight Logs and Settings Buttons (Top Right, below Last Update) */}
+          <View style={[styles.statusContainer, styles.iconButtonRow, {
+                top: insets.top + safeAreaPadding.controlsTopMargin + mediaControlsHeight + (safeAreaPadding.statusBoxHeightEstimate * 2) + (safeAreaPadding.verticalGap * 3),
+                right: insets.right + safeAreaPadding.side
+            }]}
+            pointerEvents="box-none"
+          >
+              <Pressable
+                  onPress={() => setIsMissionEditorVisible(true)}
+                  style={({ pressed }) => [styles.iconButton, pressed && { opacity: 0.7 }]}
+              >
+                  <Svg width={16} height={16} viewBox="0 0 24 24" fill="none" stroke="#FFFFFF">
+                      <Path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z"/>
+                      <Path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z"/>
+                  </Svg>
+              </Pressable>
+              <Pressable
+                  onPress={() => setIsMissionVisible(true)}
+                  style={({ pressed }) => [styles.iconButton, pressed && { opacity: 0.7 }]}
+              >
+                  <Svg width={16} height={16} viewBox="0 0 24 24" fill="none" stroke="#FFFFFF">
+                      <Path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 20l-5.447-2.724A1 1 0 013 16.382V5.618a1 1 0 011.447-.894L9 7m0 13l6-3m-6 3V7m6 10l4.553 2.276A1 1 0 0021 18.382V7.618a1 1 0 00-.553-.894L15 4m0 13V4m0 0L9 7"/>
+                  </Svg>
+              </Pressable>
+              <Pressable
+                  onPress={() => setIsFlightLogsVisible(true)}
+                  style={({ pressed }) => [styles.iconButton, pressed && { opacity: 0.7 }]}
+              >
+                  <Svg width={16} height={16} viewBox="0 0 24 24" fill="none" stroke="#FFFFFF">
+                      <Path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"/>
+                  </Svg>
+              </Pressable>
+              <Pressable
+                  onPress={() => setIsSettingsVisible(true)}
+                  style={({ pressed }) => [styles.iconButton, pressed && { opacity: 0.7 }]}
+              >
+                  <Svg width={16} height={16} viewBox="0 0 24 24" fill="none" stroke="#FFFFFF">
+                      <Path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z"/>
+                      <Path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"/>
+                  </Svg>
+              </Pressable>
+          </View>
+
             {/* --- VIRTUAL JOYSTICK --- */}
             {/* Render conditionally */}
             {
                 <VirtualJoystick
+                    isEnabled={areSticksEnabled}
+                    yawStick={getYawStick(stickMode)}
                     onLeftJoystickMove={handleLeftJoystickMove}
                     onRightJoystickMove={handleRightJoystickMove}
                 />
@@ -326,6 +692,12 @@ const MainScreen = () => {
 
 
       </View>{/* End Controls Overlay */}
+
+      <SettingsScreen visible={isSettingsVisible} onClose={() => setIsSettingsVisible(false)} />
+      <GalleryScreen visible={isGalleryVisible} onClose={() => setIsGalleryVisible(false)} />
+      <FlightLogsScreen visible={isFlightLogsVisible} onClose={() => setIsFlightLogsVisible(false)} />
+      <MissionScreen visible={isMissionVisible} onClose={() => setIsMissionVisible(false)} />
+      <MissionEditorScreen visible={isMissionEditorVisible} onClose={() => setIsMissionEditorVisible(false)} />
     </View> // End fullScreenContainer
   );
 };
@@ -348,6 +720,26 @@ const styles = StyleSheet.create({
       zIndex: 50,
       // top applied inline
   },
+  replayControlsContainer: {
+      position: 'absolute',
+      alignSelf: 'center',
+      zIndex: 50,
+      // bottom applied inline
+  },
+  missionPanelContainer: {
+      position: 'absolute',
+      alignSelf: 'center',
+      zIndex: 50,
+      // bottom applied inline
+  },
+  linkStatusContainer: {
+      position: 'absolute',
+      alignSelf: 'center',
+      alignItems: 'center',
+      gap: 6,
+      zIndex: 60,
+      // top applied inline
+  },
   flightControlsContainer: {
       position: 'absolute',
       zIndex: 40,
@@ -363,6 +755,21 @@ const styles = StyleSheet.create({
     zIndex: 30,
     // top, left/right applied inline
   },
+  infoPanelColumn: {
+    alignItems: 'flex-start',
+    gap: 6,
+  },
+  iconButtonRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  iconButton: {
+    padding: 7,
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+  },
 });
 
 export default MainScreen;
\ No newline at end of file
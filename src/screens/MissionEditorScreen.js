@@ -0,0 +1,340 @@
+// src/screens/MissionEditorScreen.js
+import React, { useMemo, useState } from 'react';
+import { Modal, View, Text, TextInput, Switch, Pressable, ScrollView, Alert, StyleSheet } from 'react-native';
+import { useSelector, useDispatch } from 'react-redux';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+import WaypointCanvas from '../components/WaypointCanvas';
+import { compileWaypointMission } from '../services/waypointMission';
+import * as missionStorage from '../services/missionStorage';
+import { runMission, abortMission, selectIsMissionActive } from '../store/missionSlice';
+
+const COLOR_TEXT_LIGHT = '#FFFFFF';
+const COLOR_TEXT_MUTED = '#9ca3af'; // Gray 400
+const COLOR_ACCENT = '#0ea5e9'; // Sky 500
+const COLOR_DANGER = '#f87171'; // Red 400
+const COLOR_OK = '#34d399'; // Emerald 400
+
+const DEFAULT_SPEED = 50; // cm/s
+const COORDINATE_LIMIT = 2000; // cm; longer legs are split into several go commands
+
+const formatDuration = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const PillButton = ({ label, color = COLOR_TEXT_LIGHT, disabled, onPress }) => (
+  <Pressable
+    onPress={onPress}
+    disabled={disabled}
+    style={({ pressed }) => [styles.pillButton, { borderColor: color, opacity: disabled ? 0.4 : (pressed ? 0.7 : 1) }]}
+  >
+    <Text style={[styles.pillText, { color }]}>{label}</Text>
+  </Pressable>
+);
+
+// Label with -/+ buttons changing the value by `step`
+const Stepper = ({ label, unit, value, step, min, max, disabled, onChange }) => (
+  <View style={styles.stepperRow}>
+    <Text style={styles.label}>{label}</Text>
+    <View style={styles.stepperControls}>
+      <PillButton label="-" disabled={disabled || value <= min} onPress={() => onChange(clamp(value - step, min, max))} />
+      <Text style={styles.stepperValue}>{value} {unit}</Text>
+      <PillButton label="+" disabled={disabled || value >= max} onPress={() => onChange(clamp(value + step, min, max))} />
+    </View>
+  </View>
+);
+
+// Build a waypoint mission on a top-down map, save it and fly it
+const MissionEditorScreen = ({ visible, onClose }) => {
+  const dispatch = useDispatch();
+  const insets = useSafeAreaInsets();
+  const mission = useSelector((state) => state.mission);
+  const isMissionActive = useSelector(selectIsMissionActive);
+  const isConnected = useSelector((state) => state.tello.isConnected);
+  const isReplaying = useSelector((state) => state.replay.isActive);
+
+  const [name, setName] = useState('Mission 1');
+  const [waypoints, setWaypoints] = useState([]);
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const [savedMissions, setSavedMissions] = useState(null); // Shown instead of the editor while picking one to load
+
+  const compiled = useMemo(() => compileWaypointMission(name, waypoints), [name, waypoints]);
+  const isFlyingThis = isMissionActive && mission.name === name;
+  const activeIndex = isFlyingThis ? compiled.lineWaypoints[mission.currentLine] ?? null : null;
+  const isLocked = isFlyingThis; // No editing the mission being flown
+  const canRun = waypoints.length > 0 && compiled.errors.length === 0 && isConnected && !isReplaying && !isMissionActive;
+  const selected = selectedIndex !== null ? waypoints[selectedIndex] : null;
+
+  const handleAddWaypoint = ({ x, y }) => {
+    if (isLocked) {
+      return;
+    }
+    const last = waypoints[waypoints.length - 1];
+    const waypoint = {
+      x: clamp(x, -COORDINATE_LIMIT, COORDINATE_LIMIT),
+      y: clamp(y, -COORDINATE_LIMIT, COORDINATE_LIMIT),
+      z: last?.z ?? 0,
+      speed: last?.speed ?? DEFAULT_SPEED,
+      via: false,
+    };
+    setWaypoints([...waypoints, waypoint]);
+    setSelectedIndex(waypoints.length);
+  };
+
+  const updateSelected = (changes) => {
+    setWaypoints(waypoints.map((waypoint, index) => (index === selectedIndex ? { ...waypoint, ...changes } : waypoint)));
+  };
+
+  const handleDeleteSelected = () => {
+    setWaypoints(waypoints.filter((_, index) => index !== selectedIndex));
+    setSelectedIndex(null);
+  };
+
+  const handleRun = () => {
+    dispatch(runMission({ name, script: compiled.script, lineLabels: compiled.lineLabels }));
+  };
+
+  const handleSave = async () => {
+    try {
+      const path = await missionStorage.saveMission({ name, waypoints });
+      Alert.alert('Mission saved', path);
+    } catch (e) {
+      Alert.alert('Save failed', e.message);
+    }
+  };
+
+  const handleShowSaved = async () => {
+    try {
+      setSavedMissions(await missionStorage.listMissions());
+    } catch (e) {
+      Alert.alert('Could not list missions', e.message);
+    }
+  };
+
+  const handleLoad = async (entry) => {
+    try {
+      const loaded = await missionStorage.loadMission(entry.path);
+      setName(loaded.name);
+      setWaypoints(loaded.waypoints);
+      setSelectedIndex(null);
+      setSavedMissions(null);
+    } catch (e) {
+      Alert.alert('Could not load mission', e.message);
+    }
+  };
+
+  const renderSavedList = () => (
+    <>
+      <Text style={styles.sectionTitle}>Saved missions</Text>
+      {savedMissions.length === 0 ? <Text style={styles.muted}>Nothing saved yet.</Text> : null}
+      {savedMissions.map(entry => (
+        <Pressable key={entry.path} onPress={() => handleLoad(entry)} style={({ pressed }) => [styles.listRow, pressed && styles.pressed]}>
+          <Text style={styles.label}>{entry.name}</Text>
+          <Text style={styles.muted}>{entry.modifiedAt ? new Date(entry.modifiedAt).toLocaleString() : ''}</Text>
+        </Pressable>
+      ))}
+      <PillButton label="Cancel" onPress={() => setSavedMissions(null)} />
+    </>
+  );
+
+  const renderEditor = () => (
+    <>
+      <TextInput
+        style={styles.nameInput}
+        value={name}
+        onChangeText={setName}
+        editable={!isLocked}
+        placeholder="Mission name"
+        placeholderTextColor={COLOR_TEXT_MUTED}
+      />
+
+      {selected ? (
+        <>
+          <Text style={styles.sectionTitle}>Waypoint {selectedIndex + 1}</Text>
+          <Stepper label="Forward (x)" unit="cm" value={selected.x} step={10} min={-COORDINATE_LIMIT} max={COORDINATE_LIMIT} disabled={isLocked} onChange={(x) => updateSelected({ x })} />
+          <Stepper label="Left (y)" unit="cm" value={selected.y} step={10} min={-COORDINATE_LIMIT} max={COORDINATE_LIMIT} disabled={isLocked} onChange={(y) => updateSelected({ y })} />
+          <Stepper label="Up (z)" unit="cm" value={selected.z} step={10} min={-COORDINATE_LIMIT} max={COORDINATE_LIMIT} disabled={isLocked} onChange={(z) => updateSelected({ z })} />
+          <Stepper label="Speed" unit="cm/s" value={selected.speed} step={5} min={10} max={100} disabled={isLocked} onChange={(speed) => updateSelected({ speed })} />
+          <View style={styles.stepperRow}>
+            <Text style={styles.label}>Curve through (via)</Text>
+            <Switch value={selected.via} disabled={isLocked} onValueChange={(via) => updateSelected({ via })} trackColor={{ true: COLOR_ACCENT }} />
+          </View>
+          <View style={styles.buttonRow}>
+            <PillButton label="Delete" color={COLOR_DANGER} disabled={isLocked} onPress={handleDeleteSelected} />
+            <PillButton label="Done" onPress={() => setSelectedIndex(null)} />
+          </View>
+        </>
+      ) : (
+        <Text style={styles.muted}>
+          Tap the map to add a waypoint, tap a waypoint to edit it. Heights are relative to the hover height after takeoff.
+        </Text>
+      )}
+
+      <Text style={styles.sectionTitle}>Estimate</Text>
+      <Text style={styles.muted}>
+        {waypoints.length} waypoints · {(compiled.estimate.distanceCm / 100).toFixed(1)} m · {formatDuration(compiled.estimate.durationS)} · ~{compiled.estimate.batteryPercent}% battery
+      </Text>
+      {compiled.errors.map(error => (
+        <Text key={`${error.index}-${error.message}`} style={styles.error}>Waypoint {error.index + 1}: {error.message}</Text>
+      ))}
+      {isFlyingThis ? <Text style={styles.ok}>{mission.currentStep || 'Starting...'}</Text> : null}
+      {!isConnected && waypoints.length > 0 ? <Text style={styles.muted}>Connect to the drone to fly this mission.</Text> : null}
+
+      <View style={styles.buttonRow}>
+        {isFlyingThis ? (
+          <PillButton label="Abort (land)" color={COLOR_DANGER} onPress={() => dispatch(abortMission('land'))} />
+        ) : (
+          <PillButton label="Run" color={COLOR_OK} disabled={!canRun} onPress={handleRun} />
+        )}
+        <PillButton label="Save" color={COLOR_ACCENT} disabled={waypoints.length === 0 || !name.trim()} onPress={handleSave} />
+        <PillButton label="Load" color={COLOR_ACCENT} disabled={isLocked} onPress={handleShowSaved} />
+        <PillButton label="Clear" disabled={isLocked || waypoints.length === 0} onPress={() => { setWaypoints([]); setSelectedIndex(null); }} />
+      </View>
+    </>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" supportedOrientations={['landscape']} onRequestClose={onClose}>
+      <View style={[styles.container, { paddingTop: insets.top + 10, paddingLeft: insets.left + 20, paddingRight: insets.right + 20, paddingBottom: insets.bottom + 10 }]}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Waypoint mission</Text>
+          <Pressable onPress={onClose} style={({ pressed }) => [styles.closeButton, pressed && styles.pressed]}>
+            <Text style={styles.closeText}>Done</Text>
+          </Pressable>
+        </View>
+
+        <View style={styles.body}>
+          <WaypointCanvas
+            waypoints={waypoints}
+            selectedIndex={selectedIndex}
+            activeIndex={activeIndex}
+            errorIndexes={compiled.errors.map(error => error.index)}
+            onAddWaypoint={handleAddWaypoint}
+            onSelectWaypoint={setSelectedIndex}
+          />
+          <ScrollView style={styles.sidebar} contentContainerStyle={styles.sidebarContent}>
+            {savedMissions ? renderSavedList() : renderEditor()}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#111827', // Gray 900
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 18,
+    fontWeight: '700',
+  },
+  closeButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 9999,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  closeText: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  pressed: {
+    opacity: 0.7,
+  },
+  body: {
+    flex: 1,
+    flexDirection: 'row',
+    gap: 16,
+  },
+  sidebar: {
+    width: 280,
+    flexGrow: 0,
+  },
+  sidebarContent: {
+    gap: 6,
+  },
+  nameInput: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 6,
+    backgroundColor: '#1f2937', // Gray 800
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 13,
+  },
+  sectionTitle: {
+    color: COLOR_ACCENT,
+    fontSize: 12,
+    fontWeight: '700',
+    textTransform: 'uppercase',
+    marginTop: 8,
+  },
+  label: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 12,
+    fontWeight: '500',
+  },
+  muted: {
+    color: COLOR_TEXT_MUTED,
+    fontSize: 11,
+  },
+  error: {
+    color: COLOR_DANGER,
+    fontSize: 11,
+  },
+  ok: {
+    color: COLOR_OK,
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  stepperRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  stepperControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  stepperValue: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 12,
+    minWidth: 64,
+    textAlign: 'center',
+    fontVariant: ['tabular-nums'],
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 6,
+  },
+  pillButton: {
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+    borderRadius: 9999,
+    borderWidth: 1,
+  },
+  pillText: {
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  listRow: {
+    paddingVertical: 6,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: 'rgba(255, 255, 255, 0.15)',
+  },
+});
+
+export default MissionEditorScreen;
@@ -0,0 +1,189 @@
+// src/screens/MissionScreen.js
+import React, { useMemo } from 'react';
+import { Modal, View, Text, TextInput, Pressable, ScrollView, StyleSheet, Platform } from 'react-native';
+import { useSelector, useDispatch } from 'react-redux';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+import { parseMissionScript, countSteps } from '../services/missionScript';
+import { runMission, setDraftScript, selectIsMissionActive } from '../store/missionSlice';
+
+const COLOR_TEXT_LIGHT = '#FFFFFF';
+const COLOR_TEXT_MUTED = '#9ca3af'; // Gray 400
+const COLOR_ACCENT = '#0ea5e9'; // Sky 500
+const COLOR_DANGER = '#f87171'; // Red 400
+const COLOR_OK = '#34d399'; // Emerald 400
+
+const MONOSPACE = Platform.OS === 'ios' ? 'Menlo' : 'monospace';
+
+const SYNTAX_HELP = [
+  'One SDK command per line: takeoff, up 50, forward 100, cw 90, go 100 0 50 60, land ...',
+  'wait 2 · repeat 3 ... end · # comment',
+  'if battery < 30 then land (checked once) · when height > 250 then land (checked until the end)',
+  'Conditions use telemetry: battery, height, tof, temp, flighttime, yaw, pitch, roll, ...',
+  'Mission pads (EDU / RMTT): mon, mdirection 0, go 0 0 80 30 m1, jump 100 0 80 30 0 m1 m2, moff',
+];
+
+// Edit, validate and start a scripted mission
+const MissionScreen = ({ visible, onClose }) => {
+  const dispatch = useDispatch();
+  const insets = useSafeAreaInsets();
+  const draftScript = useSelector((state) => state.mission.draftScript);
+  const isMissionActive = useSelector(selectIsMissionActive);
+  const isConnected = useSelector((state) => state.tello.isConnected);
+  const isReplaying = useSelector((state) => state.replay.isActive);
+
+  // Validate on every edit so problems show up while typing
+  const { steps, errors } = useMemo(() => parseMissionScript(draftScript), [draftScript]);
+  const canRun = errors.length === 0 && steps.length > 0 && isConnected && !isReplaying && !isMissionActive;
+
+  const handleRun = () => {
+    dispatch(runMission({ name: 'Script', script: draftScript }));
+    onClose();
+  };
+
+  let runHint = null;
+  if (!isConnected || isReplaying) {
+    runHint = 'Connect to the drone to run a mission.';
+  } else if (isMissionActive) {
+    runHint = 'A mission is already running.';
+  }
+
+  return (
+    <Modal visible={visible} animationType="slide" supportedOrientations={['landscape']} onRequestClose={onClose}>
+      <View style={[styles.container, { paddingTop: insets.top + 10, paddingLeft: insets.left + 20, paddingRight: insets.right + 20, paddingBottom: insets.bottom + 10 }]}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Mission script</Text>
+          <View style={styles.headerButtons}>
+            <Pressable
+              onPress={handleRun}
+              disabled={!canRun}
+              style={({ pressed }) => [styles.runButton, { opacity: canRun ? (pressed ? 0.7 : 1) : 0.4 }]}
+            >
+              <Text style={styles.runText}>Run</Text>
+            </Pressable>
+            <Pressable onPress={onClose} style={({ pressed }) => [styles.closeButton, pressed && styles.pressed]}>
+              <Text style={styles.closeText}>Done</Text>
+            </Pressable>
+          </View>
+        </View>
+
+        <View style={styles.body}>
+          <TextInput
+            style={styles.editor}
+            value={draftScript}
+            onChangeText={(text) => dispatch(setDraftScript(text))}
+            multiline
+            autoCapitalize="none"
+            autoCorrect={false}
+            spellCheck={false}
+            textAlignVertical="top"
+          />
+          <ScrollView style={styles.sidebar} contentContainerStyle={styles.sidebarContent}>
+            {errors.length > 0 ? (
+              errors.map(error => (
+                <Text key={`${error.line}-${error.message}`} style={styles.error}>
+                  Line {error.line}: {error.message}
+                </Text>
+              ))
+            ) : (
+              <Text style={styles.ok}>Script OK · {countSteps(steps)} steps</Text>
+            )}
+            {runHint ? <Text style={styles.muted}>{runHint}</Text> : null}
+            <Text style={styles.sectionTitle}>Syntax</Text>
+            {SYNTAX_HELP.map(line => <Text key={line} style={styles.muted}>{line}</Text>)}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#111827', // Gray 900
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  headerButtons: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  title: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 18,
+    fontWeight: '700',
+  },
+  closeButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 9999,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  closeText: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  runButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 9999,
+    backgroundColor: COLOR_ACCENT,
+  },
+  runText: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  pressed: {
+    opacity: 0.7,
+  },
+  body: {
+    flex: 1,
+    flexDirection: 'row',
+    gap: 16,
+  },
+  editor: {
+    flex: 3,
+    padding: 10,
+    borderRadius: 6,
+    backgroundColor: '#1f2937', // Gray 800
+    color: COLOR_TEXT_LIGHT,
+    fontFamily: MONOSPACE,
+    fontSize: 13,
+  },
+  sidebar: {
+    flex: 2,
+  },
+  sidebarContent: {
+    gap: 6,
+  },
+  sectionTitle: {
+    color: COLOR_ACCENT,
+    fontSize: 12,
+    fontWeight: '700',
+    textTransform: 'uppercase',
+    marginTop: 8,
+  },
+  error: {
+    color: COLOR_DANGER,
+    fontSize: 12,
+  },
+  ok: {
+    color: COLOR_OK,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  muted: {
+    color: COLOR_TEXT_MUTED,
+    fontSize: 11,
+  },
+});
+
+export default MissionScreen;
@@ -0,0 +1,469 @@
+// src/screens/SettingsScreen.js
+import React, { useEffect, useState } from 'react';
+import { Modal, View, Text, TextInput, Switch, Pressable, ScrollView, StyleSheet } from 'react-native';
+import { useSelector, useDispatch } from 'react-redux';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+import StickCurvePreview from '../components/StickCurvePreview';
+import InputBindingsEditor from '../components/InputBindingsEditor';
+import AlertRulesEditor from '../components/AlertRulesEditor';
+import {
+  setKeepaliveEnabled,
+  setFlightRecorderEnabled,
+  setPreflightCheckEnabled,
+  setStickMode,
+  setAxisShaping,
+  resetAxisShaping,
+  setKeyboardInputEnabled,
+  setGamepadInputEnabled,
+  setInputPriority,
+  setInputBinding,
+  resetInputBindings,
+  setGeofence,
+  setBatteryFailsafe,
+  addAlertRule,
+  updateAlertRule,
+  removeAlertRule,
+  resetAlertRules,
+  setCrashResponse,
+  setDroneTarget,
+  resetDroneTarget,
+  isValidHost,
+  isValidPort,
+} from '../store/settingsSlice';
+import { AXES, STICK_MODES, describeStickMode } from '../services/inputShaping';
+import { CRASH_RESPONSE, CRASH_EVENT_LABELS } from '../services/crashDetection';
+
+const COLOR_TEXT_LIGHT = '#FFFFFF';
+const COLOR_TEXT_MUTED = '#9ca3af'; // Gray 400
+const COLOR_ACCENT = '#0ea5e9'; // Sky 500
+
+// One labelled on/off row
+const SettingSwitch = ({ label, description, value, onValueChange }) => (
+  <View style={styles.row}>
+    <View style={styles.rowText}>
+      <Text style={styles.label}>{label}</Text>
+      {description ? <Text style={styles.description}>{description}</Text> : null}
+    </View>
+    <Switch value={value} onValueChange={onValueChange} trackColor={{ true: COLOR_ACCENT }} />
+  </View>
+);
+
+const Chip = ({ label, isSelected, onPress }) => (
+  <Pressable onPress={onPress} style={({ pressed }) => [styles.chip, isSelected && styles.chipSelected, pressed && styles.pressed]}>
+    <Text style={styles.chipText}>{label}</Text>
+  </Pressable>
+);
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+const formatCm = (value) => `${value} cm`;
+const formatLevel = (value) => `${value}%`;
+
+const CRASH_RESPONSE_LABELS = {
+  [CRASH_RESPONSE.EMERGENCY]: 'Stop motors',
+  [CRASH_RESPONSE.LAND]: 'Land',
+  [CRASH_RESPONSE.LOG]: 'Log only',
+};
+
+// Numeric setting changed in `step` increments with -/+, shown with `format`
+const ValueStepper = ({ label, value, step, min, max, format, onChange }) => {
+  const change = (delta) => onChange(Math.round(Math.max(min, Math.min(max, value + delta)) * 100) / 100);
+  return (
+    <View style={styles.stepperRow}>
+      <Text style={styles.label}>{label}</Text>
+      <View style={styles.stepperControls}>
+        <Chip label="-" onPress={() => change(-step)} />
+        <Text style={styles.stepperValue}>{format(value)}</Text>
+        <Chip label="+" onPress={() => change(step)} />
+      </View>
+    </View>
+  );
+};
+
+// Text setting committed when editing ends; invalid input reverts to `value`
+const TextSetting = ({ label, value, isValid, keyboardType, onSubmit }) => {
+  const [draft, setDraft] = useState(String(value));
+  useEffect(() => {
+    setDraft(String(value));
+  }, [value]);
+  const submit = () => {
+    if (isValid(draft)) {
+      onSubmit(draft.trim());
+    } else {
+      setDraft(String(value));
+    }
+  };
+  return (
+    <View style={styles.stepperRow}>
+      <Text style={styles.label}>{label}</Text>
+      <TextInput
+        style={styles.textInput}
+        value={draft}
+        onChangeText={setDraft}
+        onEndEditing={submit}
+        keyboardType={keyboardType}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+    </View>
+  );
+};
+
+// Full-screen settings, presented as a modal over MainScreen
+const SettingsScreen = ({ visible, onClose }) => {
+  const dispatch = useDispatch();
+  const insets = useSafeAreaInsets();
+  const {
+    keepaliveEnabled,
+    flightRecorderEnabled,
+    preflightCheckEnabled,
+    stickMode,
+    axisShaping,
+    keyboardInputEnabled,
+    gamepadInputEnabled,
+    inputPriority,
+    inputBindings,
+    geofence,
+    batteryFailsafe,
+    alertRules,
+    crashResponse,
+    droneTarget,
+  } = useSelector((state) => state.settings);
+  const [selectedAxis, setSelectedAxis] = useState('yaw');
+  const [bindingSource, setBindingSource] = useState('gamepad');
+  const shaping = axisShaping[selectedAxis];
+  const updateShaping = (changes) => dispatch(setAxisShaping({ axis: selectedAxis, changes }));
+
+  const raisePriority = (index) => {
+    const order = [...inputPriority];
+    [order[index - 1], order[index]] = [order[index], order[index - 1]];
+    dispatch(setInputPriority(order));
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" supportedOrientations={['landscape']} onRequestClose={onClose}>
+      <View style={[styles.container, { paddingTop: insets.top + 10, paddingLeft: insets.left + 20, paddingRight: insets.right + 20 }]}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Settings</Text>
+          <Pressable onPress={onClose} style={({ pressed }) => [styles.closeButton, pressed && styles.pressed]}>
+            <Text style={styles.closeText}>Done</Text>
+          </Pressable>
+        </View>
+
+        <ScrollView contentContainerStyle={[styles.content, { paddingBottom: insets.bottom + 20 }]}>
+          <Text style={styles.sectionTitle}>Flight</Text>
+          <SettingSwitch
+            label="Hover keepalive"
+            description="Send a neutral stick packet when idle so the drone does not auto-land after 15 s."
+            value={keepaliveEnabled}
+            onValueChange={(value) => dispatch(setKeepaliveEnabled(value))}
+          />
+          <SettingSwitch
+            label="Pre-flight check"
+            description="Enable takeoff only once link, battery, temperature, level IMU, video and free storage all check out."
+            value={preflightCheckEnabled}
+            onValueChange={(value) => dispatch(setPreflightCheckEnabled(value))}
+          />
+          <View style={styles.row}>
+            <View style={styles.rowText}>
+              <Text style={styles.label}>Low battery</Text>
+              <Text style={styles.description}>Warn at the first level; at the critical level alert and land automatically unless overridden. Takeoff is refused below the minimum.</Text>
+            </View>
+          </View>
+          <View style={styles.limitSteppers}>
+            <ValueStepper label="Warning" value={batteryFailsafe.warningPercent} step={5} min={batteryFailsafe.criticalPercent + 5} max={60} format={formatLevel} onChange={(warningPercent) => dispatch(setBatteryFailsafe({ warningPercent }))} />
+            <ValueStepper label="Critical (auto-land)" value={batteryFailsafe.criticalPercent} step={1} min={5} max={batteryFailsafe.warningPercent - 5} format={formatLevel} onChange={(criticalPercent) => dispatch(setBatteryFailsafe({ criticalPercent }))} />
+            <ValueStepper label="Minimum for takeoff" value={batteryFailsafe.minTakeoffPercent} step={5} min={10} max={60} format={formatLevel} onChange={(minTakeoffPercent) => dispatch(setBatteryFailsafe({ minTakeoffPercent }))} />
+          </View>
+          <View style={styles.row}>
+            <View style={styles.rowText}>
+              <Text style={styles.label}>Crash response</Text>
+              <Text style={styles.description}>What to do when the drone hits something, tumbles or ends up upside down. The readings around it are saved to the flight log either way.</Text>
+            </View>
+          </View>
+          {Object.keys(crashResponse).map(event => (
+            <View key={event} style={styles.stepperRow}>
+              <Text style={styles.label}>{CRASH_EVENT_LABELS[event]}</Text>
+              <View style={styles.chipRow}>
+                {Object.values(CRASH_RESPONSE).map(response => (
+                  <Chip
+                    key={response}
+                    label={CRASH_RESPONSE_LABELS[response]}
+                    isSelected={crashResponse[event] === response}
+                    onPress={() => dispatch(setCrashResponse({ event, response }))}
+                  />
+                ))}
+              </View>
+            </View>
+          ))}
+          <SettingSwitch
+            label="Geofence"
+            description="Stop sticks and movement commands from taking the drone above, below or farther from takeoff than the limits below. Distance is estimated from velocity and drifts over long flights."
+            value={geofence.enabled}
+            onValueChange={(enabled) => dispatch(setGeofence({ enabled }))}
+          />
+          {geofence.enabled ? (
+            <View style={styles.limitSteppers}>
+              <ValueStepper label="Max height" value={geofence.maxHeightCm} step={25} min={geofence.minHeightCm + 50} max={1000} format={formatCm} onChange={(maxHeightCm) => dispatch(setGeofence({ maxHeightCm }))} />
+              <ValueStepper label="Min height" value={geofence.minHeightCm} step={10} min={0} max={Math.min(200, geofence.maxHeightCm - 50)} format={formatCm} onChange={(minHeightCm) => dispatch(setGeofence({ minHeightCm }))} />
+              <ValueStepper label="Max distance" value={geofence.maxDistanceCm} step={50} min={100} max={5000} format={formatCm} onChange={(maxDistanceCm) => dispatch(setGeofence({ maxDistanceCm }))} />
+            </View>
+          ) : null}
+
+          <Text style={styles.sectionTitle}>Sticks</Text>
+          <View style={styles.row}>
+            <View style={styles.rowText}>
+              <Text style={styles.label}>Stick mode</Text>
+              <Text style={styles.description}>{describeStickMode(stickMode)}</Text>
+            </View>
+            <View style={styles.chipRow}>
+              {Object.keys(STICK_MODES).map(mode => (
+                <Chip key={mode} label={`Mode ${mode}`} isSelected={stickMode === Number(mode)} onPress={() => dispatch(setStickMode(Number(mode)))} />
+              ))}
+            </View>
+          </View>
+          <View style={styles.chipRow}>
+            {AXES.map(axis => (
+              <Chip key={axis} label={axis} isSelected={selectedAxis === axis} onPress={() => setSelectedAxis(axis)} />
+            ))}
+          </View>
+          <View style={styles.shapingRow}>
+            <View style={styles.shapingControls}>
+              <View style={styles.stepperRow}>
+                <Text style={styles.label}>Invert</Text>
+                <Switch value={shaping.invert} onValueChange={(invert) => updateShaping({ invert })} trackColor={{ true: COLOR_ACCENT }} />
+              </View>
+              <ValueStepper label="Deadzone" value={shaping.deadzone} step={0.01} min={0} max={0.3} format={formatPercent} onChange={(deadzone) => updateShaping({ deadzone })} />
+              <ValueStepper label="Expo" value={shaping.expo} step={0.05} min={0} max={1} format={formatPercent} onChange={(expo) => updateShaping({ expo })} />
+              <ValueStepper label="Max rate" value={shaping.rate} step={0.05} min={0.1} max={1} format={formatPercent} onChange={(rate) => updateShaping({ rate })} />
+              <Chip label={`Reset ${selectedAxis}`} onPress={() => dispatch(resetAxisShaping(selectedAxis))} />
+            </View>
+            <StickCurvePreview shaping={shaping} />
+          </View>
+
+          <Text style={styles.sectionTitle}>Controllers</Text>
+          <SettingSwitch
+            label="Hardware keyboard"
+            description="Fly with keys held down and trigger actions with bound keys (Android)."
+            value={keyboardInputEnabled}
+            onValueChange={(value) => dispatch(setKeyboardInputEnabled(value))}
+          />
+          <SettingSwitch
+            label="Gamepad"
+            description="Fly with a Bluetooth or USB game controller's sticks and buttons (Android)."
+            value={gamepadInputEnabled}
+            onValueChange={(value) => dispatch(setGamepadInputEnabled(value))}
+          />
+          <View style={styles.row}>
+            <View style={styles.rowText}>
+              <Text style={styles.label}>Priority</Text>
+              <Text style={styles.description}>When several are moved at once, the first one flies. Tap to move it up.</Text>
+            </View>
+            <View style={styles.chipRow}>
+              {inputPriority.map((source, index) => (
+                <Chip
+                  key={source}
+                  label={`${index + 1}. ${source}`}
+                  isSelected={index === 0}
+                  onPress={() => index > 0 && raisePriority(index)}
+                />
+              ))}
+            </View>
+          </View>
+          <View style={styles.chipRow}>
+            {Object.keys(inputBindings).map(source => (
+              <Chip key={source} label={`${source} bindings`} isSelected={bindingSource === source} onPress={() => setBindingSource(source)} />
+            ))}
+          </View>
+          <InputBindingsEditor
+            source={bindingSource}
+            bindings={inputBindings[bindingSource]}
+            onChange={(binding, value) => dispatch(setInputBinding({ source: bindingSource, binding, value }))}
+            onReset={() => dispatch(resetInputBindings(bindingSource))}
+          />
+
+          <Text style={styles.sectionTitle}>Alerts</Text>
+          <Text style={styles.description}>Shown on the main screen while active; an alert clears once the value is back past its threshold by the hysteresis.</Text>
+          <AlertRulesEditor
+            rules={alertRules}
+            onAdd={(rule) => dispatch(addAlertRule(rule))}
+            onChange={(id, changes) => dispatch(updateAlertRule({ id, changes }))}
+            onRemove={(id) => dispatch(removeAlertRule(id))}
+            onReset={() => dispatch(resetAlertRules())}
+          />
+
+          <Text style={styles.sectionTitle}>Connection</Text>
+          <View style={styles.row}>
+            <View style={styles.rowText}>
+              <Text style={styles.label}>Drone address</Text>
+              <Text style={styles.description}>Where commands go and the port video arrives on. Point it at a machine running the simulator to fly without a drone; applies on the next connect.</Text>
+            </View>
+            <Chip label="Reset" onPress={() => dispatch(resetDroneTarget())} />
+          </View>
+          <View style={styles.limitSteppers}>
+            <TextSetting
+              label="Host"
+              value={droneTarget.host}
+              isValid={isValidHost}
+              keyboardType="url"
+              onSubmit={(host) => dispatch(setDroneTarget({ host }))}
+            />
+            <TextSetting
+              label="Command port"
+              value={droneTarget.commandPort}
+              isValid={isValidPort}
+              keyboardType="number-pad"
+              onSubmit={(port) => dispatch(setDroneTarget({ commandPort: Number(port) }))}
+            />
+            <TextSetting
+              label="Video port"
+              value={droneTarget.videoPort}
+              isValid={isValidPort}
+              keyboardType="number-pad"
+              onSubmit={(port) => dispatch(setDroneTarget({ videoPort: Number(port) }))}
+            />
+          </View>
+
+          <Text style={styles.sectionTitle}>Logging</Text>
+          <SettingSwitch
+            label="Flight recorder"
+            description="Log telemetry, commands, stick input and errors of every flight to the FlightLogs folder."
+            value={flightRecorderEnabled}
+            onValueChange={(value) => dispatch(setFlightRecorderEnabled(value))}
+          />
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#111827', // Gray 900
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 18,
+    fontWeight: '700',
+  },
+  closeButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 9999,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  closeText: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  pressed: {
+    opacity: 0.7,
+  },
+  content: {
+    gap: 8,
+  },
+  sectionTitle: {
+    color: COLOR_ACCENT,
+    fontSize: 12,
+    fontWeight: '700',
+    textTransform: 'uppercase',
+    marginTop: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 16,
+    paddingVertical: 8,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  rowText: {
+    flex: 1,
+  },
+  label: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  description: {
+    color: COLOR_TEXT_MUTED,
+    fontSize: 11,
+    marginTop: 2,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chip: {
+    alignSelf: 'flex-start',
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 9999,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  chipSelected: {
+    backgroundColor: 'rgba(14, 165, 233, 0.6)', // Sky 500
+  },
+  chipText: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 12,
+    fontWeight: '600',
+    textTransform: 'capitalize',
+  },
+  shapingRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 20,
+    paddingVertical: 8,
+  },
+  shapingControls: {
+    flex: 1,
+    gap: 6,
+  },
+  limitSteppers: {
+    gap: 6,
+    paddingBottom: 10,
+  },
+  stepperRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  stepperControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  textInput: {
+    minWidth: 140,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 13,
+    textAlign: 'right',
+  },
+  stepperValue: {
+    color: COLOR_TEXT_LIGHT,
+    fontSize: 13,
+    minWidth: 44,
+    textAlign: 'center',
+    fontVariant: ['tabular-nums'],
+  },
+});
+
+export default SettingsScreen;
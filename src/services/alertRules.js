@@ -0,0 +1,137 @@
+// src/services/alertRules.js
+// User-defined telemetry alerts. A rule watches one metric, becomes active
+// when it crosses `threshold` in the rule's direction and clears only once
+// the metric is back by `hysteresis`, so a reading hovering at the threshold
+// does not make the alert flicker. Rules are plain objects so they can be
+// kept in the (persisted) settings:
+//
+//   { id, name, metric: 'temph', comparison: 'above', threshold: 85,
+//     hysteresis: 5, actions: ['banner', 'log'], enabled: true }
+
+// Values a rule can watch; `read` gets { telemetry, wifiSnr, telemetryAgeMs }
+// and returns null when the value is not known. `step` is the editor's increment.
+export const ALERT_METRICS = {
+  temph: {
+    label: 'Temperature (high)',
+    unit: '°C',
+    step: 1,
+    read: ({ telemetry }) => telemetry?.temph ?? null,
+  },
+  templ: {
+    label: 'Temperature (low)',
+    unit: '°C',
+    step: 1,
+    read: ({ telemetry }) => telemetry?.templ ?? null,
+  },
+  height: {
+    label: 'Height',
+    unit: 'cm',
+    step: 10,
+    read: ({ telemetry }) => telemetry?.h ?? null,
+  },
+  tilt: {
+    label: 'Tilt',
+    unit: '°',
+    step: 5,
+    read: ({ telemetry }) => {
+      if (telemetry?.pitch == null || telemetry?.roll == null) {
+        return null;
+      }
+      return Math.max(Math.abs(telemetry.pitch), Math.abs(telemetry.roll));
+    },
+  },
+  wifiSnr: {
+    label: 'Wi-Fi SNR',
+    unit: 'dB',
+    step: 1,
+    read: ({ wifiSnr }) => wifiSnr ?? null,
+  },
+  telemetryAge: {
+    label: 'Telemetry age',
+    unit: 's',
+    step: 0.5,
+    read: ({ telemetryAgeMs }) => (telemetryAgeMs === null ? null : telemetryAgeMs / 1000),
+  },
+};
+
+export const ALERT_COMPARISONS = ['above', 'below'];
+
+export const ALERT_ACTION = {
+  BANNER: 'banner', // Listed in the alert queue on the main screen
+  FLASH: 'flash', // Flash the screen border
+  LOG: 'log', // Mark the flight log
+  LAND: 'land', // Send `land`
+  STOP: 'stop', // Send `stop` (hover in place)
+};
+
+export const DEFAULT_ALERT_RULES = [
+  { id: 'hot', name: 'Overheating', metric: 'temph', comparison: 'above', threshold: 85, hysteresis: 5, actions: ['banner', 'log'], enabled: true },
+  { id: 'tilt', name: 'Excessive tilt', metric: 'tilt', comparison: 'above', threshold: 45, hysteresis: 10, actions: ['banner', 'flash', 'log'], enabled: true },
+  { id: 'weak-wifi', name: 'Weak Wi-Fi', metric: 'wifiSnr', comparison: 'below', threshold: 20, hysteresis: 5, actions: ['banner'], enabled: true },
+  { id: 'stale', name: 'Telemetry stale', metric: 'telemetryAge', comparison: 'above', threshold: 2, hysteresis: 1, actions: ['banner', 'log'], enabled: true },
+];
+
+// Whether `rule` has the shape above, e.g. before trusting one from saved settings
+export const isValidAlertRule = (rule) => rule !== null && typeof rule === 'object'
+  && typeof rule.id === 'string'
+  && typeof rule.name === 'string'
+  && Object.keys(ALERT_METRICS).includes(rule.metric)
+  && ALERT_COMPARISONS.includes(rule.comparison)
+  && Number.isFinite(rule.threshold)
+  && Number.isFinite(rule.hysteresis)
+  && Array.isArray(rule.actions)
+  && rule.actions.every(action => Object.values(ALERT_ACTION).includes(action))
+  && typeof rule.enabled === 'boolean';
+
+export const createAlertRule = (overrides = {}) => ({
+  id: `rule-${Date.now().toString(36)}`,
+  name: 'New alert',
+  metric: 'height',
+  comparison: 'above',
+  threshold: 300,
+  hysteresis: 20,
+  actions: [ALERT_ACTION.BANNER],
+  enabled: true,
+  ...overrides,
+});
+
+const formatValue = (value) => (Number.isInteger(value) ? `${value}` : value.toFixed(1));
+
+// "Overheating: Temperature (high) 87 °C above 85 °C"
+export const describeAlert = (rule, value) => {
+  const { label, unit } = ALERT_METRICS[rule.metric];
+  return `${rule.name}: ${label} ${formatValue(value)} ${unit} ${rule.comparison} ${rule.threshold} ${unit}`;
+};
+
+const isTriggered = ({ comparison, threshold }, value) =>
+  (comparison === 'above' ? value > threshold : value < threshold);
+
+const isCleared = ({ comparison, threshold, hysteresis }, value) =>
+  (comparison === 'above' ? value <= threshold - hysteresis : value >= threshold + hysteresis);
+
+// Which rules start and stop being active, given the IDs active so far:
+// { raised: [{ rule, value }], cleared: [ruleId] }. A rule whose metric is
+// unknown keeps its state; disabled and deleted rules are cleared.
+export const evaluateAlertRules = (rules, context, activeIds) => {
+  const raised = [];
+  const cleared = [];
+  const enabledIds = new Set();
+  rules.forEach(rule => {
+    if (!rule.enabled || !ALERT_METRICS[rule.metric]) {
+      return;
+    }
+    enabledIds.add(rule.id);
+    const value = ALERT_METRICS[rule.metric].read(context);
+    if (value === null) {
+      return;
+    }
+    const isActive = activeIds.includes(rule.id);
+    if (!isActive && isTriggered(rule, value)) {
+      raised.push({ rule, value });
+    } else if (isActive && isCleared(rule, value)) {
+      cleared.push(rule.id);
+    }
+  });
+  activeIds.filter(id => !enabledIds.has(id)).forEach(id => cleared.push(id));
+  return { raised, cleared };
+};
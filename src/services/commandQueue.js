@@ -0,0 +1,74 @@
+// src/services/commandQueue.js
+// Serializes blocking Tello SDK commands: the drone only processes one at a
+// time, so each queued task starts after the previous one has been answered.
+
+let pending = []; // { label, task, resolve, reject } waiting to run
+let running = []; // Tasks currently awaiting completion (more than one only after a preemption)
+let listener = null; // Notified with { depth, inFlight } whenever the queue changes
+
+export const getSnapshot = () => ({
+  depth: pending.length,
+  inFlight: running.length > 0 ? running[running.length - 1].label : null,
+});
+
+const notify = () => {
+  if (listener) {
+    listener(getSnapshot());
+  }
+};
+
+export const setListener = callback => {
+  listener = callback;
+  notify();
+};
+
+const execute = entry => {
+  running.push(entry);
+  notify();
+  Promise.resolve()
+    .then(entry.task)
+    .then(entry.resolve, entry.reject)
+    .finally(() => {
+      running = running.filter(r => r !== entry);
+      notify();
+      pump();
+    });
+};
+
+// Start the next queued task once nothing else is in flight.
+const pump = () => {
+  if (running.length > 0 || pending.length === 0) {
+    return;
+  }
+  execute(pending.shift());
+};
+
+// Queue a task; resolves/rejects with the task's own result.
+export const enqueue = (label, task) => {
+  return new Promise((resolve, reject) => {
+    pending.push({ label, task, resolve, reject });
+    notify();
+    pump();
+  });
+};
+
+// Reject every task that has not started yet.
+export const flush = reason => {
+  if (pending.length === 0) {
+    return;
+  }
+  console.log(`Command Queue: Flushing ${pending.length} pending command(s): ${reason}`);
+  const dropped = pending;
+  pending = [];
+  dropped.forEach(entry => entry.reject(new Error(`Command "${entry.label}" cancelled: ${reason}`)));
+  notify();
+};
+
+// Drop pending work and run the task right away, without waiting for the
+// command currently in flight (used for `emergency` and `land`).
+export const preempt = (label, task) => {
+  flush(`preempted by "${label}"`);
+  return new Promise((resolve, reject) => {
+    execute({ label, task, resolve, reject });
+  });
+};
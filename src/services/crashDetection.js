@@ -0,0 +1,79 @@
+// src/services/crashDetection.js
+// Impact, tumble and upside-down detection over a short window of state
+// packets. Each sample is the telemetry of one packet:
+//   { t, agx, agy, agz, pitch, roll, h }   (t in ms, ag* in 0.001 g, deg, cm)
+// Level and at rest the accelerometer reads about agz = -1000.
+
+export const CRASH_EVENT = {
+  IMPACT: 'impact', // Sudden acceleration spike, e.g. clipping a wall
+  TUMBLE: 'tumble', // Tilted far beyond anything flyable, or rolling over fast
+  UPSIDE_DOWN: 'upsideDown',
+};
+
+export const CRASH_RESPONSE = {
+  EMERGENCY: 'emergency', // Cut the motors
+  LAND: 'land',
+  LOG: 'log', // Only save the samples to the flight log
+};
+
+export const CRASH_EVENT_LABELS = {
+  [CRASH_EVENT.IMPACT]: 'Impact',
+  [CRASH_EVENT.TUMBLE]: 'Tumble',
+  [CRASH_EVENT.UPSIDE_DOWN]: 'Upside down',
+};
+
+const IMPACT_THRESHOLD_G = 2; // Deviation of the total acceleration from 1 g
+const TUMBLE_TILT_DEG = 60; // The Tello leans about 25° at full stick
+const TUMBLE_RATE_DEG_S = 540; // Attitude change between two packets
+const UPSIDE_DOWN_AGZ = 500; // agz turns positive when inverted
+const UPSIDE_DOWN_ROLL_DEG = 120;
+// Tilt and inversion must last this long; single garbage packets are ignored
+const SUSTAIN_MS = 300;
+
+const accelerationG = ({ agx, agy, agz }) => Math.hypot(agx, agy, agz) / 1000;
+
+const tiltOf = ({ pitch, roll }) => Math.max(Math.abs(pitch), Math.abs(roll));
+
+// Smallest difference between two angles, so roll going 179 -> -179 is 2°
+const angleDelta = (a, b) => Math.abs(((a - b + 540) % 360) - 180);
+
+// True when `predicate` has held for every sample of the last `ms`
+const holdsFor = (samples, predicate, ms) => {
+  let first = null;
+  for (let i = samples.length - 1; i >= 0 && predicate(samples[i]); i--) {
+    first = samples[i];
+  }
+  return first !== null && samples[samples.length - 1].t - first.t >= ms;
+};
+
+// { event, reason } for the first crash condition found in `samples`
+// (oldest first, judged at the newest sample), or null
+export const detectCrash = (samples) => {
+  if (samples.length === 0) {
+    return null;
+  }
+  const latest = samples[samples.length - 1];
+
+  const isInverted = (s) => s.agz > UPSIDE_DOWN_AGZ || Math.abs(s.roll) > UPSIDE_DOWN_ROLL_DEG;
+  if (holdsFor(samples, isInverted, SUSTAIN_MS)) {
+    return { event: CRASH_EVENT.UPSIDE_DOWN, reason: `agz ${Math.round(latest.agz)}, roll ${latest.roll}°` };
+  }
+
+  if (holdsFor(samples, (s) => tiltOf(s) > TUMBLE_TILT_DEG, SUSTAIN_MS)) {
+    return { event: CRASH_EVENT.TUMBLE, reason: `tilted ${tiltOf(latest)}°` };
+  }
+  if (samples.length >= 2) {
+    const previous = samples[samples.length - 2];
+    const seconds = (latest.t - previous.t) / 1000;
+    const change = Math.max(angleDelta(latest.pitch, previous.pitch), angleDelta(latest.roll, previous.roll));
+    if (seconds > 0 && change / seconds > TUMBLE_RATE_DEG_S) {
+      return { event: CRASH_EVENT.TUMBLE, reason: `rotated ${change}° in ${Math.round(seconds * 1000)} ms` };
+    }
+  }
+
+  const deviation = Math.abs(accelerationG(latest) - 1);
+  if (deviation > IMPACT_THRESHOLD_G) {
+    return { event: CRASH_EVENT.IMPACT, reason: `${accelerationG(latest).toFixed(1)} g` };
+  }
+  return null;
+};
@@ -1,11 +1,29 @@
 // src/services/ffmpegService.js
-import { FFmpegKit, ReturnCode, FFmpegKitConfig } from 'ffmpeg-kit-react-native';
+import { FFmpegKit, FFprobeKit, ReturnCode, FFmpegKitConfig } from 'ffmpeg-kit-react-native';
 
 const TELLO_VIDEO_PORT = 11111; // Tello sends video stream here
 const LOCAL_VIDEO_INPUT_PORT = TELLO_VIDEO_PORT; // Port FFmpeg listens on
 
+// The live session also copies the stream to these loopback ports, so photo
+// and recording sessions can read it while the player keeps the HTTP output.
+const SNAPSHOT_TAP_PORT = 11113;
+const RECORDING_TAP_PORT = 11114;
+const SNAPSHOT_TIMEOUT_US = 5000000; // Give up if no keyframe arrives within 5 s
+const RECORDING_INPUT_TIMEOUT_US = 5000000; // Finalize the file if the stream dies
+
+let recordingSessionId = null;
+
 let currentSessionId = null; // Module-level variable
 
+// Where FFmpeg listens for the raw H.264 stream. The drone (or the simulator's
+// --video option) sends to this port; `host` is the local address to bind.
+let videoInput = { host: '0.0.0.0', port: LOCAL_VIDEO_INPUT_PORT };
+
+export const setVideoInput = (overrides) => {
+  videoInput = { ...videoInput, ...overrides };
+  console.log(`FFmpeg Service: Video input set to udp://${videoInput.host}:${videoInput.port}`);
+};
+
 // Configure FFmpegKit logging (call this once, maybe in App.js or MainScreen useEffect)
 export const configure = () => {
     console.log("FFmpeg Service: Configuring FFmpegKit logging.");
@@ -24,7 +42,9 @@ export const start = (outputHttpPort) => {
     }
 
     // Hardcoded command - consider making parts configurable
-    const ffmpegCommand = `-f h264 -analyzeduration 1000000 -probesize 1000000 -fflags discardcorrupt -fflags nobuffer -flags low_delay -avioflags direct -i udp://0.0.0.0:${LOCAL_VIDEO_INPUT_PORT}?timeout=5000000 -c:v copy -f mpegts -listen 1 http://127.0.0.1:${outputHttpPort}`;
+    // Output 1 feeds the player over HTTP; outputs 2 and 3 are the loopback taps
+    // for snapshots and recording.
+    const ffmpegCommand = `-f h264 -analyzeduration 1000000 -probesize 1000000 -fflags discardcorrupt -fflags nobuffer -flags low_delay -avioflags direct -i udp://${videoInput.host}:${videoInput.port}?timeout=5000000 -c:v copy -f mpegts -listen 1 http://127.0.0.1:${outputHttpPort} -c:v copy -f mpegts udp://127.0.0.1:${SNAPSHOT_TAP_PORT}?pkt_size=1316 -c:v copy -f mpegts udp://127.0.0.1:${RECORDING_TAP_PORT}?pkt_size=1316`;
 
     console.log("FFmpeg Service: Starting FFmpeg with command:", ffmpegCommand);
 
@@ -95,4 +115,104 @@ export const stop = () => {
             resolve(); // Nothing to stop
         }
     });
-};
\ No newline at end of file
+};
+
+// Run a short-lived FFmpeg command and resolve once it exits successfully.
+const runToCompletion = (command) => {
+  return new Promise((resolve, reject) => {
+    FFmpegKit.executeAsync(command, async (session) => {
+      const returnCode = await session.getReturnCode();
+      if (ReturnCode.isSuccess(returnCode)) {
+        resolve();
+      } else {
+        const logs = await session.getAllLogsAsString();
+        console.error('FFmpeg Service: Command failed:', command, logs);
+        reject(new Error(`FFmpeg exited with code ${returnCode}`));
+      }
+    }).catch(reject);
+  });
+};
+
+// Decode the next full frame from the live stream and save it as a JPEG.
+// Requires a running live session (see start()).
+export const captureFrame = (outputPath) => {
+  if (!currentSessionId) {
+    return Promise.reject(new Error('Video stream is not running'));
+  }
+  const command = `-f mpegts -i udp://127.0.0.1:${SNAPSHOT_TAP_PORT}?timeout=${SNAPSHOT_TIMEOUT_US} -frames:v 1 -q:v 2 -y "${outputPath}"`;
+  console.log('FFmpeg Service: Capturing frame to', outputPath);
+  return runToCompletion(command);
+};
+
+export const isRecording = () => recordingSessionId !== null;
+
+// Copy the live stream into an MP4 without re-encoding, alongside the HTTP output.
+// The file is written as fragmented MP4, so it stays playable even if the
+// session is killed before it can write a trailer. `onEnded({ success })` is
+// called whenever the session exits, whether via stopRecording() or because
+// the stream died (the input times out and FFmpeg finalizes the file).
+export const startRecording = (outputPath, onEnded) => {
+  return new Promise(async (resolve, reject) => {
+    if (!currentSessionId) {
+      return reject(new Error('Video stream is not running'));
+    }
+    if (recordingSessionId) {
+      return reject(new Error('A recording is already in progress'));
+    }
+
+    const command = `-f mpegts -i udp://127.0.0.1:${RECORDING_TAP_PORT}?timeout=${RECORDING_INPUT_TIMEOUT_US} -map 0:v -c copy -movflags +frag_keyframe+empty_moov+default_base_moof -f mp4 -y "${outputPath}"`;
+    console.log('FFmpeg Service: Starting recording with command:', command);
+
+    try {
+      const session = await FFmpegKit.executeAsync(command, async (completedSession) => {
+        const sessionId = await completedSession.getSessionId();
+        const returnCode = await completedSession.getReturnCode();
+        console.log(`FFmpeg Service: Recording session ${sessionId} ended with code ${returnCode}.`);
+        if (recordingSessionId === sessionId) {
+          recordingSessionId = null;
+        }
+        if (onEnded) {
+          onEnded({ success: ReturnCode.isSuccess(returnCode) || ReturnCode.isCancel(returnCode) });
+        }
+      });
+      recordingSessionId = await session.getSessionId();
+      resolve(recordingSessionId);
+    } catch (error) {
+      console.error('FFmpeg Service: Failed to start recording:', error);
+      recordingSessionId = null;
+      reject(new Error(`Failed to start recording: ${error.message}`));
+    }
+  });
+};
+
+export const stopRecording = async () => {
+  const sessionIdToCancel = recordingSessionId;
+  if (!sessionIdToCancel) {
+    return;
+  }
+  recordingSessionId = null;
+  try {
+    await FFmpegKit.cancel(sessionIdToCancel);
+    console.log('FFmpeg Service: Recording session cancelled:', sessionIdToCancel);
+  } catch (e) {
+    console.error('FFmpeg Service: Error cancelling recording session:', e);
+  }
+};
+
+// Grab a small still from a recorded video for the gallery
+export const createThumbnail = (videoPath, thumbnailPath) => {
+  const command = `-ss 0.5 -i "${videoPath}" -frames:v 1 -vf scale=320:-2 -q:v 4 -y "${thumbnailPath}"`;
+  return runToCompletion(command);
+};
+
+// Duration of a media file in milliseconds, or null if FFprobe can't tell
+export const getMediaDurationMs = async (path) => {
+  try {
+    const session = await FFprobeKit.getMediaInformation(path);
+    const duration = parseFloat(session.getMediaInformation()?.getDuration());
+    return isNaN(duration) ? null : Math.round(duration * 1000);
+  } catch (e) {
+    console.warn('FFmpeg Service: Could not probe', path, e);
+    return null;
+  }
+};
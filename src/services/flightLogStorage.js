@@ -0,0 +1,84 @@
+// src/services/flightLogStorage.js
+// Flight logs written by the flight recorder: one JSONL file per flight with
+// every recorded entry, plus a CSV of the telemetry samples for spreadsheets.
+import RNFS from 'react-native-fs';
+import { timestampLabel } from './mediaStorage';
+import { TELEMETRY_FIELDS } from './telemetry';
+
+export const FLIGHT_LOG_DIR = `${RNFS.DocumentDirectoryPath}/FlightLogs`;
+const LOG_EXTENSION = 'jsonl';
+const CSV_COLUMNS = ['receivedAt', ...Object.keys(TELEMETRY_FIELDS)];
+
+export const ensureFlightLogDir = async () => {
+  if (!(await RNFS.exists(FLIGHT_LOG_DIR))) {
+    console.log('Flight Log Storage: Creating log folder', FLIGHT_LOG_DIR);
+    await RNFS.mkdir(FLIGHT_LOG_DIR);
+  }
+};
+
+export const buildFlightLogPath = (date = new Date()) =>
+  `${FLIGHT_LOG_DIR}/flight_${timestampLabel(date)}.${LOG_EXTENSION}`;
+
+export const getCsvPath = (logPath) => logPath.replace(/\.[^./]+$/, '.csv');
+
+// Create the log and its CSV (header row only)
+export const createFlightLog = async (logPath) => {
+  await ensureFlightLogDir();
+  await RNFS.writeFile(logPath, '', 'utf8');
+  await RNFS.writeFile(getCsvPath(logPath), `${CSV_COLUMNS.join(',')}\n`, 'utf8');
+};
+
+// One CSV row from an updateStatus payload; fields missing in the packet stay empty
+const toCsvRow = ({ values, receivedAt }) =>
+  CSV_COLUMNS.map(column => {
+    const value = column === 'receivedAt' ? receivedAt : values[column];
+    return value === undefined || value === null ? '' : value;
+  }).join(',');
+
+// Append recorder entries to the log; telemetry samples also go to the CSV
+export const appendEntries = async (logPath, entries) => {
+  if (entries.length === 0) {
+    return;
+  }
+  const lines = entries.map(entry => JSON.stringify(entry)).join('\n');
+  await RNFS.appendFile(logPath, `${lines}\n`, 'utf8');
+
+  const csvRows = entries
+    .filter(entry => entry.kind === 'telemetry')
+    .map(entry => toCsvRow(entry.action.payload));
+  if (csvRows.length > 0) {
+    await RNFS.appendFile(getCsvPath(logPath), `${csvRows.join('\n')}\n`, 'utf8');
+  }
+};
+
+// Recorded flights, newest first: [{ path, name, size, modifiedAt }]
+export const listFlightLogs = async () => {
+  await ensureFlightLogDir();
+  const entries = await RNFS.readDir(FLIGHT_LOG_DIR);
+  return entries
+    .filter(entry => entry.isFile() && entry.name.endsWith(`.${LOG_EXTENSION}`))
+    .map(entry => ({
+      path: entry.path,
+      name: entry.name,
+      size: Number(entry.size),
+      modifiedAt: entry.mtime ? new Date(entry.mtime).getTime() : null,
+    }))
+    .sort((a, b) => (b.modifiedAt || 0) - (a.modifiedAt || 0));
+};
+
+// Entries of a log in file order. A line cut short by a crash mid-write is skipped.
+export const readFlightLog = async (logPath) => {
+  const content = await RNFS.readFile(logPath, 'utf8');
+  const entries = [];
+  content.split('\n').forEach(line => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      console.warn('Flight Log Storage: Skipping unreadable line in', logPath);
+    }
+  });
+  return entries;
+};
@@ -0,0 +1,159 @@
+// src/services/flightPhase.js
+// Flight-phase state machine. The phase advances on connection changes, on
+// the takeoff/land/emergency command traffic and on telemetry, so it also
+// catches flights the app did not start itself (reconnecting to a hovering
+// drone, the firmware's own auto-land). Events:
+//   { kind: 'connected' } / { kind: 'disconnected' }
+//   { kind: 'command' | 'reply' | 'timeout', command, reply }   (telloService traffic)
+//   { kind: 'telemetry', h, tof, time, at }                     (cm, cm, s, ms)
+export const FLIGHT_PHASE = {
+  DISCONNECTED: 'disconnected',
+  CONNECTED_LANDED: 'connectedLanded', // In SDK mode, not flown yet on this connection
+  TAKING_OFF: 'takingOff',
+  AIRBORNE: 'airborne',
+  LANDING: 'landing',
+  LANDED: 'landed', // Back on the ground after a flight
+  EMERGENCY: 'emergency', // Motors cut, until the drone reads as down
+};
+
+export const FLIGHT_PHASE_LABELS = {
+  [FLIGHT_PHASE.DISCONNECTED]: 'Disconnected',
+  [FLIGHT_PHASE.CONNECTED_LANDED]: 'Ready',
+  [FLIGHT_PHASE.TAKING_OFF]: 'Taking off',
+  [FLIGHT_PHASE.AIRBORNE]: 'Airborne',
+  [FLIGHT_PHASE.LANDING]: 'Landing',
+  [FLIGHT_PHASE.LANDED]: 'Landed',
+  [FLIGHT_PHASE.EMERGENCY]: 'Emergency',
+};
+
+// The commands whose traffic moves the phase along
+export const FLIGHT_PHASE_COMMANDS = ['takeoff', 'land', 'emergency'];
+
+// The takeoff reply comes once the drone hovers at about 80 cm; past this
+// height it is airborne even if that reply was lost
+const TAKEOFF_COMPLETE_HEIGHT_CM = 50;
+// Sitting on the ground the ToF sensor reads about 10 cm
+const GROUND_TOF_CM = 20;
+// Motor time counts whole seconds while the motors run; no tick for this
+// long means they have stopped
+const MOTORS_STOPPED_AFTER_MS = 2000;
+
+// `motorTime` is the last `time` value seen and `motorTimeChangedAt` when it
+// last went up; `hasFlown` tells LANDED apart from CONNECTED_LANDED
+export const initialFlightPhaseState = {
+  phase: FLIGHT_PHASE.DISCONNECTED,
+  hasFlown: false,
+  motorTime: null,
+  motorTimeChangedAt: null,
+};
+
+const ON_GROUND_PHASES = [FLIGHT_PHASE.CONNECTED_LANDED, FLIGHT_PHASE.LANDED];
+
+export const isOnGround = (phase) => ON_GROUND_PHASES.includes(phase);
+
+// Taking off, airborne, landing or falling after an emergency stop: what the
+// safety logic (keepalive, failsafes, crash response, flight log) counts as
+// flying. Unlike h > 0 this covers the start of a takeoff and the end of a
+// landing, and does not drop out when h reads 0 for a moment on a bounce.
+export const isInFlight = (phase) => phase !== FLIGHT_PHASE.DISCONNECTED && !isOnGround(phase);
+
+export const canTakeoffIn = (phase) => isOnGround(phase);
+
+export const canLandIn = (phase) => phase === FLIGHT_PHASE.TAKING_OFF || phase === FLIGHT_PHASE.AIRBORNE;
+
+export const canFlipIn = (phase) => phase === FLIGHT_PHASE.AIRBORNE;
+
+// Stick input only does anything while the motors are up
+export const canUseSticksIn = (phase) =>
+  [FLIGHT_PHASE.TAKING_OFF, FLIGHT_PHASE.AIRBORNE, FLIGHT_PHASE.LANDING].includes(phase);
+
+const groundPhase = (state) => (state.hasFlown ? FLIGHT_PHASE.LANDED : FLIGHT_PHASE.CONNECTED_LANDED);
+
+const withPhase = (state, phase) => (phase === state.phase
+  ? state
+  : { ...state, phase, hasFlown: state.hasFlown || phase === FLIGHT_PHASE.AIRBORNE });
+
+const onCommand = (state, command) => {
+  if (command === 'emergency') {
+    return withPhase(state, FLIGHT_PHASE.EMERGENCY);
+  }
+  if (command === 'takeoff' && isOnGround(state.phase)) {
+    return withPhase(state, FLIGHT_PHASE.TAKING_OFF);
+  }
+  if (command === 'land' && canLandIn(state.phase)) {
+    return withPhase(state, FLIGHT_PHASE.LANDING);
+  }
+  return state;
+};
+
+// A refused or lost reply puts the phase back; if the drone did move after
+// all, the next state packets correct it
+const onReply = (state, command, isOk) => {
+  if (command === 'takeoff' && state.phase === FLIGHT_PHASE.TAKING_OFF) {
+    return withPhase(state, isOk ? FLIGHT_PHASE.AIRBORNE : groundPhase(state));
+  }
+  if (command === 'land' && state.phase === FLIGHT_PHASE.LANDING) {
+    return withPhase(state, isOk ? groundPhase(state) : FLIGHT_PHASE.AIRBORNE);
+  }
+  return state;
+};
+
+const onTelemetry = (state, { h, tof, time, at }) => {
+  let next = state;
+  if (time != null && time !== state.motorTime) {
+    next = {
+      ...state,
+      motorTime: time,
+      motorTimeChangedAt: state.motorTime === null ? state.motorTimeChangedAt : at,
+    };
+  }
+  if (h == null) {
+    return next;
+  }
+  const areMotorsRunning = next.motorTimeChangedAt !== null && at - next.motorTimeChangedAt < MOTORS_STOPPED_AFTER_MS;
+  const isDown = h <= 0 && (tof == null || tof <= GROUND_TOF_CM);
+
+  switch (next.phase) {
+    case FLIGHT_PHASE.CONNECTED_LANDED:
+    case FLIGHT_PHASE.LANDED:
+      return h > 0 ? withPhase(next, FLIGHT_PHASE.AIRBORNE) : next;
+    case FLIGHT_PHASE.TAKING_OFF:
+      return h >= TAKEOFF_COMPLETE_HEIGHT_CM ? withPhase(next, FLIGHT_PHASE.AIRBORNE) : next;
+    case FLIGHT_PHASE.AIRBORNE:
+    case FLIGHT_PHASE.LANDING:
+      return isDown && !areMotorsRunning ? withPhase(next, groundPhase(next)) : next;
+    case FLIGHT_PHASE.EMERGENCY:
+      return isDown ? withPhase(next, groundPhase(next)) : next;
+    default:
+      return next;
+  }
+};
+
+// The state after `event`; returns `state` itself when nothing changed
+export const advanceFlightPhase = (state, event) => {
+  switch (event.kind) {
+    case 'connected':
+      return state.phase === FLIGHT_PHASE.DISCONNECTED
+        ? { ...initialFlightPhaseState, phase: FLIGHT_PHASE.CONNECTED_LANDED }
+        : state;
+    case 'disconnected':
+      return initialFlightPhaseState;
+    default:
+      break;
+  }
+  if (state.phase === FLIGHT_PHASE.DISCONNECTED) {
+    return state;
+  }
+  switch (event.kind) {
+    case 'command':
+      return onCommand(state, event.command);
+    case 'reply':
+      return onReply(state, event.command, event.reply?.trim().toLowerCase() === 'ok');
+    case 'timeout':
+      return onReply(state, event.command, false);
+    case 'telemetry':
+      return onTelemetry(state, event);
+    default:
+      return state;
+  }
+};
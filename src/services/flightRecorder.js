@@ -0,0 +1,132 @@
+// src/services/flightRecorder.js
+// Black-box recorder. Everything worth keeping about a flight (telemetry,
+// Redux events, commands and replies, stick output, crashes) goes into a
+// bounded ring buffer. While a flight is being recorded the buffer is appended
+// to the flight's log every couple of seconds, and immediately on link loss
+// or a JS crash. Outside a flight it simply holds the most recent entries, so
+// a log starts with the moments leading up to takeoff.
+//
+// Entries (one JSON object per line in the log), all with `t` in ms:
+//   { kind: 'telemetry', action }   updateStatus action, replayable as-is
+//   { kind: 'event', action }       any other tello/* action (errors, connection, link status)
+//   { kind: 'command' | 'reply' | 'timeout', command, reply }
+//   { kind: 'rc', roll, pitch, throttle, yaw }
+//   { kind: 'crash', message, stack, isFatal }
+//   { kind: 'marker', label, ... }  flight start/end, entries dropped
+import * as flightLogStorage from './flightLogStorage';
+
+const RING_CAPACITY = 3000; // ~100 s of 10 Hz telemetry plus 20 Hz rc
+const FLUSH_INTERVAL_MS = 2000;
+// h reads 0 for a moment on a bounce; only close the log once the drone stays down
+const LANDED_SETTLE_MS = 5000;
+const CRASH_FLUSH_TIMEOUT_MS = 1000;
+
+let buffer = []; // Entries not written yet, oldest first
+let droppedCount = 0; // Entries pushed out of a full buffer since the last flush
+let logPath = null; // Log of the flight being recorded, null between flights
+let flushTimer = null;
+let endFlightTimer = null;
+let writeChain = Promise.resolve(); // Serializes file writes
+
+export const record = (entry) => {
+  buffer.push({ t: Date.now(), ...entry });
+  if (buffer.length > RING_CAPACITY) {
+    buffer.shift();
+    droppedCount++;
+  }
+};
+
+// Redux actions are stored as { type, payload, error } so replay can dispatch them again
+export const recordAction = (action) => {
+  const { type, payload, error } = action;
+  const kind = type === 'tello/updateStatus' ? 'telemetry' : 'event';
+  record({ kind, action: error === undefined ? { type, payload } : { type, payload, error } });
+};
+
+// Listener for telloService.setTrafficListener
+export const recordTraffic = ({ kind, command, reply, at }) => {
+  if (kind === 'command' && command.startsWith('rc ')) {
+    const [roll, pitch, throttle, yaw] = command.split(' ').slice(1).map(Number);
+    record({ kind: 'rc', roll, pitch, throttle, yaw, t: at });
+    return;
+  }
+  record({ kind, command, ...(reply !== undefined && { reply }), t: at });
+};
+
+export const isRecordingFlight = () => logPath !== null;
+
+// Write out everything buffered so far. Resolves once the write has finished;
+// never rejects (a failed write is logged and the entries are lost).
+export const flush = () => {
+  if (!logPath || (buffer.length === 0 && droppedCount === 0)) {
+    return writeChain;
+  }
+  const entries = buffer;
+  if (droppedCount > 0) {
+    // The disk fell behind; make the gap visible in the log
+    entries.unshift({ t: entries[0]?.t ?? Date.now(), kind: 'marker', label: 'entries-dropped', count: droppedCount });
+    droppedCount = 0;
+  }
+  buffer = [];
+  const path = logPath;
+  writeChain = writeChain
+    .then(() => flightLogStorage.appendEntries(path, entries))
+    .catch(e => console.warn('Flight Recorder: Failed to write log:', e.message));
+  return writeChain;
+};
+
+const startFlight = () => {
+  logPath = flightLogStorage.buildFlightLogPath();
+  droppedCount = 0; // Pre-flight entries falling out of the buffer are expected
+  console.log('Flight Recorder: Recording flight to', logPath);
+  const path = logPath;
+  writeChain = writeChain
+    .then(() => flightLogStorage.createFlightLog(path))
+    .catch(e => console.warn('Flight Recorder: Could not create log:', e.message));
+  record({ kind: 'marker', label: 'flight-start' });
+  flush();
+  flushTimer = setInterval(flush, FLUSH_INTERVAL_MS);
+};
+
+const endFlight = () => {
+  endFlightTimer = null;
+  if (!logPath) {
+    return;
+  }
+  record({ kind: 'marker', label: 'flight-end' });
+  clearInterval(flushTimer);
+  flushTimer = null;
+  flush();
+  console.log('Flight Recorder: Flight log closed', logPath);
+  logPath = null;
+};
+
+// Called with whether a flight should be recorded right now (airborne and
+// enabled in settings). Starts a log on takeoff, closes it once landed.
+export const setAirborne = (isAirborne) => {
+  if (isAirborne) {
+    clearTimeout(endFlightTimer);
+    endFlightTimer = null;
+    if (!logPath) {
+      startFlight();
+    }
+  } else if (logPath && !endFlightTimer) {
+    endFlightTimer = setTimeout(endFlight, LANDED_SETTLE_MS);
+  }
+};
+
+// Record uncaught JS errors and get the buffer onto disk before the default
+// handler (red box / app termination) runs. Returns a function that uninstalls it.
+export const installCrashHandler = () => {
+  const errorUtils = global.ErrorUtils;
+  if (!errorUtils) {
+    return () => {};
+  }
+  const previousHandler = errorUtils.getGlobalHandler();
+  errorUtils.setGlobalHandler((error, isFatal) => {
+    record({ kind: 'crash', message: error?.message ?? String(error), stack: error?.stack ?? null, isFatal: !!isFatal });
+    const timeout = new Promise(resolve => setTimeout(resolve, CRASH_FLUSH_TIMEOUT_MS));
+    Promise.race([flush(), timeout]).then(() => previousHandler(error, isFatal));
+  });
+  return () => errorUtils.setGlobalHandler(previousHandler);
+};
@@ -0,0 +1,111 @@
+// src/services/flightReplay.js
+// Plays back the Redux actions stored in a flight log (see flightRecorder)
+// on the original timeline, optionally sped up. Seeking backwards starts over
+// from a reset state and re-applies everything up to the new position, so the
+// UI always shows exactly what it showed at that moment of the flight.
+
+const TICK_INTERVAL_MS = 100;
+
+let timeline = []; // [{ t, action }] in time order
+let startT = 0;
+let durationMs = 0;
+let cursor = 0; // Index of the next entry to dispatch
+let positionMs = 0;
+let speed = 1;
+let intervalId = null;
+let lastTickAt = null;
+let handlers = null; // { onAction, onReset, onProgress, onEnded }
+
+const notifyProgress = () => {
+  handlers?.onProgress({ positionMs, durationMs, isPlaying: intervalId !== null, speed });
+};
+
+// Dispatch every entry up to the current position
+const advance = () => {
+  const until = startT + positionMs;
+  while (cursor < timeline.length && timeline[cursor].t <= until) {
+    handlers.onAction(timeline[cursor].action);
+    cursor++;
+  }
+};
+
+const tick = () => {
+  const now = Date.now();
+  positionMs = Math.min(durationMs, positionMs + (now - lastTickAt) * speed);
+  lastTickAt = now;
+  advance();
+  if (positionMs >= durationMs) {
+    pause();
+    handlers?.onEnded();
+    return;
+  }
+  notifyProgress();
+};
+
+// Prepare a log for playback. Returns its length in ms.
+// `handlers.onAction(action)` receives each recorded action, `onReset()` is
+// called when playback restarts from the beginning.
+export const load = (entries, replayHandlers) => {
+  unload();
+  timeline = entries.filter(entry => entry.action).sort((a, b) => a.t - b.t);
+  startT = timeline.length > 0 ? timeline[0].t : 0;
+  durationMs = timeline.length > 0 ? timeline[timeline.length - 1].t - startT : 0;
+  handlers = replayHandlers;
+  handlers.onReset();
+  advance(); // Everything stamped at the very first instant
+  notifyProgress();
+  return durationMs;
+};
+
+export const play = () => {
+  if (!handlers || intervalId) {
+    return;
+  }
+  if (positionMs >= durationMs) {
+    seek(0); // Play again from the start
+  }
+  lastTickAt = Date.now();
+  intervalId = setInterval(tick, TICK_INTERVAL_MS);
+  notifyProgress();
+};
+
+export const pause = () => {
+  if (intervalId) {
+    clearInterval(intervalId);
+    intervalId = null;
+  }
+  notifyProgress();
+};
+
+export const setSpeed = (multiplier) => {
+  speed = multiplier;
+  notifyProgress();
+};
+
+export const seek = (targetMs) => {
+  if (!handlers) {
+    return;
+  }
+  const target = Math.max(0, Math.min(durationMs, targetMs));
+  if (target < positionMs) {
+    cursor = 0;
+    handlers.onReset();
+  }
+  positionMs = target;
+  lastTickAt = Date.now();
+  advance();
+  notifyProgress();
+};
+
+export const unload = () => {
+  if (intervalId) {
+    clearInterval(intervalId);
+    intervalId = null;
+  }
+  timeline = [];
+  startT = 0;
+  durationMs = 0;
+  cursor = 0;
+  positionMs = 0;
+  handlers = null;
+};
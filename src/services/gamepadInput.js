@@ -0,0 +1,53 @@
+// src/services/gamepadInput.js
+// Bluetooth/USB (HID) gamepad as an input source: two analogue axes per
+// stick and buttons bound to actions. Axis names are Android MotionEvent axes
+// without the AXIS_ prefix ("X", "Y", "Z", "RZ", ...), buttons Android key
+// names ("BUTTON_A", "BUTTON_R1", ...).
+import * as inputSources from './inputSources';
+
+export const GAMEPAD_AXIS_BINDINGS = ['leftX', 'leftY', 'rightX', 'rightY'];
+
+// Standard layout of most controllers on Android (Xbox, DualShock, 8BitDo ...)
+export const DEFAULT_GAMEPAD_BINDINGS = {
+  leftX: 'X',
+  leftY: 'Y',
+  rightX: 'Z',
+  rightY: 'RZ',
+  takeoff: 'BUTTON_Y',
+  land: 'BUTTON_A',
+  emergency: 'BUTTON_SELECT', // Still asks for confirmation, like the on-screen button
+  photo: 'BUTTON_R1',
+  record: 'BUTTON_L1',
+};
+
+let bindings = DEFAULT_GAMEPAD_BINDINGS;
+
+export const setBindings = (newBindings) => {
+  bindings = newBindings;
+  reset();
+};
+
+// `axes` maps axis name -> value (-1..1, down positive on the Y axes)
+export const handleAxes = (axes) => {
+  const read = (name) => axes[bindings[name]] ?? 0;
+  inputSources.updateSticks(inputSources.INPUT_SOURCE.GAMEPAD, {
+    left: { x: read('leftX'), y: -read('leftY') },
+    right: { x: read('rightX'), y: -read('rightY') },
+  });
+};
+
+// Handle one button event from hardwareInput; returns true if the button is bound
+export const handleButton = ({ key, isDown, isRepeat }) => {
+  const action = inputSources.INPUT_ACTIONS.find(name => bindings[name] === key);
+  if (!action) {
+    return false;
+  }
+  if (isDown && !isRepeat) {
+    inputSources.triggerAction(inputSources.INPUT_SOURCE.GAMEPAD, action);
+  }
+  return true;
+};
+
+export const reset = () => {
+  inputSources.releaseSource(inputSources.INPUT_SOURCE.GAMEPAD);
+};
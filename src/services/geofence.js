@@ -0,0 +1,154 @@
+// src/services/geofence.js
+// Soft geofence: keeps the drone between a minimum and maximum height and
+// within a radius of the takeoff point. Outgoing `rc` packets are clamped so
+// the sticks can't push further out, and movement commands that would end
+// outside the limits are refused before they are sent.
+//
+// `flight` describes where the drone is:
+//   { isAirborne, heightCm, clearanceCm, position: { x, y }, yaw }
+// heightCm is the height above takeoff (checked against the ceiling),
+// clearanceCm the distance to whatever is below (checked against the floor).
+// position is dead-reckoned in cm from the takeoff point, x along the
+// heading at yaw 0 and y to its right (see telloSlice's updateStatus).
+import { parseCommand, isMovementCommand } from './telloCommands';
+
+export const GEOFENCE_LEVEL = {
+  OK: 'ok',
+  WARNING: 'warning', // Within the warning margin of a limit
+  LIMIT: 'limit', // At or beyond a limit
+};
+
+const WARNING_MARGIN_RATIO = 0.15; // Warn this fraction of the limit before reaching it
+const MIN_WARNING_MARGIN_CM = 20;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+// Body-frame displacement (forward, right) to the takeoff frame
+export const bodyToWorld = (forward, right, yaw) => {
+  const rad = toRadians(yaw);
+  return {
+    x: forward * Math.cos(rad) - right * Math.sin(rad),
+    y: forward * Math.sin(rad) + right * Math.cos(rad),
+  };
+};
+
+const worldToBody = ({ x, y }, yaw) => {
+  const rad = toRadians(yaw);
+  return {
+    forward: x * Math.cos(rad) + y * Math.sin(rad),
+    right: -x * Math.sin(rad) + y * Math.cos(rad),
+  };
+};
+
+const distanceOf = ({ x, y }) => Math.hypot(x, y);
+
+const marginFor = (limitCm) => Math.max(MIN_WARNING_MARGIN_CM, limitCm * WARNING_MARGIN_RATIO);
+
+// [{ limit: 'maxHeight' | 'minHeight' | 'maxDistance', level, valueCm, limitCm }]
+// for every limit that is close or reached, most severe first
+export const getGeofenceWarnings = (limits, flight) => {
+  if (!limits.enabled || !flight.isAirborne) {
+    return [];
+  }
+  const warnings = [];
+  const check = (limit, valueCm, limitCm, distanceToLimit) => {
+    if (distanceToLimit <= 0) {
+      warnings.push({ limit, level: GEOFENCE_LEVEL.LIMIT, valueCm, limitCm });
+    } else if (distanceToLimit <= marginFor(limitCm)) {
+      warnings.push({ limit, level: GEOFENCE_LEVEL.WARNING, valueCm, limitCm });
+    }
+  };
+  check('maxHeight', flight.heightCm, limits.maxHeightCm, limits.maxHeightCm - flight.heightCm);
+  check('minHeight', flight.clearanceCm, limits.minHeightCm, flight.clearanceCm - limits.minHeightCm);
+  const distance = distanceOf(flight.position);
+  check('maxDistance', distance, limits.maxDistanceCm, limits.maxDistanceCm - distance);
+  return warnings.sort((a, b) => (a.level === b.level ? 0 : a.level === GEOFENCE_LEVEL.LIMIT ? -1 : 1));
+};
+
+// Clamp `rc roll pitch throttle yaw` so it can't push past a reached limit.
+// Stick input back inside (or along the boundary) passes unchanged.
+export const clampRcCommand = (command, limits, flight) => {
+  const [, ...parts] = command.trim().split(/\s+/);
+  let [roll, pitch, throttle, yaw] = parts.map(Number);
+  if (!limits.enabled || !flight.isAirborne || parts.length !== 4) {
+    return command;
+  }
+
+  if ((throttle > 0 && flight.heightCm >= limits.maxHeightCm) || (throttle < 0 && flight.clearanceCm <= limits.minHeightCm)) {
+    throttle = 0;
+  }
+
+  const distance = distanceOf(flight.position);
+  if (distance >= limits.maxDistanceCm && distance > 0) {
+    // Remove the outward component of the commanded horizontal direction
+    const outward = { x: flight.position.x / distance, y: flight.position.y / distance };
+    const wanted = bodyToWorld(pitch, roll, flight.yaw);
+    const outwardAmount = wanted.x * outward.x + wanted.y * outward.y;
+    if (outwardAmount > 0) {
+      const body = worldToBody({ x: wanted.x - outwardAmount * outward.x, y: wanted.y - outwardAmount * outward.y }, flight.yaw);
+      pitch = Math.round(body.forward);
+      roll = Math.round(body.right);
+    }
+  }
+  return `rc ${roll} ${pitch} ${throttle} ${yaw}`;
+};
+
+// Where a movement command would leave the drone, relative to now:
+// { forward, right, up } in cm, or null when it can't be predicted
+const predictMove = ({ name, args }) => {
+  const values = args.map(Number);
+  switch (name) {
+    case 'up': return { forward: 0, right: 0, up: values[0] };
+    case 'down': return { forward: 0, right: 0, up: -values[0] };
+    case 'forward': return { forward: values[0], right: 0, up: 0 };
+    case 'back': return { forward: -values[0], right: 0, up: 0 };
+    case 'left': return { forward: 0, right: -values[0], up: 0 };
+    case 'right': return { forward: 0, right: values[0], up: 0 };
+    case 'go':
+      // Pad-relative moves (trailing mission pad ID) depend on where the pad is
+      return args.length === 4 ? { forward: values[0], right: -values[1], up: values[2] } : null;
+    case 'curve':
+      return args.length === 7 ? { forward: values[3], right: -values[4], up: values[5] } : null;
+    default:
+      return null; // Flips and jumps stay where they are or are pad-relative
+  }
+};
+
+// Reason a movement command would break the geofence, or null if it's fine
+export const checkMovementCommand = (command, limits, flight) => {
+  if (!limits.enabled || !flight.isAirborne || !isMovementCommand(command)) {
+    return null;
+  }
+  const move = predictMove(parseCommand(command));
+  if (!move) {
+    return null;
+  }
+  const heightCm = flight.heightCm + move.up;
+  if (move.up > 0 && heightCm > limits.maxHeightCm) {
+    return `would climb to ${Math.round(heightCm)} cm, above the ${limits.maxHeightCm} cm height limit`;
+  }
+  const clearanceCm = flight.clearanceCm + move.up;
+  if (move.up < 0 && clearanceCm < limits.minHeightCm) {
+    return `would descend to ${Math.round(clearanceCm)} cm, below the ${limits.minHeightCm} cm minimum height`;
+  }
+  const offset = bodyToWorld(move.forward, move.right, flight.yaw);
+  const from = distanceOf(flight.position);
+  const to = distanceOf({ x: flight.position.x + offset.x, y: flight.position.y + offset.y });
+  if (to > limits.maxDistanceCm && to > from) {
+    return `would end ${Math.round(to)} cm from takeoff, beyond the ${limits.maxDistanceCm} cm limit`;
+  }
+  return null;
+};
+
+// Command filter for telloService: returns the command to send (rc clamped)
+// or throws when a movement command has to be refused
+export const filterCommand = (command, limits, flight) => {
+  if (command.startsWith('rc ')) {
+    return clampRcCommand(command, limits, flight);
+  }
+  const reason = checkMovementCommand(command, limits, flight);
+  if (reason) {
+    throw new Error(`Geofence: "${command}" ${reason}`);
+  }
+  return command;
+};
@@ -0,0 +1,90 @@
+// src/services/hardwareInput.js
+// Key and gamepad events forwarded by the native app (MainActivity on
+// Android; iOS does not forward them yet), routed to the keyboard and
+// gamepad input sources. Also captures the next key or axis for the binding
+// editor in settings.
+//
+// Native events:
+//   hardwareKey  { key: 'W' | 'BUTTON_A' | ..., isDown, isRepeat, isGamepad }
+//   gamepadAxes  { axes: { X: 0.1, Y: -0.9, Z: 0, RZ: 0, ... } }
+import { DeviceEventEmitter } from 'react-native';
+import * as keyboardInput from './keyboardInput';
+import * as gamepadInput from './gamepadInput';
+
+const CAPTURE_AXIS_THRESHOLD = 0.6; // An axis has to be pushed this far to be captured
+
+let subscriptions = [];
+let enabled = { keyboard: false, gamepad: false };
+let capture = null; // { kind: 'key' | 'axis', callback } while the binding editor waits for input
+
+const handleKeyEvent = (event) => {
+  if (capture?.kind === 'key') {
+    if (event.isDown) {
+      const { callback } = capture;
+      capture = null;
+      callback(event.key);
+    }
+    return;
+  }
+  if (event.isGamepad && enabled.gamepad && gamepadInput.handleButton(event)) {
+    return;
+  }
+  if (enabled.keyboard) {
+    keyboardInput.handleKey(event);
+  }
+};
+
+const handleAxesEvent = ({ axes }) => {
+  if (capture?.kind === 'axis') {
+    const pushed = Object.keys(axes).find(name => Math.abs(axes[name]) >= CAPTURE_AXIS_THRESHOLD);
+    if (pushed) {
+      const { callback } = capture;
+      capture = null;
+      callback(pushed);
+    }
+    return;
+  }
+  if (enabled.gamepad) {
+    gamepadInput.handleAxes(axes);
+  }
+};
+
+export const start = () => {
+  if (subscriptions.length > 0) {
+    return;
+  }
+  subscriptions = [
+    DeviceEventEmitter.addListener('hardwareKey', handleKeyEvent),
+    DeviceEventEmitter.addListener('gamepadAxes', handleAxesEvent),
+  ];
+};
+
+export const stop = () => {
+  subscriptions.forEach(subscription => subscription.remove());
+  subscriptions = [];
+  capture = null;
+  keyboardInput.reset();
+  gamepadInput.reset();
+};
+
+// { keyboard, gamepad }: which sources may fly; disabling one centres its sticks
+export const setEnabled = (newEnabled) => {
+  if (enabled.keyboard && !newEnabled.keyboard) {
+    keyboardInput.reset();
+  }
+  if (enabled.gamepad && !newEnabled.gamepad) {
+    gamepadInput.reset();
+  }
+  enabled = newEnabled;
+};
+
+// Hand the next key press ('key') or clearly pushed axis ('axis') to
+// `callback` instead of flying with it. Returns a function that cancels.
+export const captureNextInput = (kind, callback) => {
+  capture = { kind, callback };
+  return () => {
+    if (capture?.callback === callback) {
+      capture = null;
+    }
+  };
+};
@@ -0,0 +1,66 @@
+// src/services/inputShaping.js
+// Turns raw stick positions into the values sent to the drone: maps the two
+// sticks to roll/pitch/throttle/yaw according to the transmitter mode, then
+// applies per-axis inversion, deadzone, expo and rate.
+//
+// Raw sticks are { left: { x, y }, right: { x, y } }, -1..1 with up and right
+// positive. Output uses the same shape in the layout rcService expects
+// (Mode 2): left x = yaw, left y = throttle, right x = roll, right y = pitch.
+
+export const AXES = ['roll', 'pitch', 'throttle', 'yaw'];
+
+// Which stick axis drives each control, per transmitter mode
+export const STICK_MODES = {
+  1: { yaw: ['left', 'x'], pitch: ['left', 'y'], roll: ['right', 'x'], throttle: ['right', 'y'] },
+  2: { yaw: ['left', 'x'], throttle: ['left', 'y'], roll: ['right', 'x'], pitch: ['right', 'y'] },
+  3: { roll: ['left', 'x'], pitch: ['left', 'y'], yaw: ['right', 'x'], throttle: ['right', 'y'] },
+  4: { roll: ['left', 'x'], throttle: ['left', 'y'], yaw: ['right', 'x'], pitch: ['right', 'y'] },
+};
+
+export const DEFAULT_AXIS_SHAPING = {
+  invert: false,
+  deadzone: 0.05, // Fraction of stick travel around centre that reads as 0
+  expo: 0, // 0 = linear, 1 = fully cubic (softer around centre)
+  rate: 1, // Fraction of the drone's maximum at full deflection
+};
+
+// Shape one normalized value. Travel beyond the deadzone is rescaled so
+// output still starts at 0 and reaches the full rate at full deflection.
+export const shapeAxis = (value, { invert, deadzone, expo, rate }) => {
+  if (typeof value !== 'number' || isNaN(value)) {
+    return 0;
+  }
+  const clamped = Math.max(-1, Math.min(1, value));
+  const magnitude = Math.abs(clamped);
+  if (magnitude <= deadzone) {
+    return 0;
+  }
+  const live = (magnitude - deadzone) / (1 - deadzone);
+  const curved = (1 - expo) * live + expo * live * live * live;
+  const shaped = Math.sign(clamped) * curved * rate;
+  return invert ? -shaped : shaped;
+};
+
+// Short description of a mode for settings, e.g. "Left: yaw/throttle · Right: roll/pitch"
+export const describeStickMode = (mode) => {
+  const mapping = STICK_MODES[mode];
+  const axisOn = (stick, direction) =>
+    AXES.find(axis => mapping[axis][0] === stick && mapping[axis][1] === direction);
+  return `Left: ${axisOn('left', 'x')}/${axisOn('left', 'y')} · Right: ${axisOn('right', 'x')}/${axisOn('right', 'y')}`;
+};
+
+// 'left' or 'right': the stick that turns the drone in this mode
+export const getYawStick = (mode) => STICK_MODES[mode].yaw[0];
+
+// `shaping` is { [axis]: { invert, deadzone, expo, rate } }
+export const shapeSticks = (raw, mode, shaping) => {
+  const mapping = STICK_MODES[mode] || STICK_MODES[2];
+  const axis = (name) => {
+    const [stick, direction] = mapping[name];
+    return shapeAxis(raw[stick][direction], shaping[name] || DEFAULT_AXIS_SHAPING);
+  };
+  return {
+    left: { x: axis('yaw'), y: axis('throttle') },
+    right: { x: axis('roll'), y: axis('pitch') },
+  };
+};
@@ -0,0 +1,88 @@
+// src/services/inputSources.js
+// Arbitration between everything that can fly the drone: the on-screen
+// joysticks, a hardware keyboard and a gamepad. Each source reports raw stick
+// positions ({ left: { x, y }, right: { x, y } }, -1..1, up/right positive)
+// and button actions; the stick listener (MainScreen) gets the sticks of the
+// winning source, and the action handler every action from any source.
+//
+// The winner is the highest-priority source being moved clearly off centre.
+// When none is, the source updated last passes through, so small corrections
+// still work and gamepad drift can't shadow the touch sticks.
+
+export const INPUT_SOURCE = {
+  TOUCH: 'touch',
+  KEYBOARD: 'keyboard',
+  GAMEPAD: 'gamepad',
+};
+
+export const INPUT_ACTIONS = ['takeoff', 'land', 'emergency', 'photo', 'record'];
+
+export const DEFAULT_INPUT_PRIORITY = [INPUT_SOURCE.GAMEPAD, INPUT_SOURCE.KEYBOARD, INPUT_SOURCE.TOUCH];
+
+const ACTIVE_THRESHOLD = 0.08; // Stick travel that counts as deliberate input
+
+export const NEUTRAL_STICKS = {
+  left: { x: 0, y: 0 },
+  right: { x: 0, y: 0 },
+};
+
+let priority = DEFAULT_INPUT_PRIORITY;
+const sourceSticks = {}; // Latest sticks per source
+let lastUpdatedSource = null;
+let activeSource = null;
+let stickListener = null; // (sticks, sourceId) => void
+let actionHandler = null; // (action, sourceId) => void
+
+const isDeflected = ({ left, right }) =>
+  [left.x, left.y, right.x, right.y].some(value => Math.abs(value) >= ACTIVE_THRESHOLD);
+
+const arbitrate = () => {
+  const winner = priority.find(id => sourceSticks[id] && isDeflected(sourceSticks[id]))
+    || (sourceSticks[lastUpdatedSource] ? lastUpdatedSource : null);
+  activeSource = winner;
+  if (stickListener) {
+    stickListener(winner ? sourceSticks[winner] : NEUTRAL_STICKS, winner);
+  }
+};
+
+export const updateSticks = (sourceId, sticks) => {
+  sourceSticks[sourceId] = sticks;
+  lastUpdatedSource = sourceId;
+  arbitrate();
+};
+
+// Forget a source's sticks, e.g. when a gamepad disconnects or a source is disabled
+export const releaseSource = (sourceId) => {
+  delete sourceSticks[sourceId];
+  if (lastUpdatedSource === sourceId) {
+    lastUpdatedSource = null;
+  }
+  arbitrate();
+};
+
+// Actions are never arbitrated: pressing land anywhere lands
+export const triggerAction = (sourceId, action) => {
+  if (!INPUT_ACTIONS.includes(action)) {
+    return;
+  }
+  console.log(`Input Sources: "${action}" from ${sourceId}`);
+  if (actionHandler) {
+    actionHandler(action, sourceId);
+  }
+};
+
+// Source IDs, highest priority first
+export const setPriority = (sourceIds) => {
+  priority = sourceIds;
+  arbitrate();
+};
+
+export const getActiveSource = () => activeSource;
+
+export const setStickListener = (listener) => {
+  stickListener = listener;
+};
+
+export const setActionHandler = (handler) => {
+  actionHandler = handler;
+};
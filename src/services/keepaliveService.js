@@ -0,0 +1,47 @@
+// src/services/keepaliveService.js
+// The Tello lands by itself after ~15 s without receiving any command. While
+// flying, this sends a neutral `rc 0 0 0 0` whenever the link has been quiet
+// for a while, so a hovering drone stays up.
+import * as telloService from './telloService';
+
+const CHECK_INTERVAL_MS = 1000;
+const KEEPALIVE_IDLE_MS = 5000; // Well below the firmware's 15 s auto-land timer
+const KEEPALIVE_COMMAND = 'rc 0 0 0 0'; // No reply, bypasses the command queue
+
+let intervalId = null;
+let shouldKeepAlive = null; // () => boolean, e.g. "enabled in settings and airborne"
+
+const check = () => {
+  if (!shouldKeepAlive || !shouldKeepAlive()) {
+    return;
+  }
+  // A blocking command in flight already counts as activity for the drone, and
+  // anything queued will go out shortly; never interleave with user commands.
+  if (telloService.isCommandQueueBusy()) {
+    return;
+  }
+  const { lastSentAt } = telloService.getLinkActivity();
+  if (lastSentAt && Date.now() - lastSentAt < KEEPALIVE_IDLE_MS) {
+    return;
+  }
+  telloService.sendCommand(KEEPALIVE_COMMAND).catch(err => {
+    console.warn('Keepalive Service: Failed to send keepalive:', err.message);
+  });
+};
+
+export const start = (isActive) => {
+  stop();
+  console.log('Keepalive Service: Starting.');
+  shouldKeepAlive = isActive;
+  intervalId = setInterval(check, CHECK_INTERVAL_MS);
+};
+
+export const stop = () => {
+  if (!intervalId) {
+    return;
+  }
+  console.log('Keepalive Service: Stopping.');
+  clearInterval(intervalId);
+  intervalId = null;
+  shouldKeepAlive = null;
+};
@@ -0,0 +1,75 @@
+// src/services/keyboardInput.js
+// Hardware keyboard as an input source: held keys push a stick fully in one
+// direction, other bound keys trigger actions. Keys are Android key names
+// without the KEYCODE_ prefix ("W", "DPAD_UP", "SPACE", ...).
+import * as inputSources from './inputSources';
+
+// Binding name -> [stick, axis, direction]
+export const KEYBOARD_STICK_BINDINGS = {
+  leftUp: ['left', 'y', 1],
+  leftDown: ['left', 'y', -1],
+  leftLeft: ['left', 'x', -1],
+  leftRight: ['left', 'x', 1],
+  rightUp: ['right', 'y', 1],
+  rightDown: ['right', 'y', -1],
+  rightLeft: ['right', 'x', -1],
+  rightRight: ['right', 'x', 1],
+};
+
+export const DEFAULT_KEYBOARD_BINDINGS = {
+  leftUp: 'W',
+  leftDown: 'S',
+  leftLeft: 'A',
+  leftRight: 'D',
+  rightUp: 'DPAD_UP',
+  rightDown: 'DPAD_DOWN',
+  rightLeft: 'DPAD_LEFT',
+  rightRight: 'DPAD_RIGHT',
+  takeoff: 'T',
+  land: 'L',
+  emergency: 'ESCAPE', // Still asks for confirmation, like the on-screen button
+  photo: 'P',
+  record: 'R',
+};
+
+let bindings = DEFAULT_KEYBOARD_BINDINGS;
+const heldStickBindings = new Set();
+
+const sticksFromHeldKeys = () => {
+  const sticks = { left: { x: 0, y: 0 }, right: { x: 0, y: 0 } };
+  heldStickBindings.forEach(name => {
+    const [stick, axis, direction] = KEYBOARD_STICK_BINDINGS[name];
+    sticks[stick][axis] += direction; // Opposite keys held together cancel out
+  });
+  return sticks;
+};
+
+export const setBindings = (newBindings) => {
+  bindings = newBindings;
+  reset();
+};
+
+// Handle one key event from hardwareInput; returns true if the key is bound
+export const handleKey = ({ key, isDown, isRepeat }) => {
+  const binding = Object.keys(bindings).find(name => bindings[name] === key);
+  if (!binding) {
+    return false;
+  }
+  if (KEYBOARD_STICK_BINDINGS[binding]) {
+    if (isDown) {
+      heldStickBindings.add(binding);
+    } else {
+      heldStickBindings.delete(binding);
+    }
+    inputSources.updateSticks(inputSources.INPUT_SOURCE.KEYBOARD, sticksFromHeldKeys());
+  } else if (isDown && !isRepeat) {
+    inputSources.triggerAction(inputSources.INPUT_SOURCE.KEYBOARD, binding);
+  }
+  return true;
+};
+
+// Let go of every key, e.g. when keyboard input is switched off
+export const reset = () => {
+  heldStickBindings.clear();
+  inputSources.releaseSource(inputSources.INPUT_SOURCE.KEYBOARD);
+};
@@ -0,0 +1,120 @@
+// src/services/linkWatchdog.js
+// Watches how recently the drone has sent anything (state packets or command
+// replies) and drives the link through ok -> degraded -> lost -> reconnecting.
+import * as telloService from './telloService';
+
+export const LINK_STATUS = {
+  OK: 'ok',
+  DEGRADED: 'degraded', // Packets late, still usable
+  LOST: 'lost', // Waiting for the next reconnect attempt
+  RECONNECTING: 'reconnecting', // Reconnect attempt in progress
+};
+
+const CHECK_INTERVAL_MS = 250;
+const DEGRADED_AFTER_MS = 1000; // State packets normally arrive at 10 Hz
+const LOST_AFTER_MS = 3000;
+const RECONNECT_INTERVAL_MS = 5000; // Delay before the first / between reconnect attempts
+
+let intervalId = null;
+let handlers = null; // { onStatusChange, onLost, onReconnect }
+let status = null;
+let startedAt = null;
+let nextAttemptAt = null;
+let attempts = 0;
+let attemptInProgress = false;
+
+const setStatus = (nextStatus) => {
+  if (nextStatus === status) {
+    return;
+  }
+  console.log(`Link Watchdog: ${status} -> ${nextStatus}`);
+  status = nextStatus;
+  handlers.onStatusChange({ status, nextAttemptAt, attempts });
+};
+
+// Age of the freshest traffic from the drone. Before anything has arrived,
+// count from when the watchdog started.
+const getLinkAge = (now) => {
+  const { lastStateAt, lastReplyAt } = telloService.getLinkActivity();
+  const lastSeen = Math.max(lastStateAt || 0, lastReplyAt || 0, startedAt);
+  return now - lastSeen;
+};
+
+const attemptReconnect = async () => {
+  attemptInProgress = true;
+  attempts++;
+  setStatus(LINK_STATUS.RECONNECTING);
+
+  let recovered = false;
+  try {
+    recovered = await handlers.onReconnect();
+  } catch (e) {
+    console.warn('Link Watchdog: Reconnect attempt failed:', e.message);
+  }
+  attemptInProgress = false;
+  if (!handlers) {
+    return; // Stopped while the attempt was running
+  }
+
+  if (recovered) {
+    attempts = 0;
+    nextAttemptAt = null;
+    setStatus(LINK_STATUS.OK);
+  } else {
+    nextAttemptAt = Date.now() + RECONNECT_INTERVAL_MS;
+    setStatus(LINK_STATUS.LOST);
+  }
+};
+
+const check = () => {
+  if (attemptInProgress) {
+    return;
+  }
+  const now = Date.now();
+
+  if (status === LINK_STATUS.LOST) {
+    // Once lost, only a successful reconnect brings the link back
+    if (now >= nextAttemptAt) {
+      attemptReconnect();
+    }
+    return;
+  }
+
+  const age = getLinkAge(now);
+  if (age > LOST_AFTER_MS) {
+    nextAttemptAt = now + RECONNECT_INTERVAL_MS;
+    setStatus(LINK_STATUS.LOST);
+    handlers.onLost();
+  } else if (age > DEGRADED_AFTER_MS) {
+    setStatus(LINK_STATUS.DEGRADED);
+  } else {
+    setStatus(LINK_STATUS.OK);
+  }
+};
+
+// callbacks.onStatusChange({ status, nextAttemptAt, attempts }) - every transition
+// callbacks.onLost() - once when the link is declared lost
+// callbacks.onReconnect() - must resolve true when the drone is back in SDK mode
+export const start = (callbacks) => {
+  stop();
+  console.log('Link Watchdog: Starting.');
+  handlers = callbacks;
+  status = null;
+  startedAt = Date.now();
+  nextAttemptAt = null;
+  attempts = 0;
+  attemptInProgress = false;
+  setStatus(LINK_STATUS.OK);
+  intervalId = setInterval(check, CHECK_INTERVAL_MS);
+};
+
+export const stop = () => {
+  if (!intervalId) {
+    return;
+  }
+  console.log('Link Watchdog: Stopping.');
+  clearInterval(intervalId);
+  intervalId = null;
+  handlers = null;
+  status = null;
+};
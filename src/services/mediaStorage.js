@@ -0,0 +1,148 @@
+// src/services/mediaStorage.js
+// Where captured photos and recordings live on the device, plus the JSON
+// sidecar files holding the telemetry recorded alongside each of them.
+import { Platform } from 'react-native';
+import RNFS from 'react-native-fs';
+
+export const MEDIA_DIR = `${RNFS.DocumentDirectoryPath}/TelloMedia`;
+const THUMBNAIL_DIR = `${MEDIA_DIR}/.thumbnails`;
+// Android exports land in the public Downloads folder; iOS uses the share sheet
+const EXPORT_DIR = `${RNFS.DownloadDirectoryPath}/TelloMedia`;
+const SIDECAR_EXTENSION = 'json';
+const MEDIA_KINDS = { jpg: 'photo', mp4: 'video' };
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// e.g. photo_20250101_142233 (local time, sorts chronologically)
+export const timestampLabel = (date) =>
+  `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}_` +
+  `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+
+export const ensureMediaDir = async () => {
+  if (!(await RNFS.exists(MEDIA_DIR))) {
+    console.log('Media Storage: Creating media folder', MEDIA_DIR);
+    await RNFS.mkdir(MEDIA_DIR);
+  }
+};
+
+// Build a fresh path for a new media file, e.g. buildMediaPath('photo', 'jpg')
+// gives photo_20250101_142233_042.jpg. The milliseconds keep two captures in
+// the same second (and their sidecars) from overwriting each other.
+export const buildMediaPath = (kind, extension, date = new Date()) =>
+  `${MEDIA_DIR}/${kind}_${timestampLabel(date)}_${String(date.getMilliseconds()).padStart(3, '0')}.${extension}`;
+
+export const getSidecarPath = (mediaPath) =>
+  `${mediaPath.replace(/\.[^./]+$/, '')}.${SIDECAR_EXTENSION}`;
+
+// Snapshot of the telemetry worth keeping with a photo or video
+export const buildTelemetryMetadata = (telemetry, timestamp = Date.now()) => ({
+  timestamp,
+  capturedAt: new Date(timestamp).toISOString(),
+  height: telemetry?.h ?? null, // cm
+  tof: telemetry?.tof ?? null, // cm
+  yaw: telemetry?.yaw ?? null, // deg
+  pitch: telemetry?.pitch ?? null, // deg
+  roll: telemetry?.roll ?? null, // deg
+  battery: telemetry?.bat ?? null, // %
+  flightTime: telemetry?.time ?? null, // s
+});
+
+export const writeSidecar = async (mediaPath, metadata) => {
+  const sidecarPath = getSidecarPath(mediaPath);
+  await RNFS.writeFile(sidecarPath, JSON.stringify(metadata, null, 2), 'utf8');
+  return sidecarPath;
+};
+
+// e.g. 512 KB, 3.4 MB
+export const formatBytes = (bytes) => {
+  if (!bytes) {
+    return '0 KB';
+  }
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const getFileSize = async (path) => {
+  try {
+    const { size } = await RNFS.stat(path);
+    return Number(size);
+  } catch (e) {
+    return null; // Not created yet
+  }
+};
+
+// Bytes free on the volume holding the media folder
+export const getFreeSpace = async () => Number((await RNFS.getFSInfo()).freeSpace);
+
+// Poll a growing file's size; returns a function that stops polling
+export const watchFileSize = (path, onSize, intervalMs = 1000) => {
+  const intervalId = setInterval(async () => {
+    const size = await getFileSize(path);
+    if (size !== null) {
+      onSize(size);
+    }
+  }, intervalMs);
+  return () => clearInterval(intervalId);
+};
+
+const getExtension = (path) => path.split('.').pop().toLowerCase();
+
+export const getThumbnailPath = (mediaPath) =>
+  `${THUMBNAIL_DIR}/${mediaPath.split('/').pop().replace(/\.[^.]+$/, '')}.jpg`;
+
+export const ensureThumbnailDir = async () => {
+  if (!(await RNFS.exists(THUMBNAIL_DIR))) {
+    await RNFS.mkdir(THUMBNAIL_DIR);
+  }
+};
+
+const readSidecar = async (mediaPath) => {
+  try {
+    return JSON.parse(await RNFS.readFile(getSidecarPath(mediaPath), 'utf8'));
+  } catch (e) {
+    return null; // No sidecar (or unreadable), the item is still listed
+  }
+};
+
+// All photos and videos in the media folder, newest first:
+// [{ path, name, kind: 'photo' | 'video', size, modifiedAt, metadata }]
+export const listMedia = async () => {
+  await ensureMediaDir();
+  const entries = await RNFS.readDir(MEDIA_DIR);
+  const files = entries.filter(entry => entry.isFile() && MEDIA_KINDS[getExtension(entry.name)]);
+
+  const items = await Promise.all(files.map(async (entry) => ({
+    path: entry.path,
+    name: entry.name,
+    kind: MEDIA_KINDS[getExtension(entry.name)],
+    size: Number(entry.size),
+    modifiedAt: entry.mtime ? new Date(entry.mtime).getTime() : null,
+    metadata: await readSidecar(entry.path),
+  })));
+  return items.sort((a, b) => (b.modifiedAt || 0) - (a.modifiedAt || 0));
+};
+
+// Remove a media file together with its sidecar and thumbnail
+export const deleteMedia = async (mediaPath) => {
+  const related = [mediaPath, getSidecarPath(mediaPath), getThumbnailPath(mediaPath)];
+  for (const path of related) {
+    if (await RNFS.exists(path)) {
+      await RNFS.unlink(path);
+    }
+  }
+};
+
+// Copy a media file to the public Downloads folder (Android only)
+export const exportMedia = async (mediaPath) => {
+  if (Platform.OS !== 'android') {
+    throw new Error('Export to Downloads is only available on Android; use Share instead');
+  }
+  if (!(await RNFS.exists(EXPORT_DIR))) {
+    await RNFS.mkdir(EXPORT_DIR);
+  }
+  const destination = `${EXPORT_DIR}/${mediaPath.split('/').pop()}`;
+  await RNFS.copyFile(mediaPath, destination);
+  return destination;
+};
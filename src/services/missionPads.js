@@ -0,0 +1,45 @@
+// src/services/missionPads.js
+// Mission pad commands (Tello EDU / RoboMaster TT firmware). Each helper builds
+// the SDK command, checks it against telloCommands and sends it through
+// telloService. Detected pad ID and pad-relative x/y/z arrive in telemetry.
+import * as telloService from './telloService';
+import { validateCommand } from './telloCommands';
+
+// Which camera looks for pads (argument of `mdirection`)
+export const PAD_DIRECTION = {
+  DOWNWARD: 0,
+  FORWARD: 1,
+  BOTH: 2, // Alternates between cameras at 10 Hz each
+};
+
+// Pad IDs printed on the mats; ANY_PAD and NEAREST_PAD can stand in for one
+export const PAD_IDS = [1, 2, 3, 4, 5, 6, 7, 8];
+export const ANY_PAD = -1;
+export const NEAREST_PAD = -2;
+
+// 3 -> "m3", ANY_PAD -> "m-1"
+export const padRef = (padId) => `m${padId}`;
+
+const send = async (command) => {
+  const problem = validateCommand(command);
+  if (problem) {
+    throw new Error(problem);
+  }
+  return telloService.sendCommand(command);
+};
+
+// Detection must be on before the direction can be chosen
+export const enableDetection = async (direction = PAD_DIRECTION.DOWNWARD) => {
+  await send('mon');
+  await send(`mdirection ${direction}`);
+};
+
+export const disableDetection = () => send('moff');
+
+// Fly to x/y/z (cm) in the pad's coordinate frame; the pad has to be in view
+export const goRelativeToPad = ({ x, y, z, speed, padId }) =>
+  send(`go ${x} ${y} ${z} ${speed} ${padRef(padId)}`);
+
+// Fly to x/y/z over `fromPad`, look for `toPad` there and turn to `yaw` relative to it
+export const jump = ({ x, y, z, speed, yaw, fromPad, toPad }) =>
+  send(`jump ${x} ${y} ${z} ${speed} ${yaw} ${padRef(fromPad)} ${padRef(toPad)}`);
@@ -0,0 +1,137 @@
+// src/services/missionScript.js
+// Parser and validator for mission scripts: Tello SDK commands, one per line,
+// plus a little flow control.
+//
+//   # comments start with '#'
+//   takeoff
+//   wait 2                          pause for 2 seconds
+//   repeat 4                        run the block 4 times
+//     forward 100
+//     cw 90
+//   end
+//   if battery < 30 then land       checked once, when reached
+//   when height > 250 then land     checked before every later step and during waits
+//   land
+//
+// A `then` action is any command, or `abort` to just stop the mission. The
+// mission ends after `when` actions and after `if` actions that land the drone.
+import { validateCommand } from './telloCommands';
+import { TELEMETRY_FIELDS } from './telemetry';
+
+const MAX_REPEAT = 100;
+const MAX_WAIT_SECONDS = 600;
+
+// Friendlier names for telemetry fields in conditions; raw keys work too
+const FIELD_ALIASES = {
+  battery: 'bat',
+  height: 'h',
+  temp: 'temph',
+  flighttime: 'time',
+};
+
+const COMPARISONS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+// Commands after which nothing else in the mission can run
+const TERMINAL_COMMANDS = ['land', 'emergency'];
+
+export const isTerminalAction = (action) => action === 'abort' || TERMINAL_COMMANDS.includes(action);
+
+const CONDITION_PATTERN = /^(if|when)\s+([a-z]+)\s*(<=|>=|==|!=|<|>)\s*(-?\d+(?:\.\d+)?)\s+then\s+(.+)$/;
+
+const parseCondition = (match) => {
+  const [, , name, operator, value] = match;
+  const field = FIELD_ALIASES[name] ?? name;
+  if (!TELEMETRY_FIELDS[field]) {
+    return { error: `Unknown telemetry field "${name}"` };
+  }
+  return { condition: { field, operator, value: Number(value), label: `${name} ${operator} ${value}` } };
+};
+
+// True when `condition` holds for `telemetry`; a field not reported yet never matches
+export const evaluateCondition = (condition, telemetry) => {
+  const actual = telemetry?.[condition.field];
+  if (actual === null || actual === undefined) {
+    return false;
+  }
+  return COMPARISONS[condition.operator](actual, condition.value);
+};
+
+// Parse a script into steps:
+//   { type: 'command', command, line }
+//   { type: 'wait', seconds, line }
+//   { type: 'repeat', count, steps, line }
+//   { type: 'if' | 'when', condition, action, line }
+// Returns { steps, errors: [{ line, message }] }; only run a script without errors.
+export const parseMissionScript = (text) => {
+  const errors = [];
+  const root = { steps: [] };
+  const blocks = [root]; // Open repeat blocks, innermost last
+
+  text.split('\n').forEach((rawLine, index) => {
+    const line = index + 1;
+    const source = rawLine.replace(/#.*$/, '').trim().toLowerCase();
+    if (!source) {
+      return;
+    }
+    const addError = (message) => errors.push({ line, message });
+    const steps = blocks[blocks.length - 1].steps;
+    const words = source.split(/\s+/);
+
+    if (words[0] === 'repeat') {
+      const count = Number(words[1]);
+      if (words.length !== 2 || !Number.isInteger(count) || count < 1 || count > MAX_REPEAT) {
+        addError(`"repeat" needs a count between 1 and ${MAX_REPEAT}`);
+      }
+      const block = { type: 'repeat', count, steps: [], line };
+      steps.push(block);
+      blocks.push(block);
+    } else if (words[0] === 'end') {
+      if (blocks.length === 1) {
+        addError('"end" without a matching "repeat"');
+      } else {
+        blocks.pop();
+      }
+    } else if (words[0] === 'wait') {
+      const seconds = Number(words[1]);
+      if (words.length !== 2 || isNaN(seconds) || seconds < 0 || seconds > MAX_WAIT_SECONDS) {
+        addError(`"wait" needs a number of seconds between 0 and ${MAX_WAIT_SECONDS}`);
+      }
+      steps.push({ type: 'wait', seconds, line });
+    } else if (words[0] === 'if' || words[0] === 'when') {
+      const match = source.match(CONDITION_PATTERN);
+      if (!match) {
+        addError(`Expected "${words[0]} <field> <op> <number> then <command>"`);
+        return;
+      }
+      const { condition, error } = parseCondition(match);
+      const action = match[5].trim();
+      const actionError = action === 'abort' ? null : validateCommand(action);
+      if (error || actionError) {
+        addError(error || actionError);
+      }
+      steps.push({ type: words[0], condition, action, line });
+    } else {
+      const commandError = validateCommand(source);
+      if (commandError) {
+        addError(commandError);
+      }
+      steps.push({ type: 'command', command: source, line });
+    }
+  });
+
+  if (blocks.length > 1) {
+    errors.push({ line: blocks[blocks.length - 1].line, message: '"repeat" is missing its "end"' });
+  }
+  return { steps: root.steps, errors };
+};
+
+// Number of steps a full run goes through, loops unrolled (for progress)
+export const countSteps = (steps) =>
+  steps.reduce((total, step) => total + (step.type === 'repeat' ? step.count * countSteps(step.steps) : 1), 0);
@@ -0,0 +1,46 @@
+// src/services/missionStorage.js
+// Waypoint missions saved from the mission editor, one JSON file each.
+import RNFS from 'react-native-fs';
+
+export const MISSION_DIR = `${RNFS.DocumentDirectoryPath}/Missions`;
+
+const ensureMissionDir = async () => {
+  if (!(await RNFS.exists(MISSION_DIR))) {
+    await RNFS.mkdir(MISSION_DIR);
+  }
+};
+
+// "Lap #2 / garden" -> "Lap_2_garden"
+const toFileName = (name) => name.trim().replace(/[^a-z0-9-]+/gi, '_').replace(/^_+|_+$/g, '') || 'mission';
+
+// Saving under an existing name replaces that mission. Returns the file path.
+export const saveMission = async ({ name, waypoints }) => {
+  await ensureMissionDir();
+  const path = `${MISSION_DIR}/${toFileName(name)}.json`;
+  const content = { name, waypoints, savedAt: new Date().toISOString() };
+  await RNFS.writeFile(path, JSON.stringify(content, null, 2), 'utf8');
+  return path;
+};
+
+// Saved missions, most recently saved first: [{ path, name, modifiedAt }]
+export const listMissions = async () => {
+  await ensureMissionDir();
+  const entries = await RNFS.readDir(MISSION_DIR);
+  return entries
+    .filter(entry => entry.isFile() && entry.name.endsWith('.json'))
+    .map(entry => ({
+      path: entry.path,
+      name: entry.name.replace(/\.json$/, ''),
+      modifiedAt: entry.mtime ? new Date(entry.mtime).getTime() : null,
+    }))
+    .sort((a, b) => (b.modifiedAt || 0) - (a.modifiedAt || 0));
+};
+
+// { name, waypoints, savedAt }
+export const loadMission = async (path) => JSON.parse(await RNFS.readFile(path, 'utf8'));
+
+export const deleteMission = async (path) => {
+  if (await RNFS.exists(path)) {
+    await RNFS.unlink(path);
+  }
+};
@@ -0,0 +1,78 @@
+// src/services/preflightChecks.js
+// Pre-flight checklist run on the ground before takeoff is allowed. Each
+// check is { id, label, status, detail } with status 'pass', 'fail' or
+// 'pending' (not known yet, e.g. no telemetry or storage not read yet).
+export const CHECK_STATUS = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  PENDING: 'pending',
+};
+
+const PREFLIGHT_MAX_TEMPERATURE_C = 80; // The Tello shuts itself down at about 90 °C
+const PREFLIGHT_MAX_TILT_DEG = 10; // Standing on something level
+const PREFLIGHT_AGZ_TOLERANCE = 150; // 0.001 g around -1000 at rest
+const PREFLIGHT_MIN_FREE_BYTES = 500 * 1024 * 1024; // A few minutes of recording
+
+const check = (id, label, status, detail) => ({ id, label, status, detail });
+
+const pending = (id, label, detail) => check(id, label, CHECK_STATUS.PENDING, detail);
+
+const passIf = (id, label, isPassing, detail) =>
+  check(id, label, isPassing ? CHECK_STATUS.PASS : CHECK_STATUS.FAIL, detail);
+
+// `input`:
+//   { linkStatus, isLinkFresh, telemetry, minBatteryPercent, videoPlayerStatus, freeStorageBytes }
+// isLinkFresh is whether the link watchdog reports the link OK; videoPlayerStatus
+// is null while the player is loading, 'playing' or 'error'
+export const evaluatePreflightChecks = ({ linkStatus, isLinkFresh, telemetry, minBatteryPercent, videoPlayerStatus, freeStorageBytes }) => {
+  const checks = [];
+
+  if (!telemetry) {
+    checks.push(pending('link', 'Link', 'No telemetry yet'));
+  } else {
+    checks.push(passIf('link', 'Link', isLinkFresh, isLinkFresh ? 'Telemetry fresh' : `Link ${linkStatus}`));
+  }
+
+  const battery = telemetry?.bat ?? null;
+  checks.push(battery === null
+    ? pending('battery', 'Battery', 'Unknown')
+    : passIf('battery', 'Battery', battery >= minBatteryPercent, `${battery}% (needs ${minBatteryPercent}%)`));
+
+  const temperature = telemetry?.temph ?? null;
+  checks.push(temperature === null
+    ? pending('temperature', 'Temperature', 'Unknown')
+    : passIf('temperature', 'Temperature', temperature <= PREFLIGHT_MAX_TEMPERATURE_C, `${temperature} °C (max ${PREFLIGHT_MAX_TEMPERATURE_C} °C)`));
+
+  const { pitch, roll, agz } = telemetry || {};
+  if (pitch == null || roll == null || agz == null) {
+    checks.push(pending('imu', 'IMU level', 'Unknown'));
+  } else {
+    const tilt = Math.max(Math.abs(pitch), Math.abs(roll));
+    const isLevel = tilt <= PREFLIGHT_MAX_TILT_DEG && Math.abs(agz + 1000) <= PREFLIGHT_AGZ_TOLERANCE;
+    checks.push(passIf('imu', 'IMU level', isLevel, `pitch ${pitch}°, roll ${roll}°, agz ${Math.round(agz)}`));
+  }
+
+  if (videoPlayerStatus === null) {
+    checks.push(pending('video', 'Video', 'Waiting for the stream'));
+  } else {
+    checks.push(passIf('video', 'Video', videoPlayerStatus === 'playing', videoPlayerStatus === 'playing' ? 'Streaming' : 'Player error'));
+  }
+
+  if (freeStorageBytes === null) {
+    checks.push(pending('storage', 'Storage', 'Checking...'));
+  } else {
+    const freeMb = Math.round(freeStorageBytes / (1024 * 1024));
+    checks.push(passIf('storage', 'Storage', freeStorageBytes >= PREFLIGHT_MIN_FREE_BYTES, `${freeMb} MB free`));
+  }
+
+  return checks;
+};
+
+// Why takeoff is blocked by the checklist, or null when every check passes
+export const describePreflightBlock = (checks) => {
+  const failing = checks.filter(c => c.status !== CHECK_STATUS.PASS);
+  if (failing.length === 0) {
+    return null;
+  }
+  return `pre-flight check: ${failing.map(c => `${c.label} (${c.detail})`).join(', ')}`;
+};
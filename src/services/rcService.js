@@ -0,0 +1,92 @@
+// src/services/rcService.js
+// Periodic RC transmitter. Samples the stick state at a fixed rate and turns
+// it into `rc a b c d` commands, independent of React renders.
+import * as telloService from './telloService';
+
+export const RC_MAX_VALUE = 100; // Tello expects values between -100 and 100
+const RC_SEND_INTERVAL_MS = 50; // 20 Hz, well within what the Tello accepts
+
+const NEUTRAL_STICKS = {
+  left: { x: 0, y: 0 },
+  right: { x: 0, y: 0 },
+};
+
+let stickSource = null; // () => ({ left: {x, y}, right: {x, y} }), normalized -1..1
+let intervalId = null;
+let lastSentWasNeutral = true;
+
+// Clamp a normalized -1..1 stick value and scale it to the Tello range.
+const toRcValue = value => {
+  if (typeof value !== 'number' || isNaN(value)) {
+    return 0;
+  }
+  const clamped = Math.max(-1, Math.min(1, value));
+  return Math.round(clamped * RC_MAX_VALUE);
+};
+
+// Stick layout (after inputShaping, whatever the pilot's stick mode):
+// left X = yaw, left Y = throttle, right X = roll, right Y = pitch.
+// Tello argument order is: roll (a), pitch (b), throttle (c), yaw (d).
+export const buildRcCommand = ({ left, right }) => {
+  const roll = toRcValue(right.x);
+  const pitch = toRcValue(right.y);
+  const throttle = toRcValue(left.y);
+  const yaw = toRcValue(left.x);
+  return `rc ${roll} ${pitch} ${throttle} ${yaw}`;
+};
+
+const NEUTRAL_RC_COMMAND = buildRcCommand(NEUTRAL_STICKS);
+
+const sendRc = command => {
+  telloService.sendCommand(command).catch(err => {
+    // Dropped rc packets are superseded by the next tick, so only log them.
+    console.warn(`RC Service: Failed to send "${command}":`, err.message);
+  });
+};
+
+const tick = () => {
+  const sticks = stickSource ? stickSource() : NEUTRAL_STICKS;
+  const command = buildRcCommand(sticks || NEUTRAL_STICKS);
+  const isNeutral = command === NEUTRAL_RC_COMMAND;
+
+  // While the sticks rest, send a single neutral packet on release and then
+  // stay quiet instead of flooding the drone with identical zeros.
+  if (isNeutral && lastSentWasNeutral) {
+    return;
+  }
+  lastSentWasNeutral = isNeutral;
+  sendRc(command);
+};
+
+// Register the function used to read the current stick positions.
+export const setStickSource = source => {
+  stickSource = source;
+};
+
+export const isRunning = () => intervalId !== null;
+
+export const start = () => {
+  if (intervalId) {
+    console.log('RC Service: Transmitter already running.');
+    return;
+  }
+  console.log(`RC Service: Starting transmitter at ${1000 / RC_SEND_INTERVAL_MS} Hz.`);
+  lastSentWasNeutral = true;
+  intervalId = setInterval(tick, RC_SEND_INTERVAL_MS);
+};
+
+// Send an immediate `rc 0 0 0 0`, e.g. when the link or the pilot lets go.
+export const neutralize = () => {
+  lastSentWasNeutral = true;
+  sendRc(NEUTRAL_RC_COMMAND);
+};
+
+export const stop = () => {
+  if (!intervalId) {
+    return;
+  }
+  console.log('RC Service: Stopping transmitter.');
+  clearInterval(intervalId);
+  intervalId = null;
+  neutralize();
+};
@@ -0,0 +1,21 @@
+// src/services/settingsStorage.js
+// Settings survive restarts as one JSON file in the app's documents folder.
+import RNFS from 'react-native-fs';
+
+const SETTINGS_PATH = `${RNFS.DocumentDirectoryPath}/settings.json`;
+
+// Saved settings object, or null when nothing was saved yet or the file is unreadable
+export const loadSettings = async () => {
+  if (!(await RNFS.exists(SETTINGS_PATH))) {
+    return null;
+  }
+  try {
+    return JSON.parse(await RNFS.readFile(SETTINGS_PATH, 'utf8'));
+  } catch (e) {
+    console.warn('Settings Storage: Ignoring unreadable settings file:', e.message);
+    return null;
+  }
+};
+
+export const saveSettings = (settings) =>
+  RNFS.writeFile(SETTINGS_PATH, JSON.stringify(settings, null, 2), 'utf8');
@@ -0,0 +1,79 @@
+// src/services/telemetry.js
+// Typed model of the Tello state string ("pitch:0;roll:0;yaw:0;...").
+// Converts the raw key/value strings from telloService into validated numbers.
+
+// Field definitions: unit and plausible range. Values outside the range are
+// treated as corrupt packets and dropped rather than stored.
+export const TELEMETRY_FIELDS = {
+  // Mission pad (EDU / RMTT firmware only). mid is -1 when no pad is detected,
+  // -2 when detection is off; x/y/z are relative to the detected pad.
+  mid: { unit: null, min: -2, max: 8, integer: true },
+  x: { unit: 'cm', min: -500, max: 500 },
+  y: { unit: 'cm', min: -500, max: 500 },
+  z: { unit: 'cm', min: -500, max: 500 },
+  // Attitude
+  pitch: { unit: 'deg', min: -180, max: 180, integer: true },
+  roll: { unit: 'deg', min: -180, max: 180, integer: true },
+  yaw: { unit: 'deg', min: -180, max: 180, integer: true },
+  // Speeds (the SDK docs say cm/s, but the firmware reports decimetres per second)
+  vgx: { unit: 'dm/s', min: -100, max: 100, integer: true },
+  vgy: { unit: 'dm/s', min: -100, max: 100, integer: true },
+  vgz: { unit: 'dm/s', min: -100, max: 100, integer: true },
+  // Lowest / highest board temperature
+  templ: { unit: '°C', min: -20, max: 120, integer: true },
+  temph: { unit: '°C', min: -20, max: 120, integer: true },
+  // Time-of-flight distance sensor and height above takeoff point
+  tof: { unit: 'cm', min: 0, max: 10000, integer: true },
+  h: { unit: 'cm', min: -1000, max: 10000, integer: true },
+  bat: { unit: '%', min: 0, max: 100, integer: true },
+  baro: { unit: 'cm', min: -100000, max: 100000 },
+  // Motor-on time of the current flight
+  time: { unit: 's', min: 0, max: 100000, integer: true },
+  // Acceleration in thousandths of g
+  agx: { unit: '0.001g', min: -16000, max: 16000 },
+  agy: { unit: '0.001g', min: -16000, max: 16000 },
+  agz: { unit: '0.001g', min: -16000, max: 16000 },
+};
+
+// Convert one raw value; returns null when it is missing, not a number or out of range
+const parseField = (spec, rawValue) => {
+  if (rawValue === undefined || rawValue === null || rawValue === '') {
+    return null;
+  }
+  const value = Number(rawValue);
+  if (!Number.isFinite(value) || value < spec.min || value > spec.max) {
+    return null;
+  }
+  return spec.integer ? Math.round(value) : value;
+};
+
+// Parse the raw map produced by telloService into
+// { values: { pitch: 0, ... }, invalidFields: ['tof', ...] }.
+// Only fields present in the packet appear in `values`; unknown keys are ignored.
+export const parseTelemetry = (rawStatus) => {
+  const values = {};
+  const invalidFields = [];
+
+  Object.keys(TELEMETRY_FIELDS).forEach(key => {
+    if (rawStatus[key] === undefined) {
+      return; // Field not sent by this firmware (e.g. mid/x/y/z on a plain Tello)
+    }
+    const value = parseField(TELEMETRY_FIELDS[key], rawStatus[key]);
+    if (value === null) {
+      invalidFields.push(key);
+    } else {
+      values[key] = value;
+    }
+  });
+
+  return { values, invalidFields };
+};
+
+export const formatFlightTime = (totalSeconds) => {
+  if (totalSeconds === null || totalSeconds === undefined) {
+    return null;
+  }
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}m ${seconds}s`;
+};
@@ -0,0 +1,109 @@
+// src/services/telloCommands.js
+// Argument ranges of the Tello SDK control commands, so a command can be
+// checked before it is sent instead of the drone answering "error".
+// Ranges follow the Tello SDK 2.0 / 3.0 user guides.
+
+const DISTANCE = { min: 20, max: 500 }; // cm
+const COORDINATE = { min: -500, max: 500 }; // cm
+const ROTATION = { min: 1, max: 360 }; // deg
+const SPEED = { min: 10, max: 100 }; // cm/s
+const CURVE_SPEED = { min: 10, max: 60 }; // cm/s
+const YAW = { min: -360, max: 360 }; // deg
+// Mission pad the coordinates are relative to: m1-m8, m-1 (any pad in view) or m-2 (nearest)
+const MISSION_PAD = { values: ['m1', 'm2', 'm3', 'm4', 'm5', 'm6', 'm7', 'm8', 'm-1', 'm-2'] };
+
+// Both go and curve refuse points where x, y and z are all within +-20 cm
+const isTooShort = (x, y, z) => [x, y, z].every(value => Math.abs(value) <= 20);
+
+export const COMMAND_SPECS = {
+  command: { args: [] },
+  takeoff: { args: [] },
+  land: { args: [] },
+  emergency: { args: [] },
+  stop: { args: [] }, // Hover in place
+  streamon: { args: [] },
+  streamoff: { args: [] },
+  up: { args: [DISTANCE], movement: true },
+  down: { args: [DISTANCE], movement: true },
+  left: { args: [DISTANCE], movement: true },
+  right: { args: [DISTANCE], movement: true },
+  forward: { args: [DISTANCE], movement: true },
+  back: { args: [DISTANCE], movement: true },
+  cw: { args: [ROTATION] },
+  ccw: { args: [ROTATION] },
+  flip: { args: [{ values: ['l', 'r', 'f', 'b'] }], movement: true },
+  speed: { args: [SPEED] },
+  // Mission pad detection (EDU / RMTT firmware): on, off, and which camera
+  // looks for pads (0 downward, 1 forward, 2 both)
+  mon: { args: [] },
+  moff: { args: [] },
+  mdirection: { args: [{ min: 0, max: 2 }] },
+  // With a trailing pad ID, go and curve coordinates are relative to that pad
+  go: {
+    args: [COORDINATE, COORDINATE, COORDINATE, SPEED, MISSION_PAD],
+    optionalArgs: 1,
+    movement: true,
+    check: ([x, y, z]) => (isTooShort(x, y, z) ? 'x, y and z cannot all be between -20 and 20' : null),
+  },
+  curve: {
+    args: [COORDINATE, COORDINATE, COORDINATE, COORDINATE, COORDINATE, COORDINATE, CURVE_SPEED, MISSION_PAD],
+    optionalArgs: 1,
+    movement: true,
+    check: ([x1, y1, z1, x2, y2, z2]) =>
+      isTooShort(x1, y1, z1) || isTooShort(x2, y2, z2)
+        ? 'neither curve point may have x, y and z all between -20 and 20'
+        : null,
+  },
+  // Fly to x y z over the first pad, find the second one there and turn to `yaw`
+  jump: {
+    args: [COORDINATE, COORDINATE, COORDINATE, SPEED, YAW, MISSION_PAD, MISSION_PAD],
+    movement: true,
+    check: ([x, y, z]) => (isTooShort(x, y, z) ? 'x, y and z cannot all be between -20 and 20' : null),
+  },
+};
+
+// "forward 100" -> { name: 'forward', args: ['100'] }
+export const parseCommand = (command) => {
+  const [name, ...args] = command.trim().split(/\s+/);
+  return { name: name.toLowerCase(), args };
+};
+
+// Returns null when `command` is a known command with valid arguments,
+// otherwise a message saying what is wrong with it.
+export const validateCommand = (command) => {
+  const { name, args } = parseCommand(command);
+  const spec = COMMAND_SPECS[name];
+  if (!spec) {
+    return `Unknown command "${name}"`;
+  }
+  const minArgs = spec.args.length - (spec.optionalArgs || 0);
+  if (args.length < minArgs || args.length > spec.args.length) {
+    const expected = minArgs === spec.args.length ? minArgs : `${minArgs}-${spec.args.length}`;
+    return `"${name}" takes ${expected} argument(s), got ${args.length}`;
+  }
+
+  const values = [];
+  for (let i = 0; i < args.length; i++) {
+    const range = spec.args[i];
+    if (range.values) {
+      if (!range.values.includes(args[i])) {
+        return `"${name}" argument ${i + 1} must be one of ${range.values.join('/')}`;
+      }
+      values.push(args[i]);
+      continue;
+    }
+    const value = Number(args[i]);
+    if (!Number.isInteger(value)) {
+      return `"${name}" argument ${i + 1} must be a whole number, got "${args[i]}"`;
+    }
+    if (value < range.min || value > range.max) {
+      return `"${name}" argument ${i + 1} must be between ${range.min} and ${range.max}, got ${value}`;
+    }
+    values.push(value);
+  }
+  return spec.check ? spec.check(values) : null;
+};
+
+// True for commands that translate the drone (not rotations or mode changes)
+export const isMovementCommand = (command) =>
+  COMMAND_SPECS[parseCommand(command).name]?.movement === true;
@@ -0,0 +1,51 @@
+// src/services/telloQueries.js
+// Typed wrappers around the Tello SDK read commands ("battery?", "sn?", ...).
+// Each helper sends the query through telloService and parses the reply.
+import * as telloService from './telloService';
+
+const QUERY_TIMEOUT_MS = 3000; // Queries answer immediately; don't wait as long as for moves
+
+const query = (command, options = {}) =>
+  telloService.sendCommand(command, { timeoutMs: QUERY_TIMEOUT_MS, ...options });
+
+const parseInteger = (text) => parseInt(text, 10);
+
+// Replies sometimes carry units or trailing whitespace ("12s", "100\r\n")
+const parseNumber = (command, reply, parser = parseFloat) => {
+  const value = parser(String(reply).trim());
+  if (isNaN(value)) {
+    throw new Error(`Unexpected reply to "${command}": "${reply}"`);
+  }
+  return value;
+};
+
+const parseText = (command, reply) => {
+  const value = String(reply).trim();
+  if (!value || value === 'ok') {
+    throw new Error(`Unexpected reply to "${command}": "${reply}"`);
+  }
+  return value;
+};
+
+// Battery level in percent (0-100)
+export const getBattery = async () => parseNumber('battery?', await query('battery?'), parseInteger);
+
+// Current speed setting in cm/s
+export const getSpeed = async () => parseNumber('speed?', await query('speed?'));
+
+// Motor-on time of the current flight in seconds (reply looks like "42s")
+export const getFlightTime = async () => parseNumber('time?', await query('time?'), parseInteger);
+
+// Wi-Fi signal-to-noise ratio as reported by the drone
+export const getWifiSnr = async () => parseNumber('wifi?', await query('wifi?'), parseInteger);
+
+// SDK version string, e.g. "20" or "30"
+export const getSdkVersion = async () => parseText('sdk?', await query('sdk?'));
+
+// Serial number string
+export const getSerialNumber = async () => parseText('sn?', await query('sn?'));
+
+// Hardware type ("TELLO" or "RMTT"); only RoboMaster TT firmware answers this,
+// so an 'error' reply is expected on other models and not worth retrying
+export const getHardware = async () =>
+  parseText('hardware?', await query('hardware?', { retries: 0 }));
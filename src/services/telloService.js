@@ -1,5 +1,6 @@
 // src/services/telloService.js
 import dgram from 'react-native-udp';
+import * as commandQueue from './commandQueue';
 
 // --- Constants ---
 const TELLO_IP = '192.168.10.1';
@@ -10,10 +11,115 @@ const TELLO_STATE_PORT = 8890; // Port the drone sends state FROM
 const LOCAL_COMMAND_PORT_BIND = 9000; // Port we listen for command responses ON
 const LOCAL_STATE_PORT_BIND = 8890; // Port we listen for state messages ON (can be the same as drone's state port)
 
+// Movement commands (takeoff, forward 100, ...) only reply once the manoeuvre completes
+export const DEFAULT_COMMAND_TIMEOUT_MS = 8000;
+const DEFAULT_IDEMPOTENT_RETRIES = 2;
+// A timed-out command keeps its place among the pending replies for this
+// long, so a reply that turns up late is absorbed instead of being taken for
+// the answer to the next command
+const LATE_REPLY_WINDOW_MS = 3000;
+
+// Where commands go and which local ports we bind. Defaults talk to a real
+// drone; point `host` at a machine running `npm run simulator` for development.
+let target = {
+  host: TELLO_IP,
+  commandPort: TELLO_COMMAND_PORT,
+  localCommandPort: LOCAL_COMMAND_PORT_BIND,
+  localStatePort: LOCAL_STATE_PORT_BIND,
+};
+
 let commandSocket = null;
 let stateSocket = null; // Add a variable for the state socket
 let statusCallback = null; // Store the callback function
 
+// Commands awaiting a reply, oldest first. The Tello answers strictly in order,
+// so each incoming reply belongs to the head of this list. Entries of
+// timed-out commands stay for LATE_REPLY_WINDOW_MS, marked `isStale`.
+let pendingReplies = [];
+let staleClearedWaiters = []; // Resolvers waiting for the last stale entry to go
+
+// Arrival times of the last state packet / command reply, used by the link watchdog
+let lastStateAt = null;
+let lastReplyAt = null;
+let lastSentAt = null; // Last time any command (including rc) went out
+
+// Observer of every command sent and reply received (e.g. the flight recorder)
+let trafficListener = null;
+
+const notifyTraffic = (event) => {
+  if (!trafficListener) {
+    return;
+  }
+  try {
+    trafficListener({ ...event, at: Date.now() });
+  } catch (e) {
+    console.warn('Tello Service: Traffic listener threw:', e.message);
+  }
+};
+
+// Optional hook applied to every outgoing command except the preempting ones
+// (e.g. the geofence): returns the command to send, or throws to refuse it
+let commandFilter = null;
+
+// `rc` is fire-and-forget: the drone never answers it
+const expectsReply = (command) => !command.startsWith('rc ');
+
+// Commands that can be repeated safely if a reply is lost (queries and mode switches)
+const isIdempotent = (command) =>
+  command.endsWith('?') || ['command', 'streamon', 'streamoff'].includes(command);
+
+const hasStaleReplies = () => pendingReplies.some(p => p.isStale);
+
+const removePending = (entry) => {
+  pendingReplies = pendingReplies.filter(p => p !== entry);
+  if (!hasStaleReplies()) {
+    const waiters = staleClearedWaiters;
+    staleClearedWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+};
+
+// Resolves once no timed-out command can still be answered. Commands wait
+// for this before going out, so a late reply can't be mistaken for theirs.
+const lateRepliesSettled = () => (hasStaleReplies()
+  ? new Promise(resolve => staleClearedWaiters.push(resolve))
+  : Promise.resolve());
+
+const settleNextReply = (reply) => {
+  lastReplyAt = Date.now();
+  const pending = pendingReplies[0];
+  if (!pending) {
+    console.warn(`Tello Service: Received reply "${reply}" with no command pending.`);
+    return;
+  }
+  clearTimeout(pending.timer);
+  removePending(pending);
+  if (pending.isStale) {
+    console.warn(`Tello Service: Late reply "${reply}" to timed-out "${pending.command}" ignored.`);
+    notifyTraffic({ kind: 'lateReply', command: pending.command, reply });
+    return;
+  }
+  notifyTraffic({ kind: 'reply', command: pending.command, reply });
+  // Firmware answers commands it does not know with "unknown command: xyz"
+  const normalized = reply.toLowerCase();
+  if (normalized.startsWith('error') || normalized.startsWith('unknown command')) {
+    pending.reject(new Error(`Drone rejected "${pending.command}": ${reply}`));
+  } else {
+    pending.resolve(reply);
+  }
+};
+
+const rejectAllPending = (reason) => {
+  const dropped = pendingReplies;
+  dropped.forEach(pending => {
+    clearTimeout(pending.timer);
+    removePending(pending);
+    if (!pending.isStale) {
+      pending.reject(new Error(`Command "${pending.command}" aborted: ${reason}`));
+    }
+  });
+};
+
 // --- Status String Parser (Keep as is) ---
 const parseStatusString = (statusStr) => {
   const statusData = {};
@@ -41,6 +147,16 @@ const parseStatusString = (statusStr) => {
   }
 };
 
+// --- Target configuration ---
+// Override any of { host, commandPort, localCommandPort, localStatePort }.
+// Takes effect for sockets created by the next initialize() call.
+export const setTarget = (overrides) => {
+  target = { ...target, ...overrides };
+  console.log(`Tello Service: Target set to ${target.host}:${target.commandPort}`);
+};
+
+export const getTarget = () => ({ ...target });
+
 // --- Modify initialize to handle BOTH sockets ---
 export const initialize = (onStatusUpdate) => {
   return new Promise((resolve, reject) => {
@@ -94,19 +210,18 @@ const _createSockets = (onStatusUpdate, resolve, reject) => {
         cmdSock.on('error', (err) => handleError('Command', err));
 
         cmdSock.on('message', (msg, rinfo) => {
-            const messageStr = msg.toString();
-            // Command socket only logs simple responses ('ok', 'error', query results)
+            const messageStr = msg.toString().trim();
+            // Command socket only carries replies ('ok', 'error ...', query results).
             // It DOES NOT handle the periodic status string anymore.
             console.log(`Tello Service: Drone command response: "${messageStr}" from ${rinfo.address}:${rinfo.port}`);
-            // Optional: Handle specific non-status responses if needed (e.g., wifi?)
-            // if (messageStr.startsWith('wifi')) { ... }
+            settleNextReply(messageStr);
         });
 
-        cmdSock.bind(LOCAL_COMMAND_PORT_BIND, (err) => {
+        cmdSock.bind(target.localCommandPort, (err) => {
             if (err) {
                 handleError('Command Bind', err);
             } else {
-                console.log(`Tello Service: Command Socket bound successfully to port ${LOCAL_COMMAND_PORT_BIND}`);
+                console.log(`Tello Service: Command Socket bound successfully to port ${target.localCommandPort}`);
                 commandSocket = cmdSock;
                 commandSocketBound = true;
                 checkResolve(); // Check if both are bound now
@@ -122,6 +237,7 @@ const _createSockets = (onStatusUpdate, resolve, reject) => {
         statSock.on('message', (msg, rinfo) => {
             // State socket receives the periodic status string.
             const messageStr = msg.toString();
+            lastStateAt = Date.now();
             // console.log(`Tello Service: Received state data: ${messageStr}`); // Debug: Log raw state string
             const parsedData = parseStatusString(messageStr);
             if (parsedData && statusCallback) {
@@ -133,11 +249,11 @@ const _createSockets = (onStatusUpdate, resolve, reject) => {
             // Ignore 'ok' or other messages potentially received here, focus on status string
         });
 
-        statSock.bind(LOCAL_STATE_PORT_BIND, (err) => {
+        statSock.bind(target.localStatePort, (err) => {
              if (err) {
                 handleError('State Bind', err);
              } else {
-                console.log(`Tello Service: State Socket bound successfully to port ${LOCAL_STATE_PORT_BIND}`);
+                console.log(`Tello Service: State Socket bound successfully to port ${target.localStatePort}`);
                 stateSocket = statSock;
                 stateSocketBound = true;
                 checkResolve(); // Check if both are bound now
@@ -150,26 +266,130 @@ const _createSockets = (onStatusUpdate, resolve, reject) => {
 }
 
 
-// --- sendCommand remains the same (uses commandSocket) ---
-export const sendCommand = (command) => {
+// --- Single transmission of a command, resolved with the drone's reply ---
+const transmit = (command, timeoutMs) => {
   return new Promise((resolve, reject) => {
     if (!commandSocket) {
       console.error("Tello Service: sendCommand called but command socket not ready.");
       return reject(new Error("Command socket not initialized"));
     }
-    console.log(`Tello Service: Sending command: ${command}`);
-    commandSocket.send(command, 0, command.length, TELLO_COMMAND_PORT, TELLO_IP, (err) => {
+
+    const waitForReply = expectsReply(command);
+    let pending = null;
+    if (waitForReply) {
+      console.log(`Tello Service: Sending command: ${command}`);
+      pending = { command, resolve, reject, timer: null, isStale: false };
+      pending.timer = setTimeout(() => {
+        // Keep the entry a while longer to absorb a late reply
+        pending.isStale = true;
+        pending.timer = setTimeout(() => removePending(pending), LATE_REPLY_WINDOW_MS);
+        notifyTraffic({ kind: 'timeout', command });
+        reject(new Error(`Command "${command}" timed out after ${timeoutMs} ms`));
+      }, timeoutMs);
+      pendingReplies.push(pending);
+    }
+
+    commandSocket.send(command, 0, command.length, target.commandPort, target.host, (err) => {
       if (err) {
         console.error(`Tello Service: Failed to send command ${command}:`, err);
+        if (pending) {
+          clearTimeout(pending.timer);
+          removePending(pending);
+        }
         reject(err);
       } else {
-        // console.log(`Tello Service: Command ${command} sent.`); // Less verbose logging
-        resolve();
+        lastSentAt = Date.now();
+        notifyTraffic({ kind: 'command', command });
+        if (!waitForReply) {
+          resolve(null);
+        }
       }
     });
   });
 };
 
+// Commands that jump the queue and cancel everything still waiting in it
+// ('stop' makes the drone hover in place, e.g. to abort a mission)
+const PREEMPTING_COMMANDS = ['emergency', 'land', 'stop'];
+
+// Idempotent commands (queries, 'command', 'streamon'/'streamoff') are retried
+// up to `retries` times; other commands are never re-sent automatically.
+const sendWithRetries = async (command, options) => {
+  const {
+    timeoutMs = DEFAULT_COMMAND_TIMEOUT_MS,
+    retries = isIdempotent(command) ? DEFAULT_IDEMPOTENT_RETRIES : 0,
+  } = options;
+  const maxAttempts = isIdempotent(command) ? retries + 1 : 1;
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      // land/emergency/stop can't wait: should a timed-out command never be
+      // answered, their own reply is absorbed in its place and they time out
+      if (!PREEMPTING_COMMANDS.includes(command)) {
+        await lateRepliesSettled();
+      }
+      return await transmit(command, timeoutMs);
+    } catch (error) {
+      lastError = error;
+      if (!commandSocket || attempt === maxAttempts) {
+        break;
+      }
+      console.warn(`Tello Service: "${command}" attempt ${attempt} failed (${error.message}), retrying...`);
+    }
+  }
+  throw lastError;
+};
+
+// --- sendCommand resolves with the drone's reply ('ok' or a query value) ---
+// Rejects on an 'error' reply or when no reply arrives within `timeoutMs`.
+// Blocking commands go through the command queue one at a time; `rc` bypasses
+// it, and `emergency`/`land`/`stop` preempt it. A command refused by the
+// command filter rejects without being sent.
+export const sendCommand = (command, options = {}) => {
+  if (commandFilter && !PREEMPTING_COMMANDS.includes(command)) {
+    try {
+      command = commandFilter(command);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+  if (!expectsReply(command)) {
+    return transmit(command, 0);
+  }
+  const task = () => sendWithRetries(command, options);
+  if (PREEMPTING_COMMANDS.includes(command)) {
+    return commandQueue.preempt(command, task);
+  }
+  return commandQueue.enqueue(command, task);
+};
+
+// Timestamps (ms) of the most recent traffic from the drone, null if none yet
+export const getLinkActivity = () => ({ lastStateAt, lastReplyAt, lastSentAt });
+
+// True while a blocking command is running or waiting in the queue
+export const isCommandQueueBusy = () => {
+  const { depth, inFlight } = commandQueue.getSnapshot();
+  return depth > 0 || inFlight !== null;
+};
+
+// Drop queued commands that have not been sent yet (in-flight ones still complete)
+export const cancelPendingCommands = (reason) => commandQueue.flush(reason);
+
+// Register a callback receiving { depth, inFlight } whenever the queue changes
+export const setCommandQueueListener = (callback) => commandQueue.setListener(callback);
+
+// Register a callback receiving { kind: 'command' | 'reply' | 'timeout' | 'lateReply', command, reply, at }
+// for all traffic on the command socket, rc packets included
+export const setTrafficListener = (callback) => {
+  trafficListener = callback;
+};
+
+// Register the command filter (see `commandFilter`); null removes it
+export const setCommandFilter = (filter) => {
+  commandFilter = filter;
+};
+
 // --- Modify close to handle BOTH sockets ---
 export const close = () => {
  return new Promise((resolve) => {
@@ -185,6 +405,11 @@ export const close = () => {
 
     console.log(`Tello Service: Closing ${socketsToClose.length} UDP socket(s)...`);
     statusCallback = null; // Clear callback immediately
+    lastStateAt = null;
+    lastReplyAt = null;
+    lastSentAt = null;
+    commandQueue.flush('socket closed');
+    rejectAllPending('socket closed');
 
     socketsToClose.forEach((socket, index) => {
         const socketName = index === 0 && socket === commandSocket ? "Command" : "State";
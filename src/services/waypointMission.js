@@ -0,0 +1,142 @@
+// src/services/waypointMission.js
+// Turns a list of waypoints into a mission script (see missionScript) made of
+// `go` / `curve` commands, with an estimate of how long it flies.
+//
+// Waypoints are { x, y, z, speed, via } in cm and cm/s, relative to where the
+// drone hovers after takeoff, in the Tello's frame at takeoff: x forward,
+// y left, z up. A `via` waypoint is not stopped at: the drone flies an arc
+// through it to the next waypoint (one `curve` command).
+import { validateCommand } from './telloCommands';
+
+const MAX_AXIS_CM = 500; // Largest move a single go/curve accepts on any axis
+const MAX_CURVE_SPEED = 60;
+const MIN_ARC_RADIUS_CM = 50;
+const MAX_ARC_RADIUS_CM = 1000;
+
+// Rough timings for the estimate, measured on a Tello with stock firmware
+const TAKEOFF_S = 6;
+const LAND_S = 5;
+const COMMAND_OVERHEAD_S = 1; // Accelerating, settling and answering each command
+const FULL_BATTERY_FLIGHT_S = 12 * 60; // Hover time on a full battery, with some margin
+
+export const ORIGIN = { x: 0, y: 0, z: 0 };
+
+const delta = (to, from) => ({ x: to.x - from.x, y: to.y - from.y, z: to.z - from.z });
+const length = ({ x, y, z }) => Math.sqrt(x * x + y * y + z * z);
+const cross = (a, b) => ({
+  x: a.y * b.z - a.z * b.y,
+  y: a.z * b.x - a.x * b.z,
+  z: a.x * b.y - a.y * b.x,
+});
+
+// Radius of the circle through the start point, `via` and `end` (relative to start)
+const arcRadius = (via, end) => {
+  const area2 = length(cross(via, end)); // Twice the triangle's area
+  if (area2 < 1) {
+    return Infinity; // In a straight line
+  }
+  return (length(via) * length(end) * length(delta(end, via))) / (2 * area2);
+};
+
+// Split a straight move into go commands of at most MAX_AXIS_CM per axis.
+// Rounds cumulatively so the pieces add up exactly to the whole move.
+const splitMove = (move) => {
+  const parts = Math.max(1, Math.ceil(Math.max(Math.abs(move.x), Math.abs(move.y), Math.abs(move.z)) / MAX_AXIS_CM));
+  const pieces = [];
+  let done = ORIGIN;
+  for (let i = 1; i <= parts; i++) {
+    const target = {
+      x: Math.round((move.x * i) / parts),
+      y: Math.round((move.y * i) / parts),
+      z: Math.round((move.z * i) / parts),
+    };
+    pieces.push(delta(target, done));
+    done = target;
+  }
+  return pieces;
+};
+
+// Returns {
+//   script,             mission script text, ready for runMission
+//   lineLabels,         { [line]: 'Waypoint n' } for progress reporting
+//   lineWaypoints,      { [line]: index of the waypoint that line flies to }
+//   errors,             [{ index, message }] per waypoint; don't run unless empty
+//   estimate,           { distanceCm, durationS, batteryPercent }
+// }
+export const compileWaypointMission = (name, waypoints) => {
+  const lines = [`# Waypoint mission: ${name}`, 'takeoff'];
+  const lineLabels = {};
+  const lineWaypoints = {};
+  const errors = [];
+  let distanceCm = 0;
+  let durationS = TAKEOFF_S + LAND_S;
+
+  const addCommand = (command, index, label) => {
+    const problem = validateCommand(command);
+    if (problem) {
+      errors.push({ index, message: problem });
+    }
+    lines.push(command);
+    lineLabels[lines.length] = label;
+    lineWaypoints[lines.length] = index;
+    durationS += COMMAND_OVERHEAD_S;
+  };
+
+  let previous = ORIGIN;
+  for (let i = 0; i < waypoints.length; i++) {
+    const waypoint = waypoints[i];
+
+    if (waypoint.via) {
+      const end = waypoints[i + 1];
+      if (!end) {
+        errors.push({ index: i, message: 'A via point needs a waypoint after it' });
+        break;
+      }
+      const via = delta(waypoint, previous);
+      const target = delta(end, previous);
+      const radius = arcRadius(via, target);
+      if (radius === Infinity) {
+        errors.push({ index: i, message: 'Via point is in line with its neighbours; move it to make a bend' });
+      } else if (radius < MIN_ARC_RADIUS_CM || radius > MAX_ARC_RADIUS_CM) {
+        errors.push({ index: i, message: `Arc radius ${Math.round(radius)} cm is outside ${MIN_ARC_RADIUS_CM}-${MAX_ARC_RADIUS_CM} cm` });
+      }
+      const speed = Math.min(waypoint.speed, MAX_CURVE_SPEED);
+      addCommand(
+        `curve ${via.x} ${via.y} ${via.z} ${target.x} ${target.y} ${target.z} ${speed}`,
+        i + 1,
+        `Waypoints ${i + 1}-${i + 2}`
+      );
+      // Chord lengths: a little short of the arc, close enough for an estimate
+      const legCm = length(via) + length(delta(target, via));
+      distanceCm += legCm;
+      durationS += legCm / speed;
+      previous = end;
+      i++; // The end waypoint is reached by the curve
+      continue;
+    }
+
+    const move = delta(waypoint, previous);
+    if ([move.x, move.y, move.z].every(value => Math.abs(value) <= 20)) {
+      errors.push({ index: i, message: 'Too close to the previous point (move more than 20 cm on some axis)' });
+    } else {
+      splitMove(move).forEach(piece =>
+        addCommand(`go ${piece.x} ${piece.y} ${piece.z} ${waypoint.speed}`, i, `Waypoint ${i + 1}`));
+    }
+    distanceCm += length(move);
+    durationS += length(move) / waypoint.speed;
+    previous = waypoint;
+  }
+  lines.push('land');
+
+  return {
+    script: `${lines.join('\n')}\n`,
+    lineLabels,
+    lineWaypoints,
+    errors,
+    estimate: {
+      distanceCm: Math.round(distanceCm),
+      durationS: Math.round(durationS),
+      batteryPercent: Math.ceil((durationS / FULL_BATTERY_FLIGHT_S) * 100),
+    },
+  };
+};
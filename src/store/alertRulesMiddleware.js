@@ -0,0 +1,81 @@
+// src/store/alertRulesMiddleware.js
+// Runs the user's alert rules (settings.alertRules, see services/alertRules)
+// on every live state packet, and once a second while connected so that
+// stale telemetry is noticed when packets stop arriving. Also keeps the
+// Wi-Fi SNR fresh for the rules, polling it while the link is healthy, the
+// command queue is idle and no mission is running. A replayed flight
+// (actions with meta.replay) raises nothing and never starts the timer.
+import { evaluateAlertRules } from '../services/alertRules';
+import * as linkWatchdog from '../services/linkWatchdog';
+import {
+  updateStatus,
+  connectAndStream,
+  disconnect,
+  refreshWifiSnr,
+  selectIsCommandBusy,
+} from './telloSlice';
+import { raiseAlert, alertCleared, clearAlerts } from './alertsSlice';
+import { selectIsMissionActive } from './missionSlice';
+import { startReplay, replayStopped } from './replaySlice';
+
+const TICK_INTERVAL_MS = 1000;
+const WIFI_SNR_POLL_MS = 5000;
+
+let tickTimer = null;
+let lastSnrPollAt = 0;
+
+const evaluate = (store, now) => {
+  const state = store.getState();
+  const { lastUpdate, droneInfo } = state.tello;
+  const context = {
+    telemetry: state.tello.telemetry,
+    wifiSnr: droneInfo?.wifiSnr ?? null,
+    telemetryAgeMs: lastUpdate === null ? null : Math.max(0, now - lastUpdate),
+  };
+  const activeIds = state.alerts.active.map(alert => alert.ruleId);
+  const { raised, cleared } = evaluateAlertRules(state.settings.alertRules, context, activeIds);
+  cleared.forEach(ruleId => store.dispatch(alertCleared(ruleId)));
+  raised.forEach(({ rule, value }) => store.dispatch(raiseAlert({ rule, value })));
+};
+
+const tick = (store) => {
+  const state = store.getState();
+  if (!state.tello.isConnected || state.replay.isActive) {
+    return;
+  }
+  evaluate(store, Date.now());
+  // The query goes through the command queue: on a poor link it would time
+  // out there, and in a mission it would hold up the next step
+  const canPoll = state.tello.linkStatus === linkWatchdog.LINK_STATUS.OK
+    && !selectIsMissionActive(state)
+    && !selectIsCommandBusy(state);
+  if (Date.now() - lastSnrPollAt >= WIFI_SNR_POLL_MS && canPoll) {
+    lastSnrPollAt = Date.now();
+    store.dispatch(refreshWifiSnr());
+  }
+};
+
+const stopTicking = () => {
+  clearInterval(tickTimer);
+  tickTimer = null;
+};
+
+export const alertRulesMiddleware = (store) => (next) => (action) => {
+  const result = next(action);
+
+  if (action.meta?.replay) {
+    return result;
+  }
+  if (action.type === updateStatus.type) {
+    evaluate(store, action.payload.receivedAt);
+  } else if (action.type === connectAndStream.fulfilled.type && action.payload === true) {
+    clearInterval(tickTimer);
+    tickTimer = setInterval(() => tick(store), TICK_INTERVAL_MS);
+  } else if (action.type === disconnect.pending.type) {
+    stopTicking();
+    store.dispatch(clearAlerts());
+  } else if (action.type === startReplay.fulfilled.type || action.type === replayStopped.type) {
+    stopTicking();
+  }
+  return result;
+};
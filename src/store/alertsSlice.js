@@ -0,0 +1,93 @@
+// src/store/alertsSlice.js
+import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit';
+import * as telloService from '../services/telloService';
+import * as flightRecorder from '../services/flightRecorder';
+import { ALERT_ACTION, describeAlert } from '../services/alertRules';
+import { setError, selectIsInFlight } from './telloSlice';
+
+// --- Async Thunks ---
+
+// Thunk run when a rule becomes active (see alertRulesMiddleware): lists it
+// and carries out its log and command actions. Banner and flash are shown
+// from the active alert's `actions`. Nothing is raised during a replay.
+export const raiseAlert = createAsyncThunk(
+  'alerts/raiseAlert',
+  async ({ rule, value }, { dispatch, getState }) => {
+    const message = describeAlert(rule, value);
+    console.warn(`Alert Rules: ${message}`);
+    if (rule.actions.includes(ALERT_ACTION.LOG)) {
+      flightRecorder.record({ kind: 'marker', label: 'alert', rule: rule.id, message, value });
+    }
+    const command = [ALERT_ACTION.LAND, ALERT_ACTION.STOP].find(action => rule.actions.includes(action));
+    // Nothing to land or hold on the ground
+    if (command && !selectIsInFlight(getState())) {
+      console.log(`Alert Rules: Not flying, skipping "${command}" for ${rule.name}.`);
+    } else if (command) {
+      try {
+        await telloService.sendCommand(command);
+      } catch (error) {
+        console.error(`Alert Rules: "${command}" for ${rule.name} failed:`, error);
+        dispatch(setError(`Alert "${rule.name}": ${command} failed: ${error.message}`));
+      }
+    }
+    return message;
+  },
+  {
+    condition: (_, { getState }) => !getState().replay.isActive,
+  }
+);
+
+// --- Slice Definition ---
+const initialState = {
+  // Rules currently active, oldest first:
+  // [{ ruleId, message, actions, raisedAt, isDismissed }]
+  active: [],
+};
+
+const alertsSlice = createSlice({
+  name: 'alerts',
+  initialState,
+  reducers: {
+    alertCleared: (state, action) => {
+      state.active = state.active.filter(alert => alert.ruleId !== action.payload);
+    },
+    // Hides the banner; the alert stays active (and its flash on) until it clears
+    dismissAlert: (state, action) => {
+      const alert = state.active.find(a => a.ruleId === action.payload);
+      if (alert) {
+        alert.isDismissed = true;
+      }
+    },
+    clearAlerts: () => initialState,
+  },
+  extraReducers: (builder) => {
+    builder
+      // Listed straight away; the log/command actions run in the thunk
+      .addCase(raiseAlert.pending, (state, action) => {
+        const { rule, value } = action.meta.arg;
+        state.active = state.active.filter(alert => alert.ruleId !== rule.id);
+        state.active.push({
+          ruleId: rule.id,
+          message: describeAlert(rule, value),
+          actions: rule.actions,
+          raisedAt: Date.now(),
+          isDismissed: false,
+        });
+      });
+  },
+});
+
+export const { alertCleared, dismissAlert, clearAlerts } = alertsSlice.actions;
+
+const selectActiveAlerts = (state) => state.alerts.active;
+
+// Alerts with a banner that hasn't been dismissed, oldest first
+export const selectBannerAlerts = createSelector(
+  [selectActiveAlerts],
+  (active) => active.filter(alert => alert.actions.includes(ALERT_ACTION.BANNER) && !alert.isDismissed)
+);
+
+export const selectIsAlertFlashing = (state) =>
+  state.alerts.active.some(alert => alert.actions.includes(ALERT_ACTION.FLASH));
+
+export default alertsSlice.reducer;
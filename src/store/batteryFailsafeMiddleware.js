@@ -0,0 +1,63 @@
+// src/store/batteryFailsafeMiddleware.js
+// Low-battery failsafe, evaluated on every live state packet: moves the
+// tello slice through the battery stages, and once critical in flight
+// schedules an automatic land that fires BATTERY_AUTO_LAND_DELAY_MS later
+// unless the pilot has overridden it. Replayed packets are ignored; the
+// recorded failsafe actions replay by themselves.
+import {
+  updateStatus,
+  batteryStageChanged,
+  batteryAutoLandScheduled,
+  landForLowBattery,
+  selectBattery,
+  selectIsInFlight,
+  BATTERY_STAGE,
+  BATTERY_AUTO_LAND_DELAY_MS,
+} from './telloSlice';
+
+const STAGE_SEVERITY = {
+  [BATTERY_STAGE.OK]: 0,
+  [BATTERY_STAGE.WARNING]: 1,
+  [BATTERY_STAGE.CRITICAL]: 2,
+};
+
+const stageFor = (battery, { warningPercent, criticalPercent }) => {
+  if (battery <= criticalPercent) {
+    return BATTERY_STAGE.CRITICAL;
+  }
+  return battery <= warningPercent ? BATTERY_STAGE.WARNING : BATTERY_STAGE.OK;
+};
+
+export const batteryFailsafeMiddleware = (store) => (next) => (action) => {
+  const result = next(action);
+  if (action.type !== updateStatus.type || action.meta?.replay) {
+    return result;
+  }
+
+  const state = store.getState();
+  const battery = selectBattery(state);
+  if (battery === null) {
+    return result;
+  }
+  const isInFlight = selectIsInFlight(state);
+  const stage = stageFor(battery, state.settings.batteryFailsafe);
+  const currentStage = state.tello.batteryStage;
+  // The reading wavers around a threshold under load; in flight the stage
+  // only ever escalates so the alerts don't come and go
+  if (stage !== currentStage && (!isInFlight || STAGE_SEVERITY[stage] > STAGE_SEVERITY[currentStage])) {
+    store.dispatch(batteryStageChanged(stage));
+  }
+
+  const tello = store.getState().tello;
+  if (tello.batteryStage !== BATTERY_STAGE.CRITICAL || !isInFlight
+    || tello.isBatteryAutoLandOverridden || tello.isBatteryAutoLanding) {
+    return result;
+  }
+  const now = action.payload.receivedAt;
+  if (tello.batteryAutoLandAt === null) {
+    store.dispatch(batteryAutoLandScheduled(now + BATTERY_AUTO_LAND_DELAY_MS));
+  } else if (now >= tello.batteryAutoLandAt) {
+    store.dispatch(landForLowBattery());
+  }
+  return result;
+};
@@ -0,0 +1,67 @@
+// src/store/crashDetectionMiddleware.js
+// Keeps the last few seconds of live state packets and runs crash detection
+// (services/crashDetection) on each one while the drone is flying, and for a
+// moment after it reads as landed: a drone knocked to the floor reports h = 0
+// while its props may well still be spinning. Responds at most once until
+// the drone has been on the ground for that moment. Paused during flips,
+// which look exactly like a tumble.
+import { detectCrash } from '../services/crashDetection';
+import { updateStatus, disconnect, respondToCrash, selectIsInFlight } from './telloSlice';
+
+const WINDOW_MS = 3000; // Samples kept, and saved to the flight log on a crash
+const ARMED_AFTER_TOUCHDOWN_MS = 3000;
+
+let samples = [];
+let lastAirborneAt = null;
+let hasResponded = false;
+
+const reset = () => {
+  samples = [];
+  lastAirborneAt = null;
+  hasResponded = false;
+};
+
+export const crashDetectionMiddleware = (store) => (next) => (action) => {
+  const result = next(action);
+
+  if (action.type === disconnect.pending.type) {
+    reset();
+    return result;
+  }
+  if (action.type !== updateStatus.type || action.meta?.replay) {
+    return result;
+  }
+
+  const state = store.getState();
+  const now = action.payload.receivedAt;
+  const { agx, agy, agz, pitch, roll, h } = state.tello.telemetry;
+  if ([agx, agy, agz, pitch, roll].some(value => value == null)) {
+    return result;
+  }
+  samples.push({ t: now, agx, agy, agz, pitch, roll, h });
+  samples = samples.filter(sample => now - sample.t <= WINDOW_MS);
+
+  if (selectIsInFlight(state)) {
+    lastAirborneAt = now;
+  }
+  const isArmed = lastAirborneAt !== null && now - lastAirborneAt <= ARMED_AFTER_TOUCHDOWN_MS;
+  if (!isArmed) {
+    hasResponded = false;
+    return result;
+  }
+  if (hasResponded) {
+    return result;
+  }
+  if (state.tello.inFlightCommand?.startsWith('flip')) {
+    // Judge what follows the flip on its own samples
+    samples = [];
+    return result;
+  }
+
+  const detection = detectCrash(samples);
+  if (detection) {
+    hasResponded = true;
+    store.dispatch(respondToCrash({ ...detection, samples: [...samples] }));
+  }
+  return result;
+};
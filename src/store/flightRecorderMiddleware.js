@@ -0,0 +1,31 @@
+// src/store/flightRecorderMiddleware.js
+// Feeds every tello/* action to the flight recorder and tells it when a
+// flight begins and ends, based on the flight phase those actions produce.
+// Actions played back from a log (meta.replay) are never recorded again.
+import * as flightRecorder from '../services/flightRecorder';
+import { selectIsInFlight, handleLinkLost } from './telloSlice';
+
+const shouldRecordFlight = (state) =>
+  state.settings.flightRecorderEnabled && !state.replay.isActive && selectIsInFlight(state);
+
+export const flightRecorderMiddleware = (store) => (next) => (action) => {
+  const wasRecording = shouldRecordFlight(store.getState());
+  const result = next(action);
+
+  const isLiveTelloAction = typeof action.type === 'string'
+    && action.type.startsWith('tello/') && !action.meta?.replay;
+  if (isLiveTelloAction) {
+    flightRecorder.recordAction(action);
+  }
+
+  const isRecording = shouldRecordFlight(store.getState());
+  if (isRecording !== wasRecording) {
+    flightRecorder.setAirborne(isRecording);
+  }
+
+  // The app may well be killed next; don't leave the last seconds in memory
+  if (action.type === handleLinkLost.pending.type) {
+    flightRecorder.flush();
+  }
+  return result;
+};
@@ -0,0 +1,251 @@
+// src/store/mediaSlice.js
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import * as ffmpegService from '../services/ffmpegService';
+import * as mediaStorage from '../services/mediaStorage';
+import { setError } from './telloSlice';
+
+// --- Async Thunks ---
+
+// Thunk to grab the current frame of the live stream as a JPEG, with the
+// telemetry at that moment saved next to it as a JSON sidecar.
+export const capturePhoto = createAsyncThunk(
+  'media/capturePhoto',
+  async (_, { dispatch, getState, rejectWithValue }) => {
+    // Take the telemetry snapshot when the button is pressed, not when the frame lands
+    const metadata = mediaStorage.buildTelemetryMetadata(getState().tello.telemetry);
+    const path = mediaStorage.buildMediaPath('photo', 'jpg', new Date(metadata.timestamp));
+
+    try {
+      await mediaStorage.ensureMediaDir();
+      await ffmpegService.captureFrame(path);
+      const sidecarPath = await mediaStorage.writeSidecar(path, metadata);
+      console.log('Capture Thunk: Photo saved to', path);
+      return { path, sidecarPath, takenAt: metadata.timestamp };
+    } catch (error) {
+      console.error('Capture Thunk: Failed:', error);
+      dispatch(setError(`Photo capture failed: ${error.message}`));
+      return rejectWithValue(error.message || 'Photo capture failed');
+    }
+  }
+);
+
+// Stops the file-size polling of the active recording
+let stopSizeWatch = null;
+
+// Thunk to start copying the live stream into an MP4 in the media folder.
+export const startRecording = createAsyncThunk(
+  'media/startRecording',
+  async (_, { dispatch, getState, rejectWithValue }) => {
+    const startMetadata = mediaStorage.buildTelemetryMetadata(getState().tello.telemetry);
+    const path = mediaStorage.buildMediaPath('video', 'mp4', new Date(startMetadata.timestamp));
+
+    try {
+      await mediaStorage.ensureMediaDir();
+      // Finalize Redux state however the session ends (stop button, stream loss, ...)
+      await ffmpegService.startRecording(path, () => dispatch(stopRecording()));
+      if (!ffmpegService.isRecording()) {
+        // The session exited before we could mark it as recording
+        throw new Error('Recording session ended immediately');
+      }
+      stopSizeWatch = mediaStorage.watchFileSize(path, (size) => dispatch(recordingSizeUpdated(size)));
+      console.log('Record Thunk: Recording to', path);
+      return { path, startedAt: startMetadata.timestamp, startMetadata };
+    } catch (error) {
+      console.error('Record Thunk: Failed to start:', error);
+      dispatch(setError(`Recording failed: ${error.message}`));
+      return rejectWithValue(error.message || 'Recording failed');
+    }
+  }
+);
+
+// Thunk to stop the active recording and write its sidecar. Safe to dispatch
+// more than once; only the first call while recording does anything.
+export const stopRecording = createAsyncThunk(
+  'media/stopRecording',
+  async (_, { getState }) => {
+    const { recordingPath, recordingStartedAt, recordingStartMetadata } = getState().media;
+
+    if (stopSizeWatch) {
+      stopSizeWatch();
+      stopSizeWatch = null;
+    }
+    await ffmpegService.stopRecording();
+
+    const endedAt = Date.now();
+    const size = await mediaStorage.getFileSize(recordingPath);
+    try {
+      await mediaStorage.writeSidecar(recordingPath, {
+        ...recordingStartMetadata,
+        durationMs: endedAt - recordingStartedAt,
+        end: mediaStorage.buildTelemetryMetadata(getState().tello.telemetry, endedAt),
+      });
+    } catch (e) {
+      console.warn('Stop Record Thunk: Could not write sidecar:', e.message);
+    }
+    console.log(`Stop Record Thunk: Saved ${recordingPath} (${size ?? 0} bytes)`);
+    return { path: recordingPath, size, durationMs: endedAt - recordingStartedAt };
+  },
+  {
+    condition: (_, { getState }) => {
+      const { isRecording, isStoppingRecording } = getState().media;
+      return isRecording && !isStoppingRecording;
+    },
+  }
+);
+
+// Thunk to list the media folder for the gallery. Videos get a thumbnail
+// (generated once and cached) and a duration, from the sidecar or FFprobe.
+export const loadGallery = createAsyncThunk(
+  'media/loadGallery',
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      // The recording in progress is still being written; it shows up once stopped
+      const { recordingPath } = getState().media;
+      const items = (await mediaStorage.listMedia()).filter(item => item.path !== recordingPath);
+      await mediaStorage.ensureThumbnailDir();
+
+      // One at a time: FFmpeg sessions are heavy and the list is usually short
+      const galleryItems = [];
+      for (const item of items) {
+        if (item.kind === 'photo') {
+          galleryItems.push({ ...item, thumbnailPath: item.path, durationMs: null });
+          continue;
+        }
+        const thumbnailPath = mediaStorage.getThumbnailPath(item.path);
+        if ((await mediaStorage.getFileSize(thumbnailPath)) === null) {
+          await ffmpegService.createThumbnail(item.path, thumbnailPath).catch(e =>
+            console.warn('Gallery Thunk: No thumbnail for', item.name, e.message));
+        }
+        const durationMs = item.metadata?.durationMs ?? (await ffmpegService.getMediaDurationMs(item.path));
+        galleryItems.push({ ...item, thumbnailPath, durationMs });
+      }
+      return galleryItems;
+    } catch (error) {
+      console.error('Gallery Thunk: Failed to list media:', error);
+      return rejectWithValue(error.message || 'Could not read media folder');
+    }
+  }
+);
+
+export const deleteMediaItem = createAsyncThunk(
+  'media/deleteMediaItem',
+  async (path, { rejectWithValue }) => {
+    try {
+      await mediaStorage.deleteMedia(path);
+      return path;
+    } catch (error) {
+      console.error('Delete Media Thunk: Failed:', error);
+      return rejectWithValue(error.message || 'Could not delete file');
+    }
+  }
+);
+
+// Thunk to read the free storage space for the pre-flight check; resolves
+// with null when it can't be read
+export const refreshFreeStorage = createAsyncThunk(
+  'media/refreshFreeStorage',
+  async () => {
+    try {
+      return await mediaStorage.getFreeSpace();
+    } catch (error) {
+      console.warn('Free Storage Thunk: Could not read free space:', error.message);
+      return null;
+    }
+  }
+);
+
+// --- Slice Definition ---
+const initialState = {
+  isCapturingPhoto: false,
+  lastPhoto: null, // { path, sidecarPath, takenAt } of the most recent successful capture
+  mediaError: null,
+  isRecording: false,
+  isStoppingRecording: false,
+  recordingPath: null,
+  recordingStartedAt: null, // Timestamp, elapsed time is derived from it
+  recordingStartMetadata: null, // Telemetry when recording started, for the sidecar
+  recordingBytes: 0,
+  lastRecording: null, // { path, size, durationMs } of the most recent finished recording
+  galleryItems: [], // See loadGallery
+  isLoadingGallery: false,
+  freeStorageBytes: null, // Free space for recordings, see refreshFreeStorage
+};
+
+const mediaSlice = createSlice({
+  name: 'media',
+  initialState,
+  reducers: {
+    recordingSizeUpdated: (state, action) => {
+      state.recordingBytes = action.payload;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(capturePhoto.pending, (state) => {
+        state.isCapturingPhoto = true;
+        state.mediaError = null;
+      })
+      .addCase(capturePhoto.fulfilled, (state, action) => {
+        state.isCapturingPhoto = false;
+        state.lastPhoto = action.payload;
+      })
+      .addCase(capturePhoto.rejected, (state, action) => {
+        state.isCapturingPhoto = false;
+        state.mediaError = action.payload || 'Photo capture failed';
+      })
+      .addCase(startRecording.pending, (state) => {
+        state.mediaError = null;
+      })
+      .addCase(startRecording.fulfilled, (state, action) => {
+        state.isRecording = true;
+        state.recordingPath = action.payload.path;
+        state.recordingStartedAt = action.payload.startedAt;
+        state.recordingStartMetadata = action.payload.startMetadata;
+        state.recordingBytes = 0;
+      })
+      .addCase(startRecording.rejected, (state, action) => {
+        state.mediaError = action.payload || 'Recording failed';
+      })
+      .addCase(stopRecording.pending, (state) => {
+        state.isStoppingRecording = true;
+      })
+      .addCase(stopRecording.fulfilled, (state, action) => {
+        state.lastRecording = action.payload;
+      })
+      .addCase(loadGallery.pending, (state) => {
+        state.isLoadingGallery = true;
+        state.mediaError = null;
+      })
+      .addCase(loadGallery.fulfilled, (state, action) => {
+        state.isLoadingGallery = false;
+        state.galleryItems = action.payload;
+      })
+      .addCase(loadGallery.rejected, (state, action) => {
+        state.isLoadingGallery = false;
+        state.mediaError = action.payload;
+      })
+      .addCase(refreshFreeStorage.fulfilled, (state, action) => {
+        state.freeStorageBytes = action.payload;
+      })
+      .addCase(deleteMediaItem.fulfilled, (state, action) => {
+        state.galleryItems = state.galleryItems.filter(item => item.path !== action.payload);
+      })
+      .addCase(deleteMediaItem.rejected, (state, action) => {
+        state.mediaError = action.payload;
+      })
+      .addMatcher(
+        (action) => action.type === stopRecording.fulfilled.type || action.type === stopRecording.rejected.type,
+        (state) => {
+          state.isRecording = false;
+          state.isStoppingRecording = false;
+          state.recordingPath = null;
+          state.recordingStartedAt = null;
+          state.recordingStartMetadata = null;
+          state.recordingBytes = 0;
+        }
+      );
+  },
+});
+
+export const { recordingSizeUpdated } = mediaSlice.actions;
+export default mediaSlice.reducer;
@@ -0,0 +1,281 @@
+// src/store/missionSlice.js
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import * as telloService from '../services/telloService';
+import {
+  parseMissionScript,
+  evaluateCondition,
+  isTerminalAction,
+  countSteps,
+} from '../services/missionScript';
+import { setError, selectIsInFlight } from './telloSlice';
+
+export const MISSION_STATUS = {
+  IDLE: 'idle',
+  RUNNING: 'running',
+  PAUSED: 'paused', // Takes effect once the command in flight completes
+  COMPLETED: 'completed',
+  ABORTED: 'aborted',
+  FAILED: 'failed',
+};
+
+const CHECK_INTERVAL_MS = 250;
+// A paused mission keeps the drone from its 15 s idle auto-land itself; the
+// keepalive service only runs when enabled in settings
+const PAUSED_KEEPALIVE_MS = 5000;
+const PAUSED_KEEPALIVE_COMMAND = 'rc 0 0 0 0';
+
+// Pause/abort requests for the running mission, polled by the runner between
+// steps and during waits. Null while no mission runs.
+let control = null;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Thrown inside the runner to end the mission early with a given status
+const missionEnd = (status, reason) => Object.assign(new Error(reason), { missionStatus: status });
+
+const describeStep = (step) => {
+  switch (step.type) {
+    case 'command':
+      return step.command;
+    case 'wait':
+      return `wait ${step.seconds} s`;
+    default:
+      return `${step.type} ${step.condition.label} then ${step.action}`;
+  }
+};
+
+// --- Async Thunks ---
+
+// Thunk to run a mission script (see services/missionScript) against the
+// connected drone. Resolves with { status, reason } once the mission has
+// completed or was ended by abortMission / a `when` guard; rejects if the
+// script is invalid or a command fails (the drone is then told to hover).
+// `lineLabels` optionally names script lines for the progress display,
+// e.g. { 5: 'Waypoint 2' }.
+export const runMission = createAsyncThunk(
+  'mission/runMission',
+  async ({ name, script, lineLabels = {} }, { dispatch, getState, rejectWithValue }) => {
+    const { steps, errors } = parseMissionScript(script);
+    if (errors.length > 0) {
+      return rejectWithValue(`Line ${errors[0].line}: ${errors[0].message}`);
+    }
+
+    control = { abortReason: null, isPaused: false };
+    const guards = []; // `when` steps reached so far
+    let executedSteps = 0;
+
+    // Runs before every step and while waiting: honours pause/abort and
+    // fires the first armed guard whose condition holds
+    const checkpoint = async () => {
+      let quietSince = Date.now();
+      for (;;) {
+        if (control.abortReason) {
+          throw missionEnd(MISSION_STATUS.ABORTED, control.abortReason);
+        }
+        const telemetry = getState().tello.telemetry;
+        const triggered = guards.find(guard => evaluateCondition(guard.condition, telemetry));
+        if (triggered) {
+          if (triggered.action !== 'abort') {
+            await telloService.sendCommand(triggered.action);
+          }
+          throw missionEnd(MISSION_STATUS.ABORTED, `${triggered.condition.label}: ${triggered.action}`);
+        }
+        if (!control.isPaused) {
+          return;
+        }
+        if (Date.now() - quietSince >= PAUSED_KEEPALIVE_MS) {
+          telloService.sendCommand(PAUSED_KEEPALIVE_COMMAND).catch(e =>
+            console.warn('Mission Thunk: Could not send keepalive while paused:', e.message));
+          quietSince = Date.now();
+        }
+        await sleep(CHECK_INTERVAL_MS);
+      }
+    };
+
+    const runSteps = async (list) => {
+      for (const step of list) {
+        if (step.type === 'repeat') {
+          for (let i = 0; i < step.count; i++) {
+            await runSteps(step.steps);
+          }
+          continue;
+        }
+
+        await checkpoint();
+        executedSteps++;
+        const label = lineLabels[step.line] ? `${lineLabels[step.line]} · ${describeStep(step)}` : describeStep(step);
+        dispatch(missionStepStarted({ line: step.line, label, executedSteps }));
+
+        if (step.type === 'command') {
+          await telloService.sendCommand(step.command);
+        } else if (step.type === 'wait') {
+          // Time spent paused does not count towards the wait
+          let remainingMs = step.seconds * 1000;
+          while (remainingMs > 0) {
+            await checkpoint();
+            const sliceMs = Math.min(CHECK_INTERVAL_MS, remainingMs);
+            await sleep(sliceMs);
+            remainingMs -= sliceMs;
+          }
+        } else if (step.type === 'if') {
+          if (evaluateCondition(step.condition, getState().tello.telemetry)) {
+            if (step.action === 'abort') {
+              throw missionEnd(MISSION_STATUS.ABORTED, `${step.condition.label}: abort`);
+            }
+            await telloService.sendCommand(step.action);
+            if (isTerminalAction(step.action)) {
+              throw missionEnd(MISSION_STATUS.COMPLETED, `${step.condition.label}: ${step.action}`);
+            }
+          }
+        } else if (step.type === 'when') {
+          guards.push(step);
+        }
+      }
+    };
+
+    dispatch(missionStarted({ name, totalSteps: countSteps(steps) }));
+    try {
+      await runSteps(steps);
+      console.log(`Mission Thunk: "${name}" completed.`);
+      return { status: MISSION_STATUS.COMPLETED, reason: null };
+    } catch (error) {
+      if (error.missionStatus) {
+        console.log(`Mission Thunk: "${name}" ended: ${error.message}`);
+        return { status: error.missionStatus, reason: error.message };
+      }
+      // The abort's land/stop makes the drone drop the command in flight
+      // ("error Interrupted"); that is the abort, not a failure, and a `stop`
+      // now would cancel the abort's own land
+      if (control.abortReason) {
+        console.log(`Mission Thunk: "${name}" ended: ${control.abortReason}`);
+        return { status: MISSION_STATUS.ABORTED, reason: control.abortReason };
+      }
+      console.error(`Mission Thunk: "${name}" failed:`, error);
+      // Don't leave the drone carrying on with a half-done manoeuvre
+      if (selectIsInFlight(getState())) {
+        telloService.sendCommand('stop').catch(e =>
+          console.warn('Mission Thunk: Could not send hover:', e.message));
+      }
+      dispatch(setError(`Mission failed: ${error.message}`));
+      return rejectWithValue(error.message || 'Mission failed');
+    } finally {
+      control = null;
+    }
+  },
+  {
+    condition: (_, { getState }) => {
+      const { tello, mission, replay } = getState();
+      const isRunning = mission.status === MISSION_STATUS.RUNNING || mission.status === MISSION_STATUS.PAUSED;
+      return tello.isConnected && !replay.isActive && !isRunning;
+    },
+  }
+);
+
+// Thunk to end the running mission right away: 'land' lands, 'hover' stops
+// in place. Both commands preempt anything queued.
+export const abortMission = createAsyncThunk(
+  'mission/abortMission',
+  async (mode, { dispatch }) => {
+    control.abortReason = mode === 'hover' ? 'Aborted by pilot, hovering' : 'Aborted by pilot, landing';
+    control.isPaused = false;
+    try {
+      await telloService.sendCommand(mode === 'hover' ? 'stop' : 'land');
+    } catch (error) {
+      console.error('Abort Mission Thunk: Failed:', error);
+      dispatch(setError(`Mission abort (${mode}) failed: ${error.message}`));
+    }
+  },
+  {
+    condition: () => control !== null,
+  }
+);
+
+// Pausing holds the mission after the command in flight; while paused the
+// drone hovers, kept from auto-landing by the runner's own neutral rc
+export const pauseMission = () => (dispatch) => {
+  if (control) {
+    control.isPaused = true;
+    dispatch(missionPaused(true));
+  }
+};
+
+export const resumeMission = () => (dispatch) => {
+  if (control) {
+    control.isPaused = false;
+    dispatch(missionPaused(false));
+  }
+};
+
+// --- Slice Definition ---
+const initialState = {
+  draftScript: 'takeoff\nwhen battery < 20 then land\nup 50\nrepeat 4\n  forward 100\n  cw 90\nend\nland\n',
+  status: MISSION_STATUS.IDLE,
+  name: null,
+  totalSteps: 0, // Loops unrolled
+  executedSteps: 0,
+  currentLine: null, // Script line of the step running now
+  currentStep: null, // Human-readable label of that step
+  result: null, // Why the mission ended (guard, abort, error), null on a plain completion
+};
+
+const missionSlice = createSlice({
+  name: 'mission',
+  initialState,
+  reducers: {
+    setDraftScript: (state, action) => {
+      state.draftScript = action.payload;
+    },
+    missionStarted: (state, action) => {
+      state.status = MISSION_STATUS.RUNNING;
+      state.name = action.payload.name;
+      state.totalSteps = action.payload.totalSteps;
+      state.executedSteps = 0;
+      state.currentLine = null;
+      state.currentStep = null;
+      state.result = null;
+    },
+    missionStepStarted: (state, action) => {
+      state.currentLine = action.payload.line;
+      state.currentStep = action.payload.label;
+      state.executedSteps = action.payload.executedSteps;
+    },
+    missionPaused: (state, action) => {
+      state.status = action.payload ? MISSION_STATUS.PAUSED : MISSION_STATUS.RUNNING;
+    },
+    // Clears the result of a finished mission
+    missionDismissed: (state) => {
+      state.status = MISSION_STATUS.IDLE;
+      state.name = null;
+      state.currentLine = null;
+      state.currentStep = null;
+      state.result = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(runMission.fulfilled, (state, action) => {
+        state.status = action.payload.status;
+        state.result = action.payload.reason;
+      })
+      .addCase(runMission.rejected, (state, action) => {
+        if (action.meta.condition) {
+          return; // Not connected, replaying or a mission already running
+        }
+        state.status = MISSION_STATUS.FAILED;
+        state.result = action.payload || 'Mission failed';
+      });
+  },
+});
+
+export const {
+  setDraftScript,
+  missionStarted,
+  missionStepStarted,
+  missionPaused,
+  missionDismissed,
+} = missionSlice.actions;
+
+export const selectIsMissionActive = (state) =>
+  state.mission.status === MISSION_STATUS.RUNNING || state.mission.status === MISSION_STATUS.PAUSED;
+
+export default missionSlice.reducer;
@@ -0,0 +1,141 @@
+// src/store/replaySlice.js
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import * as flightLogStorage from '../services/flightLogStorage';
+import * as flightReplay from '../services/flightReplay';
+import { resetTelloState } from './telloSlice';
+
+export const REPLAY_SPEEDS = [1, 2, 4, 8];
+
+// --- Async Thunks ---
+
+export const loadFlightLogs = createAsyncThunk(
+  'replay/loadFlightLogs',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await flightLogStorage.listFlightLogs();
+    } catch (error) {
+      console.error('Flight Logs Thunk: Failed to list logs:', error);
+      return rejectWithValue(error.message || 'Could not read flight logs');
+    }
+  }
+);
+
+// Thunk to load a flight log and start playing it back through the store.
+// Recorded actions are dispatched with meta.replay so nothing re-records them.
+// Only allowed while no drone is connected.
+export const startReplay = createAsyncThunk(
+  'replay/startReplay',
+  async (log, { dispatch, rejectWithValue }) => {
+    try {
+      const entries = await flightLogStorage.readFlightLog(log.path);
+      const durationMs = flightReplay.load(entries, {
+        onAction: (action) => dispatch({ ...action, meta: { replay: true } }),
+        onReset: () => dispatch(resetTelloState()),
+        onProgress: (progress) => dispatch(replayProgress(progress)),
+        onEnded: () => console.log('Replay Thunk: Reached the end of', log.name),
+      });
+      flightReplay.play();
+      console.log(`Replay Thunk: Replaying ${log.name} (${Math.round(durationMs / 1000)} s)`);
+      return { path: log.path, name: log.name, durationMs };
+    } catch (error) {
+      console.error('Replay Thunk: Failed to load log:', error);
+      flightReplay.unload();
+      dispatch(resetTelloState());
+      return rejectWithValue(error.message || 'Could not load flight log');
+    }
+  },
+  {
+    condition: (_, { getState }) => {
+      const { tello, replay } = getState();
+      return !tello.isConnected && !tello.isConnecting && !replay.isActive;
+    },
+  }
+);
+
+// Leave replay mode and put the tello state back to disconnected
+export const stopReplay = () => (dispatch) => {
+  flightReplay.unload();
+  dispatch(replayStopped());
+  dispatch(resetTelloState());
+};
+
+export const toggleReplayPlayback = () => (dispatch, getState) => {
+  if (getState().replay.isPlaying) {
+    flightReplay.pause();
+  } else {
+    flightReplay.play();
+  }
+};
+
+export const seekReplay = (positionMs) => () => flightReplay.seek(positionMs);
+
+// Step through REPLAY_SPEEDS, wrapping back to real time
+export const cycleReplaySpeed = () => (dispatch, getState) => {
+  const index = REPLAY_SPEEDS.indexOf(getState().replay.speed);
+  flightReplay.setSpeed(REPLAY_SPEEDS[(index + 1) % REPLAY_SPEEDS.length]);
+};
+
+// --- Slice Definition ---
+const initialState = {
+  logs: [], // See flightLogStorage.listFlightLogs
+  isLoadingLogs: false,
+  replayError: null,
+  isActive: false, // True from a successful startReplay until stopReplay
+  logName: null,
+  durationMs: 0,
+  positionMs: 0,
+  isPlaying: false,
+  speed: 1,
+};
+
+const replaySlice = createSlice({
+  name: 'replay',
+  initialState,
+  reducers: {
+    replayProgress: (state, action) => {
+      state.positionMs = action.payload.positionMs;
+      state.durationMs = action.payload.durationMs;
+      state.isPlaying = action.payload.isPlaying;
+      state.speed = action.payload.speed;
+    },
+    replayStopped: (state) => {
+      state.isActive = false;
+      state.logName = null;
+      state.durationMs = 0;
+      state.positionMs = 0;
+      state.isPlaying = false;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(loadFlightLogs.pending, (state) => {
+        state.isLoadingLogs = true;
+        state.replayError = null;
+      })
+      .addCase(loadFlightLogs.fulfilled, (state, action) => {
+        state.isLoadingLogs = false;
+        state.logs = action.payload;
+      })
+      .addCase(loadFlightLogs.rejected, (state, action) => {
+        state.isLoadingLogs = false;
+        state.replayError = action.payload;
+      })
+      .addCase(startReplay.pending, (state) => {
+        state.replayError = null;
+      })
+      .addCase(startReplay.fulfilled, (state, action) => {
+        state.isActive = true;
+        state.logName = action.payload.name;
+        state.durationMs = action.payload.durationMs;
+      })
+      .addCase(startReplay.rejected, (state, action) => {
+        if (action.meta.condition) {
+          return; // Refused by condition (drone connected or already replaying)
+        }
+        state.replayError = action.payload;
+      });
+  },
+});
+
+export const { replayProgress, replayStopped } = replaySlice.actions;
+export default replaySlice.reducer;
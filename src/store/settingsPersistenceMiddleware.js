@@ -0,0 +1,25 @@
+// src/store/settingsPersistenceMiddleware.js
+// Saves the settings slice whenever one of its actions changes it, a moment
+// after the last change so stepping through values doesn't write every time.
+import * as settingsStorage from '../services/settingsStorage';
+
+const SAVE_DELAY_MS = 500;
+
+let saveTimer = null;
+
+export const settingsPersistenceMiddleware = (store) => (next) => (action) => {
+  const before = store.getState().settings;
+  const result = next(action);
+  const settings = store.getState().settings;
+
+  // Not before the saved settings are loaded, or the defaults would overwrite them
+  if (settings !== before && settings.isLoaded && action.type.startsWith('settings/')) {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+      const { isLoaded, ...toSave } = store.getState().settings;
+      settingsStorage.saveSettings(toSave).catch(e =>
+        console.warn('Settings Persistence: Could not save settings:', e.message));
+    }, SAVE_DELAY_MS);
+  }
+  return result;
+};
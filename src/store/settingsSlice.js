@@ -0,0 +1,238 @@
+// src/store/settingsSlice.js
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { AXES, DEFAULT_AXIS_SHAPING, STICK_MODES } from '../services/inputShaping';
+import { DEFAULT_INPUT_PRIORITY } from '../services/inputSources';
+import { DEFAULT_KEYBOARD_BINDINGS } from '../services/keyboardInput';
+import { DEFAULT_GAMEPAD_BINDINGS } from '../services/gamepadInput';
+import { DEFAULT_ALERT_RULES, isValidAlertRule } from '../services/alertRules';
+import { CRASH_EVENT, CRASH_RESPONSE } from '../services/crashDetection';
+import * as settingsStorage from '../services/settingsStorage';
+
+const DEFAULT_INPUT_BINDINGS = {
+  keyboard: DEFAULT_KEYBOARD_BINDINGS,
+  gamepad: DEFAULT_GAMEPAD_BINDINGS,
+};
+
+// Drone target fields; ports may come as text from the settings screen
+export const isValidHost = (host) => typeof host === 'string' && host.trim().length > 0 && !/\s/.test(host.trim());
+export const isValidPort = (port) => /^\d+$/.test(String(port)) && Number(port) >= 1 && Number(port) <= 65535;
+
+// Checks for saved settings beyond matching the default's type: a saved value
+// failing them (an older build, a hand-edited file) falls back to the default
+const SETTING_CHECKS = {
+  stickMode: (mode) => STICK_MODES[mode] !== undefined,
+  inputPriority: (ids) => ids.length === DEFAULT_INPUT_PRIORITY.length
+    && DEFAULT_INPUT_PRIORITY.every(id => ids.includes(id)),
+};
+// The same for entries of settings groups, given the entry name
+const GROUP_ENTRY_CHECKS = {
+  crashResponse: (event, response) => Object.values(CRASH_RESPONSE).includes(response),
+  droneTarget: (name, value) => (name === 'host' ? isValidHost(value) : isValidPort(value)),
+};
+// The same for items of list settings; items failing them are dropped
+const LIST_ITEM_CHECKS = {
+  alertRules: isValidAlertRule,
+};
+
+const hasTypeOf = (value, defaults) => (Array.isArray(defaults)
+  ? Array.isArray(value)
+  : value !== null && typeof value === typeof defaults);
+
+// --- Async Thunks ---
+
+// Thunk to restore the settings saved by the persistence middleware. Saved
+// values win over defaults; settings added since they were saved keep theirs.
+export const loadSettings = createAsyncThunk(
+  'settings/loadSettings',
+  async () => {
+    try {
+      return await settingsStorage.loadSettings();
+    } catch (e) {
+      console.warn('Load Settings Thunk: Using defaults:', e.message);
+      return null;
+    }
+  }
+);
+
+// --- Slice Definition ---
+const initialState = {
+  keepaliveEnabled: true, // Send neutral rc while hovering to prevent the 15 s auto-land
+  flightRecorderEnabled: true, // Write a black-box log of every flight (see services/flightRecorder)
+  preflightCheckEnabled: false, // Keep takeoff disabled until the pre-flight checklist passes
+  stickMode: 2, // Transmitter mode 1-4 (see services/inputShaping)
+  // { roll: { invert, deadzone, expo, rate }, pitch: ..., throttle: ..., yaw: ... }
+  axisShaping: Object.fromEntries(AXES.map(axis => [axis, DEFAULT_AXIS_SHAPING])),
+  keyboardInputEnabled: true,
+  gamepadInputEnabled: true,
+  inputPriority: DEFAULT_INPUT_PRIORITY, // Source IDs, highest first (see services/inputSources)
+  inputBindings: DEFAULT_INPUT_BINDINGS, // { keyboard: { leftUp: 'W', ... }, gamepad: { leftX: 'X', ... } }
+  // Soft limits enforced on rc and movement commands (see services/geofence)
+  geofence: { enabled: false, maxHeightCm: 200, minHeightCm: 30, maxDistanceCm: 500 },
+  // Battery levels (%) for the low-battery banner, the critical alert and
+  // automatic land, and the minimum for takeoff (see batteryFailsafeMiddleware)
+  batteryFailsafe: { warningPercent: 30, criticalPercent: 15, minTakeoffPercent: 20 },
+  alertRules: DEFAULT_ALERT_RULES, // Telemetry alerts (see services/alertRules)
+  // What to do when services/crashDetection reports each kind of event
+  crashResponse: {
+    [CRASH_EVENT.IMPACT]: CRASH_RESPONSE.LAND,
+    [CRASH_EVENT.TUMBLE]: CRASH_RESPONSE.EMERGENCY,
+    [CRASH_EVENT.UPSIDE_DOWN]: CRASH_RESPONSE.EMERGENCY,
+  },
+  // Where the app sends commands and where FFmpeg listens for video; point
+  // `host` at a machine running `npm run simulator` to fly without a drone.
+  // Applied on the next connect.
+  droneTarget: { host: '192.168.10.1', commandPort: 8889, videoPort: 11111 },
+  isLoaded: false, // Saved settings restored (or found missing); nothing is saved before that
+};
+
+const settingsSlice = createSlice({
+  name: 'settings',
+  initialState,
+  reducers: {
+    setKeepaliveEnabled: (state, action) => {
+      state.keepaliveEnabled = action.payload;
+    },
+    setFlightRecorderEnabled: (state, action) => {
+      state.flightRecorderEnabled = action.payload;
+    },
+    setPreflightCheckEnabled: (state, action) => {
+      state.preflightCheckEnabled = action.payload;
+    },
+    setStickMode: (state, action) => {
+      state.stickMode = action.payload;
+    },
+    // Payload: { axis: 'yaw', changes: { expo: 0.3 } }
+    setAxisShaping: (state, action) => {
+      const { axis, changes } = action.payload;
+      state.axisShaping[axis] = { ...state.axisShaping[axis], ...changes };
+    },
+    resetAxisShaping: (state, action) => {
+      state.axisShaping[action.payload] = DEFAULT_AXIS_SHAPING;
+    },
+    setKeyboardInputEnabled: (state, action) => {
+      state.keyboardInputEnabled = action.payload;
+    },
+    setGamepadInputEnabled: (state, action) => {
+      state.gamepadInputEnabled = action.payload;
+    },
+    setInputPriority: (state, action) => {
+      state.inputPriority = action.payload;
+    },
+    // Payload: { source: 'keyboard', binding: 'takeoff', value: 'T' }
+    setInputBinding: (state, action) => {
+      const { source, binding, value } = action.payload;
+      state.inputBindings[source][binding] = value;
+    },
+    resetInputBindings: (state, action) => {
+      state.inputBindings[action.payload] = DEFAULT_INPUT_BINDINGS[action.payload];
+    },
+    // Payload: { maxHeightCm: 300 } or any other subset of the geofence settings
+    setGeofence: (state, action) => {
+      state.geofence = { ...state.geofence, ...action.payload };
+    },
+    // Payload: { warningPercent: 35 } or any other subset of the failsafe levels
+    setBatteryFailsafe: (state, action) => {
+      state.batteryFailsafe = { ...state.batteryFailsafe, ...action.payload };
+    },
+    addAlertRule: (state, action) => {
+      state.alertRules.push(action.payload);
+    },
+    // Payload: { id, changes: { threshold: 90 } }
+    updateAlertRule: (state, action) => {
+      const { id, changes } = action.payload;
+      const rule = state.alertRules.find(r => r.id === id);
+      if (rule) {
+        Object.assign(rule, changes);
+      }
+    },
+    removeAlertRule: (state, action) => {
+      state.alertRules = state.alertRules.filter(rule => rule.id !== action.payload);
+    },
+    resetAlertRules: (state) => {
+      state.alertRules = DEFAULT_ALERT_RULES;
+    },
+    // Payload: { event: 'impact', response: 'emergency' }
+    setCrashResponse: (state, action) => {
+      const { event, response } = action.payload;
+      state.crashResponse[event] = response;
+    },
+    // Payload: { host: '10.0.2.2' } or any other subset of the target
+    setDroneTarget: (state, action) => {
+      state.droneTarget = { ...state.droneTarget, ...action.payload };
+    },
+    resetDroneTarget: (state) => {
+      state.droneTarget = initialState.droneTarget;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(loadSettings.fulfilled, (state, action) => {
+        const saved = action.payload || {};
+        Object.keys(initialState).forEach(key => {
+          if (saved[key] === undefined || key === 'isLoaded') {
+            return;
+          }
+          const defaults = initialState[key];
+          if (!hasTypeOf(saved[key], defaults)) {
+            console.warn(`Load Settings Thunk: Ignoring invalid "${key}", using the default.`);
+            return;
+          }
+          if (typeof defaults !== 'object' || Array.isArray(defaults)) {
+            if (SETTING_CHECKS[key] && !SETTING_CHECKS[key](saved[key])) {
+              console.warn(`Load Settings Thunk: Ignoring invalid "${key}", using the default.`);
+              return;
+            }
+            const checkItem = LIST_ITEM_CHECKS[key];
+            const value = checkItem ? saved[key].filter(checkItem) : saved[key];
+            if (value.length < saved[key].length) {
+              console.warn(`Load Settings Thunk: Dropping ${saved[key].length - value.length} invalid "${key}" item(s).`);
+            }
+            state[key] = value;
+            return;
+          }
+          // Groups of settings: merge each entry with its defaults (per-axis /
+          // per-source entries are themselves objects)
+          const checkEntry = GROUP_ENTRY_CHECKS[key];
+          Object.keys(defaults).forEach(name => {
+            const savedValue = saved[key][name];
+            if (savedValue === undefined) {
+              return;
+            }
+            if (!hasTypeOf(savedValue, defaults[name]) || (checkEntry && !checkEntry(name, savedValue))) {
+              console.warn(`Load Settings Thunk: Ignoring invalid "${key}.${name}", using the default.`);
+              return;
+            }
+            state[key][name] = typeof defaults[name] === 'object'
+              ? { ...defaults[name], ...savedValue }
+              : savedValue;
+          });
+        });
+        state.isLoaded = true;
+      });
+  },
+});
+
+// Export actions and reducer
+export const {
+  setKeepaliveEnabled,
+  setFlightRecorderEnabled,
+  setPreflightCheckEnabled,
+  setStickMode,
+  setAxisShaping,
+  resetAxisShaping,
+  setKeyboardInputEnabled,
+  setGamepadInputEnabled,
+  setInputPriority,
+  setInputBinding,
+  resetInputBindings,
+  setGeofence,
+  setBatteryFailsafe,
+  addAlertRule,
+  updateAlertRule,
+  removeAlertRule,
+  resetAlertRules,
+  setCrashResponse,
+  setDroneTarget,
+  resetDroneTarget,
+} = settingsSlice.actions;
+export default settingsSlice.reducer;
@@ -1,12 +1,36 @@
 // src/store/store.js
 import { configureStore } from '@reduxjs/toolkit';
 import telloReducer from './telloSlice';
+import settingsReducer from './settingsSlice';
+import mediaReducer from './mediaSlice';
+import replayReducer from './replaySlice';
+import missionReducer from './missionSlice';
+import alertsReducer from './alertsSlice';
+import { flightRecorderMiddleware } from './flightRecorderMiddleware';
+import { settingsPersistenceMiddleware } from './settingsPersistenceMiddleware';
+import { batteryFailsafeMiddleware } from './batteryFailsafeMiddleware';
+import { alertRulesMiddleware } from './alertRulesMiddleware';
+import { crashDetectionMiddleware } from './crashDetectionMiddleware';
 
 export const store = configureStore({
   reducer: {
     tello: telloReducer,
+    settings: settingsReducer,
+    media: mediaReducer,
+    replay: replayReducer,
+    mission: missionReducer,
+    alerts: alertsReducer,
     // Add other reducers here if your app grows
   },
-  // Optional: Add middleware for logging, etc.
-  // middleware: (getDefaultMiddleware) => getDefaultMiddleware().concat(logger),
+  // Records telemetry, errors and connection events for the flight log,
+  // writes settings changes to disk, and runs the low-battery failsafe, the
+  // user's telemetry alert rules and crash detection
+  middleware: (getDefaultMiddleware) =>
+    getDefaultMiddleware().concat(
+      flightRecorderMiddleware,
+      settingsPersistenceMiddleware,
+      batteryFailsafeMiddleware,
+      alertRulesMiddleware,
+      crashDetectionMiddleware,
+    ),
 });
\ No newline at end of file
@@ -1,13 +1,59 @@
 // src/store/telloSlice.js
-import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit';
 import * as telloService from '../services/telloService';
 import * as ffmpegService from '../services/ffmpegService';
 import * as orientationService from '../services/orientationService';
+import * as rcService from '../services/rcService';
+import * as telloQueries from '../services/telloQueries';
+import { parseTelemetry, formatFlightTime } from '../services/telemetry';
+import * as linkWatchdog from '../services/linkWatchdog';
+import * as keepaliveService from '../services/keepaliveService';
+import * as missionPads from '../services/missionPads';
+import * as geofence from '../services/geofence';
+import * as flightRecorder from '../services/flightRecorder';
+import { CRASH_RESPONSE, CRASH_EVENT_LABELS } from '../services/crashDetection';
+import { evaluatePreflightChecks, describePreflightBlock } from '../services/preflightChecks';
+import {
+  advanceFlightPhase,
+  initialFlightPhaseState,
+  isInFlight,
+  canFlipIn,
+  FLIGHT_PHASE,
+  FLIGHT_PHASE_LABELS,
+} from '../services/flightPhase';
 
 // --- Constants ---
 export const LOCAL_VIDEO_OUTPUT_HTTP_PORT = 11112;
 export const VIDEO_URL = `http://127.0.0.1:${LOCAL_VIDEO_OUTPUT_HTTP_PORT}`;
 
+// Precision landing: centre over the pad at this height, then land if within tolerance
+const PAD_APPROACH_HEIGHT_CM = 50;
+const PAD_APPROACH_SPEED = 20; // cm/s
+const PAD_LANDING_TOLERANCE_CM = 8;
+const PAD_CENTERING_ATTEMPTS = 3;
+
+// The firmware answers "error" to flips below about 50% battery
+export const FLIP_MIN_BATTERY = 50;
+// A flip drops some height; don't start one close to the ground
+export const FLIP_MIN_HEIGHT_CM = 100;
+
+export const FLIP_DIRECTIONS = ['l', 'r', 'f', 'b'];
+
+// Low-battery failsafe stages (thresholds are in settings.batteryFailsafe)
+export const BATTERY_STAGE = {
+  OK: 'ok',
+  WARNING: 'warning', // Banner: land soon
+  CRITICAL: 'critical', // Alert, then an automatic land unless the pilot overrides it
+};
+// Time between the critical alert and the automatic land, to allow an override
+export const BATTERY_AUTO_LAND_DELAY_MS = 8000;
+
+// Longest gap between state packets integrated into the position estimate;
+// after a stall the old velocity is no longer a good guess
+const MAX_DEAD_RECKONING_STEP_MS = 500;
+// The downward ToF sensor only reads reliably below this; above it only h is used
+const TOF_MAX_RELIABLE_CM = 800;
+
 // --- Async Thunks ---
 
 // Thunk to handle connection commands and starting FFmpeg
@@ -19,23 +65,62 @@ export const connectAndStream = createAsyncThunk(
     dispatch(setError(null)); // Clear previous errors
     dispatch(setConnecting(true));
 
+    // The drone, or a simulator, from settings
+    const { host, commandPort, videoPort } = getState().settings.droneTarget;
+    telloService.setTarget({ host, commandPort });
+    ffmpegService.setVideoInput({ port: videoPort });
+
     try {
-      
 
       // Send initial commands (ensure socket is ready via telloService state if possible,
       // but rely on prior initialization for now)
       console.log('Connect Thunk: Sending commands...');
+      // Each call resolves only once the drone has answered 'ok' (or rejects)
       await telloService.sendCommand('command');
-      await new Promise(resolve => setTimeout(resolve, 300)); // Short delay
+      dispatch(setConnected(true));
       await telloService.sendCommand('streamon');
-      await new Promise(resolve => setTimeout(resolve, 300)); // Short delay
 
-      console.log('Connect Thunk: Drone commands sent. Starting FFmpeg...');
+      console.log('Connect Thunk: Drone acknowledged SDK mode and stream. Starting FFmpeg...');
       await ffmpegService.start(LOCAL_VIDEO_OUTPUT_HTTP_PORT);
       console.log('Connect Thunk: FFmpeg start command issued.');
 
       // Crucially, set streaming state *after* FFmpeg command is issued successfully
       dispatch(setStreaming(true));
+
+      // Start feeding joystick input to the drone now that SDK mode is active
+      rcService.start();
+
+      // Fill the "Drone info" panel in the background; don't hold up the connection
+      dispatch(fetchDroneInfo());
+
+      // Keep a hovering drone from auto-landing when the pilot isn't touching anything
+      keepaliveService.start(() => {
+        const state = getState();
+        return state.settings.keepaliveEnabled && selectIsInFlight(state);
+      });
+
+      // Refuse takeoff on a low battery or a failing pre-flight check (mission
+      // takeoffs included), clamp stick input and refuse moves that would
+      // leave the geofence
+      telloService.setCommandFilter((command) => {
+        const state = getState();
+        const takeoffRefusal = command === 'takeoff' ? selectTakeoffRefusal(state) : null;
+        if (takeoffRefusal) {
+          throw new Error(`Takeoff refused: ${takeoffRefusal}`);
+        }
+        const preflightBlock = command === 'takeoff' ? selectPreflightBlock(state) : null;
+        if (preflightBlock) {
+          throw new Error(`Takeoff blocked by the ${preflightBlock}`);
+        }
+        return geofence.filterCommand(command, state.settings.geofence, selectGeofenceFlight(state));
+      });
+
+      // Watch for the Wi-Fi link dropping from here on
+      linkWatchdog.start({
+        onStatusChange: (info) => dispatch(setLinkStatus(info)),
+        onLost: () => dispatch(handleLinkLost()),
+        onReconnect: () => dispatch(recoverLink()).then(action => action.payload === true),
+      });
       return true; // Indicate success
 
     } catch (error) {
@@ -51,6 +136,226 @@ export const connectAndStream = createAsyncThunk(
   }
 );
 
+// Thunk run once when the watchdog declares the link lost: stop any stick
+// input from being applied late and drop commands that can no longer be answered.
+export const handleLinkLost = createAsyncThunk(
+  'tello/handleLinkLost',
+  async (_, { dispatch }) => {
+    console.warn('Link Lost Thunk: No traffic from drone, neutralizing RC output.');
+    rcService.stop();
+    telloService.cancelPendingCommands('link lost');
+    dispatch(setError('Link to drone lost. The drone should hover in place; trying to reconnect...'));
+  }
+);
+
+// Thunk for one reconnect attempt: re-enter SDK mode, restart the video
+// pipeline and resume RC. Resolves with true on success, false otherwise
+// (never rejects, so the watchdog can simply schedule the next attempt).
+export const recoverLink = createAsyncThunk(
+  'tello/recoverLink',
+  async (_, { dispatch }) => {
+    try {
+      // Short timeout and no retries: the watchdog itself retries on a schedule
+      await telloService.sendCommand('command', { timeoutMs: 2000, retries: 0 });
+      await telloService.sendCommand('streamon', { timeoutMs: 2000, retries: 0 });
+
+      // The old FFmpeg session has usually exited on its UDP input timeout
+      await ffmpegService.start(LOCAL_VIDEO_OUTPUT_HTTP_PORT);
+      dispatch(videoPipelineRestarted());
+
+      rcService.start();
+      dispatch(setError(null));
+      console.log('Recover Link Thunk: Link restored.');
+      return true;
+    } catch (e) {
+      console.warn('Recover Link Thunk: Drone not reachable yet:', e.message);
+      return false;
+    }
+  }
+);
+
+// Thunk to read the static drone properties once SDK mode is active.
+// Each query is allowed to fail on its own (e.g. 'hardware?' on a plain Tello).
+export const fetchDroneInfo = createAsyncThunk(
+  'tello/fetchDroneInfo',
+  async () => {
+    const readOrNull = async (label, queryFn) => {
+      try {
+        return await queryFn();
+      } catch (e) {
+        console.warn(`Drone Info Thunk: Could not read ${label}:`, e.message);
+        return null;
+      }
+    };
+
+    // Sequential on purpose: the command queue would serialize them anyway
+    const sdkVersion = await readOrNull('SDK version', telloQueries.getSdkVersion);
+    const serialNumber = await readOrNull('serial number', telloQueries.getSerialNumber);
+    const hardware = await readOrNull('hardware', telloQueries.getHardware);
+    const wifiSnr = await readOrNull('Wi-Fi SNR', telloQueries.getWifiSnr);
+    const speed = await readOrNull('speed', telloQueries.getSpeed);
+
+    return { sdkVersion, serialNumber, hardware, wifiSnr, speed };
+  },
+  {
+    condition: (_, { getState }) => getState().tello.isConnected,
+  }
+);
+
+// Thunk to re-read the Wi-Fi SNR (only part of the drone info that changes
+// in flight); resolves with null when the query fails
+export const refreshWifiSnr = createAsyncThunk(
+  'tello/refreshWifiSnr',
+  async () => {
+    try {
+      return await telloQueries.getWifiSnr();
+    } catch (e) {
+      console.warn('Wi-Fi SNR Thunk: Could not read Wi-Fi SNR:', e.message);
+      return null;
+    }
+  }
+);
+
+// Thunk to switch mission pad detection: `direction` is one of
+// missionPads.PAD_DIRECTION, or null to turn detection off
+export const setMissionPadDetection = createAsyncThunk(
+  'tello/setMissionPadDetection',
+  async (direction, { dispatch, rejectWithValue }) => {
+    try {
+      if (direction === null) {
+        await missionPads.disableDetection();
+      } else {
+        await missionPads.enableDetection(direction);
+      }
+      return direction;
+    } catch (error) {
+      console.error('Pad Detection Thunk: Failed:', error);
+      dispatch(setError(`Mission pads: ${error.message}`));
+      return rejectWithValue(error.message);
+    }
+  },
+  {
+    condition: (_, { getState }) => getState().tello.isConnected,
+  }
+);
+
+// Thunk for precision landing on mission pad `padId`: centre over it at low
+// height (repeating while telemetry says we are still off-centre), then land.
+// Needs the downward camera detecting pads and the pad in view.
+export const landOnMissionPad = createAsyncThunk(
+  'tello/landOnMissionPad',
+  async (padId, { dispatch, getState, rejectWithValue }) => {
+    try {
+      if (selectMissionPad(getState()).mid !== padId) {
+        throw new Error(`Pad ${padId} is not in view`);
+      }
+      for (let attempt = 1; ; attempt++) {
+        await missionPads.goRelativeToPad({ x: 0, y: 0, z: PAD_APPROACH_HEIGHT_CM, speed: PAD_APPROACH_SPEED, padId });
+        const { mid, x, y } = selectMissionPad(getState());
+        if (mid === padId && Math.hypot(x, y) <= PAD_LANDING_TOLERANCE_CM) {
+          break;
+        }
+        if (attempt === PAD_CENTERING_ATTEMPTS) {
+          throw new Error(`Could not centre over pad ${padId}, still hovering`);
+        }
+        console.log(`Pad Landing Thunk: Off-centre by ${Math.round(Math.hypot(x, y))} cm, retrying.`);
+      }
+      await telloService.sendCommand('land');
+      return padId;
+    } catch (error) {
+      console.error('Pad Landing Thunk: Failed:', error);
+      dispatch(setError(`Pad landing failed: ${error.message}`));
+      return rejectWithValue(error.message);
+    }
+  },
+  {
+    condition: (_, { getState }) => {
+      const state = getState();
+      const direction = state.tello.missionPadDirection;
+      const looksDown = direction === missionPads.PAD_DIRECTION.DOWNWARD || direction === missionPads.PAD_DIRECTION.BOTH;
+      return state.tello.isConnected && looksDown && selectFlightPhase(state) === FLIGHT_PHASE.AIRBORNE;
+    },
+  }
+);
+
+// Thunk to flip in `direction` (l/r/f/b), refused with an explanation when
+// selectFlipRefusal says battery or height don't allow it
+export const flip = createAsyncThunk(
+  'tello/flip',
+  async (direction, { dispatch, getState, rejectWithValue }) => {
+    const refusal = selectFlipRefusal(getState());
+    if (refusal) {
+      dispatch(setError(`Flip refused: ${refusal}`));
+      return rejectWithValue(refusal);
+    }
+    try {
+      await telloService.sendCommand(`flip ${direction}`);
+      return direction;
+    } catch (error) {
+      console.error('Flip Thunk: Failed:', error);
+      dispatch(setError(`Flip failed: ${error.message}`));
+      return rejectWithValue(error.message);
+    }
+  },
+  {
+    condition: (direction, { getState }) => getState().tello.isConnected && FLIP_DIRECTIONS.includes(direction),
+  }
+);
+
+// Thunk for the low-battery failsafe's automatic land (dispatched by
+// batteryFailsafeMiddleware once the override window has passed)
+export const landForLowBattery = createAsyncThunk(
+  'tello/landForLowBattery',
+  async (_, { dispatch, getState, rejectWithValue }) => {
+    console.warn(`Battery Failsafe: Landing at ${selectBattery(getState())}% battery.`);
+    try {
+      await telloService.sendCommand('land');
+      return true;
+    } catch (error) {
+      console.error('Battery Failsafe: Land failed:', error);
+      dispatch(setError(`Low-battery landing failed: ${error.message}`));
+      return rejectWithValue(error.message);
+    }
+  },
+  {
+    condition: (_, { getState }) => getState().tello.isConnected && !getState().tello.isBatteryAutoLanding,
+  }
+);
+
+// Thunk run by crashDetectionMiddleware when the drone has hit something,
+// tumbled or flipped over: cuts the motors or lands as set in
+// settings.crashResponse, then saves the samples that triggered it to the
+// flight log. Resolves with the response taken.
+export const respondToCrash = createAsyncThunk(
+  'tello/respondToCrash',
+  async ({ event, reason, samples }, { dispatch, getState }) => {
+    const response = getState().settings.crashResponse[event];
+    const label = CRASH_EVENT_LABELS[event];
+    console.warn(`Crash Detection: ${label} (${reason}), responding with ${response}.`);
+
+    // Motors first, paperwork after
+    if (response !== CRASH_RESPONSE.LOG) {
+      try {
+        await telloService.sendCommand(response);
+      } catch (error) {
+        console.error(`Crash Detection: "${response}" failed:`, error);
+      }
+    }
+    flightRecorder.record({ kind: 'marker', label: 'crash', event, reason, response, samples });
+    flightRecorder.flush();
+
+    if (response === CRASH_RESPONSE.EMERGENCY) {
+      dispatch(setError(`${label} detected (${reason}) - motors stopped`));
+    } else if (response === CRASH_RESPONSE.LAND) {
+      dispatch(setError(`${label} detected (${reason}) - landing`));
+    }
+    return response;
+  },
+  {
+    condition: (_, { getState }) => getState().tello.isConnected,
+  }
+);
+
 // Thunk to handle disconnection and cleanup
 export const disconnect = createAsyncThunk(
   'tello/disconnect',
@@ -62,13 +367,25 @@ export const disconnect = createAsyncThunk(
 
     // Set state immediately for UI responsiveness
     dispatch(setStreaming(false));
+    dispatch(setConnected(false));
     dispatch(setConnecting(false));
     dispatch(setError(null)); // Clear errors on disconnect
 
     let ffmpegStopped = false;
     let telloStreamOffSent = false;
 
+    // Stop the RC loop first so no stick input goes out while tearing down.
+    // stop() also sends a final neutral `rc 0 0 0 0`.
+    linkWatchdog.stop();
+    keepaliveService.stop();
+    rcService.stop();
+    telloService.setCommandFilter(null);
+    telloService.cancelPendingCommands('disconnecting');
+
     try {
+        // Close any recording first so its MP4 is finalized while the stream is
+        // still up (the media slice finalizes its state from the session's end callback)
+        await ffmpegService.stopRecording();
         // Stop FFmpeg first
         console.log("Disconnect Thunk: Stopping FFmpeg...");
         await ffmpegService.stop();
@@ -84,9 +401,9 @@ export const disconnect = createAsyncThunk(
     if (isStreaming) {
         try {
             console.log("Disconnect Thunk: Sending streamoff...");
-            await telloService.sendCommand('streamoff');
-            await new Promise(resolve => setTimeout(resolve, 100)); // Small delay
-            console.log("Disconnect Thunk: streamoff command sent.");
+            // Don't let a drone that has already gone away stall the teardown
+            await telloService.sendCommand('streamoff', { timeoutMs: 1000, retries: 0 });
+            console.log("Disconnect Thunk: streamoff acknowledged.");
             telloStreamOffSent = true;
         } catch (e) {
             console.warn("Disconnect Thunk: Error sending streamoff (maybe already closed/disconnected?):", e);
@@ -115,12 +432,37 @@ export const disconnect = createAsyncThunk(
 // --- Slice Definition ---
 const initialState = {
   isConnecting: false,
+  isConnected: false, // The drone answered 'command' (SDK mode); independent of the video stream
   isStreaming: false,
   errorMessage: null,
   videoUrl: VIDEO_URL,
-  battery: null,
-  flightTime: null,
+  telemetry: null, // Latest valid value of every state field, as numbers (see services/telemetry)
+  invalidTelemetryFields: [], // Fields dropped from the last packet as corrupt/out of range
   lastUpdate: null,
+  estimatedPosition: { x: 0, y: 0 }, // cm from the takeoff point, dead-reckoned from vgx/vgy (see updateStatus)
+  commandQueueDepth: 0, // Blocking commands waiting behind the in-flight one
+  inFlightCommand: null, // Command currently awaiting the drone's reply
+  droneInfo: null, // { sdkVersion, serialNumber, hardware, wifiSnr, speed } read after connecting
+  linkStatus: null, // One of linkWatchdog.LINK_STATUS while connected, null otherwise
+  linkNextRetryAt: null, // Timestamp of the next reconnect attempt while the link is lost
+  reconnectAttempts: 0,
+  videoRestartCount: 0, // Bumped whenever FFmpeg is restarted, so the player reloads
+  videoPlayerStatus: null, // 'playing' once the player shows the stream, 'error' if it failed, null while loading
+  missionPadDirection: null, // missionPads.PAD_DIRECTION while pad detection is on, null when off
+  batteryStage: BATTERY_STAGE.OK,
+  batteryAutoLandAt: null, // When the failsafe lands, while the pilot can still override it
+  isBatteryAutoLandOverridden: false, // Pilot confirmed flying on; cleared once landed
+  isBatteryAutoLanding: false,
+  flightPhase: initialFlightPhaseState, // services/flightPhase state; read through selectFlightPhase
+};
+
+// Derived per-flight state that must not carry over to another connection
+const resetFlightEstimates = (state) => {
+  state.estimatedPosition = initialState.estimatedPosition;
+  state.batteryStage = BATTERY_STAGE.OK;
+  state.batteryAutoLandAt = null;
+  state.isBatteryAutoLandOverridden = false;
+  state.isBatteryAutoLanding = false;
 };
 
 const telloSlice = createSlice({
@@ -130,6 +472,10 @@ const telloSlice = createSlice({
     setConnecting: (state, action) => {
       state.isConnecting = action.payload;
     },
+    setConnected: (state, action) => {
+      state.isConnected = action.payload;
+      state.flightPhase = advanceFlightPhase(state.flightPhase, { kind: action.payload ? 'connected' : 'disconnected' });
+    },
     // setStreaming reducer now primarily controls the flag,
     // associated resets happen here or in extraReducers
     setStreaming: (state, action) => {
@@ -137,8 +483,9 @@ const telloSlice = createSlice({
       state.isStreaming = action.payload;
       // Reset status only when changing from streaming (true) to not streaming (false)
       if (wasStreaming && !action.payload) {
-         state.battery = null;
-         state.flightTime = null;
+         state.telemetry = null;
+         state.invalidTelemetryFields = [];
+         state.videoPlayerStatus = null;
          // Don't reset lastUpdate here, let extraReducers handle it on connect/disconnect actions
       }
        // Ensure connecting is false if we are setting streaming to true
@@ -149,23 +496,74 @@ const telloSlice = createSlice({
     setError: (state, action) => {
       state.errorMessage = action.payload;
     },
-    updateStatus: (state, action) => {
-      const { bat, time, ...otherStatus } = action.payload;
+    setLinkStatus: (state, action) => {
+      state.linkStatus = action.payload.status;
+      state.linkNextRetryAt = action.payload.nextAttemptAt;
+      state.reconnectAttempts = action.payload.attempts;
+    },
+    videoPipelineRestarted: (state) => {
+      state.videoRestartCount += 1;
+      state.videoPlayerStatus = null;
+    },
+    setVideoPlayerStatus: (state, action) => {
+      state.videoPlayerStatus = action.payload;
+    },
+    // Back to the initial, disconnected state (flight replay starts/rewinds from here)
+    resetTelloState: () => initialState,
+    // The failsafe's events are tello/* actions, so the flight log records them
+    batteryStageChanged: (state, action) => {
+      state.batteryStage = action.payload;
+    },
+    batteryAutoLandScheduled: (state, action) => {
+      state.batteryAutoLandAt = action.payload;
+    },
+    // Only dispatched after the pilot confirmed (see BatteryFailsafeBanner)
+    overrideBatteryAutoLand: (state) => {
+      state.batteryAutoLandAt = null;
+      state.isBatteryAutoLandOverridden = true;
+    },
+    // takeoff/land/emergency traffic from telloService ({ kind, command, reply }),
+    // so the flight phase can be replayed from a flight log as well
+    flightCommandTraffic: (state, action) => {
+      state.flightPhase = advanceFlightPhase(state.flightPhase, action.payload);
+    },
+    setCommandQueueState: (state, action) => {
+      state.commandQueueDepth = action.payload.depth;
+      state.inFlightCommand = action.payload.inFlight;
+    },
+    // Payload is the raw key/value map from telloService; prepare() converts it
+    // into typed values so recorded actions can be replayed without re-parsing.
+    updateStatus: {
+      reducer: (state, action) => {
+        const { values, invalidFields, receivedAt } = action.payload;
+        const previousUpdate = state.lastUpdate;
+        // Keep the last good value of a field when one packet carries garbage
+        state.telemetry = { ...state.telemetry, ...values };
+        state.invalidTelemetryFields = invalidFields;
+        state.lastUpdate = receivedAt;
 
-      if (bat !== undefined) {
-        state.battery = parseInt(bat, 10);
-      }
-      if (time !== undefined) {
-          const totalSeconds = parseInt(time, 10);
-          if (!isNaN(totalSeconds)) {
-              const minutes = Math.floor(totalSeconds / 60);
-              const seconds = totalSeconds % 60;
-              state.flightTime = `${minutes}m ${seconds}s`;
-          } else {
-              state.flightTime = 'N/A';
-          }
-      }
-      state.lastUpdate = Date.now();
+        // Integrate the body-frame velocity (vgx forward, vgy right, dm/s) along
+        // the heading; the estimate restarts from 0 on every takeoff
+        const { h, tof, time, vgx, vgy, yaw } = state.telemetry;
+        state.flightPhase = advanceFlightPhase(state.flightPhase, { kind: 'telemetry', h, tof, time, at: receivedAt });
+        if (!(h > 0)) {
+          state.estimatedPosition = { x: 0, y: 0 };
+          // A landed drone starts the next flight with the failsafe armed again
+          state.batteryAutoLandAt = null;
+          state.isBatteryAutoLandOverridden = false;
+          state.isBatteryAutoLanding = false;
+        } else if (previousUpdate !== null && vgx != null && vgy != null && yaw != null) {
+          const dt = Math.min(receivedAt - previousUpdate, MAX_DEAD_RECKONING_STEP_MS) / 1000;
+          const step = geofence.bodyToWorld(vgx * 10 * dt, vgy * 10 * dt, yaw);
+          state.estimatedPosition = {
+            x: state.estimatedPosition.x + step.x,
+            y: state.estimatedPosition.y + step.y,
+          };
+        }
+      },
+      prepare: (rawStatus) => ({
+        payload: { ...parseTelemetry(rawStatus), receivedAt: Date.now() },
+      }),
     },
   },
   extraReducers: (builder) => {
@@ -174,12 +572,12 @@ const telloSlice = createSlice({
       .addCase(connectAndStream.pending, (state) => {
         state.isConnecting = true;
         state.errorMessage = null;
-        // Reset status on new connection attempt only if not already streaming
-        // (though the thunk logic should prevent starting if already streaming)
-        if (!state.isStreaming) {
-            state.battery = null;
-            state.flightTime = null;
+        // Reset status on new connection attempt only if not already connected
+        // (though the thunk logic should prevent starting if already connected)
+        if (!state.isConnected) {
+            state.telemetry = null;
             state.lastUpdate = null;
+            resetFlightEstimates(state);
         }
       })
       .addCase(connectAndStream.fulfilled, (state, action) => {
@@ -198,9 +596,36 @@ const telloSlice = createSlice({
         // Just set the error message here.
         state.errorMessage = `Connect Error: ${action.payload || 'Unknown error'}`;
         // Ensure status is reset fully on rejection
-        state.battery = null;
-        state.flightTime = null;
+        state.telemetry = null;
         state.lastUpdate = null;
+        resetFlightEstimates(state);
+        state.droneInfo = null;
+      })
+      // Drone Info
+      .addCase(fetchDroneInfo.fulfilled, (state, action) => {
+        // Disconnected while the queries ran: the info belongs to no drone
+        if (!state.isConnected) {
+          return;
+        }
+        state.droneInfo = action.payload;
+      })
+      .addCase(refreshWifiSnr.fulfilled, (state, action) => {
+        if (state.droneInfo && action.payload !== null) {
+          state.droneInfo.wifiSnr = action.payload;
+        }
+      })
+      // Mission Pads
+      .addCase(setMissionPadDetection.fulfilled, (state, action) => {
+        state.missionPadDirection = action.payload;
+      })
+      // Low-battery landing; a failed land is retried on the next state packet
+      .addCase(landForLowBattery.pending, (state) => {
+        state.isBatteryAutoLanding = true;
+      })
+      .addCase(landForLowBattery.rejected, (state, action) => {
+        if (!action.meta.condition) {
+          state.isBatteryAutoLanding = false;
+        }
       })
       // Disconnect
        .addCase(disconnect.pending, (state) => {
@@ -212,26 +637,213 @@ const telloSlice = createSlice({
         // State (isConnecting=false, isStreaming=false, error=null) is set by thunk/reducers
         console.log("Disconnect fulfilled:", action.payload);
          // Reset status fully on disconnect completion
-        state.battery = null;
-        state.flightTime = null;
+        state.telemetry = null;
         state.lastUpdate = null; // Reset last update time on clean disconnect
+        resetFlightEstimates(state);
+        state.droneInfo = null;
+        state.linkStatus = null;
+        state.linkNextRetryAt = null;
+        state.reconnectAttempts = 0;
+        state.missionPadDirection = null;
+        state.videoPlayerStatus = null;
+        state.flightPhase = initialFlightPhaseState;
         // state.isDisconnecting = false;
       })
       .addCase(disconnect.rejected, (state, action) => {
         console.error("Disconnect thunk failed:", action.error);
         // Ensure state reflects disconnected status even on failure
         state.isConnecting = false; // Should already be false
+        state.isConnected = false; // Should already be false
         state.isStreaming = false; // Should already be false
         state.errorMessage = "Disconnect cleanup failed. Check logs.";
         // Reset status anyway
-        state.battery = null;
-        state.flightTime = null;
+        state.telemetry = null;
         state.lastUpdate = null;
+        resetFlightEstimates(state);
+        state.droneInfo = null;
+        state.linkStatus = null;
+        state.linkNextRetryAt = null;
+        state.reconnectAttempts = 0;
+        state.missionPadDirection = null;
+        state.videoPlayerStatus = null;
+        state.flightPhase = initialFlightPhaseState;
          // state.isDisconnecting = false;
       });
   },
 });
 
 // Export actions and reducer
-export const { setConnecting, setStreaming, setError, updateStatus } = telloSlice.actions;
+export const {
+  setConnecting,
+  setConnected,
+  setStreaming,
+  setError,
+  setLinkStatus,
+  videoPipelineRestarted,
+  setVideoPlayerStatus,
+  setCommandQueueState,
+  flightCommandTraffic,
+  resetTelloState,
+  updateStatus,
+  batteryStageChanged,
+  batteryAutoLandScheduled,
+  overrideBatteryAutoLand,
+} = telloSlice.actions;
+
+// --- Selectors ---
+export const selectIsCommandBusy = (state) =>
+  state.tello.inFlightCommand !== null || state.tello.commandQueueDepth > 0;
+
+// Telemetry selectors are memoized so components only re-render when the
+// group of fields they use changes, not on every 10 Hz state packet.
+export const selectTelemetry = (state) => state.tello.telemetry;
+
+const selectField = (key) => (state) => state.tello.telemetry?.[key] ?? null;
+
+export const selectBattery = selectField('bat');
+
+export const selectFlightTimeSeconds = selectField('time');
+
+export const selectFlightTimeLabel = createSelector(
+  [selectFlightTimeSeconds],
+  (seconds) => formatFlightTime(seconds)
+);
+
+// One of flightPhase.FLIGHT_PHASE
+export const selectFlightPhase = (state) => state.tello.flightPhase.phase;
+
+// Whether the safety logic should treat the drone as flying (see flightPhase.isInFlight)
+export const selectIsInFlight = (state) => isInFlight(selectFlightPhase(state));
+
+export const selectAttitude = createSelector(
+  [selectField('pitch'), selectField('roll'), selectField('yaw')],
+  (pitch, roll, yaw) => ({ pitch, roll, yaw }) // deg
+);
+
+export const selectVelocity = createSelector(
+  [selectField('vgx'), selectField('vgy'), selectField('vgz')],
+  (vgx, vgy, vgz) => ({ vgx, vgy, vgz }) // dm/s
+);
+
+export const selectAcceleration = createSelector(
+  [selectField('agx'), selectField('agy'), selectField('agz')],
+  (agx, agy, agz) => ({ agx, agy, agz }) // 0.001 g
+);
+
+export const selectTemperature = createSelector(
+  [selectField('templ'), selectField('temph')],
+  (templ, temph) => ({ templ, temph }) // °C
+);
+
+export const selectHeight = createSelector(
+  [selectField('h'), selectField('tof'), selectField('baro')],
+  (h, tof, baro) => ({ h, tof, baro }) // cm
+);
+
+// Why a flip may not be attempted right now, or null when it may. Unknown
+// telemetry counts as a refusal: better no flip than one into the ground.
+export const selectFlipRefusal = createSelector(
+  [selectBattery, selectFlightPhase, selectHeight],
+  (battery, phase, { h, tof }) => {
+    if (!canFlipIn(phase)) {
+      return isInFlight(phase) ? `not while ${FLIGHT_PHASE_LABELS[phase].toLowerCase()}` : 'take off first';
+    }
+    if (battery === null) {
+      return 'battery level unknown';
+    }
+    if (battery < FLIP_MIN_BATTERY) {
+      return `battery ${battery}% is below ${FLIP_MIN_BATTERY}%`;
+    }
+    // tof measures clearance to whatever is below; h only the height above takeoff
+    const clearance = Math.min(h ?? Infinity, tof ?? Infinity);
+    if (clearance === Infinity) {
+      return 'height unknown';
+    }
+    if (clearance < FLIP_MIN_HEIGHT_CM) {
+      return `height ${clearance} cm is below ${FLIP_MIN_HEIGHT_CM} cm`;
+    }
+    return null;
+  }
+);
+
+// Why takeoff is refused right now, or null when it isn't
+export const selectTakeoffRefusal = (state) => {
+  const battery = selectBattery(state);
+  const { minTakeoffPercent } = state.settings.batteryFailsafe;
+  if (battery === null) {
+    return 'battery level unknown';
+  }
+  if (battery < minTakeoffPercent) {
+    return `battery ${battery}% is below the ${minTakeoffPercent}% needed to take off`;
+  }
+  return null;
+};
+
+export const selectBatteryFailsafe = createSelector(
+  [
+    (state) => state.tello.batteryStage,
+    (state) => state.tello.batteryAutoLandAt,
+    (state) => state.tello.isBatteryAutoLandOverridden,
+    (state) => state.tello.isBatteryAutoLanding,
+  ],
+  (stage, autoLandAt, isOverridden, isAutoLanding) => ({ stage, autoLandAt, isOverridden, isAutoLanding })
+);
+
+// Pre-flight checklist (see services/preflightChecks), re-evaluated as telemetry arrives
+export const selectPreflightChecks = createSelector(
+  [
+    (state) => state.tello.linkStatus,
+    selectTelemetry,
+    (state) => state.settings.batteryFailsafe.minTakeoffPercent,
+    (state) => state.tello.videoPlayerStatus,
+    (state) => state.media.freeStorageBytes,
+  ],
+  (linkStatus, telemetry, minBatteryPercent, videoPlayerStatus, freeStorageBytes) => evaluatePreflightChecks({
+    linkStatus,
+    isLinkFresh: linkStatus === linkWatchdog.LINK_STATUS.OK,
+    telemetry,
+    minBatteryPercent,
+    videoPlayerStatus,
+    freeStorageBytes,
+  })
+);
+
+// Why the pre-flight check blocks takeoff, or null when it doesn't (all
+// checks pass, the check is turned off in settings, or already flying)
+export const selectPreflightBlock = (state) => {
+  if (!state.settings.preflightCheckEnabled || selectIsInFlight(state)) {
+    return null;
+  }
+  return describePreflightBlock(selectPreflightChecks(state));
+};
+
+export const selectMissionPad = createSelector(
+  [selectField('mid'), selectField('x'), selectField('y'), selectField('z')],
+  (mid, x, y, z) => ({ mid, x, y, z, isDetected: mid !== null && mid > 0 })
+);
+
+export const selectEstimatedPosition = (state) => state.tello.estimatedPosition;
+
+// Where the drone is, in the shape services/geofence expects
+export const selectGeofenceFlight = createSelector(
+  [selectIsInFlight, selectHeight, selectEstimatedPosition, selectField('yaw')],
+  (isAirborne, { h, tof }, position, yaw) => {
+    const heightCm = h ?? 0;
+    const hasTof = tof !== null && tof < TOF_MAX_RELIABLE_CM;
+    return {
+      isAirborne,
+      heightCm,
+      clearanceCm: hasTof ? Math.min(heightCm, tof) : heightCm,
+      position,
+      yaw: yaw ?? 0,
+    };
+  }
+);
+
+// Limits that are close or reached, most severe first (see services/geofence)
+export const selectGeofenceWarnings = createSelector(
+  [(state) => state.settings.geofence, selectGeofenceFlight],
+  (limits, flight) => geofence.getGeofenceWarnings(limits, flight)
+);
+
 export default telloSlice.reducer;
\ No newline at end of file